@@ -5,6 +5,10 @@
 import StateManager from './core/state-manager.js';
 import EventBus from './core/event-bus.js';
 import ConfigLoader from './core/config-loader.js';
+import HistoryManager from './core/history-manager.js';
+import SessionStore, { hashConfig } from './core/session-store.js';
+import { getWorkspace, applyWorkspace } from './core/workspace.js';
+import { buildShareUrl, readSharedWorkspace } from './core/share-link.js';
 import defaultConfig from './configs/default-config.js';
 import Modal from './design-system/components/modal/modal.js';
 import GraphEngine from './graph-engine.js';
@@ -13,6 +17,10 @@ import ExpressionList from './components/expression-list.js';
 import Logger from './utils/logger.js';
 import { renderLatex } from './utils/math-formatter.js';
 
+const CONFIG_PATH = './configs/config.json';
+// Saved sessions of the built-in default config are kept under this name
+const DEFAULT_CONFIG_SOURCE = 'default-config';
+const SESSION_REPLACE_NOTE = 'Changes made since the page loaded will be replaced.';
 
 class App {
   constructor() {
@@ -20,6 +28,7 @@ class App {
     this.expressionList = null;
 
     this.helpModal = null;
+    this.configSource = null;
     this.debug = false;
   }
 
@@ -43,6 +52,9 @@ class App {
     // Initialize Components
     this.initComponents();
 
+    // Offer to restore the previous session, then keep saving it
+    this.initSession();
+
     // Initialize Help Modal
     this.initHelp();
 
@@ -56,19 +68,28 @@ class App {
    */
   async initState() {
     let config;
-
-    try {
-      // Try loading config from JSON file
-      config = await ConfigLoader.load('./configs/config.json');
-      if (this.debug) {
-        console.log('[App] Loaded config from config.json');
+    // A shared link takes the place of config.json
+    const shared = await this.loadSharedWorkspace();
+
+    if (shared) {
+      config = shared.config;
+      this.configSource = `shared:${hashConfig(config)}`;
+    } else {
+      try {
+        // Try loading config from JSON file
+        config = await ConfigLoader.load(CONFIG_PATH);
+        this.configSource = new URL(CONFIG_PATH, window.location.href).pathname;
+        if (this.debug) {
+          console.log('[App] Loaded config from config.json');
+        }
+      } catch (error) {
+        // Fallback to default-config.js
+        if (this.debug) {
+          console.log('[App] Failed to load config.json, using default-config.js:', error);
+        }
+        config = ConfigLoader.fromObject(defaultConfig);
+        this.configSource = DEFAULT_CONFIG_SOURCE;
       }
-    } catch (error) {
-      // Fallback to default-config.js
-      if (this.debug) {
-        console.log('[App] Failed to load config.json, using default-config.js:', error);
-      }
-      config = ConfigLoader.fromObject(defaultConfig);
     }
 
     StateManager.initialize(config);
@@ -78,6 +99,28 @@ class App {
     EventBus.setStateManager(StateManager);
   }
 
+  /**
+   * Read a graph shared through the URL hash (#graph=...) as a config
+   * @returns {Promise<{config: Object}|null>} Null when the URL has no shared
+   *   graph or it cannot be read
+   */
+  async loadSharedWorkspace() {
+    try {
+      const shared = await readSharedWorkspace(window.location.hash);
+      if (!shared) return null;
+
+      const config = ConfigLoader.fromObject({
+        functions: shared.functions,
+        parameters: shared.parameters,
+        ...(shared.graph ? { graph: shared.graph } : {})
+      });
+      return { config };
+    } catch (error) {
+      console.error('[App] Ignoring shared link:', error);
+      return null;
+    }
+  }
+
   /**
    * Initialize Components
    */
@@ -98,7 +141,11 @@ class App {
     this.sidebarManager.init();
 
     // Expression List (Sidebar)
-    this.expressionList = new ExpressionList('expression-list', 'btn-add-expression');
+    this.expressionList = new ExpressionList(
+      'expression-list',
+      'btn-add-expression',
+      'btn-add-table'
+    );
     this.expressionList.init();
 
     // Sidebar tabs
@@ -184,6 +231,229 @@ class App {
     document.getElementById('btn-zoom-out').addEventListener('click', () => {
       this.graphEngine.zoom(0.8);
     });
+
+    this.initFeasibleRegionToggle();
+    this.initAngleModeToggle();
+    this.initHistoryControls();
+    this.initShareButton();
+    this.initConfigFileControls();
+  }
+
+  /**
+   * Export the workspace as a config JSON file, and import one to replace it
+   */
+  initConfigFileControls() {
+    document.getElementById('btn-export')?.addEventListener('click', () => {
+      const config = ConfigLoader.serialize(getWorkspace());
+      const blob = new Blob([`${JSON.stringify(config, null, 2)}\n`], {
+        type: 'application/json'
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = 'config.json';
+      link.click();
+      // Revoking right after click() can cancel the download in some browsers
+      setTimeout(() => URL.revokeObjectURL(url), 0);
+      Logger.logActivity('Exported config');
+    });
+
+    const input = document.getElementById('import-file');
+    if (!input) return;
+
+    document.getElementById('btn-import')?.addEventListener('click', () => {
+      input.click();
+    });
+
+    input.addEventListener('change', async () => {
+      const [file] = input.files;
+      // Choosing the same file again must fire another change
+      input.value = '';
+      if (!file) return;
+
+      let config;
+      try {
+        config = ConfigLoader.fromJSON(await file.text());
+      } catch (error) {
+        console.error('[App] Could not import config:', error);
+        window.alert(`Could not import ${file.name}: ${error.message}`);
+        return;
+      }
+
+      // Home returns to the imported view
+      StateManager.set('config', config, { silent: true });
+      applyWorkspace({
+        functions: config.functions,
+        parameters: config.parameters,
+        graph: config.graph
+      });
+      Logger.logActivity(`Imported config ${file.name}`);
+    });
+  }
+
+  /**
+   * Copy a link that reproduces the current graph
+   */
+  initShareButton() {
+    const button = document.getElementById('btn-share');
+    if (!button) return;
+
+    const label = button.textContent;
+    let resetTimeout = null;
+
+    button.addEventListener('click', async () => {
+      let url;
+      try {
+        url = await buildShareUrl(getWorkspace(), window.location.href);
+      } catch (error) {
+        console.error('[App] Could not build share link:', error);
+        return;
+      }
+
+      try {
+        await navigator.clipboard.writeText(url);
+        button.textContent = '✓';
+        clearTimeout(resetTimeout);
+        resetTimeout = setTimeout(() => {
+          button.textContent = label;
+        }, 1500);
+        Logger.logActivity('Copied share link');
+      } catch (error) {
+        // Clipboard access needs a secure context; let the user copy it instead
+        window.prompt('Copy this link to share the graph:', url);
+        Logger.logActivity('Showed share link');
+      }
+    });
+  }
+
+  /**
+   * Undo and redo from the toolbar and with Ctrl+Z / Ctrl+Shift+Z
+   */
+  initHistoryControls() {
+    // The rows created on load are the starting point, not an undoable step
+    HistoryManager.init();
+
+    const undoButton = document.getElementById('btn-undo');
+    const redoButton = document.getElementById('btn-redo');
+
+    const runHistory = (action) => {
+      const changed = action === 'undo' ? HistoryManager.undo() : HistoryManager.redo();
+      if (changed) {
+        Logger.logActivity(action === 'undo' ? 'Undo' : 'Redo');
+      }
+    };
+
+    undoButton?.addEventListener('click', () => runHistory('undo'));
+    redoButton?.addEventListener('click', () => runHistory('redo'));
+
+    document.addEventListener('keydown', (event) => {
+      if (!(event.ctrlKey || event.metaKey) || event.altKey) return;
+      const key = event.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      // Text fields keep their own undo for the text being typed
+      const target = event.target;
+      if (target?.closest?.('input, textarea, [contenteditable="true"]')) return;
+
+      event.preventDefault();
+      runHistory(key === 'y' || event.shiftKey ? 'redo' : 'undo');
+    });
+
+    const syncButtons = ({ canUndo, canRedo } = {}) => {
+      if (undoButton) undoButton.disabled = !canUndo;
+      if (redoButton) redoButton.disabled = !canRedo;
+    };
+
+    EventBus.subscribe('history:changed', syncButtons);
+    syncButtons({ canUndo: HistoryManager.canUndo(), canRedo: HistoryManager.canRedo() });
+  }
+
+  /**
+   * Toggle shading of the region where every visible inequality holds
+   */
+  initFeasibleRegionToggle() {
+    const button = document.getElementById('btn-feasible-region');
+    if (!button) return;
+
+    const syncPressed = () => {
+      const enabled = StateManager.get('graph')?.feasibleRegion === true;
+      button.setAttribute('aria-pressed', enabled ? 'true' : 'false');
+    };
+
+    button.addEventListener('click', () => {
+      const graph = StateManager.get('graph') || {};
+      StateManager.set('graph', { ...graph, feasibleRegion: graph.feasibleRegion !== true });
+    });
+
+    EventBus.subscribe('state:changed:graph', syncPressed);
+    syncPressed();
+  }
+
+  /**
+   * Switch trig functions between radians and degrees
+   */
+  initAngleModeToggle() {
+    const button = document.getElementById('btn-angle-mode');
+    if (!button) return;
+
+    const syncLabel = () => {
+      const degrees = StateManager.get('graph')?.angleMode === 'degrees';
+      button.textContent = degrees ? 'deg' : 'rad';
+      button.setAttribute('aria-pressed', degrees ? 'true' : 'false');
+    };
+
+    button.addEventListener('click', () => {
+      const graph = StateManager.get('graph') || {};
+      const angleMode = graph.angleMode === 'degrees' ? 'radians' : 'degrees';
+      StateManager.set('graph', { ...graph, angleMode });
+      Logger.logActivity(`Angle mode: ${angleMode}`);
+    });
+
+    EventBus.subscribe('state:changed:graph', syncLabel);
+    syncLabel();
+  }
+
+  /**
+   * Save the workspace to localStorage and, when a session was saved for
+   * this config, ask whether to restore it or start fresh. Nothing is saved
+   * until the user answers, so the saved session is not overwritten.
+   */
+  initSession() {
+    SessionStore.open(this.configSource, StateManager.get('config'));
+    const session = SessionStore.load();
+    const prompt = document.getElementById('session-prompt');
+    if (!session || !prompt) {
+      SessionStore.start();
+      return;
+    }
+
+    const message = document.getElementById('session-prompt-message');
+    if (message) {
+      // The graph can be edited while the prompt is open; restoring replaces those edits
+      const question = session.configChanged
+        ? 'This activity has changed since your last visit. Restore your previous work anyway?'
+        : 'Restore your previous work?';
+      message.textContent = `${question} ${SESSION_REPLACE_NOTE}`;
+    }
+
+    const answer = (restore) => {
+      prompt.hidden = true;
+      if (restore) {
+        SessionStore.restore(session);
+        // Undo starts from the restored work
+        HistoryManager.clear();
+        Logger.logActivity('Restored previous session');
+      } else {
+        SessionStore.discard();
+        Logger.logActivity('Started fresh session');
+      }
+      SessionStore.start();
+    };
+
+    document.getElementById('btn-session-restore')
+      ?.addEventListener('click', () => answer(true), { once: true });
+    document.getElementById('btn-session-fresh')
+      ?.addEventListener('click', () => answer(false), { once: true });
+    prompt.hidden = false;
   }
 
   /**
@@ -8,15 +8,46 @@ import EventBus from '../core/event-bus.js';
 import ParameterSlider from './parameter-slider.js';
 import sharedParser from '../math/shared-parser.js';
 import { classifyLine } from '../math/line-classifier.js';
-import { DEFAULT_PARAMETER } from '../math/parameter-defaults.js';
+import { buildFunctionTable } from '../math/function-table.js';
+import {
+    analyzeParameters,
+    evaluateValueExpression,
+    resolveLiveParameterValues
+} from '../math/parameter-utils.js';
+import { DEFAULT_PARAMETER, formatParameterValue } from '../math/parameter-defaults.js';
+import {
+    normalizeTableRows,
+    buildTableExpression,
+    validateTableCell,
+    nextTableColumns
+} from '../math/table-utils.js';
+import { getRegressionKey } from '../math/regression.js';
+import { evaluateIntegral } from '../math/integral.js';
+import { computeSequenceTerms } from '../math/sequence.js';
+import { applyAngleMode } from '../math/expression-adapter.js';
 import { toLatex, renderLatex } from '../utils/math-formatter.js';
 import Logger from '../utils/logger.js';
 import { getColorForIndex } from '../utils/color-constants.js';
 
+// Row menu checkboxes, by the graph mode of the rows that offer them
+const ROW_TOOLS = {
+    explicit: {
+        title: 'Tangent and secant lines',
+        tools: [['tangent', 'Tangent line'], ['follow', 'Follow mouse'], ['secant', 'Secant line']]
+    },
+    points: {
+        title: 'Point labels',
+        tools: [['coordinates', 'Show coordinates']]
+    }
+};
+
 export default class ExpressionList {
-    constructor(containerId, addButtonId) {
+    constructor(containerId, addButtonId, addTableButtonId = null) {
         this.container = document.getElementById(containerId);
         this.addButton = document.getElementById(addButtonId);
+        this.addTableButton = addTableButtonId
+            ? document.getElementById(addTableButtonId)
+            : null;
         this.boundRender = this.render.bind(this);
         // id -> { element, parameterSlider, inputEl, latexEl, colorEl, errorEl, sliderContainer, ... }
         this.renderedItems = new Map();
@@ -28,6 +59,8 @@ export default class ExpressionList {
         this.addExpressionLabel = '+ Add Expression';
         this.addParameterLabel = '+ Add Parameter';
         this.parameterComposer = null;
+        this.selectedId = null;
+        this.angleMode = 'radians';
     }
 
     init() {
@@ -36,6 +69,8 @@ export default class ExpressionList {
             return;
         }
 
+        this.angleMode = this._getAngleModeFromState();
+
         // Subscribe to functions changes via EventBus
         this.unsubscribers.push(
             EventBus.subscribe('state:changed:functions', (data) => {
@@ -48,12 +83,45 @@ export default class ExpressionList {
             this.handlePrimaryAction();
         });
 
+        if (this.addTableButton) {
+            this.addTableButton.addEventListener('click', () => {
+                this.addTable();
+            });
+        }
+
         // Subscribe to parameter changes to update slider values if changed externally
         this.unsubscribers.push(
             EventBus.subscribe('state:changed:parameters', () => {
                 this.updateSlidersFromState();
             }, { immediate: true })
         );
+
+        // Sliders set their value silently while dragged, so calculated
+        // values follow the drag through parameters:updated
+        this.unsubscribers.push(
+            EventBus.subscribe('parameters:updated', () => {
+                this.refreshComputedValues();
+            })
+        );
+
+        // Calculated values such as sin(30) depend on the angle mode
+        this.unsubscribers.push(
+            EventBus.subscribe('state:changed:graph', () => {
+                const angleMode = this._getAngleModeFromState();
+                if (angleMode === this.angleMode) return;
+                this.angleMode = angleMode;
+                this.handleFunctionsUpdate(StateManager.get('functions'));
+            })
+        );
+    }
+
+    /**
+     * Read the angle mode trig functions use from the graph state
+     * @returns {string} 'radians' or 'degrees'
+     * @private
+     */
+    _getAngleModeFromState() {
+        return StateManager.get('graph')?.angleMode === 'degrees' ? 'degrees' : 'radians';
     }
 
     /**
@@ -98,6 +166,24 @@ export default class ExpressionList {
         this.applySectionFilter();
     }
 
+    /**
+     * Classify an expression against the user functions defined by all rows
+     * @param {string} expression - Expression to classify
+     * @param {Array} functions - Rows providing f(x) = ... definitions
+     * @returns {Object} Classification metadata
+     */
+    getClassificationMetadataFor(expression, functions) {
+        const functionTable = buildFunctionTable(functions, this.parser);
+        const classification = classifyLine(expression || '', this.parser, functionTable);
+        const meta = this.getClassificationMetadata(expression, classification);
+        this.applyComputedValueMetadata(
+            meta,
+            classification,
+            analyzeParameters(functions, this.parser, { angleMode: this.angleMode })
+        );
+        return meta;
+    }
+
     getClassificationMetadata(expression, classificationOverride = null) {
         const classification = classificationOverride ??
             classifyLine(expression || '', this.parser);
@@ -105,20 +191,115 @@ export default class ExpressionList {
         return {
             error: classification.error ?? null,
             kind: classification.kind,
+            graphMode: classification.graphMode ?? null,
             paramName: classification.paramName ?? null,
             value: classification.value ?? null,
             usedVariables: Array.isArray(classification.usedVariables)
                 ? classification.usedVariables
                 : [],
-            plotExpression: classification.plotExpression ?? null
+            plotExpression: classification.plotExpression ?? null,
+            regression: null
         };
     }
 
+    /**
+     * Fill in the computed value of a derived parameter row such as
+     * "b = 2*a" (or its dependency error), of a calculated-value row
+     * such as "sqrt(2)*a" or "integral(x^2, 0, a)", the fit of a
+     * regression row, and the missing starting terms of a sequence row
+     * @param {Object} meta - Classification metadata to update in place
+     * @param {Object} classification - Result of classifyLine for the row
+     * @param {Object} analysis - Result of analyzeParameters for all rows
+     */
+    applyComputedValueMetadata(meta, classification, analysis) {
+        if (meta.kind === 'regression') {
+            const fit = analysis.regressionResults.get(getRegressionKey(classification.plotData));
+            meta.error = meta.error ?? fit?.error ?? null;
+            meta.regression = fit && !fit.error
+                ? {
+                    params: { ...fit.values },
+                    rSquared: fit.rSquared,
+                    residuals: [...fit.residuals]
+                }
+                : null;
+            return;
+        }
+
+        if (meta.kind === 'value') {
+            const scope = this._buildComputedValueScope(analysis);
+            const toAngleMode = (expression) => applyAngleMode(expression, this.angleMode);
+            const integral = classification.plotData?.type === 'integral'
+                ? classification.plotData
+                : null;
+            meta.value = integral
+                ? evaluateIntegral({
+                    integrand: toAngleMode(integral.integrand),
+                    lower: toAngleMode(integral.lower),
+                    upper: toAngleMode(integral.upper)
+                }, scope)
+                : evaluateValueExpression(toAngleMode(classification.valueExpression), scope);
+            return;
+        }
+
+        // A recurrence without its starting terms has nothing to plot
+        if (classification.plotData?.type === 'sequence') {
+            const scope = this._buildComputedValueScope(analysis);
+            meta.error = meta.error ??
+                computeSequenceTerms(classification.plotData, scope, 0).error;
+            return;
+        }
+
+        if (meta.kind !== 'assignment' || !analysis.derivedParams.has(meta.paramName)) {
+            return;
+        }
+
+        meta.error = meta.error ?? analysis.parameterErrors.get(meta.paramName) ?? null;
+        meta.value = meta.error
+            ? null
+            : this._buildComputedValueScope(analysis)[meta.paramName] ?? null;
+    }
+
+    /**
+     * Show the values of calculated-value and derived parameter rows for the
+     * current slider values, without writing the rows to state. Runs while a
+     * slider is dragged; its assignment row is only rewritten when the drag ends.
+     */
+    refreshComputedValues() {
+        const functions = StateManager.get('functions') || [];
+        const functionTable = buildFunctionTable(functions, this.parser);
+        const analysis = analyzeParameters(functions, this.parser, {
+            angleMode: this.angleMode
+        });
+
+        functions.forEach(func => {
+            const item = this.renderedItems.get(func.id);
+            if (!item || item.isTable) return;
+            const isDerived = func.kind === 'assignment' &&
+                analysis.derivedParams.has(func.paramName);
+            if (func.kind !== 'value' && !isDerived) return;
+
+            const classification = classifyLine(func.expression || '', this.parser, functionTable);
+            const meta = this.getClassificationMetadata(func.expression, classification);
+            this.applyComputedValueMetadata(meta, classification, analysis);
+            if (isDerived) {
+                this.updateDerivedValue(item, { ...func, ...meta });
+            } else {
+                this.updateCalculatedValue(item, { ...func, ...meta });
+            }
+        });
+    }
+
     handleFunctionsUpdate(functions) {
         if (!functions) return;
 
+        const functionTable = buildFunctionTable(functions, this.parser);
+        const analysis = analyzeParameters(functions, this.parser, {
+            angleMode: this.angleMode
+        });
         const updated = functions.map(func => {
-            const meta = this.getClassificationMetadata(func.expression);
+            const classification = classifyLine(func.expression || '', this.parser, functionTable);
+            const meta = this.getClassificationMetadata(func.expression, classification);
+            this.applyComputedValueMetadata(meta, classification, analysis);
             const item = this.renderedItems.get(func.id);
             if (item?.isEditing && meta.error === 'Syntax error') {
                 meta.error = null;
@@ -140,9 +321,12 @@ export default class ExpressionList {
 
             return prev.error !== nextFunc.error ||
                 prev.kind !== nextFunc.kind ||
+                (prev.graphMode ?? null) !== nextFunc.graphMode ||
                 prev.paramName !== nextFunc.paramName ||
-                prev.value !== nextFunc.value ||
+                !this._computedValuesMatch(prev.value, nextFunc.value) ||
                 prev.plotExpression !== nextFunc.plotExpression ||
+                JSON.stringify(prev.regression ?? null) !==
+                    JSON.stringify(nextFunc.regression ?? null) ||
                 !varsMatch;
         });
 
@@ -186,6 +370,59 @@ export default class ExpressionList {
         }
     }
 
+    /**
+     * Offer the tangent and secant menu on explicit curves and the
+     * coordinates menu on points rows, and sync its checkboxes with the
+     * row's overlay settings
+     * @param {Object} item - Item data from renderedItems Map
+     * @param {Object} func - Function object
+     */
+    updateToolsState(item, func) {
+        const mode = func.kind === 'graph' ? func.graphMode : null;
+        const menu = ROW_TOOLS[mode] || null;
+        item.toolsToggle.hidden = !menu;
+        if (!menu) {
+            this.setToolsMenuOpen(func.id, false);
+            return;
+        }
+
+        if (item.toolsMode !== mode) {
+            item.toolsMenu.innerHTML = menu.tools
+                .map(([tool, label]) => (
+                    `<label><input type="checkbox" data-tool="${tool}"> ${label}</label>`
+                ))
+                .join('');
+            item.toolsToggle.title = menu.title;
+            item.toolsMode = mode;
+        }
+
+        const checked = {
+            tangent: !!func.derivative,
+            follow: func.derivative?.updateOnMouseMove === true,
+            secant: Array.isArray(func.secants) && func.secants.length > 0,
+            coordinates: func.showCoordinates === true
+        };
+        item.toolsMenu.querySelectorAll('input[data-tool]').forEach(checkbox => {
+            checkbox.checked = checked[checkbox.dataset.tool];
+            if (checkbox.dataset.tool === 'follow') {
+                checkbox.disabled = !func.derivative;
+            }
+        });
+    }
+
+    /**
+     * Show or hide a row's tangent and secant menu
+     * @param {string} id - Function ID
+     * @param {boolean} open - Whether the menu should be shown
+     */
+    setToolsMenuOpen(id, open) {
+        const item = this.renderedItems.get(id);
+        if (!item?.toolsMenu) return;
+
+        item.toolsMenu.hidden = !open;
+        item.toolsToggle.setAttribute('aria-expanded', open ? 'true' : 'false');
+    }
+
     /**
      * Update input value if not focused
      * @param {Object} item - Item data from renderedItems Map
@@ -274,6 +511,77 @@ export default class ExpressionList {
             console.warn('[ExpressionList] LaTeX rendering failed, using plain text:', error);
             item.latexEl.textContent = expression;
         }
+
+        // Keep the calculated value next to the rendered expression
+        if (item.valueEl) {
+            item.latexEl.appendChild(item.valueEl);
+        }
+    }
+
+    /**
+     * Build the scope computed values are evaluated in: the current slider
+     * values plus parameter and list values from the rows, with derived
+     * parameters evaluated from the sliders
+     * @param {Object} analysis - Result of analyzeParameters for all rows
+     * @returns {Object} Scope where lists are arrays
+     * @private
+     */
+    _buildComputedValueScope(analysis) {
+        const controlValues = {};
+        Object.entries(StateManager.get('parameters') || {}).forEach(([name, config]) => {
+            if (typeof config?.value === 'number') {
+                controlValues[name] = config.value;
+            }
+        });
+        const scope = { ...controlValues };
+        resolveLiveParameterValues(analysis, controlValues, this.angleMode)
+            .forEach((value, name) => {
+                scope[name] = value;
+            });
+        return scope;
+    }
+
+    /**
+     * Show the result of a calculated-value row (e.g. sqrt(2)*a) next to its LaTeX
+     * @param {Object} item - Item data from renderedItems Map
+     * @param {Object} func - Function object with classification metadata
+     */
+    updateCalculatedValue(item, func) {
+        if (!item.valueEl) return;
+
+        if (func.kind !== 'value') {
+            item.valueEl.textContent = '';
+            return;
+        }
+
+        const hasValue = typeof func.value === 'number' || Array.isArray(func.value);
+        item.valueEl.textContent = hasValue
+            ? `= ${this._formatComputedValue(func.value)}`
+            : '= undefined';
+    }
+
+    /**
+     * Format a computed value for display, trimming floating point noise
+     * @param {number|number[]} value - Computed value or list
+     * @returns {string} Display string
+     * @private
+     */
+    _formatComputedValue(value) {
+        if (Array.isArray(value)) {
+            return `[${value.map(item => this._formatComputedValue(item)).join(', ')}]`;
+        }
+        return `${Number(value.toPrecision(10))}`;
+    }
+
+    /**
+     * Compare computed values, including lists, by content
+     * @private
+     */
+    _computedValuesMatch(a, b) {
+        if (Array.isArray(a) && Array.isArray(b)) {
+            return a.length === b.length && a.every((item, index) => item === b[index]);
+        }
+        return a === b;
     }
 
     /**
@@ -282,6 +590,11 @@ export default class ExpressionList {
      * @param {number} index - Index in the list
      */
     createItem(func, index) {
+        if (func.type === 'table') {
+            this.createTableItem(func);
+            return;
+        }
+
         const item = document.createElement('div');
         item.className = 'expression-item';
         if (func.error) item.classList.add('has-error');
@@ -301,10 +614,17 @@ export default class ExpressionList {
                     style="display: none;">
                 <div class="expression-error">${this.escapeHtml(func.error || '')}</div>
             </div>
+            <div class="expression-derived-value"></div>
             <div class="expression-slider-container"
                 id="slider-container-${func.id}">
             </div>
+            <div class="expression-tools" hidden></div>
         </div>
+        <button class="button button-text button-medium expression-tools-toggle"
+            data-id="${func.id}"
+            aria-label="Curve tools"
+            aria-expanded="false"
+            hidden>⋯</button>
         <button class="button button-text button-medium"
             data-id="${func.id}"
             title="Delete"
@@ -320,6 +640,11 @@ export default class ExpressionList {
         const deleteBtn = item.querySelector('button[aria-label="Delete expression"]');
         const errorEl = item.querySelector('.expression-error');
         const sliderContainer = item.querySelector(`#slider-container-${func.id}`);
+        const derivedValueEl = item.querySelector('.expression-derived-value');
+        const toolsToggle = item.querySelector('.expression-tools-toggle');
+        const toolsMenu = item.querySelector('.expression-tools');
+        const valueEl = document.createElement('span');
+        valueEl.className = 'expression-value';
 
         // Event Listeners
         input.addEventListener('input', (e) => {
@@ -363,6 +688,21 @@ export default class ExpressionList {
             this.deleteExpression(func.id);
         });
 
+        toolsToggle.addEventListener('click', () => {
+            this.setToolsMenuOpen(func.id, toolsMenu.hidden);
+        });
+
+        toolsMenu.addEventListener('change', (e) => {
+            const tool = e.target.dataset.tool;
+            if (tool) {
+                this.setCurveTool(func.id, tool, e.target.checked);
+            }
+        });
+
+        item.addEventListener('focusin', () => {
+            this.selectExpression(func.id);
+        });
+
         // Store item data
         const itemData = {
             element: item,
@@ -371,6 +711,11 @@ export default class ExpressionList {
             colorEl: colorBtn,
             errorEl: errorEl,
             sliderContainer: sliderContainer,
+            derivedValueEl: derivedValueEl,
+            toolsToggle: toolsToggle,
+            toolsMenu: toolsMenu,
+            toolsMode: null,
+            valueEl: valueEl,
             parameterSlider: null,
             lastColor: func.color,
             isEditing: !func.expression || func.expression.trim() === '',
@@ -392,6 +737,7 @@ export default class ExpressionList {
         // Apply initial state
         this.updateVisibilityState(itemData, func.visible);
         this.updateErrorState(itemData, func.error);
+        this.updateToolsState(itemData, func);
 
         // Set initial display mode
         if (itemData.isEditing) {
@@ -405,6 +751,7 @@ export default class ExpressionList {
             input.style.display = 'none';
             this.updateLatexDisplay(itemData, func.expression);
         }
+        this.updateCalculatedValue(itemData, func);
 
         // Check for parameter definition and create slider if needed
         this.reconcileSlider(func, itemData);
@@ -424,17 +771,24 @@ export default class ExpressionList {
         const item = this.renderedItems.get(func.id);
         if (!item) return;
 
+        if (item.isTable) {
+            this.updateTableItem(item, func);
+            return;
+        }
+
         // Update all state properties
         this.updateColorState(item, func.color);
         this.updateInputValue(item, func.expression);
         this.updateErrorState(item, func.error);
         this.updateVisibilityState(item, func.visible);
+        this.updateToolsState(item, func);
 
         // Update LaTeX display if expression changed and not currently editing
         if (!item.isEditing && item.lastExpression !== func.expression) {
             item.lastExpression = func.expression;
             this.updateLatexDisplay(item, func.expression);
         }
+        this.updateCalculatedValue(item, func);
 
         // Handle slider lifecycle
         this.reconcileSlider(func, item);
@@ -442,6 +796,194 @@ export default class ExpressionList {
         this.updateItemSection(item, func.expression);
     }
 
+    /**
+     * Create a data table item with editable x₁/y₁ cells
+     * @param {Object} func - Table row with table.rows and table.lines
+     */
+    createTableItem(func) {
+        const item = document.createElement('div');
+        item.className = 'expression-item expression-table-item';
+
+        item.innerHTML = `
+        <div class="expression-color"
+            style="background-color: ${func.color};"
+            title="Toggle Visibility"></div>
+        <div class="expression-main" style="flex: 1;">
+            <table class="expression-table" data-id="${func.id}">
+                <thead>
+                    <tr><th></th><th></th></tr>
+                </thead>
+                <tbody></tbody>
+            </table>
+            <label class="expression-table-lines">
+                <input type="checkbox"> Connect points
+            </label>
+            <div class="expression-error"></div>
+        </div>
+        <button class="button button-text button-medium"
+            data-id="${func.id}"
+            title="Delete"
+            aria-label="Delete expression">
+            <span class="icon icon-trash icon-medium"></span>
+        </button>
+      `;
+
+        const colorBtn = item.querySelector('.expression-color');
+        const tableHeaders = item.querySelectorAll('.expression-table th');
+        const tableBody = item.querySelector('.expression-table tbody');
+        const linesToggle = item.querySelector('.expression-table-lines input');
+        const deleteBtn = item.querySelector('button[aria-label="Delete expression"]');
+
+        tableBody.addEventListener('input', (e) => {
+            const cell = e.target;
+            if (!cell.classList.contains('expression-table-cell')) return;
+            this.updateTableCell(
+                func.id,
+                Number(cell.dataset.row),
+                Number(cell.dataset.col),
+                cell.value
+            );
+        });
+
+        tableBody.addEventListener('keydown', (e) => {
+            const cell = e.target;
+            if (e.key !== 'Enter' || !cell.classList.contains('expression-table-cell')) return;
+            e.preventDefault();
+            // Move down the column, like a spreadsheet
+            const next = tableBody.querySelector(
+                `[data-row="${Number(cell.dataset.row) + 1}"][data-col="${cell.dataset.col}"]`
+            );
+            if (next) {
+                next.focus();
+            } else {
+                cell.blur();
+            }
+        });
+
+        // Log the whole table edit once focus leaves the table
+        tableBody.addEventListener('focusin', () => {
+            const itemData = this.renderedItems.get(func.id);
+            if (itemData && itemData.editStartExpression === undefined) {
+                itemData.editStartExpression = itemData.lastExpression || '';
+            }
+        });
+
+        tableBody.addEventListener('focusout', (e) => {
+            if (e.relatedTarget && tableBody.contains(e.relatedTarget)) return;
+            this.handleExpressionCommit(func.id);
+        });
+
+        linesToggle.addEventListener('change', () => {
+            this.setTableLines(func.id, linesToggle.checked);
+        });
+
+        colorBtn.addEventListener('click', () => {
+            this.toggleVisibility(func.id);
+        });
+
+        deleteBtn.addEventListener('click', () => {
+            this.deleteExpression(func.id);
+        });
+
+        item.addEventListener('focusin', () => {
+            this.selectExpression(func.id);
+        });
+
+        const itemData = {
+            element: item,
+            colorEl: colorBtn,
+            errorEl: item.querySelector('.expression-error'),
+            tableHeaders: Array.from(tableHeaders),
+            tableBody: tableBody,
+            linesToggle: linesToggle,
+            isTable: true,
+            parameterSlider: null,
+            lastColor: func.color,
+            isEditing: false,
+            lastExpression: func.expression || '',
+            section: 'expressions',
+            editStartExpression: undefined
+        };
+
+        item.dataset.section = itemData.section;
+        this.renderedItems.set(func.id, itemData);
+
+        this.updateTableItem(itemData, func);
+        this.updateVisibilityState(itemData, func.visible);
+
+        this.container.appendChild(item);
+        this.ensureButtonPosition();
+    }
+
+    /**
+     * Sync a table item's cells, line toggle and errors with state.
+     * Focused cells are left alone so typing is not interrupted.
+     * @param {Object} item - Item data from renderedItems Map
+     * @param {Object} func - Table row
+     */
+    updateTableItem(item, func) {
+        const rows = normalizeTableRows(func.table?.rows);
+        // Always offer one empty row for adding data
+        const rowCount = rows.length + 1;
+
+        while (item.tableBody.rows.length > rowCount) {
+            item.tableBody.lastElementChild.remove();
+        }
+        while (item.tableBody.rows.length < rowCount) {
+            const rowIndex = item.tableBody.rows.length;
+            const row = document.createElement('tr');
+            [0, 1].forEach(colIndex => {
+                const cell = document.createElement('td');
+                const input = document.createElement('input');
+                input.type = 'text';
+                input.className = 'input expression-table-cell';
+                input.dataset.row = String(rowIndex);
+                input.dataset.col = String(colIndex);
+                input.setAttribute(
+                    'aria-label',
+                    `${colIndex === 0 ? 'x' : 'y'} value, row ${rowIndex + 1}`
+                );
+                cell.appendChild(input);
+                row.appendChild(cell);
+            });
+            item.tableBody.appendChild(row);
+        }
+
+        let cellError = null;
+        item.tableBody.querySelectorAll('.expression-table-cell').forEach(input => {
+            const value = rows[Number(input.dataset.row)]?.[Number(input.dataset.col)] ?? '';
+            if (document.activeElement !== input && input.value !== value) {
+                input.value = value;
+            }
+            const error = validateTableCell(value, this.parser);
+            input.classList.toggle('has-error', !!error);
+            cellError = cellError || error;
+        });
+
+        const columns = func.table?.columns || ['x', 'y'];
+        item.tableHeaders.forEach((header, colIndex) => {
+            header.textContent = this._formatColumnName(columns[colIndex]);
+        });
+
+        item.linesToggle.checked = func.table?.lines === true;
+        item.lastExpression = func.expression || '';
+
+        this.updateColorState(item, func.color);
+        this.updateErrorState(item, cellError || func.error);
+        this.updateVisibilityState(item, func.visible);
+    }
+
+
+    /**
+     * Show trailing digits of a column name as subscripts, e.g. x1 -> x₁
+     * @private
+     */
+    _formatColumnName(name) {
+        const subscripts = '₀₁₂₃₄₅₆₇₈₉';
+        return String(name).replace(/\d+$/, digits => (
+            Array.from(digits, digit => subscripts[Number(digit)]).join('')
+        ));
+    }
 
     /**
      * Handle auto-conversion of parameter to assignment
@@ -473,46 +1015,7 @@ export default class ExpressionList {
      * @private
      */
     _formatValueForDisplay(value, step) {
-        const decimals = this._getStepDecimals(step);
-        const rounded = this._roundToStep(value, step);
-        if (decimals === 0) {
-            return `${Math.round(rounded)}`;
-        }
-        return rounded.toFixed(decimals);
-    }
-
-    /**
-     * Round value to nearest step (helper for auto-conversion)
-     * @param {number} value - Value to round
-     * @param {number} step - Step size
-     * @returns {number} Rounded value
-     * @private
-     */
-    _roundToStep(value, step) {
-        if (!Number.isFinite(step) || step <= 0) {
-            return value;
-        }
-        const scaled = value / step;
-        return Math.round(scaled) * step;
-    }
-
-    /**
-     * Get number of decimal places for step (helper for auto-conversion)
-     * @param {number} step - Step size
-     * @returns {number} Number of decimal places
-     * @private
-     */
-    _getStepDecimals(step) {
-        if (!Number.isFinite(step)) return 0;
-        const stepString = step.toString();
-        if (stepString.includes('e-')) {
-            const parts = stepString.split('e-');
-            return Number(parts[1]) || 0;
-        }
-        if (stepString.includes('.')) {
-            return stepString.split('.')[1].length;
-        }
-        return 0;
+        return formatParameterValue(value, step);
     }
 
     /**
@@ -531,8 +1034,18 @@ export default class ExpressionList {
 
         const isAssignment = classification.kind === 'assignment' &&
             classification.paramName;
+        // Derived parameters (e.g. b = 2*a) are computed, so they get a
+        // read-only value instead of a slider
+        const isDerived = isAssignment && !!classification.valueExpression;
+        if (classification.kind === 'regression') {
+            this.updateRegressionResult(item, func);
+        } else {
+            this.updateDerivedValue(item, isDerived ? func : null);
+        }
+        // Lists such as L = [1, 2, 3] have no single value to slide
+        const isList = isAssignment && Array.isArray(classification.value);
 
-        if (!isAssignment) {
+        if (!isAssignment || isDerived || isList) {
             if (item.parameterSlider) {
                 item.parameterSlider.destroy();
                 item.parameterSlider = null;
@@ -558,11 +1071,7 @@ export default class ExpressionList {
                         // Format values for expression display
                         const paramConfig = StateManager.get(`parameters.${pName}`) || {};
                         const step = paramConfig.step || DEFAULT_PARAMETER.step;
-                        const formatValue = (val) => {
-                            const decimals = this._getStepDecimals(step);
-                            const rounded = this._roundToStep(val, step);
-                            return decimals === 0 ? `${Math.round(rounded)}` : rounded.toFixed(decimals);
-                        };
+                        const formatValue = val => formatParameterValue(val, step);
                         const oldExpr = `${pName} = ${formatValue(oldValue)}`;
                         const newExpr = `${pName} = ${formatValue(newValue)}`;
 
@@ -591,11 +1100,7 @@ export default class ExpressionList {
                         // Format values for expression display
                         const paramConfig = StateManager.get(`parameters.${pName}`) || {};
                         const step = paramConfig.step || DEFAULT_PARAMETER.step;
-                        const formatValue = (val) => {
-                            const decimals = this._getStepDecimals(step);
-                            const rounded = this._roundToStep(val, step);
-                            return decimals === 0 ? `${Math.round(rounded)}` : rounded.toFixed(decimals);
-                        };
+                        const formatValue = val => formatParameterValue(val, step);
                         const oldExpr = `${pName} = ${formatValue(oldValue)}`;
                         const newExpr = `${pName} = ${formatValue(newValue)}`;
 
@@ -626,6 +1131,79 @@ export default class ExpressionList {
         item.parameterSlider.updateConfig(paramConfig);
     }
 
+    /**
+     * Show the computed value of a derived parameter row, or hide it
+     * @param {Object} item - Item data from renderedItems Map
+     * @param {Object|null} func - Derived parameter row, or null to hide
+     */
+    updateDerivedValue(item, func) {
+        if (!item.derivedValueEl) return;
+
+        const hasValue = typeof func?.value === 'number' || Array.isArray(func?.value);
+        item.derivedValueEl.classList.toggle('is-visible', hasValue);
+        item.derivedValueEl.textContent = hasValue
+            ? `${func.paramName ?? ''} = ${this._formatComputedValue(func.value)}`.trim()
+            : '';
+    }
+
+    /**
+     * Show the fitted parameters, R² and residuals of a regression row
+     * @param {Object} item - Item data from renderedItems Map
+     * @param {Object} func - Regression row with classification metadata
+     */
+    updateRegressionResult(item, func) {
+        if (!item.derivedValueEl) return;
+
+        const fit = func.regression;
+        item.derivedValueEl.classList.toggle('is-visible', !!fit);
+        item.derivedValueEl.textContent = '';
+        if (!fit) return;
+
+        const lines = [];
+        const params = Object.entries(fit.params);
+        if (params.length > 0) {
+            lines.push(params
+                .map(([name, value]) => `${name} = ${this._formatComputedValue(value)}`)
+                .join(', '));
+        }
+        const rSquared = fit.rSquared === null
+            ? 'undefined'
+            : this._formatFitStatistic(fit.rSquared);
+        const residuals = fit.residuals.map(value => this._formatFitStatistic(value));
+        lines.push(`R² = ${rSquared}`);
+        lines.push(`residuals: [${residuals.join(', ')}]`);
+
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.textContent = text;
+            item.derivedValueEl.appendChild(line);
+        });
+    }
+
+    /**
+     * Format R² or a residual to 4 significant digits, showing rounding
+     * noise such as 1e-15 as 0
+     * @private
+     */
+    _formatFitStatistic(value) {
+        return Math.abs(value) < 1e-10 ? '0' : `${Number(value.toPrecision(4))}`;
+    }
+
+    /**
+     * Mark a row as selected so the graph can show its points of interest
+     * @param {string|null} id - Function ID, or null to clear the selection
+     */
+    selectExpression(id) {
+        if (this.selectedId === id) return;
+        this.selectedId = id;
+
+        this.renderedItems.forEach((item, itemId) => {
+            item.element.classList.toggle('is-selected', itemId === id);
+        });
+
+        EventBus.publish('expression:selected', { id });
+    }
+
     /**
      * Remove an expression item
      * @param {string} id - Function ID
@@ -646,6 +1224,10 @@ export default class ExpressionList {
         // Remove from map
         this.renderedItems.delete(id);
 
+        if (this.selectedId === id) {
+            this.selectExpression(null);
+        }
+
         // Ensure button stays at the end
         this.ensureButtonPosition();
     }
@@ -688,8 +1270,12 @@ export default class ExpressionList {
             this.container.appendChild(this.parameterComposer.element);
         }
 
-        if (this.container.lastElementChild !== this.addButton) {
+        const lastButton = this.addTableButton || this.addButton;
+        if (this.container.lastElementChild !== lastButton) {
             this.container.appendChild(this.addButton);
+            if (this.addTableButton) {
+                this.container.appendChild(this.addTableButton);
+            }
         }
     }
 
@@ -726,6 +1312,12 @@ export default class ExpressionList {
             return 'expressions';
         }
 
+        // Graph lines that use assignment syntax (e.g. r = sin(theta)) stay
+        // with the expressions
+        if (classifyLine(trimmed, this.parser).kind === 'graph') {
+            return 'expressions';
+        }
+
         const syntax = this.parser.parseAssignmentSyntax(trimmed);
         if (syntax.isAssignment) {
             const lhs = syntax.lhs;
@@ -853,12 +1445,16 @@ export default class ExpressionList {
         const currentFunc = functions.find(func => func.id === id);
         const newExpression = currentFunc
             ? currentFunc.expression
-            : item.inputEl.value || '';
+            : item.inputEl?.value || '';
 
-        const meta = this.getClassificationMetadata(newExpression);
+        const meta = this.getClassificationMetadataFor(newExpression, functions);
 
         if (oldExpression.trim() !== newExpression.trim()) {
-            this.logModified(id, oldExpression, newExpression, { error: meta.error });
+            this.logModified(id, oldExpression, newExpression, {
+                error: meta.error,
+                value: meta.kind === 'value' ? meta.value : undefined,
+                regression: meta.regression
+            });
         }
 
         EventBus.publish('expressions:committed', { id });
@@ -868,17 +1464,19 @@ export default class ExpressionList {
     /**
      * Generate a simple sequential ID for regular expressions
      * @param {Array} existingFunctions - Current functions array
+     * @param {string} prefix - ID prefix, e.g. 'table' for data tables
      * @returns {string} Next available expression ID (e.g., expr_1, expr_2)
      * @private
      */
-    _generateExpressionId(existingFunctions) {
+    _generateExpressionId(existingFunctions, prefix = 'expr') {
         const ids = existingFunctions.map(f => f.id);
+        const pattern = new RegExp(`^${prefix}_\\d+$`);
         const exprNumbers = ids
-            .filter(id => /^expr_\d+$/.test(id))
-            .map(id => parseInt(id.replace('expr_', '')))
+            .filter(id => pattern.test(id))
+            .map(id => parseInt(id.replace(`${prefix}_`, '')))
             .filter(n => !isNaN(n));
         const nextNum = exprNumbers.length > 0 ? Math.max(...exprNumbers) + 1 : 1;
-        return `expr_${nextNum}`;
+        return `${prefix}_${nextNum}`;
     }
 
     /**
@@ -964,6 +1562,11 @@ export default class ExpressionList {
             'aria-label',
             isParameters ? 'Add parameter' : 'Add expression'
         );
+
+        // Tables are expressions, so they are only added from that tab
+        if (this.addTableButton) {
+            this.addTableButton.hidden = isParameters;
+        }
     }
 
     ensureParameterComposer() {
@@ -1100,14 +1703,165 @@ export default class ExpressionList {
         StateManager.set('functions', [...currentFunctions, newFunc]);
     }
 
+    addTable() {
+        const currentFunctions = StateManager.get('functions') || [];
+        const newId = this._generateExpressionId(currentFunctions, 'table');
+        const nextColor = getColorForIndex(currentFunctions.length);
+
+        const newFunc = {
+            id: newId,
+            type: 'table',
+            table: { rows: [], columns: nextTableColumns(currentFunctions), lines: false },
+            expression: '',
+            color: nextColor,
+            visible: true
+        };
+
+        this.logCreated(newId);
+
+        StateManager.set('functions', [...currentFunctions, newFunc]);
+    }
+
+    /**
+     * Update one table cell and the points expression plotted for the table
+     * @param {string} id - Table row ID
+     * @param {number} rowIndex - Row index
+     * @param {number} colIndex - 0 for x, 1 for y
+     * @param {string} value - Cell expression
+     */
+    updateTableCell(id, rowIndex, colIndex, value) {
+        const functions = [...StateManager.get('functions')];
+        const index = functions.findIndex(f => f.id === id);
+        if (index === -1) return;
+
+        const rows = normalizeTableRows(functions[index].table?.rows);
+        while (rows.length <= rowIndex) {
+            rows.push(['', '']);
+        }
+        rows[rowIndex][colIndex] = value;
+
+        const normalizedRows = normalizeTableRows(rows);
+        const expression = buildTableExpression(normalizedRows);
+        functions[index] = {
+            ...functions[index],
+            table: { ...functions[index].table, rows: normalizedRows },
+            expression
+        };
+        functions[index] = {
+            ...functions[index],
+            ...this.getClassificationMetadataFor(expression, functions)
+        };
+        StateManager.set('functions', functions);
+    }
+
+    /**
+     * Toggle whether a table's points are connected in row order
+     * @param {string} id - Table row ID
+     * @param {boolean} lines - Whether to draw a polyline
+     */
+    setTableLines(id, lines) {
+        const functions = [...StateManager.get('functions')];
+        const index = functions.findIndex(f => f.id === id);
+        if (index === -1) return;
+
+        functions[index] = {
+            ...functions[index],
+            table: { ...functions[index].table, lines }
+        };
+        Logger.logActivity(
+            `Modified table ${id}: ${lines ? 'connected points' : 'unconnected points'}`
+        );
+        StateManager.set('functions', functions);
+    }
+
+    /**
+     * Turn a row's tangent line, its mouse following, its secant line or
+     * its point coordinates on or off. New tangent and secant points start
+     * in the middle of the visible graph and can be dragged there.
+     * @param {string} id - Function ID
+     * @param {'tangent'|'follow'|'secant'|'coordinates'} tool - Overlay to change
+     * @param {boolean} enabled - Whether to turn it on
+     */
+    setCurveTool(id, tool, enabled) {
+        const functions = [...StateManager.get('functions')];
+        const index = functions.findIndex(f => f.id === id);
+        if (index === -1) return;
+
+        const func = { ...functions[index] };
+        const { center, span } = this._getOverlayAnchor();
+        let change;
+
+        if (tool === 'tangent') {
+            if (enabled) {
+                func.derivative = { x0: center };
+                change = `tangent line at x = ${center}`;
+            } else {
+                delete func.derivative;
+                change = 'tangent line removed';
+            }
+        } else if (tool === 'follow') {
+            if (!func.derivative) return;
+            const derivative = { ...func.derivative };
+            if (enabled) {
+                derivative.updateOnMouseMove = true;
+                change = 'tangent line follows the mouse';
+            } else {
+                delete derivative.updateOnMouseMove;
+                if (typeof derivative.x0 !== 'number') {
+                    derivative.x0 = center;
+                }
+                change = `tangent line at x = ${derivative.x0}`;
+            }
+            func.derivative = derivative;
+        } else if (tool === 'secant') {
+            if (enabled) {
+                const x1 = Number((center + span).toFixed(4));
+                func.secants = [{ x0: center, x1 }];
+                change = `secant line from x = ${center} to x = ${x1}`;
+            } else {
+                delete func.secants;
+                change = 'secant line removed';
+            }
+        } else if (tool === 'coordinates') {
+            if (enabled) {
+                func.showCoordinates = true;
+                change = 'coordinates shown';
+            } else {
+                delete func.showCoordinates;
+                change = 'coordinates hidden';
+            }
+        } else {
+            return;
+        }
+
+        functions[index] = func;
+        Logger.logActivity(`Modified expression ${id}: ${change}`);
+        StateManager.set('functions', functions);
+    }
+
+    /**
+     * Middle of the visible x range, and a tenth of its width, rounded
+     */
+    _getOverlayAnchor() {
+        const graph = StateManager.get('graph') || {};
+        const xMin = Number.isFinite(graph.xMin) ? graph.xMin : -10;
+        const xMax = Number.isFinite(graph.xMax) ? graph.xMax : 10;
+        const span = (xMax - xMin) / 10;
+        const step = 10 ** Math.floor(Math.log10(span));
+        return {
+            center: Number((Math.round((xMin + xMax) / 2 / step) * step).toFixed(4)),
+            span: Number((Math.round(span / step) * step).toFixed(4))
+        };
+    }
+
     updateExpression(id, newExpression) {
         const functions = [...StateManager.get('functions')];
         const index = functions.findIndex(f => f.id === id);
         if (index !== -1) {
+            functions[index] = { ...functions[index], expression: newExpression };
             functions[index] = {
                 ...functions[index],
-                expression: newExpression,
-                ...this.getClassificationMetadata(newExpression)
+                ...this.getClassificationMetadataFor(newExpression, functions)
             };
             StateManager.set('functions', functions);
         }
@@ -1154,7 +1908,18 @@ export default class ExpressionList {
             messageBase = `Modified expression ${id} (parameter: ${paramName}): ` +
                 `${oldExpr} -> ${newExpr}`;
         }
-        const message = error ? `${messageBase} (invalid: ${error})` : messageBase;
+        let message = error ? `${messageBase} (invalid: ${error})` : messageBase;
+        if (!error && (typeof options.value === 'number' || Array.isArray(options.value))) {
+            message = `${message} (value: ${this._formatComputedValue(options.value)})`;
+        }
+        if (!error && options.regression) {
+            const fitted = Object.entries(options.regression.params)
+                .map(([name, value]) => `${name} = ${this._formatComputedValue(value)}`);
+            if (options.regression.rSquared !== null) {
+                fitted.push(`R² = ${this._formatFitStatistic(options.regression.rSquared)}`);
+            }
+            message = `${message} (fit: ${fitted.join(', ')})`;
+        }
         Logger.logActivity(message);
     }
 
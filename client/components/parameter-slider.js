@@ -7,7 +7,12 @@
 import NumericSlider from '../design-system/components/numeric-slider/numeric-slider.js';
 import StateManager from '../core/state-manager.js';
 import EventBus from '../core/event-bus.js';
-import { DEFAULT_PARAMETER } from '../math/parameter-defaults.js';
+import {
+    DEFAULT_PARAMETER,
+    roundToStep,
+    getStepDecimals,
+    formatParameterValue
+} from '../math/parameter-defaults.js';
 
 export default class ParameterSlider {
     /**
@@ -212,11 +217,7 @@ export default class ParameterSlider {
      * @returns {number} Rounded value
      */
     roundToStep(value, step) {
-        if (!Number.isFinite(step) || step <= 0) {
-            return value;
-        }
-        const scaled = value / step;
-        return Math.round(scaled) * step;
+        return roundToStep(value, step);
     }
 
     /**
@@ -225,16 +226,7 @@ export default class ParameterSlider {
      * @returns {number} Number of decimal places
      */
     getStepDecimals(step) {
-        if (!Number.isFinite(step)) return 0;
-        const stepString = step.toString();
-        if (stepString.includes('e-')) {
-            const parts = stepString.split('e-');
-            return Number(parts[1]) || 0;
-        }
-        if (stepString.includes('.')) {
-            return stepString.split('.')[1].length;
-        }
-        return 0;
+        return getStepDecimals(step);
     }
 
     /**
@@ -244,12 +236,7 @@ export default class ParameterSlider {
      * @returns {string} Formatted value string
      */
     formatValue(value, step) {
-        const decimals = this.getStepDecimals(step);
-        const rounded = this.roundToStep(value, step);
-        if (decimals === 0) {
-            return `${Math.round(rounded)}`;
-        }
-        return rounded.toFixed(decimals);
+        return formatParameterValue(value, step);
     }
 
     /**
@@ -8,7 +8,9 @@ export default {
     xMax: 10,
     yMin: -10,
     yMax: 10,
-    showGrid: true
+    showGrid: true,
+    feasibleRegion: false,
+    angleMode: 'radians'
   },
 
   // Initial expressions
@@ -6,17 +6,33 @@
  *
  * Config structure:
  * {
- *   functions: [{id: string, expression: string, editable?: boolean, visible?: boolean}],
- *   graph: {xMin: number, xMax: number, yMin: number, yMax: number, showGrid: boolean}
+ *   functions: [{id: string, expression: string, editable?: boolean, visible?: boolean,
+ *     thetaRange?: [number, number], showCoordinates?: boolean}
+ *     | {id: string, type: 'table',
+ *       table: {rows: Array<[x, y]>, columns?: [string, string], lines?: boolean}}],
+ *   parameters?: {[name: string]: {value?: number, min?: number, max?: number,
+ *     step?: number}},
+ *   graph: {xMin: number, xMax: number, yMin: number, yMax: number, showGrid: boolean,
+ *     feasibleRegion?: boolean, angleMode?: 'radians'|'degrees'}
  * }
  *
  * Usage:
  *   const config = await ConfigLoader.load('./config.json');
  *   const config = ConfigLoader.fromObject(configObj);
+ *   const config = ConfigLoader.fromJSON(fileText);
+ *   const json = ConfigLoader.serialize(getWorkspace());
  */
 
 import EventBus from './event-bus.js';
 import { getColorForIndex } from '../utils/color-constants.js';
+import {
+  normalizeTableRows,
+  buildTableExpression,
+  isValidTableColumns,
+  nextTableColumns
+} from '../math/table-utils.js';
+import { ANGLE_MODES } from '../math/expression-adapter.js';
+import { DEFAULT_PARAMETER } from '../math/parameter-defaults.js';
 
 /**
  * Default viewport bounds used throughout the application
@@ -29,6 +45,32 @@ export const DEFAULT_VIEWPORT_BOUNDS = {
   yMax: 10
 };
 
+// Fields of a row, a slider and the graph that a config can set
+const FUNCTION_FIELDS = [
+  'id',
+  'type',
+  'expression',
+  'color',
+  'visible',
+  'editable',
+  'thetaRange',
+  'showCoordinates',
+  'derivative',
+  'secants',
+  'table'
+];
+const PARAMETER_FIELDS = ['value', 'min', 'max', 'step'];
+const GRAPH_FIELDS = [
+  'xMin',
+  'xMax',
+  'yMin',
+  'yMax',
+  'showGrid',
+  'feasibleRegion',
+  'angleMode',
+  'annotations'
+];
+
 class ConfigLoaderClass {
   constructor() {
     this.config = null;
@@ -61,6 +103,23 @@ class ConfigLoaderClass {
     }
   }
 
+  /**
+   * Load config from JSON text (e.g., an imported file)
+   * @param {string} text - JSON text
+   * @returns {Object} Validated config object
+   * @throws {Error} If the text is not JSON or the config is invalid; the
+   *   message is shown to the user
+   */
+  fromJSON(text) {
+    let config;
+    try {
+      config = JSON.parse(text);
+    } catch (error) {
+      throw new Error('Config file is not valid JSON');
+    }
+    return this.fromObject(config);
+  }
+
   /**
    * Load config from object (e.g., platform injection)
    * @param {Object} config - Config object
@@ -114,12 +173,52 @@ class ConfigLoaderClass {
         if (!func.id) {
           throw new Error(`Function at index ${index} missing required field: id`);
         }
-        if (!func.expression) {
+        if (func.type === 'table') {
+          if (!func.table || !Array.isArray(func.table.rows)) {
+            throw new Error(`Table at index ${index} missing required field: table.rows`);
+          }
+          func.table.rows.forEach((row, rowIndex) => {
+            if (!Array.isArray(row)) {
+              throw new Error(`Table at index ${index} row ${rowIndex} must be an array`);
+            }
+          });
+          if (func.table.columns !== undefined && !isValidTableColumns(func.table.columns)) {
+            throw new Error(
+              `Table at index ${index} columns must be two distinct names other than x and y`
+            );
+          }
+        } else if (!func.expression) {
           throw new Error(`Function at index ${index} missing required field: expression`);
         }
       });
     }
 
+    // Validate parameters object (slider settings by parameter name)
+    if (config.parameters !== undefined) {
+      const { parameters } = config;
+      if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+        throw new Error('Config.parameters must be an object');
+      }
+
+      Object.entries(parameters).forEach(([name, parameter]) => {
+        if (!parameter || typeof parameter !== 'object' || Array.isArray(parameter)) {
+          throw new Error(`Parameter ${name} must be an object`);
+        }
+        PARAMETER_FIELDS.forEach((field) => {
+          if (parameter[field] !== undefined && !Number.isFinite(parameter[field])) {
+            throw new Error(`Parameter ${name} ${field} must be a number`);
+          }
+        });
+        if (parameter.step !== undefined && parameter.step <= 0) {
+          throw new Error(`Parameter ${name} step must be positive`);
+        }
+        if (parameter.min !== undefined && parameter.max !== undefined &&
+          parameter.min > parameter.max) {
+          throw new Error(`Parameter ${name} min must not be greater than max`);
+        }
+      });
+    }
+
     // Validate graph object
     if (config.graph) {
       if (typeof config.graph !== 'object') {
@@ -133,13 +232,17 @@ class ConfigLoaderClass {
         }
       }
 
-      const booleanGraphFields = ['showGrid'];
+      const booleanGraphFields = ['showGrid', 'feasibleRegion'];
       for (const field of booleanGraphFields) {
         if (config.graph[field] !== undefined && typeof config.graph[field] !== 'boolean') {
           throw new Error(`Config.graph.${field} must be a boolean`);
         }
       }
 
+      if (config.graph.angleMode !== undefined && !ANGLE_MODES.includes(config.graph.angleMode)) {
+        throw new Error('Config.graph.angleMode must be "radians" or "degrees"');
+      }
+
       if (config.graph.annotations !== undefined) {
         if (!Array.isArray(config.graph.annotations)) {
           throw new Error('Config.graph.annotations must be an array');
@@ -172,9 +275,12 @@ class ConfigLoaderClass {
   _applyDefaults(config) {
     const defaults = {
       functions: [],
+      parameters: {},
       graph: {
         ...DEFAULT_VIEWPORT_BOUNDS,
-        showGrid: true
+        showGrid: true,
+        feasibleRegion: false,
+        angleMode: 'radians'
       }
     };
 
@@ -189,6 +295,19 @@ class ConfigLoaderClass {
       }
     }
 
+    // Sliders without a range or step get the default ones
+    processedConfig.parameters = Object.fromEntries(
+      Object.entries(processedConfig.parameters || {}).map(([name, parameter]) => [
+        name,
+        {
+          min: DEFAULT_PARAMETER.min,
+          max: DEFAULT_PARAMETER.max,
+          step: DEFAULT_PARAMETER.step,
+          ...parameter
+        }
+      ])
+    );
+
     // Apply defaults to functions
     if (processedConfig.functions) {
       processedConfig.functions = processedConfig.functions.map((func, index) => {
@@ -221,13 +340,90 @@ class ConfigLoaderClass {
           }
         }
 
+        // Normalize showCoordinates: only true turns point coordinates on
+        if (normalized.showCoordinates !== undefined && normalized.showCoordinates !== true) {
+          delete normalized.showCoordinates;
+        }
+
+        // Tables plot through the points(...) expression built from their rows
+        if (normalized.type === 'table') {
+          const rows = normalizeTableRows(normalized.table.rows);
+          normalized.table = {
+            rows,
+            columns: normalized.table.columns,
+            lines: normalized.table.lines === true
+          };
+          normalized.expression = buildTableExpression(rows);
+        }
+
+        // Normalize thetaRange: must be [min, max] with finite min < max
+        if (normalized.thetaRange !== undefined) {
+          const range = normalized.thetaRange;
+          const isValidRange = Array.isArray(range) && range.length === 2 &&
+            Number.isFinite(range[0]) && Number.isFinite(range[1]) &&
+            range[0] < range[1];
+          if (isValidRange) {
+            normalized.thetaRange = [range[0], range[1]];
+          } else {
+            delete normalized.thetaRange;
+          }
+        }
+
         return normalized;
       });
+
+      // Tables without column names get x1/y1, x2/y2, ... in order
+      processedConfig.functions.forEach(func => {
+        if (func.type === 'table' && !func.table.columns) {
+          func.table.columns = nextTableColumns(processedConfig.functions);
+        }
+      });
     }
 
     return processedConfig;
   }
 
+  /**
+   * Turn the workspace back into a config that validate accepts, e.g. to
+   * save what the user built as config.json. Only config fields are kept:
+   * table rows keep their cells rather than the expression built from
+   * them, and the viewport is the one currently shown.
+   * @param {{functions: Array, parameters: Object, graph: Object|null}} workspace -
+   *   From getWorkspace
+   * @returns {Object} Config for fromObject
+   */
+  serialize({ functions = [], parameters = {}, graph = null } = {}) {
+    const pick = (source, fields) => Object.fromEntries(
+      fields
+        .filter(field => source[field] !== undefined && source[field] !== null)
+        .map(field => [field, JSON.parse(JSON.stringify(source[field]))])
+    );
+
+    const config = {
+      functions: functions.map((func) => {
+        const row = pick(func, FUNCTION_FIELDS);
+        if (row.type === 'table') {
+          delete row.expression;
+        }
+        return row;
+      }),
+      parameters: Object.fromEntries(
+        Object.entries(parameters).map(([name, parameter]) => [
+          name,
+          pick(parameter || {}, PARAMETER_FIELDS.filter(field => (
+            Number.isFinite(parameter?.[field])
+          )))
+        ])
+      )
+    };
+
+    if (graph) {
+      config.graph = pick(graph, GRAPH_FIELDS);
+    }
+
+    return config;
+  }
+
   /**
    * Get default color for function based on index
    * @private
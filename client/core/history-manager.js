@@ -0,0 +1,197 @@
+/**
+ * HistoryManager - Undo/redo over the workspace state
+ *
+ * Records snapshots of the rows, parameters and graph settings as they change
+ * through StateManager.set. Changes that arrive close together become one
+ * step, so an edit and the parameters GraphEngine derives from it are undone
+ * together. Slider drags write their row once, at the end of the drag, and
+ * graph handle drags are grouped with startBatch()/endBatch().
+ *
+ * Usage:
+ *   HistoryManager.init();
+ *   HistoryManager.undo();
+ *   HistoryManager.redo();
+ *   EventBus.subscribe('history:changed', ({ canUndo, canRedo }) => ...);
+ */
+
+import EventBus from './event-bus.js';
+import { getWorkspace, applyWorkspace } from './workspace.js';
+
+// State paths covered by undo; other state (config, errors) is not user-edited
+const TRACKED_PATHS = ['functions', 'parameters', 'graph'];
+
+// Longer than GraphEngine's 300 ms parameter detection, so the parameters
+// and assignment rows it derives from an edit land in the same step
+const COMMIT_DELAY = 500;
+const MAX_STEPS = 100;
+
+class HistoryManagerClass {
+  constructor() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.current = null;
+    this.commitTimeout = null;
+    this.batchDepth = 0;
+    this.isRestoring = false;
+    this.unsubscribe = null;
+  }
+
+  /**
+   * Start recording from the current state. Call once the app has loaded
+   * its config, so the initial rows are not an undoable step.
+   */
+  init() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+    }
+    this.clear();
+    this.unsubscribe = EventBus.subscribe('state:changed', (data) => {
+      const root = typeof data?.path === 'string' ? data.path.split('.')[0] : null;
+      if (this.isRestoring || !TRACKED_PATHS.includes(root)) return;
+      this.scheduleCommit();
+    });
+  }
+
+  /**
+   * Forget all steps and start again from the current state
+   */
+  clear() {
+    this.cancelCommit();
+    this.undoStack = [];
+    this.redoStack = [];
+    this.batchDepth = 0;
+    this.current = this.snapshot();
+    this.publishChange();
+  }
+
+  /**
+   * Group the changes made until endBatch() into one step, e.g. while a
+   * point is dragged on the graph
+   */
+  startBatch() {
+    this.batchDepth += 1;
+    this.cancelCommit();
+  }
+
+  endBatch() {
+    if (this.batchDepth === 0) return;
+    this.batchDepth -= 1;
+    if (this.batchDepth === 0) {
+      this.scheduleCommit();
+    }
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0 || this.hasPendingChanges();
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0 && !this.hasPendingChanges();
+  }
+
+  /**
+   * Go back one step
+   * @returns {boolean} True if a step was undone
+   */
+  undo() {
+    this.commit();
+    if (this.undoStack.length === 0) {
+      return false;
+    }
+
+    this.redoStack.push(this.current);
+    this.current = this.undoStack.pop();
+    this.restore(this.current);
+    this.publishChange();
+    return true;
+  }
+
+  /**
+   * Go forward one undone step
+   * @returns {boolean} True if a step was redone
+   */
+  redo() {
+    this.commit();
+    if (this.redoStack.length === 0) {
+      return false;
+    }
+
+    this.undoStack.push(this.current);
+    this.current = this.redoStack.pop();
+    this.restore(this.current);
+    this.publishChange();
+    return true;
+  }
+
+  /**
+   * Record the current state as a step if it differs from the last one.
+   * A new step discards the steps that were undone.
+   */
+  commit() {
+    this.cancelCommit();
+    if (this.batchDepth > 0 || !this.hasPendingChanges()) {
+      return;
+    }
+
+    this.undoStack.push(this.current);
+    if (this.undoStack.length > MAX_STEPS) {
+      this.undoStack.shift();
+    }
+    this.redoStack = [];
+    this.current = this.snapshot();
+    this.publishChange();
+  }
+
+  scheduleCommit() {
+    this.cancelCommit();
+    if (this.batchDepth > 0) return;
+    this.commitTimeout = setTimeout(() => this.commit(), COMMIT_DELAY);
+    // The pending step can already be undone
+    this.publishChange();
+  }
+
+  cancelCommit() {
+    if (this.commitTimeout) {
+      clearTimeout(this.commitTimeout);
+      this.commitTimeout = null;
+    }
+  }
+
+  hasPendingChanges() {
+    return this.current !== null &&
+      JSON.stringify(this.snapshot()) !== JSON.stringify(this.current);
+  }
+
+  /**
+   * Copy the tracked state, without the row fields derived from expressions
+   * @returns {{functions: Array, parameters: Object, graph: Object|null}}
+   */
+  snapshot() {
+    return getWorkspace();
+  }
+
+  /**
+   * Put a snapshot back through StateManager.set, so components update as
+   * they do for any other change. Only the paths that differ are set.
+   */
+  restore(snapshot) {
+    this.isRestoring = true;
+    try {
+      applyWorkspace(snapshot);
+    } finally {
+      this.isRestoring = false;
+    }
+  }
+
+  publishChange() {
+    EventBus.publish('history:changed', {
+      canUndo: this.canUndo(),
+      canRedo: this.canRedo()
+    });
+  }
+}
+
+// Create singleton instance
+const HistoryManager = new HistoryManagerClass();
+
+export default HistoryManager;
@@ -0,0 +1,197 @@
+/**
+ * SessionStore - Saves the workspace to localStorage between visits
+ *
+ * Sessions are keyed by where the config came from, so each activity keeps
+ * its own. A session also records a hash of the config it started from, so
+ * the app can tell the user when the activity has changed since they saved.
+ * Only the rows, parameters and viewport are saved; other graph settings
+ * come from the config.
+ *
+ * Usage:
+ *   SessionStore.open('./configs/config.json', config);
+ *   const session = SessionStore.load();
+ *   if (session) SessionStore.restore(session);
+ *   SessionStore.start();
+ */
+
+import StateManager from './state-manager.js';
+import EventBus from './event-bus.js';
+import ConfigLoader from './config-loader.js';
+import { getWorkspace, applyWorkspace } from './workspace.js';
+
+const STORAGE_PREFIX = 'cosmoplot:session:';
+const SESSION_VERSION = 1;
+const SAVE_DELAY = 1000;
+const SAVED_PATHS = ['functions', 'parameters', 'graph'];
+const VIEWPORT_FIELDS = ['xMin', 'xMax', 'yMin', 'yMax'];
+
+/**
+ * Hash a config to a short string (FNV-1a over its JSON)
+ * @param {Object} config - Config from ConfigLoader
+ * @returns {string}
+ */
+export const hashConfig = (config) => {
+  const text = JSON.stringify({
+    functions: config?.functions ?? [],
+    graph: config?.graph ?? null
+  });
+  let hash = 0x811c9dc5;
+  for (let index = 0; index < text.length; index += 1) {
+    hash ^= text.charCodeAt(index);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+};
+
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (error) {
+    // Storage can be blocked, e.g. for third-party frames
+    return null;
+  }
+};
+
+class SessionStoreClass {
+  constructor() {
+    this.key = null;
+    this.configHash = null;
+    this.saveTimeout = null;
+    this.unsubscribe = null;
+    this.boundFlush = this.flush.bind(this);
+  }
+
+  /**
+   * Choose the session for a config
+   * @param {string} source - Where the config came from, e.g. its path
+   * @param {Object} config - Config from ConfigLoader
+   */
+  open(source, config) {
+    this.stop();
+    this.key = `${STORAGE_PREFIX}${source}`;
+    this.configHash = hashConfig(config);
+  }
+
+  /**
+   * Read the saved session for the open config
+   * @returns {{functions: Array, parameters: Object, viewport: Object, savedAt: string,
+   *   configChanged: boolean}|null} Null when there is no valid session
+   */
+  load() {
+    const storage = getStorage();
+    if (!storage || !this.key) return null;
+
+    let session;
+    try {
+      session = JSON.parse(storage.getItem(this.key));
+    } catch (error) {
+      console.warn('[SessionStore] Ignoring unreadable session:', error);
+      return null;
+    }
+    if (!session || session.version !== SESSION_VERSION) return null;
+
+    const { functions, parameters, viewport } = session;
+    const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+    if (!Array.isArray(functions) || !isObject(parameters) || !isObject(viewport)) return null;
+    try {
+      // Saved rows and viewport must still be a valid config
+      ConfigLoader.validate({ functions, graph: viewport });
+    } catch (error) {
+      console.warn('[SessionStore] Ignoring invalid session:', error);
+      return null;
+    }
+
+    return {
+      functions,
+      parameters,
+      viewport,
+      savedAt: session.savedAt,
+      configChanged: session.configHash !== this.configHash
+    };
+  }
+
+  /**
+   * Put a saved session's rows, parameters and viewport into the state
+   * @param {Object} session - From load()
+   */
+  restore(session) {
+    applyWorkspace({
+      functions: session.functions,
+      parameters: session.parameters,
+      graph: { ...(StateManager.get('graph') || {}), ...session.viewport }
+    });
+  }
+
+  /**
+   * Save the workspace whenever it changes
+   */
+  start() {
+    if (this.unsubscribe) return;
+    this.unsubscribe = EventBus.subscribe('state:changed', (data) => {
+      const root = typeof data?.path === 'string' ? data.path.split('.')[0] : null;
+      if (!SAVED_PATHS.includes(root)) return;
+      if (this.saveTimeout) clearTimeout(this.saveTimeout);
+      this.saveTimeout = setTimeout(() => this.save(), SAVE_DELAY);
+    });
+    // A reload right after an edit must not lose it
+    window.addEventListener('pagehide', this.boundFlush);
+  }
+
+  /**
+   * Stop saving; a save that is due is written first
+   */
+  stop() {
+    if (this.unsubscribe) {
+      this.unsubscribe();
+      this.unsubscribe = null;
+      window.removeEventListener('pagehide', this.boundFlush);
+    }
+    this.flush();
+  }
+
+  flush() {
+    if (!this.saveTimeout) return;
+    clearTimeout(this.saveTimeout);
+    this.save();
+  }
+
+  save() {
+    this.saveTimeout = null;
+    const storage = getStorage();
+    if (!storage || !this.key) return;
+
+    const { functions, parameters, graph } = getWorkspace();
+    const viewport = Object.fromEntries(VIEWPORT_FIELDS.map(field => [field, graph?.[field]]));
+    try {
+      storage.setItem(this.key, JSON.stringify({
+        version: SESSION_VERSION,
+        configHash: this.configHash,
+        savedAt: new Date().toISOString(),
+        functions,
+        parameters,
+        viewport
+      }));
+    } catch (error) {
+      // Full or blocked storage only loses the saved session
+      console.warn('[SessionStore] Could not save session:', error);
+    }
+  }
+
+  /**
+   * Delete the saved session for the open config
+   */
+  discard() {
+    const storage = getStorage();
+    if (!storage || !this.key) return;
+    try {
+      storage.removeItem(this.key);
+    } catch (error) {
+      console.warn('[SessionStore] Could not delete session:', error);
+    }
+  }
+}
+
+// Create singleton instance
+const SessionStore = new SessionStoreClass();
+
+export default SessionStore;
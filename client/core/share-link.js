@@ -0,0 +1,156 @@
+/**
+ * Share links - The workspace encoded in a URL hash
+ *
+ * A link such as "index.html#graph=z..." carries the rows (with their
+ * colors and overlays), the slider values and ranges, and the graph settings
+ * including the viewport. The JSON is deflated with CompressionStream and
+ * written as base64url; browsers without CompressionStream write the JSON
+ * uncompressed, and both forms can be read back.
+ *
+ * Usage:
+ *   const url = await buildShareUrl(getWorkspace(), window.location.href);
+ *   const shared = await readSharedWorkspace(window.location.hash);
+ */
+
+const HASH_KEY = 'graph';
+const SHARE_VERSION = 1;
+// First character of the encoded text: deflated or plain JSON
+const DEFLATED = 'z';
+const PLAIN = 'j';
+
+const ERROR_MESSAGES = {
+  malformed: 'Shared link is malformed',
+  version: 'Shared link was made by a newer version of the app'
+};
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let index = 0; index < bytes.length; index += 1) {
+    binary += String.fromCharCode(bytes[index]);
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64.padEnd(Math.ceil(base64.length / 4) * 4, '='));
+  return Uint8Array.from(binary, char => char.charCodeAt(0));
+};
+
+/**
+ * Run bytes through a CompressionStream or DecompressionStream
+ */
+const transformBytes = async (bytes, transform) => {
+  const writer = transform.writable.getWriter();
+  // A failure also rejects the reads below, which report it
+  writer.write(bytes).catch(() => {});
+  writer.close().catch(() => {});
+
+  const chunks = [];
+  const reader = transform.readable.getReader();
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+  }
+
+  const result = new Uint8Array(chunks.reduce((total, chunk) => total + chunk.length, 0));
+  let offset = 0;
+  chunks.forEach((chunk) => {
+    result.set(chunk, offset);
+    offset += chunk.length;
+  });
+  return result;
+};
+
+const canCompress = () => (
+  typeof CompressionStream === 'function' && typeof DecompressionStream === 'function'
+);
+
+/**
+ * Encode a workspace as text for a URL hash
+ * @param {{functions: Array, parameters: Object, graph: Object|null}} workspace
+ * @returns {Promise<string>}
+ */
+export const encodeWorkspace = async ({ functions, parameters, graph }) => {
+  const json = JSON.stringify({ v: SHARE_VERSION, functions, parameters, graph });
+  const bytes = new TextEncoder().encode(json);
+
+  if (!canCompress()) {
+    return `${PLAIN}${toBase64Url(bytes)}`;
+  }
+  const deflated = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+  return `${DEFLATED}${toBase64Url(deflated)}`;
+};
+
+/**
+ * Decode text made by encodeWorkspace. Rows and graph settings are checked
+ * by ConfigLoader when the app loads them; parameters keep only numeric
+ * value, min, max and step.
+ * @param {string} text - Encoded workspace
+ * @returns {Promise<{functions: Array, parameters: Object, graph: Object|null}>}
+ * @throws {Error} If the text cannot be decoded
+ */
+export const decodeWorkspace = async (text) => {
+  let data;
+  try {
+    const bytes = fromBase64Url(text.slice(1));
+    let json;
+    if (text[0] === DEFLATED) {
+      json = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+    } else if (text[0] === PLAIN) {
+      json = bytes;
+    } else {
+      throw new Error(ERROR_MESSAGES.malformed);
+    }
+    data = JSON.parse(new TextDecoder().decode(json));
+  } catch (error) {
+    throw new Error(ERROR_MESSAGES.malformed);
+  }
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.functions)) {
+    throw new Error(ERROR_MESSAGES.malformed);
+  }
+  if (data.v !== SHARE_VERSION) {
+    throw new Error(ERROR_MESSAGES.version);
+  }
+
+  const parameters = {};
+  const sliderFields = ['value', 'min', 'max', 'step'];
+  Object.entries(data.parameters || {}).forEach(([name, config]) => {
+    const fields = sliderFields.filter(field => Number.isFinite(config?.[field]));
+    if (fields.includes('value')) {
+      parameters[name] = Object.fromEntries(fields.map(field => [field, config[field]]));
+    }
+  });
+
+  return {
+    functions: data.functions,
+    parameters,
+    graph: data.graph && typeof data.graph === 'object' ? data.graph : null
+  };
+};
+
+/**
+ * Build a link to the current page that reproduces a workspace
+ * @param {Object} workspace - From getWorkspace
+ * @param {string} href - Current page URL
+ * @returns {Promise<string>}
+ */
+export const buildShareUrl = async (workspace, href) => {
+  const url = new URL(href);
+  url.hash = `${HASH_KEY}=${await encodeWorkspace(workspace)}`;
+  return url.toString();
+};
+
+/**
+ * Read the workspace from a URL hash such as "#graph=z..."
+ * @param {string} hash - window.location.hash
+ * @returns {Promise<Object|null>} Null when the hash has no shared graph
+ * @throws {Error} If the hash has a shared graph that cannot be decoded
+ */
+export const readSharedWorkspace = async (hash) => {
+  const params = new URLSearchParams((hash || '').replace(/^#/, ''));
+  const text = params.get(HASH_KEY);
+  return text ? decodeWorkspace(text) : null;
+};
@@ -56,7 +56,11 @@ class StateManagerClass {
     }
 
     // Note: parameters are runtime state, dynamically created by GraphEngine
-    // from expression variables (e.g., 'm', 'b' in 'm*x + b')
+    // from expression variables (e.g., 'm', 'b' in 'm*x + b'). A config can
+    // set their slider ranges, which GraphEngine keeps.
+    if (config.parameters) {
+      this.state.parameters = JSON.parse(JSON.stringify(config.parameters));
+    }
 
     if (this.debug) {
       console.log('[StateManager] Initialized with config:', config);
@@ -0,0 +1,63 @@
+/**
+ * Workspace - The part of the state the user edits
+ *
+ * Copies the rows, parameters and graph settings out of StateManager and puts
+ * them back, for undo/redo and saved sessions. Row fields that ExpressionList
+ * derives from the expression are left out; they are recomputed whenever the
+ * rows change.
+ */
+
+import StateManager from './state-manager.js';
+import EventBus from './event-bus.js';
+
+const DERIVED_ROW_FIELDS = [
+  'parsed',
+  'error',
+  'kind',
+  'graphMode',
+  'paramName',
+  'value',
+  'usedVariables',
+  'plotExpression',
+  'regression'
+];
+
+/**
+ * Copy the rows without their derived fields, the parameters and the graph
+ * @returns {{functions: Array, parameters: Object, graph: Object|null}}
+ */
+export const getWorkspace = () => {
+  const functions = (StateManager.get('functions') || []).map((func) => {
+    const row = { ...func };
+    DERIVED_ROW_FIELDS.forEach((field) => {
+      delete row[field];
+    });
+    return row;
+  });
+
+  return JSON.parse(JSON.stringify({
+    functions,
+    parameters: StateManager.get('parameters') || {},
+    graph: StateManager.get('graph') ?? null
+  }));
+};
+
+/**
+ * Put a workspace back through StateManager.set, so components update as
+ * they do for any other change. Only the parts that differ are set, and a
+ * missing graph keeps the current one.
+ * @param {{functions: Array, parameters: Object, graph: Object|null}} workspace
+ */
+export const applyWorkspace = (workspace) => {
+  const live = getWorkspace();
+  const next = JSON.parse(JSON.stringify(workspace));
+
+  // Parameters go first so rows are drawn with their restored values
+  ['parameters', 'functions', 'graph'].forEach((path) => {
+    if (next[path] === null || next[path] === undefined) return;
+    if (JSON.stringify(live[path]) !== JSON.stringify(next[path])) {
+      StateManager.set(path, next[path]);
+    }
+  });
+  EventBus.publish('parameters:updated', StateManager.getControlValues());
+};
@@ -5,17 +5,52 @@
 
 import StateManager from './core/state-manager.js';
 import EventBus from './core/event-bus.js';
+import HistoryManager from './core/history-manager.js';
 import sharedParser from './math/shared-parser.js';
 import { classifyLine } from './math/line-classifier.js';
-import { analyzeParameters } from './math/parameter-utils.js';
-import { DEFAULT_PARAMETER } from './math/parameter-defaults.js';
-import { toFunctionPlotSyntax, computeDerivative } from './math/expression-adapter.js';
+import { buildFunctionTable } from './math/function-table.js';
+import { analyzeParameters, resolveLiveParameterValues } from './math/parameter-utils.js';
+import { DEFAULT_PARAMETER, formatParameterValue } from './math/parameter-defaults.js';
+import {
+  toFunctionPlotSyntax,
+  computeDerivative,
+  applyAngleMode,
+  sweepInDegrees
+} from './math/expression-adapter.js';
+import { buildRestrictionGuard } from './math/restriction-utils.js';
+import { expandListScopes, evaluateWithLists } from './math/list-utils.js';
+import { buildRegressionCurve, getRegressionKey } from './math/regression.js';
+import { findPointsOfInterest } from './math/numeric-analysis.js';
+import { computeSequenceTerms } from './math/sequence.js';
 import { getColorForIndex } from './utils/color-constants.js';
 import { DEFAULT_VIEWPORT_BOUNDS } from './core/config-loader.js';
 import FunctionPlotRenderer from './renderers/function-plot-renderer.js';
+import Logger from './utils/logger.js';
 
 const VIEWPORT_EPSILON = 1e-9;
 const INEQUALITY_EPSILON = 1e-9;
+const DEFAULT_THETA_RANGE = [0, 2 * Math.PI];
+const DEFAULT_PARAMETRIC_RANGE = [0, 2 * Math.PI];
+// In degree mode t is in degrees, so a full turn is 360
+const DEGREE_PARAMETRIC_RANGE = [0, 360];
+const EMPTY_INTERVAL = { lo: 1, hi: 0 };
+const WHOLE_INTERVAL = { lo: -Infinity, hi: Infinity };
+const POINT_OF_INTEREST_LABELS = {
+  root: 'x-intercept',
+  'y-intercept': 'y-intercept',
+  maximum: 'Local maximum',
+  minimum: 'Local minimum',
+  intersection: 'Intersection'
+};
+const HANDLE_LABELS = {
+  tangent: 'Tangent point',
+  x0: 'Secant start',
+  x1: 'Secant end',
+  point: 'Point'
+};
+const NUMBER_PATTERN = /^-?(\d+\.?\d*|\.\d+)$/;
+// Dragged handles snap to this many significant digits of the x range
+const HANDLE_PRECISION_DIGITS = 4;
 
 export default class GraphEngine {
   constructor(containerId) {
@@ -35,9 +70,27 @@ export default class GraphEngine {
     // Render lifecycle flags
     this.needsRebuild = true;
 
+    // Shade the region where all inequality rows hold (graph.feasibleRegion)
+    this.feasibleRegion = false;
+
+    // Trig functions take degrees when graph.angleMode is 'degrees'
+    this.angleMode = 'radians';
+
     // Metadata parallel to the renderer's data array (one entry per plotted datum)
     this.datumMeta = [];
 
+    // Points of interest: shown for the selected row, kept for pinned ones
+    this.selectedId = null;
+    this.pinnedPoints = new Set();
+    this.markerFrameId = null;
+
+    // Tangent, secant and point handles, by handle key
+    this.handleTargets = new Map();
+    // Parameter values when the current point drag started, by name
+    this.pointDragStart = null;
+    // A handle drag is one undo step however many updates it makes
+    this.isDraggingHandle = false;
+
     // Cleanup tracking
     this.unsubscribers = [];
 
@@ -47,6 +100,10 @@ export default class GraphEngine {
     this.boundRender = this.render.bind(this);
     this.boundOnResize = this.onResize.bind(this);
     this.boundOnRendererZoom = this.onRendererZoom.bind(this);
+    this.boundOnMarkerClick = this.onMarkerClick.bind(this);
+    this.boundRefreshMarkers = this.refreshMarkers.bind(this);
+    this.boundOnHandleDrag = this.onHandleDrag.bind(this);
+    this.boundOnHandleDragEnd = this.onHandleDragEnd.bind(this);
   }
 
   init() {
@@ -63,9 +120,14 @@ export default class GraphEngine {
         if (data.path === 'graph') {
           const viewportChanged = this.syncViewportFromGraph(data.value);
           const displayChanged = this.syncDisplayConfigFromGraph(data.value);
+          // Only the inequality overlay depends on this, so no rebuild is needed
+          const feasibleRegionChanged = this.syncFeasibleRegionFromGraph(data.value);
+          const angleModeChanged = this.syncAngleModeFromGraph(data.value);
 
           if (viewportChanged || displayChanged) {
             this.needsRebuild = true;
+          }
+          if (viewportChanged || displayChanged || feasibleRegionChanged || angleModeChanged) {
             this.requestRender();
           }
         }
@@ -95,6 +157,13 @@ export default class GraphEngine {
       })
     );
 
+    this.unsubscribers.push(
+      EventBus.subscribe('expression:selected', ({ id } = {}) => {
+        this.selectedId = id || null;
+        this.requestMarkerRefresh();
+      })
+    );
+
     this.unsubscribers.push(
       EventBus.subscribe('expressions:committed', () => {
         this.hasDeferredParameterDetection = false;
@@ -106,6 +175,8 @@ export default class GraphEngine {
     if (storedGraph) {
       const viewportChanged = this.syncViewportFromGraph(storedGraph);
       const displayChanged = this.syncDisplayConfigFromGraph(storedGraph);
+      this.syncFeasibleRegionFromGraph(storedGraph);
+      this.syncAngleModeFromGraph(storedGraph);
       if (viewportChanged || displayChanged) {
         this.needsRebuild = true;
       }
@@ -168,9 +239,42 @@ export default class GraphEngine {
       yMax: viewport.yMax
     };
 
+    this.requestMarkerRefresh();
     this.debounceSaveViewport();
   }
 
+  onMarkerClick(key) {
+    if (!key) return;
+
+    if (this.pinnedPoints.has(key)) {
+      this.pinnedPoints.delete(key);
+    } else {
+      this.pinnedPoints.add(key);
+    }
+    this.requestMarkerRefresh();
+  }
+
+  requestMarkerRefresh() {
+    if (!this.markerFrameId) {
+      this.markerFrameId = requestAnimationFrame(this.boundRefreshMarkers);
+    }
+  }
+
+  refreshMarkers() {
+    this.markerFrameId = null;
+
+    if (!this.renderer.isReady()) {
+      return;
+    }
+
+    const functions = StateManager.get('functions') || [];
+    const scope = this.buildPlotScope(
+      StateManager.getControlValues(),
+      analyzeParameters(functions, sharedParser, { angleMode: this.angleMode })
+    );
+    this.renderer.updateMarkers(this.computeMarkers(functions, scope));
+  }
+
   saveViewportState() {
     const currentGraph = StateManager.get('graph') || {};
 
@@ -224,6 +328,36 @@ export default class GraphEngine {
     return false;
   }
 
+  syncFeasibleRegionFromGraph(graph) {
+    if (!graph || typeof graph !== 'object') {
+      return false;
+    }
+
+    const nextFeasibleRegion = graph.feasibleRegion === true;
+
+    if (this.feasibleRegion !== nextFeasibleRegion) {
+      this.feasibleRegion = nextFeasibleRegion;
+      return true;
+    }
+
+    return false;
+  }
+
+  syncAngleModeFromGraph(graph) {
+    if (!graph || typeof graph !== 'object') {
+      return false;
+    }
+
+    const nextAngleMode = graph.angleMode === 'degrees' ? 'degrees' : 'radians';
+
+    if (this.angleMode !== nextAngleMode) {
+      this.angleMode = nextAngleMode;
+      return true;
+    }
+
+    return false;
+  }
+
   debounceSaveViewport() {
     if (this.saveTimeout) {
       clearTimeout(this.saveTimeout);
@@ -274,7 +408,14 @@ export default class GraphEngine {
 
     const showGrid = graph.showGrid === true;
     const annotations = Array.isArray(graph.annotations) ? graph.annotations : [];
-    const { data, meta, inequalities } = this.mapFunctionsToPlotData(functions, scope);
+    const {
+      data,
+      meta,
+      inequalities,
+      shapes,
+      pointLabels,
+      plotScope
+    } = this.mapFunctionsToPlotData(functions, scope);
     this.datumMeta = meta;
     const viewportForRender = this.getAspectLockedViewport(this.viewport);
 
@@ -286,6 +427,9 @@ export default class GraphEngine {
         showGrid,
         annotations,
         onZoom: this.boundOnRendererZoom,
+        onMarkerClick: this.boundOnMarkerClick,
+        onHandleDrag: this.boundOnHandleDrag,
+        onHandleDragEnd: this.boundOnHandleDragEnd,
         tipRenderer: this.tipRenderer.bind(this)
       });
       this.needsRebuild = false;
@@ -300,175 +444,795 @@ export default class GraphEngine {
       this.needsRebuild = false;
     }
 
-    this.renderer.updateData(data, inequalities);
+    this.renderer.updateData(data, inequalities, { feasibleRegion: this.feasibleRegion });
+    this.renderer.updateShapes(shapes);
+    this.renderer.updatePointLabels(pointLabels);
+    this.renderer.updateMarkers(this.computeMarkers(functions, plotScope));
+    this.renderer.updateHandles(this.computeHandles(functions, plotScope));
+  }
+
+  /**
+   * Build the scope rows are evaluated in: slider values plus lists, fitted
+   * regression parameters and derived parameters.
+   * @param {Object} scopeValues - Parameter values from state
+   * @param {Object} analysis - Result of analyzeParameters
+   * @returns {Object} Scope where lists are arrays
+   */
+  buildPlotScope(scopeValues, analysis) {
+    const scope = { ...scopeValues };
+    // Lists are read from the rows, and fitted values reach the parameters
+    // state only after a debounce. Derived values follow a slider that is
+    // being dragged, so b = 2*a moves with a.
+    resolveLiveParameterValues(analysis, scopeValues, this.angleMode).forEach((value, name) => {
+      scope[name] = value;
+    });
+    return scope;
+  }
+
+  /**
+   * Compute point-of-interest markers for the selected row and for rows with
+   * pinned points. Only visible explicit curves y = f(x) are analyzed; their
+   * intersections are taken with the other visible explicit curves.
+   * @param {Array} functions - Rows from state
+   * @param {Object} scope - Scope from buildPlotScope
+   * @returns {Array<Object>} Markers for FunctionPlotRenderer.updateMarkers
+   */
+  computeMarkers(functions, scope) {
+    if (!this.selectedId && this.pinnedPoints.size === 0) {
+      return [];
+    }
+
+    const functionTable = buildFunctionTable(functions, sharedParser);
+    const curves = [];
+
+    (functions || []).forEach((func) => {
+      if (!func.visible || !func.expression) return;
+
+      const classification = classifyLine(func.expression, sharedParser, functionTable);
+      if (classification.kind !== 'graph' || classification.error ||
+        classification.graphMode !== 'explicit' || !classification.plotExpression) {
+        return;
+      }
+      // Rows over lists draw several curves, so they have no single set of points
+      if (classification.usedVariables.some(symbol => Array.isArray(scope[symbol]))) {
+        return;
+      }
+
+      const plotExpression = classification.plotExpression;
+      curves.push({
+        id: func.id,
+        expression: applyAngleMode(
+          this.restrictExpression(plotExpression, classification.restrictions, plotExpression),
+          this.angleMode
+        )
+      });
+    });
+
+    const markers = [];
+    const visible = this.getAspectLockedViewport(this.viewport);
+    const range = [visible.xMin, visible.xMax];
+
+    curves.forEach((curve) => {
+      const isSelected = curve.id === this.selectedId;
+      const prefix = `${curve.id}:`;
+      const hasPins = Array.from(this.pinnedPoints).some(key => key.startsWith(prefix));
+      if (!isSelected && !hasPins) return;
+
+      const others = curves.filter(other => other.id !== curve.id);
+      const ordinals = new Map();
+
+      findPointsOfInterest(curve.expression, scope, range, others).forEach((point) => {
+        // Keys count points of each kind from the left, so pins survive small
+        // parameter changes that move a point
+        const kind = `${point.type}:${point.withId || ''}`;
+        const ordinal = ordinals.get(kind) || 0;
+        ordinals.set(kind, ordinal + 1);
+
+        const key = `${curve.id}:${kind}:${ordinal}`;
+        const pinned = this.pinnedPoints.has(key);
+        if (!isSelected && !pinned) return;
+
+        markers.push({
+          key,
+          x: point.x,
+          y: point.y,
+          label: `(${this.formatCoordinate(point.x)}, ${this.formatCoordinate(point.y)})`,
+          description: POINT_OF_INTEREST_LABELS[point.type],
+          pinned
+        });
+      });
+    });
+
+    // Pins go away with their row; pins outside the viewport are kept
+    const analyzedIds = new Set(curves.map(curve => curve.id));
+    this.pinnedPoints.forEach((key) => {
+      if (!analyzedIds.has(key.slice(0, key.indexOf(':')))) {
+        this.pinnedPoints.delete(key);
+      }
+    });
+
+    return markers;
+  }
+
+  /**
+   * Compute draggable handles for the fixed points of tangent and secant
+   * overlays on visible explicit rows, and for points on visible points
+   * rows whose coordinates are slider parameters. Points that follow the
+   * mouse get no handle.
+   * @param {Array} functions - Rows from state
+   * @param {Object} scope - Scope from buildPlotScope
+   * @returns {Array<Object>} Handles for FunctionPlotRenderer.updateHandles
+   */
+  computeHandles(functions, scope) {
+    this.handleTargets.clear();
+    const handles = [];
+    const functionTable = buildFunctionTable(functions, sharedParser);
+    let sliderParameters = null;
+
+    (functions || []).forEach((func) => {
+      if (!func.visible || !func.expression) return;
+
+      const classification = classifyLine(func.expression, sharedParser, functionTable);
+      if (classification.graphMode === 'points' && !classification.error) {
+        sliderParameters = sliderParameters || this.getSliderParameters(functions);
+        handles.push(
+          ...this.computePointHandles(func, classification.plotData, scope, sliderParameters)
+        );
+        return;
+      }
+
+      const hasTangent = typeof func.derivative?.x0 === 'number' &&
+        func.derivative.updateOnMouseMove !== true;
+      const hasSecants = Array.isArray(func.secants) && func.secants.length > 0;
+      if (!hasTangent && !hasSecants) return;
+      if (classification.kind !== 'graph' || classification.error ||
+        classification.graphMode !== 'explicit' || !classification.plotExpression) {
+        return;
+      }
+      if (classification.usedVariables.some(symbol => Array.isArray(scope[symbol]))) {
+        return;
+      }
+
+      const expression = applyAngleMode(
+        this.restrictExpression(
+          classification.plotExpression,
+          classification.restrictions,
+          classification.plotExpression
+        ),
+        this.angleMode
+      );
+      const addHandle = (key, x, target) => {
+        const y = evaluateWithLists(expression, { ...scope, x });
+        if (typeof y !== 'number' || !Number.isFinite(y)) return;
+        this.handleTargets.set(key, { id: func.id, ...target });
+        handles.push({
+          key,
+          x,
+          y,
+          label: HANDLE_LABELS[target.end || target.tool],
+          color: func.color
+        });
+      };
+
+      if (hasTangent) {
+        addHandle(`${func.id}:tangent`, func.derivative.x0, { tool: 'tangent' });
+      }
+      (hasSecants ? func.secants : []).forEach((secant, index) => {
+        const prefix = `${func.id}:secant:${index}`;
+        if (typeof secant?.x0 === 'number') {
+          addHandle(`${prefix}:x0`, secant.x0, { tool: 'secant', index, end: 'x0' });
+        }
+        // A secant that follows the mouse has no fixed second point
+        if (typeof secant?.x1 === 'number' && secant.updateOnMouseMove !== true) {
+          addHandle(`${prefix}:x1`, secant.x1, { tool: 'secant', index, end: 'x1' });
+        }
+      });
+    });
+
+    return handles;
+  }
+
+  /**
+   * Find the parameters a dragged point may set: those with a slider, as
+   * opposed to derived parameters, lists and fitted regression parameters.
+   * @param {Array} functions - Rows from state
+   * @returns {Set<string>}
+   */
+  getSliderParameters(functions) {
+    const parameters = StateManager.get('parameters') || {};
+    const analysis = analyzeParameters(functions, sharedParser, { angleMode: this.angleMode });
+    return new Set(Object.keys(parameters).filter(name => (
+      typeof parameters[name]?.value === 'number' &&
+      analysis.definedParams.has(name) &&
+      !analysis.derivedParams.has(name) &&
+      !analysis.listValues.has(name) &&
+      !analysis.fittedParams.has(name)
+    )));
+  }
+
+  /**
+   * Give a handle to each point of a points row whose coordinates are
+   * slider parameters or numbers, with at least one parameter, such as
+   * [a, b] or [a, 2]. Dragging it sets those parameters.
+   * @param {Object} func - Row from state
+   * @param {{points: string[][], labels?: string[]}} pointsData - Classifier plotData
+   * @param {Object} scope - Scope from buildPlotScope
+   * @param {Set<string>} sliderParameters - From getSliderParameters
+   * @returns {Array<Object>}
+   */
+  computePointHandles(func, pointsData, scope, sliderParameters) {
+    const labels = Array.isArray(pointsData.labels) ? pointsData.labels : [];
+    const handles = [];
+
+    (pointsData.points || []).forEach((pair, pairIndex) => {
+      if (!Array.isArray(pair) || pair.length !== 2) return;
+
+      const [xName, yName] = pair.map((coordinate) => {
+        const trimmed = String(coordinate).trim();
+        return sliderParameters.has(trimmed) ? trimmed : null;
+      });
+      // Each coordinate must be a parameter or a number, so [a + 1, b] has no handle
+      const isPlain = (coordinate, name) => name || NUMBER_PATTERN.test(String(coordinate).trim());
+      if ((!xName && !yName) || !isPlain(pair[0], xName) || !isPlain(pair[1], yName)) return;
+
+      const point = this.evaluateCoordinatePair(pair, scope);
+      if (!point) return;
+
+      const key = `${func.id}:point:${pairIndex}`;
+      const name = labels.length === 1 ? labels[0] : labels[pairIndex];
+      this.handleTargets.set(key, { id: func.id, tool: 'point', params: { x: xName, y: yName } });
+      handles.push({
+        key,
+        x: point[0],
+        y: point[1],
+        label: name ? `${HANDLE_LABELS.point} ${name}` : HANDLE_LABELS.point,
+        color: func.color,
+        free: true
+      });
+    });
+
+    return handles;
+  }
+
+  /**
+   * Move a tangent or secant point to x and save it on the row, or move a
+   * point to (x, y) by setting its parameters.
+   */
+  onHandleDrag(key, x, y) {
+    const target = this.handleTargets.get(key);
+    if (!target || !Number.isFinite(x)) return;
+    if (!this.isDraggingHandle) {
+      this.isDraggingHandle = true;
+      HistoryManager.startBatch();
+    }
+    if (target.tool === 'point') {
+      this.dragPoint(target, x, y);
+      return;
+    }
+
+    const functions = [...(StateManager.get('functions') || [])];
+    const index = functions.findIndex(func => func.id === target.id);
+    if (index === -1) return;
+
+    const func = functions[index];
+    const value = this.snapHandleX(x);
+    if (target.tool === 'tangent') {
+      if (!func.derivative || func.derivative.x0 === value) return;
+      functions[index] = { ...func, derivative: { ...func.derivative, x0: value } };
+    } else {
+      const secant = Array.isArray(func.secants) ? func.secants[target.index] : null;
+      if (!secant || secant[target.end] === value) return;
+      functions[index] = {
+        ...func,
+        secants: func.secants.map((current, secantIndex) => (
+          secantIndex === target.index ? { ...current, [target.end]: value } : current
+        ))
+      };
+    }
+
+    StateManager.set('functions', functions);
+  }
+
+  /**
+   * Set a dragged point's parameters, snapped to their slider steps and
+   * kept within their slider ranges. The assignment rows are rewritten when
+   * the drag ends, as they are for a slider drag.
+   */
+  dragPoint(target, x, y) {
+    const parameters = StateManager.get('parameters') || {};
+    const next = { ...parameters };
+    const updated = {};
+
+    [[target.params.x, x], [target.params.y, y]].forEach(([name, value]) => {
+      if (!name || !parameters[name] || !Number.isFinite(value)) return;
+      const config = { ...DEFAULT_PARAMETER, ...parameters[name] };
+      const snapped = this.snapParameterValue(value, config);
+      if (snapped === config.value) return;
+
+      this.pointDragStart = this.pointDragStart || {};
+      if (!(name in this.pointDragStart)) {
+        this.pointDragStart[name] = config.value;
+      }
+      next[name] = { ...parameters[name], value: snapped };
+      updated[name] = snapped;
+    });
+
+    if (Object.keys(updated).length === 0) return;
+    StateManager.set('parameters', next);
+    EventBus.publish('parameters:updated', updated);
+  }
+
+  /**
+   * Write the parameters a point drag changed back to their assignment rows
+   * and log each change like a slider change.
+   */
+  endPointDrag() {
+    const start = this.pointDragStart;
+    this.pointDragStart = null;
+    if (!start) return;
+
+    const parameters = StateManager.get('parameters') || {};
+    const functions = [...(StateManager.get('functions') || [])];
+    const functionTable = buildFunctionTable(functions, sharedParser);
+    const changes = [];
+
+    Object.entries(start).forEach(([name, oldValue]) => {
+      const config = { ...DEFAULT_PARAMETER, ...parameters[name] };
+      if (config.value === oldValue) return;
+
+      const index = functions.findIndex((func) => {
+        const classification = classifyLine(func.expression || '', sharedParser, functionTable);
+        return classification.kind === 'assignment' && classification.paramName === name;
+      });
+      if (index === -1) return;
+
+      const oldExpression = `${name} = ${formatParameterValue(oldValue, config.step)}`;
+      const newExpression = `${name} = ${formatParameterValue(config.value, config.step)}`;
+      functions[index] = { ...functions[index], expression: newExpression };
+      changes.push({ id: functions[index].id, name, oldExpression, newExpression });
+    });
+
+    if (changes.length === 0) return;
+    StateManager.set('functions', functions);
+    changes.forEach(({ id, name, oldExpression, newExpression }) => {
+      Logger.logActivity(
+        `Modified expression ${id} (parameter: ${name}): ${oldExpression} -> ${newExpression}`
+      );
+    });
+  }
+
+  onHandleDragEnd(key) {
+    this.finishHandleDrag(key);
+    if (this.isDraggingHandle) {
+      this.isDraggingHandle = false;
+      HistoryManager.endBatch();
+    }
+  }
+
+  finishHandleDrag(key) {
+    const target = this.handleTargets.get(key);
+    if (target?.tool === 'point' || this.pointDragStart) {
+      this.endPointDrag();
+      return;
+    }
+    if (!target) return;
+
+    const func = (StateManager.get('functions') || []).find(current => current.id === target.id);
+    if (!func) return;
+
+    if (target.tool === 'tangent' && func.derivative) {
+      Logger.logActivity(
+        `Modified expression ${func.id}: tangent line at x = ${func.derivative.x0}`
+      );
+    } else if (target.tool === 'secant' && func.secants?.[target.index]) {
+      const { x0, x1 } = func.secants[target.index];
+      const span = typeof x1 === 'number' ? `from x = ${x0} to x = ${x1}` : `from x = ${x0}`;
+      Logger.logActivity(`Modified expression ${func.id}: secant line ${span}`);
+    }
+  }
+
+  snapHandleX(x) {
+    const visible = this.getAspectLockedViewport(this.viewport);
+    const width = visible.xMax - visible.xMin;
+    const step = 10 ** (Math.floor(Math.log10(width)) - HANDLE_PRECISION_DIGITS + 1);
+    // Rounding through toFixed avoids values such as 0.30000000000000004
+    const decimals = Math.max(0, -Math.floor(Math.log10(step)));
+    return Number((Math.round(x / step) * step).toFixed(decimals));
+  }
+
+  /**
+   * Clamp a value to a slider's range and round it to the slider's step.
+   */
+  snapParameterValue(value, config) {
+    const min = Math.min(config.min, config.max);
+    const max = Math.max(config.min, config.max);
+    const clamped = Math.min(Math.max(value, min), max);
+    if (!Number.isFinite(config.step) || config.step <= 0) {
+      return clamped;
+    }
+    return Number(formatParameterValue(clamped, config.step));
+  }
+
+  formatCoordinate(value) {
+    const rounded = Math.abs(value) < 1e-10 ? 0 : value;
+    return String(Number(rounded.toFixed(4)));
   }
 
   mapFunctionsToPlotData(functions, scopeValues) {
     const data = [];
     const meta = [];
     const inequalities = [];
-    const scope = { ...scopeValues };
+    const shapes = [];
+    const pointLabels = [];
+    const analysis = analyzeParameters(functions, sharedParser, { angleMode: this.angleMode });
+    const scope = this.buildPlotScope(scopeValues, analysis);
+    // Hidden rows still define functions that visible rows may call
+    const functionTable = buildFunctionTable(functions, sharedParser);
 
     (functions || []).forEach((func) => {
       if (!func.visible || !func.expression) return;
 
-      const classification = classifyLine(func.expression, sharedParser);
+      const classification = classifyLine(func.expression, sharedParser, functionTable);
+      if (classification.plotData?.type === 'integral') {
+        const region = this.buildIntegralRegion(
+          classification.plotData,
+          classification.usedVariables,
+          scope,
+          func
+        );
+        if (region) {
+          inequalities.push(region);
+        }
+        return;
+      }
+      if (classification.kind === 'regression') {
+        const datum = this.buildRegressionDatum(classification, analysis, scope, func.color);
+        if (datum) {
+          data.push(datum);
+          meta.push({ id: func.id });
+        }
+        return;
+      }
       if (classification.kind !== 'graph' || classification.error) return;
 
-      switch (classification.graphMode) {
-        case 'explicit': {
-          const plotExpression = classification.plotExpression;
-          if (!plotExpression) break;
-          const adaptedExpression = toFunctionPlotSyntax(plotExpression);
-          if (!adaptedExpression) break;
-
-          const datum = {
-            fnType: 'linear',
-            fn: adaptedExpression,
-            scope: { ...scope },
-            color: func.color
-          };
-
-          if (func.derivative && typeof func.derivative === 'object') {
-            const derivFn = typeof func.derivative.fn === 'string'
-              ? toFunctionPlotSyntax(func.derivative.fn)
-              : computeDerivative(plotExpression);
-
-            if (derivFn) {
-              datum.derivative = { fn: derivFn, scope: { ...scope } };
-              if (typeof func.derivative.x0 === 'number') {
-                datum.derivative.x0 = func.derivative.x0;
-              }
-              if (func.derivative.updateOnMouseMove === true) {
-                datum.derivative.updateOnMouseMove = true;
+      // Rows that use lists draw one copy per list element; points rows
+      // broadcast their coordinates in evaluatePointPairs instead
+      const rowScopes = classification.graphMode === 'points'
+        ? [scope]
+        : expandListScopes(classification.usedVariables, scope);
+
+      rowScopes.forEach((rowScope) => {
+        switch (classification.graphMode) {
+          case 'explicit': {
+            const plotExpression = classification.plotExpression;
+            if (!plotExpression) break;
+            const adaptedExpression = toFunctionPlotSyntax(
+              this.restrictExpression(plotExpression, classification.restrictions, plotExpression),
+              this.angleMode
+            );
+            if (!adaptedExpression) break;
+
+            const datum = {
+              fnType: 'linear',
+              fn: adaptedExpression,
+              scope: { ...rowScope },
+              color: func.color
+            };
+
+            if (func.derivative && typeof func.derivative === 'object') {
+              const derivFn = typeof func.derivative.fn === 'string'
+                ? toFunctionPlotSyntax(func.derivative.fn, this.angleMode)
+                : computeDerivative(applyAngleMode(plotExpression, this.angleMode));
+
+              if (derivFn) {
+                datum.derivative = { fn: derivFn, scope: { ...rowScope } };
+                if (typeof func.derivative.x0 === 'number') {
+                  datum.derivative.x0 = func.derivative.x0;
+                }
+                if (func.derivative.updateOnMouseMove === true) {
+                  datum.derivative.updateOnMouseMove = true;
+                }
               }
             }
-          }
 
-          if (Array.isArray(func.secants) && func.secants.length > 0) {
-            datum.secants = func.secants
-              .filter((s) => typeof s?.x0 === 'number')
-              .map((s) => {
-                const secant = { x0: s.x0, scope: { ...scope } };
-                if (typeof s.x1 === 'number') secant.x1 = s.x1;
-                if (s.updateOnMouseMove === true) secant.updateOnMouseMove = true;
-                return secant;
-              });
-            if (datum.secants.length === 0) delete datum.secants;
-          }
+            if (Array.isArray(func.secants) && func.secants.length > 0) {
+              datum.secants = func.secants
+                .filter((s) => typeof s?.x0 === 'number')
+                .map((s) => {
+                  const secant = { x0: s.x0, scope: { ...rowScope } };
+                  if (typeof s.x1 === 'number') secant.x1 = s.x1;
+                  if (s.updateOnMouseMove === true) secant.updateOnMouseMove = true;
+                  return secant;
+                });
+              if (datum.secants.length === 0) delete datum.secants;
+            }
 
-          data.push(datum);
-          meta.push({ id: func.id });
-          break;
-        }
-        case 'implicit': {
-          const plotExpression = classification.plotExpression;
-          if (!plotExpression) break;
-          const adaptedExpression = toFunctionPlotSyntax(plotExpression);
-          if (!adaptedExpression) break;
-
-          data.push({
-            fnType: 'implicit',
-            fn: adaptedExpression,
-            scope: { ...scope },
-            color: func.color
-          });
-          meta.push({ id: func.id });
-          break;
-        }
-        case 'points': {
-          const points = this.evaluatePointPairs(classification.plotData?.points, scope);
-          if (!points) break;
-
-          data.push({
-            fnType: 'points',
-            graphType: 'scatter',
-            sampler: 'builtIn',
-            points,
-            color: func.color
-          });
-          meta.push({ id: func.id });
-          break;
-        }
-        case 'vector': {
-          const vectorValues = this.evaluateCoordinatePair(
-            classification.plotData?.vector,
-            scope
-          );
-          if (!vectorValues) break;
-
-          const offsetValues = this.evaluateCoordinatePair(
-            classification.plotData?.offset || ['0', '0'],
-            scope
-          );
-          if (!offsetValues) break;
-
-          data.push({
-            fnType: 'vector',
-            graphType: 'polyline',
-            sampler: 'builtIn',
-            vector: vectorValues,
-            offset: offsetValues,
-            color: func.color
-          });
-          meta.push({ id: func.id });
-          break;
-        }
-        case 'inequality': {
-          const inequalityData = classification.plotData;
-          if (!inequalityData || inequalityData.type !== 'inequality') {
+            data.push(datum);
+            meta.push({ id: func.id });
             break;
           }
-
-          const boundaryExpression = inequalityData.boundaryExpression;
-          const adaptedBoundary = toFunctionPlotSyntax(boundaryExpression);
-          if (!adaptedBoundary) {
+          case 'implicit': {
+            const plotExpression = classification.plotExpression;
+            if (!plotExpression) break;
+            const adaptedExpression = toFunctionPlotSyntax(
+              this.restrictExpression(plotExpression, classification.restrictions),
+              this.angleMode
+            );
+            if (!adaptedExpression) break;
+
+            data.push({
+              fnType: 'implicit',
+              fn: adaptedExpression,
+              scope: { ...rowScope },
+              color: func.color
+            });
+            meta.push({ id: func.id });
+            break;
+          }
+          case 'polar': {
+            const plotExpression = classification.plotExpression;
+            if (!plotExpression) break;
+            // In degree mode theta is in degrees too, like t on parametric rows
+            const adaptedExpression = toFunctionPlotSyntax(
+              this.angleMode === 'degrees'
+                ? sweepInDegrees(plotExpression, 'theta')
+                : plotExpression,
+              this.angleMode
+            );
+            if (!adaptedExpression) break;
+
+            data.push({
+              fnType: 'polar',
+              graphType: 'polyline',
+              sampler: 'builtIn',
+              r: adaptedExpression,
+              range: this.resolveThetaRange(func.thetaRange),
+              scope: { ...rowScope },
+              color: func.color
+            });
+            meta.push({ id: func.id });
+            break;
+          }
+          case 'parametric': {
+            const parametricData = classification.plotData;
+            if (!parametricData || parametricData.type !== 'parametric') break;
+
+            const adaptedX = toFunctionPlotSyntax(parametricData.x, this.angleMode);
+            const adaptedY = toFunctionPlotSyntax(parametricData.y, this.angleMode);
+            if (!adaptedX || !adaptedY) break;
+
+            const range = parametricData.range
+              ? this.evaluateCoordinatePair(parametricData.range, rowScope)
+              : [...(this.angleMode === 'degrees'
+                ? DEGREE_PARAMETRIC_RANGE
+                : DEFAULT_PARAMETRIC_RANGE)];
+            if (!range || range[0] >= range[1]) break;
+
+            data.push({
+              fnType: 'parametric',
+              graphType: 'polyline',
+              sampler: 'builtIn',
+              x: adaptedX,
+              y: adaptedY,
+              range,
+              scope: { ...rowScope },
+              color: func.color
+            });
+            meta.push({ id: func.id });
             break;
           }
+          case 'piecewise': {
+            const evaluateBranch = this.buildPiecewiseEvaluator(
+              classification.plotData,
+              classification.usedVariables,
+              rowScope,
+              this.buildRestrictionEvaluator(
+                classification.restrictions,
+                classification.usedVariables,
+                rowScope
+              )
+            );
+            if (!evaluateBranch) break;
+
+            // A JS fn keeps the default interval sampler, which drops cells that
+            // straddle a branch boundary instead of drawing a connector
+            data.push({
+              fnType: 'linear',
+              fn: (variables) => this.samplePiecewise(evaluateBranch, variables.x),
+              color: func.color
+            });
+            meta.push({ id: func.id });
+            break;
+          }
+          case 'points': {
+            const points = this.evaluatePointPairs(classification.plotData?.points, rowScope);
+            if (!points) break;
+
+            // Tables can connect their points in row order
+            const connectPoints = func.type === 'table' && func.table?.lines === true;
+            data.push({
+              fnType: 'points',
+              graphType: connectPoints ? 'polyline' : 'scatter',
+              sampler: 'builtIn',
+              points,
+              color: func.color
+            });
+            meta.push({ id: func.id });
+
+            if (classification.plotData.labels || func.showCoordinates === true) {
+              pointLabels.push(
+                ...this.buildPointLabels(func, classification.plotData, rowScope)
+              );
+            }
+            break;
+          }
+          case 'sequence': {
+            const sequence = classification.plotData;
+            const { points } = computeSequenceTerms(
+              { ...sequence, body: applyAngleMode(sequence.body, this.angleMode) },
+              rowScope
+            );
+            if (points.length === 0) break;
+
+            data.push({
+              fnType: 'points',
+              graphType: 'scatter',
+              sampler: 'builtIn',
+              points,
+              color: func.color
+            });
+            meta.push({ id: func.id });
+            break;
+          }
+          case 'vector': {
+            const vectorValues = this.evaluateCoordinatePair(
+              classification.plotData?.vector,
+              rowScope
+            );
+            if (!vectorValues) break;
+
+            const offsetValues = this.evaluateCoordinatePair(
+              classification.plotData?.offset || ['0', '0'],
+              rowScope
+            );
+            if (!offsetValues) break;
+
+            data.push({
+              fnType: 'vector',
+              graphType: 'polyline',
+              sampler: 'builtIn',
+              vector: vectorValues,
+              offset: offsetValues,
+              color: func.color
+            });
+            meta.push({ id: func.id });
+            break;
+          }
+          case 'shape': {
+            const shape = this.buildShape(classification.plotData, rowScope);
+            if (!shape) break;
 
-          const boundaryDatum = {
-            fnType: 'implicit',
-            fn: adaptedBoundary,
-            scope: { ...scope },
-            color: func.color,
-            skipTip: true
-          };
-          if (inequalityData.strict) {
-            boundaryDatum.attr = { 'stroke-dasharray': '6,4' };
+            shapes.push({ id: func.id, color: func.color, ...shape });
+            break;
           }
+          case 'inequality': {
+            const inequalityData = classification.plotData;
+            if (!inequalityData || inequalityData.type !== 'inequality') {
+              break;
+            }
 
-          data.push(boundaryDatum);
-          meta.push({ id: func.id });
+            // Chained inequalities draw one boundary per comparison
+            const comparisons = Array.isArray(inequalityData.comparisons)
+              ? inequalityData.comparisons
+              : [inequalityData];
+            const boundaries = comparisons.map(comparison => ({
+              comparison,
+              fn: toFunctionPlotSyntax(
+                this.restrictExpression(comparison.boundaryExpression, classification.restrictions),
+                this.angleMode
+              )
+            }));
+            if (boundaries.some(boundary => !boundary.fn)) {
+              break;
+            }
+
+            boundaries.forEach(({ comparison, fn }) => {
+              const boundaryDatum = {
+                fnType: 'implicit',
+                fn,
+                scope: { ...rowScope },
+                color: func.color,
+                skipTip: true
+              };
+              if (comparison.strict) {
+                boundaryDatum.attr = { 'stroke-dasharray': '6,4' };
+              }
+
+              data.push(boundaryDatum);
+              meta.push({ id: func.id });
+            });
+
+            const evaluate = this.buildInequalityEvaluator(
+              inequalityData.boundaryExpression,
+              classification.usedVariables,
+              rowScope,
+              inequalityData
+            );
+            if (!evaluate) {
+              break;
+            }
 
-          const evaluate = this.buildInequalityEvaluator(
-            boundaryExpression,
-            classification.usedVariables,
-            scope,
-            inequalityData
-          );
-          if (!evaluate) {
+            const descriptor = {
+              id: func.id,
+              color: func.color,
+              operator: inequalityData.operator,
+              strict: inequalityData.strict === true,
+              satisfiesPositive: inequalityData.satisfiesPositive === true,
+              evaluate
+            };
+
+            const restrict = this.buildRestrictionEvaluator(
+              classification.restrictions,
+              classification.usedVariables,
+              rowScope
+            );
+            if (restrict) {
+              descriptor.restrict = restrict;
+            }
+
+            inequalities.push(descriptor);
             break;
           }
-
-          inequalities.push({
-            id: func.id,
-            color: func.color,
-            operator: inequalityData.operator,
-            strict: inequalityData.strict === true,
-            satisfiesPositive: inequalityData.satisfiesPositive === true,
-            evaluate
-          });
-          break;
+          default:
+            break;
         }
-        default:
-          break;
-      }
+      });
     });
 
-    return { data, meta, inequalities };
+    return { data, meta, inequalities, shapes, pointLabels, plotScope: scope };
   }
 
+  /**
+   * Resolve the theta sampling range for a polar row.
+   * Falls back to one full turn when the row has no valid thetaRange.
+   * @param {number[]|undefined} thetaRange - Optional [min, max] from function config
+   * @returns {number[]} [min, max] range for function-plot
+   */
+  resolveThetaRange(thetaRange) {
+    if (Array.isArray(thetaRange) && thetaRange.length === 2 &&
+      Number.isFinite(thetaRange[0]) && Number.isFinite(thetaRange[1]) &&
+      thetaRange[0] < thetaRange[1]) {
+      return [thetaRange[0], thetaRange[1]];
+    }
+
+    return [...DEFAULT_THETA_RANGE];
+  }
+
+  /**
+   * Compile an inequality row into an (x, y) => boolean test. Chained
+   * inequalities hold where every comparison holds, so f(x) <= y <= g(x)
+   * shades the region between the curves.
+   * @param {string} boundaryExpression - "(lhs) - (rhs)" of the first comparison
+   * @param {string[]} usedVariables - Symbols used by the row
+   * @param {Object} scopeValues - Parameter values
+   * @param {Object} inequalityData - Classifier plotData of type 'inequality'
+   * @returns {Function|null} Predicate, or null if compilation fails
+   */
   buildInequalityEvaluator(boundaryExpression, usedVariables, scopeValues, inequalityData) {
+    const comparisons = inequalityData.comparisons;
+    if (Array.isArray(comparisons) && comparisons.length > 1) {
+      const evaluators = comparisons.map(comparison => this.buildInequalityEvaluator(
+        comparison.boundaryExpression,
+        usedVariables,
+        scopeValues,
+        comparison
+      ));
+      if (evaluators.some(evaluate => !evaluate)) {
+        return null;
+      }
+      return (x, y) => evaluators.every(evaluate => evaluate(x, y));
+    }
+
     if (typeof boundaryExpression !== 'string' || !boundaryExpression.trim()) {
       return null;
     }
@@ -476,7 +1240,10 @@ export default class GraphEngine {
     const parserVariables = Array.from(
       new Set(['x', 'y', ...(usedVariables || [])])
     );
-    const parsed = sharedParser.parse(boundaryExpression, parserVariables);
+    const parsed = sharedParser.parse(
+      applyAngleMode(boundaryExpression, this.angleMode),
+      parserVariables
+    );
     if (!parsed.isValid) {
       return null;
     }
@@ -511,13 +1278,175 @@ export default class GraphEngine {
     };
   }
 
+  /**
+   * Compile a piecewise row into an evaluator that returns the index of the
+   * first branch whose condition holds at x, together with its value.
+   * @param {Object} piecewiseData - Classifier plotData of type 'piecewise'
+   * @param {string[]} usedVariables - Symbols used by the row
+   * @param {Object} scopeValues - Parameter values
+   * @param {Function|null} restrict - Optional (x, y) => boolean row restriction
+   * @returns {Function|null} (x) => { branch, value }, or null if compilation fails
+   */
+  buildPiecewiseEvaluator(piecewiseData, usedVariables, scopeValues, restrict = null) {
+    if (!piecewiseData || piecewiseData.type !== 'piecewise') {
+      return null;
+    }
+
+    const parserVariables = Array.from(new Set(['x', ...(usedVariables || [])]));
+    const compile = (expression) => {
+      const parsed = sharedParser.parse(
+        applyAngleMode(expression, this.angleMode),
+        parserVariables
+      );
+      return parsed.isValid ? parsed : null;
+    };
+
+    const branches = [];
+    for (const branch of piecewiseData.branches || []) {
+      const condition = compile(branch.condition);
+      const value = compile(branch.value);
+      if (!condition || !value) {
+        return null;
+      }
+      branches.push({ condition, value });
+    }
+
+    if (piecewiseData.otherwise) {
+      const value = compile(piecewiseData.otherwise);
+      if (!value) {
+        return null;
+      }
+      branches.push({ condition: null, value });
+    }
+
+    if (branches.length === 0) {
+      return null;
+    }
+
+    const evalScope = { ...(scopeValues || {}), x: 0 };
+
+    return (x) => {
+      evalScope.x = x;
+      const branch = branches.findIndex(candidate => (
+        !candidate.condition || candidate.condition.evaluate(evalScope) === true
+      ));
+      if (branch === -1) {
+        return { branch, value: NaN };
+      }
+
+      const value = branches[branch].value.evaluate(evalScope);
+      if (typeof value !== 'number') {
+        return { branch, value: NaN };
+      }
+      if (restrict && !restrict(x, value)) {
+        return { branch: -1, value: NaN };
+      }
+      return { branch, value };
+    };
+  }
+
+  /**
+   * Append a restriction guard to a plot expression so function-plot's
+   * interval sampler only draws inside the restricted region.
+   * @param {string} expression - Expression to plot
+   * @param {Array} restrictions - Classifier restrictions ({lhs, operator, rhs})
+   * @param {string|null} yExpression - Value of y for explicit rows
+   * @returns {string} Guarded expression, or the input when unrestricted
+   */
+  restrictExpression(expression, restrictions, yExpression = null) {
+    const guard = buildRestrictionGuard(restrictions, yExpression);
+    return guard ? `(${expression}) + ${guard}` : expression;
+  }
+
+  /**
+   * Compile row restrictions into an (x, y) => boolean predicate.
+   * @param {Array} restrictions - Classifier restrictions ({lhs, operator, rhs})
+   * @param {string[]} usedVariables - Symbols used by the row
+   * @param {Object} scopeValues - Parameter values
+   * @returns {Function|null} Predicate, or null when the row is unrestricted
+   */
+  buildRestrictionEvaluator(restrictions, usedVariables, scopeValues) {
+    if (!Array.isArray(restrictions) || restrictions.length === 0) {
+      return null;
+    }
+
+    const parserVariables = Array.from(
+      new Set(['x', 'y', ...(usedVariables || [])])
+    );
+    const checks = [];
+    for (const { lhs, operator, rhs } of restrictions) {
+      const parsed = sharedParser.parse(
+        applyAngleMode(`(${lhs}) - (${rhs})`, this.angleMode),
+        parserVariables
+      );
+      if (!parsed.isValid) {
+        return null;
+      }
+      checks.push({ parsed, operator });
+    }
+
+    const evalScope = { ...(scopeValues || {}), x: 0, y: 0 };
+
+    return (x, y) => {
+      evalScope.x = x;
+      evalScope.y = y;
+
+      return checks.every(({ parsed, operator }) => {
+        const value = parsed.evaluate(evalScope);
+        if (!Number.isFinite(value)) {
+          return false;
+        }
+
+        switch (operator) {
+          case '<':
+            return value < -INEQUALITY_EPSILON;
+          case '<=':
+            return value <= INEQUALITY_EPSILON;
+          case '>':
+            return value > INEQUALITY_EPSILON;
+          default:
+            return value >= -INEQUALITY_EPSILON;
+        }
+      });
+    };
+  }
+
+  /**
+   * Evaluate a piecewise row for function-plot, which passes a number for
+   * tips and an { lo, hi } interval for the interval sampler.
+   * @param {Function} evaluateBranch - Evaluator from buildPiecewiseEvaluator
+   * @param {number|{lo: number, hi: number}} x - Sample point or interval
+   * @returns {number|{lo: number, hi: number}}
+   */
+  samplePiecewise(evaluateBranch, x) {
+    if (typeof x === 'number') {
+      return evaluateBranch(x).value;
+    }
+
+    const samples = [x.lo, (x.lo + x.hi) / 2, x.hi].map(evaluateBranch);
+    const branch = samples[0].branch;
+    if (branch === -1 || samples.some(sample => sample.branch !== branch)) {
+      return { ...EMPTY_INTERVAL };
+    }
+
+    const values = samples.map(sample => sample.value);
+    if (values.some(Number.isNaN)) {
+      return { ...EMPTY_INTERVAL };
+    }
+    if (!values.every(Number.isFinite)) {
+      return { ...WHOLE_INTERVAL };
+    }
+
+    return { lo: Math.min(...values), hi: Math.max(...values) };
+  }
+
   evaluateCoordinateExpression(expression, scopeValues) {
     if (typeof expression !== 'string' || !expression.trim()) {
       return null;
     }
 
     const variables = sharedParser.getAllSymbols(expression);
-    const parsed = sharedParser.parse(expression, variables);
+    const parsed = sharedParser.parse(applyAngleMode(expression, this.angleMode), variables);
     if (!parsed.isValid) {
       return null;
     }
@@ -526,6 +1455,75 @@ export default class GraphEngine {
     return Number.isFinite(value) ? value : null;
   }
 
+  /**
+   * Label a points row's dots with their names and, when the row's
+   * showCoordinates flag is set, their current coordinates, e.g. "A (1, 2)".
+   * One label names every point; a list of labels names them in order.
+   * @param {Object} func - Row from state
+   * @param {{points: string[][], labels?: string[]}} pointsData - Classifier plotData
+   * @param {Object} scopeValues - Parameter values, where lists are arrays
+   * @returns {Array<{key: string, x: number, y: number, text: string, color: string}>}
+   */
+  buildPointLabels(func, pointsData, scopeValues) {
+    const labels = Array.isArray(pointsData.labels) ? pointsData.labels : [];
+    const pointLabels = [];
+
+    pointsData.points.forEach((pair, pairIndex) => {
+      const name = labels.length === 1 ? labels[0] : labels[pairIndex];
+      const points = this.evaluatePointPairs([pair], scopeValues) || [];
+
+      points.forEach(([x, y], pointIndex) => {
+        const coordinates = func.showCoordinates === true
+          ? `(${this.formatCoordinate(x)}, ${this.formatCoordinate(y)})`
+          : '';
+        const text = [name, coordinates].filter(Boolean).join(' ');
+        if (!text) return;
+
+        pointLabels.push({
+          key: `${func.id}:${pairIndex}:${pointIndex}`,
+          x,
+          y,
+          text,
+          color: func.color
+        });
+      });
+    });
+
+    return pointLabels;
+  }
+
+  /**
+   * Evaluate the vertices (or the center and radius) of a segment, ray,
+   * circle or polygon row for FunctionPlotRenderer.updateShapes.
+   * @param {Object} shapeData - Classifier plotData with shape, points and radius
+   * @param {Object} scopeValues - Parameter values
+   * @returns {{shape: string, points: number[][], radius?: number}|null}
+   */
+  buildShape(shapeData, scopeValues) {
+    if (!Array.isArray(shapeData?.points) || shapeData.points.length === 0) {
+      return null;
+    }
+
+    const points = [];
+    for (const pair of shapeData.points) {
+      const point = this.evaluateCoordinatePair(pair, scopeValues);
+      if (!point) {
+        return null;
+      }
+      points.push(point);
+    }
+
+    if (shapeData.shape !== 'circle') {
+      return { shape: shapeData.shape, points };
+    }
+
+    const radius = this.evaluateCoordinateExpression(shapeData.radius, scopeValues);
+    if (radius === null || radius <= 0) {
+      return null;
+    }
+    return { shape: 'circle', points, radius };
+  }
+
   evaluateCoordinatePair(pair, scopeValues) {
     if (!Array.isArray(pair) || pair.length !== 2) {
       return null;
@@ -541,6 +1539,13 @@ export default class GraphEngine {
     return [x, y];
   }
 
+  /**
+   * Evaluate [x, y] coordinate pairs to points. A pair that uses lists is
+   * broadcast to one point per list element, so [L, L^2] yields a point set.
+   * @param {string[][]} pairs - Coordinate expression pairs
+   * @param {Object} scopeValues - Parameter values, where lists are arrays
+   * @returns {number[][]|null} Points, or null if any coordinate is invalid
+   */
   evaluatePointPairs(pairs, scopeValues) {
     if (!Array.isArray(pairs) || pairs.length === 0) {
       return null;
@@ -548,14 +1553,104 @@ export default class GraphEngine {
 
     const evaluatedPoints = [];
     for (const pair of pairs) {
-      const evaluated = this.evaluateCoordinatePair(pair, scopeValues);
-      if (!evaluated) {
-        return null;
+      const symbols = Array.isArray(pair)
+        ? pair.flatMap(coordinate => sharedParser.getAllSymbols(coordinate))
+        : [];
+
+      for (const pointScope of expandListScopes(symbols, scopeValues || {})) {
+        const evaluated = this.evaluateCoordinatePair(pair, pointScope);
+        if (!evaluated) {
+          return null;
+        }
+        evaluatedPoints.push(evaluated);
       }
-      evaluatedPoints.push(evaluated);
     }
 
-    return evaluatedPoints;
+    return evaluatedPoints.length > 0 ? evaluatedPoints : null;
+  }
+
+  /**
+   * Plot the fitted model of a regression row such as "y1 ~ m*x1 + b" as a
+   * curve in x. Models over several lists have no single curve to draw.
+   * @param {Object} classification - Regression classification
+   * @param {Object} analysis - Result of analyzeParameters
+   * @param {Object} scope - Parameter values and lists
+   * @param {string} color - Row color
+   * @returns {Object|null} function-plot datum
+   */
+  buildRegressionDatum(classification, analysis, scope, color) {
+    const fit = analysis.regressionResults.get(getRegressionKey(classification.plotData));
+    if (!fit || fit.error) return null;
+
+    const curve = buildRegressionCurve(classification.plotData.model, scope);
+    // Fitted in the angle mode too, see analyzeParameters
+    const fn = curve ? toFunctionPlotSyntax(curve, this.angleMode) : null;
+    if (!fn) return null;
+
+    const curveScope = Object.fromEntries(
+      Object.entries(scope).filter(([, value]) => !Array.isArray(value))
+    );
+    return {
+      fnType: 'linear',
+      fn,
+      scope: curveScope,
+      color
+    };
+  }
+
+  /**
+   * Shade the area of an integral row such as "integral(x^2, 0, a)" between
+   * the curve and the x-axis, using the inequality overlay.
+   * @param {Object} integralData - Classifier plotData of type 'integral'
+   * @param {string[]} usedVariables - Parameters used by the row
+   * @param {Object} scopeValues - Parameter values
+   * @param {Object} func - Row with id and color
+   * @returns {Object|null} Region descriptor, or null when the bounds are not numbers
+   */
+  buildIntegralRegion(integralData, usedVariables, scopeValues, func) {
+    const lower = this.evaluateCoordinateExpression(integralData.lower, scopeValues);
+    const upper = this.evaluateCoordinateExpression(integralData.upper, scopeValues);
+    if (lower === null || upper === null) {
+      return null;
+    }
+
+    const parsed = sharedParser.parse(
+      applyAngleMode(integralData.integrand, this.angleMode),
+      Array.from(new Set(['x', ...(usedVariables || [])]))
+    );
+    if (!parsed.isValid) {
+      return null;
+    }
+
+    const xMin = Math.min(lower, upper);
+    const xMax = Math.max(lower, upper);
+    const evalScope = { ...(scopeValues || {}), x: 0 };
+    // The overlay samples each column once per row, so reuse f(x) per column
+    const values = new Map();
+
+    return {
+      id: func.id,
+      color: func.color,
+      // Areas are not constraints, so they stay out of the feasible region
+      isArea: true,
+      evaluate: (x, y) => {
+        if (x < xMin || x > xMax) {
+          return false;
+        }
+
+        if (!values.has(x)) {
+          if (values.size > 4096) values.clear();
+          evalScope.x = x;
+          values.set(x, parsed.evaluate(evalScope));
+        }
+        const value = values.get(x);
+        if (!Number.isFinite(value)) {
+          return false;
+        }
+
+        return value >= 0 ? y >= 0 && y <= value : y <= 0 && y >= value;
+      }
+    };
   }
 
   /**
@@ -580,7 +1675,7 @@ export default class GraphEngine {
   detectAndUpdateParameters() {
     const functions = StateManager.get('functions') || [];
     const parameters = { ...(StateManager.get('parameters') || {}) };
-    const analysis = analyzeParameters(functions, sharedParser);
+    const analysis = analyzeParameters(functions, sharedParser, { angleMode: this.angleMode });
 
     let parametersChanged = false;
 
@@ -609,10 +1704,12 @@ export default class GraphEngine {
     };
 
     analysis.definedParams.forEach((paramName) => {
+      if (analysis.listValues.has(paramName)) return;
       ensureParameter(paramName, analysis.assignmentValues.get(paramName));
     });
 
     analysis.usedParams.forEach((paramName) => {
+      if (analysis.listValues.has(paramName)) return;
       ensureParameter(paramName, parameters[paramName]?.value);
     });
 
@@ -788,6 +1885,11 @@ export default class GraphEngine {
       this.frameId = null;
     }
 
+    if (this.markerFrameId) {
+      cancelAnimationFrame(this.markerFrameId);
+      this.markerFrameId = null;
+    }
+
     this.renderer.destroy();
   }
 }
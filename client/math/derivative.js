@@ -0,0 +1,143 @@
+import * as math from 'mathjs';
+import { findClosingParen, splitArguments } from './parse-utils.js';
+
+const DERIVATIVE_OPERATOR_PATTERN = /d\s*\/\s*dx\s*\(/g;
+const PRIME_CALL_PATTERN = /([A-Za-z_][A-Za-z0-9_]*)('+)\s*\(/g;
+const DERIVATIVE_CALL_PATTERN = /derivative\s*\(/g;
+
+const ERROR_MESSAGES = {
+  malformed: 'Derivatives must be written as f\'(x) or d/dx(...)',
+  notDifferentiable: 'Cannot take the derivative of this expression'
+};
+
+/**
+ * Find the last match of pattern that is not glued to a preceding
+ * identifier, so "d/dx(" inside "abd/dx(" or "derivative(" inside
+ * "myderivative(" are skipped.
+ */
+const findLastMatch = (expression, pattern) => {
+  let last = null;
+  for (const match of expression.matchAll(pattern)) {
+    const before = expression[match.index - 1];
+    if (before && /[A-Za-z0-9_.]/.test(before)) {
+      continue;
+    }
+    last = match;
+  }
+  return last;
+};
+
+/**
+ * Rewrite every match of pattern, innermost first, as
+ * "derivative(expression, order, at)". Unbalanced parentheses are left
+ * as written for the parser to report.
+ */
+const rewriteCalls = (expression, pattern, toDerivative) => {
+  let result = expression;
+
+  for (;;) {
+    const match = findLastMatch(result, pattern);
+    if (!match) {
+      return result;
+    }
+
+    const open = match.index + match[0].length - 1;
+    const close = findClosingParen(result, open);
+    if (close === -1) {
+      return result;
+    }
+
+    const replacement = toDerivative(match, result.slice(open + 1, close).trim());
+    result = `${result.slice(0, match.index)}${replacement}${result.slice(close + 1)}`;
+  }
+};
+
+/**
+ * Rewrite derivative notation as derivative(expression, order, at) calls
+ * that math.js can parse: "f''(t)" becomes "derivative(f(x), 2, t)" and
+ * "d/dx(x^3)" becomes "derivative(x^3, 1, x)". Calls to functions defined
+ * on other rows are inlined afterwards like any other call, and
+ * expandDerivatives then does the differentiation.
+ *
+ * @param {string} expression - Row expression
+ * @returns {string}
+ */
+export const normalizeDerivativeNotation = (expression) => {
+  if (typeof expression !== 'string') {
+    return expression;
+  }
+
+  const withPrimes = rewriteCalls(
+    expression.replace(/′/g, '\''),
+    PRIME_CALL_PATTERN,
+    ([, name, primes], argument) => `derivative(${name}(x), ${primes.length}, ${argument})`
+  );
+
+  return rewriteCalls(
+    withPrimes,
+    DERIVATIVE_OPERATOR_PATTERN,
+    (_, argument) => `derivative(${argument}, 1, x)`
+  );
+};
+
+/**
+ * Differentiate expression order times with respect to x, then evaluate
+ * the result at the given point, e.g. ("x^3", 2, "t") -> "6 * t".
+ */
+const differentiate = (expression, order, at) => {
+  let node = math.parse(expression);
+  for (let step = 0; step < order; step += 1) {
+    node = math.derivative(node, 'x');
+  }
+
+  if (at === 'x') {
+    return node.toString();
+  }
+
+  const point = math.parse(at);
+  return node.transform(current => (
+    current.type === 'SymbolNode' && current.name === 'x' ? point : current
+  )).toString();
+};
+
+/**
+ * Replace every derivative(expression, order, at) call with its symbolic
+ * result. Parameters stay symbolic, so "d/dx(a*x^2)" becomes "2 * a * x"
+ * and follows the slider for a. Calls to user-defined functions must be
+ * inlined first.
+ *
+ * @param {string} expression - Normalized row expression
+ * @returns {{expression: string|null, error: string|null}}
+ */
+export const expandDerivatives = (expression) => {
+  let result = typeof expression === 'string' ? expression : '';
+
+  for (;;) {
+    const match = findLastMatch(result, DERIVATIVE_CALL_PATTERN);
+    if (!match) {
+      return { expression: result, error: null };
+    }
+
+    const open = match.index + match[0].length - 1;
+    const close = findClosingParen(result, open);
+    if (close === -1) {
+      return { expression: null, error: ERROR_MESSAGES.malformed };
+    }
+
+    const args = splitArguments(result.slice(open + 1, close));
+    const [body, orderText, at] = args;
+    const order = Number(orderText);
+    if (args.length !== 3 || !body || !at || !Number.isInteger(order) || order < 1) {
+      return { expression: null, error: ERROR_MESSAGES.malformed };
+    }
+
+    let derivative;
+    try {
+      derivative = differentiate(body, order, at);
+    } catch (error) {
+      return { expression: null, error: ERROR_MESSAGES.notDifferentiable };
+    }
+
+    result = `${result.slice(0, match.index)}(${derivative})${result.slice(close + 1)}`;
+  }
+};
@@ -1,17 +1,29 @@
 import * as math from 'mathjs';
+import { splitTopLevelTuple } from './tuple-utils.js';
+import { splitPiecewiseDefinition, parsePiecewiseBody } from './piecewise-utils.js';
+import { splitTrailingRestrictions } from './restriction-utils.js';
+import { normalizeIntegralSymbol } from './integral.js';
+import { normalizeDerivativeNotation } from './derivative.js';
 
 const CACHE_LIMIT = 200;
 const functionPlotCache = new Map();
 const displayLatexCache = new Map();
+const degreesCache = new Map();
 
-const RELATIONAL_OPERATORS = ['<=', '>=', '<', '>', '='];
+export const ANGLE_MODES = ['radians', 'degrees'];
+
+const TRIG_FUNCTIONS = ['sin', 'cos', 'tan', 'sec', 'csc', 'cot'];
+const INVERSE_TRIG_FUNCTIONS = ['asin', 'acos', 'atan', 'atan2', 'asec', 'acsc', 'acot'];
+
+const RELATIONAL_OPERATORS = ['<=', '>=', '<', '>', '=', '~'];
 
 const RELATIONAL_LATEX = {
   '<=': '\\leq',
   '>=': '\\geq',
   '<': '<',
   '>': '>',
-  '=': '='
+  '=': '=',
+  '~': '\\sim'
 };
 
 const readCache = (cache, key) => {
@@ -117,6 +129,88 @@ const transformForFunctionPlot = (node) => {
   return { transformed, changed };
 };
 
+/**
+ * Rewrite trig calls to work in degrees: sin, cos and tan take their
+ * argument in degrees and the inverse functions return degrees.
+ */
+const transformForDegrees = (node) => {
+  let changed = false;
+
+  const transformed = node.transform((current) => {
+    if (current.type !== 'FunctionNode' || current.fn?.type !== 'SymbolNode') {
+      return current;
+    }
+
+    const { name } = current.fn;
+    const isTrig = TRIG_FUNCTIONS.includes(name);
+    if (!isTrig && !INVERSE_TRIG_FUNCTIONS.includes(name)) {
+      return current;
+    }
+
+    // A replaced node is not visited again, so convert nested calls first
+    changed = true;
+    const args = current.args.map(arg => transformForDegrees(arg).transformed.toString());
+    return isTrig
+      ? math.parse(`${name}(${args.map(arg => `(${arg}) * pi / 180`).join(', ')})`)
+      : math.parse(`(${name}(${args.join(', ')}) * 180 / pi)`);
+  });
+
+  return { transformed, changed };
+};
+
+/**
+ * Rewrite an expression for the graph's angle mode. In degree mode
+ * "sin(30)" becomes "sin((30) * pi / 180)" and "asin(u)" returns degrees;
+ * radian mode, and expressions without trig functions, are returned as is.
+ *
+ * @param {string} expression - Expression in math.js syntax
+ * @param {string} angleMode - 'radians' or 'degrees'
+ * @returns {string}
+ */
+export const applyAngleMode = (expression, angleMode = 'radians') => {
+  if (angleMode !== 'degrees' || typeof expression !== 'string' || !expression.trim()) {
+    return expression;
+  }
+
+  const cached = readCache(degreesCache, expression);
+  if (cached !== null) {
+    return cached;
+  }
+
+  let converted = expression;
+  try {
+    const { transformed, changed } = transformForDegrees(math.parse(expression));
+    converted = changed ? transformed.toString() : expression;
+  } catch (error) {
+    converted = expression;
+  }
+
+  writeCache(degreesCache, expression, converted);
+  return converted;
+};
+
+/**
+ * Measure a swept variable such as theta in degrees. function-plot sweeps
+ * polar curves in radians, so in degree mode the variable is converted before
+ * the expression reads it; applyAngleMode then converts trig arguments back,
+ * and "r = sin(3*theta)" draws the same curve in both modes.
+ *
+ * @param {string} expression - Expression in math.js syntax
+ * @param {string} variable - Swept variable, e.g. 'theta'
+ * @returns {string}
+ */
+export const sweepInDegrees = (expression, variable) => {
+  try {
+    return math.parse(expression).transform(node => (
+      node.type === 'SymbolNode' && node.name === variable
+        ? math.parse(`(${variable} * 180 / pi)`)
+        : node
+    )).toString();
+  } catch (error) {
+    return expression;
+  }
+};
+
 const transformForDisplay = (node) => {
   return node.transform((current) => {
     if (current.type === 'SymbolNode' &&
@@ -134,6 +228,83 @@ const transformForDisplay = (node) => {
   });
 };
 
+// Render integral(f, a, b) as a definite integral sign
+const integralToTex = (node, options) => {
+  if (node.type !== 'FunctionNode' || node.fn?.name !== 'integral' || node.args.length !== 3) {
+    return undefined;
+  }
+
+  const [integrand, lower, upper] = node.args.map(arg => arg.toTex(options));
+  return `\\int_{${lower}}^{${upper}} ${integrand} \\, dx`;
+};
+
+// Render derivative(f(x), n, at) as f'(at) and derivative(expr, n, x) as d/dx
+const derivativeToTex = (node, options) => {
+  if (node.type !== 'FunctionNode' || node.fn?.name !== 'derivative' || node.args.length !== 3) {
+    return undefined;
+  }
+
+  const [body, orderNode, at] = node.args;
+  const order = orderNode.type === 'ConstantNode' ? Number(orderNode.value) : NaN;
+  if (!Number.isInteger(order) || order < 1) {
+    return undefined;
+  }
+
+  const atLatex = at.toTex(options);
+  if (body.type === 'FunctionNode' && body.args.length === 1 &&
+    body.args[0].type === 'SymbolNode' && body.args[0].name === 'x') {
+    return `\\mathrm{${body.fn.name}}${'\''.repeat(order)}\\left(${atLatex}\\right)`;
+  }
+
+  const operator = order === 1 ? '\\frac{d}{dx}' : `\\frac{d^{${order}}}{dx^{${order}}}`;
+  const derivativeLatex = `${operator}\\left(${body.toTex(options)}\\right)`;
+  return at.type === 'SymbolNode' && at.name === 'x'
+    ? derivativeLatex
+    : `\\left.${derivativeLatex}\\right|_{x=${atLatex}}`;
+};
+
+// Render sum(f, n, a, b) and prod(f, n, a, b) as sigma and pi notation
+const seriesToTex = (node, options) => {
+  if (node.type !== 'FunctionNode' || !['sum', 'prod'].includes(node.fn?.name) ||
+    node.args.length !== 4 || node.args[1].type !== 'SymbolNode') {
+    return undefined;
+  }
+
+  const [body, index, lower, upper] = node.args.map(arg => arg.toTex(options));
+  const operator = node.fn.name === 'sum' ? '\\sum' : '\\prod';
+  // A sum of terms needs parentheses to stay inside the sigma
+  const [bodyNode] = node.args;
+  const needsParentheses = bodyNode.type === 'OperatorNode' &&
+    ['add', 'subtract'].includes(bodyNode.fn);
+  const bodyLatex = needsParentheses ? `\\left(${body}\\right)` : body;
+  return `${operator}_{${index}=${lower}}^{${upper}} ${bodyLatex}`;
+};
+
+// Render sequence terms such as a_n and a_(n-1) with subscripts
+const subscriptToTex = (node, options) => {
+  if (node.type === 'SymbolNode') {
+    const match = node.name.match(/^([A-Za-z][A-Za-z0-9]*)_([A-Za-z0-9]+)$/);
+    return match
+      ? `${new math.SymbolNode(match[1]).toTex(options)}_{${match[2]}}`
+      : undefined;
+  }
+
+  if (node.type !== 'FunctionNode' || node.args.length !== 1 ||
+    !/^[A-Za-z][A-Za-z0-9]*_$/.test(node.fn?.name ?? '')) {
+    return undefined;
+  }
+
+  const base = new math.SymbolNode(node.fn.name.slice(0, -1)).toTex(options);
+  return `${base}_{${node.args[0].toTex(options)}}`;
+};
+
+const customTex = (node, options) => (
+  integralToTex(node, options) ??
+  derivativeToTex(node, options) ??
+  seriesToTex(node, options) ??
+  subscriptToTex(node, options)
+);
+
 const convertSideToLatex = (sideExpression) => {
   const side = sideExpression.trim();
   if (!side) {
@@ -143,36 +314,85 @@ const convertSideToLatex = (sideExpression) => {
   try {
     const parsed = math.parse(side);
     const transformed = transformForDisplay(parsed);
-    return transformed.toTex({ parenthesis: 'keep' });
+    return transformed.toTex({ parenthesis: 'keep', handler: customTex });
   } catch (error) {
     return null;
   }
 };
 
-export const toFunctionPlotSyntax = (expression) => {
+/**
+ * Render a piecewise definition as a LaTeX cases environment, keeping any
+ * "y =" or "f(x) =" prefix. Returns null when the expression is not a
+ * well-formed piecewise definition.
+ */
+const convertPiecewiseToLatex = (expression) => {
+  const { lhs, body } = splitPiecewiseDefinition(expression);
+  const piecewise = parsePiecewiseBody(body);
+  if (!piecewise || piecewise.error) {
+    return null;
+  }
+
+  const rows = [];
+  for (const branch of piecewise.branches) {
+    const valueLatex = convertSideToLatex(branch.value);
+    const conditionLatex = convertSideToLatex(branch.condition);
+    if (!valueLatex || !conditionLatex) {
+      return null;
+    }
+    rows.push(`${valueLatex} & ${conditionLatex}`);
+  }
+
+  if (piecewise.otherwise) {
+    const otherwiseLatex = convertSideToLatex(piecewise.otherwise);
+    if (!otherwiseLatex) {
+      return null;
+    }
+    rows.push(`${otherwiseLatex} & \\text{otherwise}`);
+  }
+
+  const casesLatex = `\\begin{cases} ${rows.join(' \\\\ ')} \\end{cases}`;
+  if (!lhs) {
+    return casesLatex;
+  }
+
+  const lhsLatex = convertSideToLatex(lhs);
+  return lhsLatex ? `${lhsLatex} = ${casesLatex}` : null;
+};
+
+/**
+ * Normalize an expression for function-plot's evaluator: constants and ln
+ * are renamed, and trig functions are converted for degree mode.
+ *
+ * @param {string} expression - Expression in math.js syntax
+ * @param {string} angleMode - 'radians' or 'degrees'
+ * @returns {string}
+ */
+export const toFunctionPlotSyntax = (expression, angleMode = 'radians') => {
   if (typeof expression !== 'string') {
     return '';
   }
 
-  const cached = readCache(functionPlotCache, expression);
+  const cacheKey = angleMode === 'degrees' ? `degrees:${expression}` : expression;
+  const cached = readCache(functionPlotCache, cacheKey);
   if (cached !== null) {
     return cached;
   }
 
   if (!expression.trim()) {
-    writeCache(functionPlotCache, expression, expression);
+    writeCache(functionPlotCache, cacheKey, expression);
     return expression;
   }
 
+  const source = applyAngleMode(expression, angleMode);
   try {
-    const parsed = math.parse(expression);
+    const parsed = math.parse(source);
     const { transformed, changed } = transformForFunctionPlot(parsed);
-    const normalized = changed ? transformed.toString() : expression;
-    writeCache(functionPlotCache, expression, normalized);
+    const normalized = changed ? transformed.toString() : source;
+    writeCache(functionPlotCache, cacheKey, normalized);
     return normalized;
   } catch (error) {
-    writeCache(functionPlotCache, expression, expression);
-    return expression;
+    writeCache(functionPlotCache, cacheKey, source);
+    return source;
   }
 };
 
@@ -208,6 +428,20 @@ export const computeDerivative = (expression) => {
   }
 };
 
+/**
+ * Render a tuple such as "(cos(t), sin(t))" component by component, or
+ * return null when the text is not a tuple of valid expressions.
+ */
+const convertTupleToLatex = (text) => {
+  const tuple = splitTopLevelTuple(text);
+  if (!tuple) {
+    return null;
+  }
+
+  const componentsLatex = tuple.map(convertSideToLatex);
+  return componentsLatex.every(Boolean) ? `\\left(${componentsLatex.join(', ')}\\right)` : null;
+};
+
 export const toDisplayLatex = (expression) => {
   if (typeof expression !== 'string') {
     return '';
@@ -218,19 +452,45 @@ export const toDisplayLatex = (expression) => {
     return cached;
   }
 
-  const trimmed = expression.trim();
+  const trimmed = normalizeDerivativeNotation(normalizeIntegralSymbol(expression.trim()));
   if (!trimmed) {
     writeCache(displayLatexCache, expression, '');
     return '';
   }
 
+  const { body, restrictions } = splitTrailingRestrictions(trimmed);
+  if (restrictions.length > 0) {
+    const restrictionsLatex = restrictions.map(convertSideToLatex);
+    const restrictedLatex = restrictionsLatex.every(Boolean)
+      ? [
+        toDisplayLatex(body),
+        ...restrictionsLatex.map(latex => `\\left\\{${latex}\\right\\}`)
+      ].join(' ')
+      : expression;
+    writeCache(displayLatexCache, expression, restrictedLatex);
+    return restrictedLatex;
+  }
+
+  const piecewiseLatex = convertPiecewiseToLatex(trimmed);
+  if (piecewiseLatex) {
+    writeCache(displayLatexCache, expression, piecewiseLatex);
+    return piecewiseLatex;
+  }
+
+  if (splitTopLevelTuple(trimmed)) {
+    const tupleLatex = convertTupleToLatex(trimmed) || expression;
+    writeCache(displayLatexCache, expression, tupleLatex);
+    return tupleLatex;
+  }
+
   const relation = findTopLevelRelation(trimmed);
 
   if (relation) {
     const lhs = trimmed.slice(0, relation.index);
     const rhs = trimmed.slice(relation.index + relation.length);
     const lhsLatex = convertSideToLatex(lhs);
-    const rhsLatex = convertSideToLatex(rhs);
+    // Named points such as A = (1, 2) have a tuple on the right
+    const rhsLatex = convertSideToLatex(rhs) || convertTupleToLatex(rhs);
 
     if (!lhsLatex || !rhsLatex) {
       writeCache(displayLatexCache, expression, expression);
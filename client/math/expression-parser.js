@@ -1,4 +1,9 @@
 import * as math from 'mathjs';
+import { splitTopLevelTuple } from './tuple-utils.js';
+import { splitPiecewiseDefinition, parsePiecewiseBody } from './piecewise-utils.js';
+
+// A named tuple such as "A = (1, 2)" or "P = (t, t^2)"
+const NAMED_TUPLE_PATTERN = /^([A-Za-z][A-Za-z0-9_]*)\s*=\s*(\([\s\S]*\))$/;
 
 /**
  * ExpressionParser - Wraps math.js for expression parsing and validation
@@ -319,13 +324,17 @@ export default class ExpressionParser {
   }
 
   /**
-   * Parse points syntax - detects points([[x,y], ...]) expressions
+   * Parse points syntax - detects points([[x,y], ...]) expressions, or
+   * points([X, Y]) where X and Y are list expressions, with an optional
+   * label such as points([[1, 2]], "A") or one label per point. A named
+   * point such as A = (1, 2) is one point labeled with its name.
    * Returns point coordinate expressions when detected.
    * @param {string} expression - Expression string to check
    * @returns {{
    *   isPoints: boolean,
    *   isMalformed: boolean,
    *   points: string[][],
+   *   labels?: string[]|null,
    *   error: string|null
    * }}
    */
@@ -337,6 +346,24 @@ export default class ExpressionParser {
     const trimmed = expression.trim();
     const pointsCallPattern = /^points\s*\(/;
 
+    const namedPoint = trimmed.match(NAMED_TUPLE_PATTERN);
+    const coordinates = namedPoint ? splitTopLevelTuple(namedPoint[2]) : null;
+    // A named tuple in t, such as P = (t, t^2), is a parametric curve
+    if (coordinates?.length === 2 && namedPoint[1] !== 'x' && namedPoint[1] !== 'y' &&
+      !coordinates.some(coordinate => this.getAllSymbols(coordinate).includes('t'))) {
+      try {
+        return {
+          isPoints: true,
+          isMalformed: false,
+          points: [coordinates.map(coordinate => math.parse(coordinate).toString())],
+          labels: [namedPoint[1]],
+          error: null
+        };
+      } catch (error) {
+        return { isPoints: true, isMalformed: true, points: [], error: 'Invalid points syntax' };
+      }
+    }
+
     try {
       const node = math.parse(trimmed);
 
@@ -346,12 +373,22 @@ export default class ExpressionParser {
         return { isPoints: false, isMalformed: false, points: [], error: null };
       }
 
-      if (!Array.isArray(node.args) || node.args.length !== 1) {
+      if (!Array.isArray(node.args) || node.args.length < 1 || node.args.length > 2) {
         return {
           isPoints: true,
           isMalformed: true,
           points: [],
-          error: 'points() expects exactly one argument'
+          error: 'points() expects an array of [x, y] pairs and an optional label'
+        };
+      }
+
+      const labels = node.args.length === 2 ? this._toLabels(node.args[1]) : null;
+      if (node.args.length === 2 && !labels) {
+        return {
+          isPoints: true,
+          isMalformed: true,
+          points: [],
+          error: 'points() labels must be text such as "A" or ["A", "B"]'
         };
       }
 
@@ -365,6 +402,25 @@ export default class ExpressionParser {
         };
       }
 
+      // points([L, L^2]): one pair of list expressions, broadcast when plotted
+      if (this._isListPair(container)) {
+        if (labels && labels.length !== 1) {
+          return {
+            isPoints: true,
+            isMalformed: true,
+            points: [],
+            error: 'points() expects one label per point'
+          };
+        }
+        return {
+          isPoints: true,
+          isMalformed: false,
+          points: [container.items.map(item => item.toString())],
+          labels,
+          error: null
+        };
+      }
+
       const points = [];
       for (const item of container.items) {
         if (item?.type !== 'ArrayNode' || !Array.isArray(item.items) || item.items.length !== 2) {
@@ -388,7 +444,17 @@ export default class ExpressionParser {
         };
       }
 
-      return { isPoints: true, isMalformed: false, points, error: null };
+      // One label names every point; a list of labels names them in order
+      if (labels && labels.length !== 1 && labels.length !== points.length) {
+        return {
+          isPoints: true,
+          isMalformed: true,
+          points: [],
+          error: 'points() expects one label per point'
+        };
+      }
+
+      return { isPoints: true, isMalformed: false, points, labels, error: null };
     } catch (error) {
       if (pointsCallPattern.test(trimmed)) {
         return {
@@ -512,6 +578,368 @@ export default class ExpressionParser {
     }
   }
 
+  /**
+   * Parse geometry shape syntax - detects segment([x1, y1], [x2, y2]),
+   * ray([x1, y1], [x2, y2]), circle([h, k], r) and polygon([[x, y], ...])
+   * Returns the shape's vertex coordinate expressions (the center for a
+   * circle) and its radius expression when detected.
+   * @param {string} expression - Expression string to check
+   * @returns {{
+   *   isShape: boolean,
+   *   isMalformed: boolean,
+   *   shape: 'segment'|'ray'|'circle'|'polygon'|null,
+   *   points: string[][],
+   *   radius: string|null,
+   *   error: string|null
+   * }}
+   */
+  parseShapeSyntax(expression) {
+    const notShape = {
+      isShape: false,
+      isMalformed: false,
+      shape: null,
+      points: [],
+      radius: null,
+      error: null
+    };
+    if (!expression || typeof expression !== 'string') {
+      return notShape;
+    }
+
+    const trimmed = expression.trim();
+    const shapeCallPattern = /^(segment|ray|circle|polygon)\s*\(/;
+    const shapeErrors = {
+      segment: 'segment() expects two [x, y] points',
+      ray: 'ray() expects a start point [x, y] and a point [x, y] it passes through',
+      circle: 'circle() expects a center [h, k] and a radius',
+      polygon: 'polygon() expects an array of at least three [x, y] points'
+    };
+
+    const toPair = (node) => {
+      if (node?.type !== 'ArrayNode' || !Array.isArray(node.items) || node.items.length !== 2) {
+        return null;
+      }
+      return [node.items[0].toString(), node.items[1].toString()];
+    };
+
+    try {
+      const node = math.parse(trimmed);
+
+      if (node.type !== 'FunctionNode' ||
+        node.fn?.type !== 'SymbolNode' ||
+        !Object.keys(shapeErrors).includes(node.fn.name)) {
+        return notShape;
+      }
+
+      const shape = node.fn.name;
+      const args = Array.isArray(node.args) ? node.args : [];
+      const malformed = {
+        isShape: true,
+        isMalformed: true,
+        shape,
+        points: [],
+        radius: null,
+        error: shapeErrors[shape]
+      };
+
+      let points = null;
+      let radius = null;
+      if (shape === 'segment' || shape === 'ray') {
+        points = args.length === 2 ? args.map(toPair) : null;
+      } else if (shape === 'circle') {
+        const center = args.length === 2 ? toPair(args[0]) : null;
+        const isScalar = args.length === 2 && args[1].type !== 'ArrayNode';
+        points = center && isScalar ? [center] : null;
+        radius = isScalar ? args[1].toString() : null;
+      } else if (args.length === 1 && args[0].type === 'ArrayNode') {
+        points = args[0].items.map(toPair);
+        if (points.length < 3) {
+          points = null;
+        }
+      }
+
+      if (!points || points.some(point => !point)) {
+        return malformed;
+      }
+
+      return { isShape: true, isMalformed: false, shape, points, radius, error: null };
+    } catch (error) {
+      const match = trimmed.match(shapeCallPattern);
+      if (match) {
+        return {
+          isShape: true,
+          isMalformed: true,
+          shape: match[1],
+          points: [],
+          radius: null,
+          error: 'Invalid shape syntax'
+        };
+      }
+      return notShape;
+    }
+  }
+
+  /**
+   * Parse integral syntax - detects integral(f(x), a, b) definite integrals
+   * Returns the integrand and bound expressions when detected.
+   * @param {string} expression - Expression string to check
+   * @returns {{
+   *   isIntegral: boolean,
+   *   isMalformed: boolean,
+   *   integrand: string|null,
+   *   lower: string|null,
+   *   upper: string|null,
+   *   error: string|null
+   * }}
+   */
+  parseIntegralSyntax(expression) {
+    const notIntegral = {
+      isIntegral: false,
+      isMalformed: false,
+      integrand: null,
+      lower: null,
+      upper: null,
+      error: null
+    };
+
+    if (!expression || typeof expression !== 'string') {
+      return notIntegral;
+    }
+
+    const trimmed = expression.trim();
+    const integralCallPattern = /^integral\s*\(/;
+
+    try {
+      const node = math.parse(trimmed);
+
+      if (node.type !== 'FunctionNode' ||
+        node.fn?.type !== 'SymbolNode' ||
+        node.fn.name !== 'integral') {
+        return notIntegral;
+      }
+
+      if (!Array.isArray(node.args) || node.args.length !== 3) {
+        return {
+          ...notIntegral,
+          isIntegral: true,
+          isMalformed: true,
+          error: 'integral() expects a function of x and two bounds'
+        };
+      }
+
+      const [integrand, lower, upper] = node.args.map(arg => arg.toString());
+      return {
+        isIntegral: true,
+        isMalformed: false,
+        integrand,
+        lower,
+        upper,
+        error: null
+      };
+    } catch (error) {
+      if (integralCallPattern.test(trimmed)) {
+        return {
+          ...notIntegral,
+          isIntegral: true,
+          isMalformed: true,
+          error: 'Invalid integral syntax'
+        };
+      }
+      return notIntegral;
+    }
+  }
+
+  /**
+   * Parse parametric syntax - detects (x(t), y(t)) tuples and
+   * parametric(x(t), y(t), tMin?, tMax?) calls.
+   * A bare tuple only counts as parametric when one of its components uses t.
+   * @param {string} expression - Expression string to check
+   * @returns {{
+   *   isParametric: boolean,
+   *   isMalformed: boolean,
+   *   x: string|null,
+   *   y: string|null,
+   *   range: string[]|null,
+   *   error: string|null
+   * }}
+   */
+  parseParametricSyntax(expression) {
+    const notParametric = {
+      isParametric: false,
+      isMalformed: false,
+      x: null,
+      y: null,
+      range: null,
+      error: null
+    };
+
+    if (!expression || typeof expression !== 'string') {
+      return notParametric;
+    }
+
+    const trimmed = expression.trim();
+    const parametricCallPattern = /^parametric\s*\(/;
+
+    if (parametricCallPattern.test(trimmed)) {
+      try {
+        const node = math.parse(trimmed);
+
+        if (node.type !== 'FunctionNode' ||
+          node.fn?.type !== 'SymbolNode' ||
+          node.fn.name !== 'parametric') {
+          return notParametric;
+        }
+
+        if (!Array.isArray(node.args) || (node.args.length !== 2 && node.args.length !== 4)) {
+          return {
+            ...notParametric,
+            isParametric: true,
+            isMalformed: true,
+            error: 'parametric() expects x(t), y(t) and optional tMin, tMax'
+          };
+        }
+
+        const [xNode, yNode, minNode, maxNode] = node.args;
+        return {
+          isParametric: true,
+          isMalformed: false,
+          x: xNode.toString(),
+          y: yNode.toString(),
+          range: minNode && maxNode ? [minNode.toString(), maxNode.toString()] : null,
+          error: null
+        };
+      } catch (error) {
+        return {
+          ...notParametric,
+          isParametric: true,
+          isMalformed: true,
+          error: 'Invalid parametric syntax'
+        };
+      }
+    }
+
+    // The curve may be named, as in P = (t, t^2)
+    const named = trimmed.match(NAMED_TUPLE_PATTERN);
+    const tuple = named && named[1] !== 'x' && named[1] !== 'y' ? named[2] : trimmed;
+    const components = splitTopLevelTuple(tuple);
+    if (!components || components.length !== 2) {
+      return notParametric;
+    }
+
+    try {
+      const xNode = math.parse(components[0]);
+      const yNode = math.parse(components[1]);
+      const usesT = [xNode, yNode].some(node => this._extractVariables(node).includes('t'));
+
+      if (!usesT) {
+        return notParametric;
+      }
+
+      return {
+        isParametric: true,
+        isMalformed: false,
+        x: xNode.toString(),
+        y: yNode.toString(),
+        range: null,
+        error: null
+      };
+    } catch (error) {
+      return notParametric;
+    }
+  }
+
+  /**
+   * Parse piecewise syntax - detects {cond: value, ...}, piecewise(...) and
+   * cond ? value : other bodies, optionally behind a "y =" or "f(x) =" prefix.
+   * @param {string} expression - Expression string to check
+   * @returns {{
+   *   isPiecewise: boolean,
+   *   isMalformed: boolean,
+   *   branches: Array<{condition: string, value: string}>|null,
+   *   otherwise: string|null,
+   *   error: string|null
+   * }}
+   */
+  parsePiecewiseSyntax(expression) {
+    const notPiecewise = {
+      isPiecewise: false,
+      isMalformed: false,
+      branches: null,
+      otherwise: null,
+      error: null
+    };
+
+    if (!expression || typeof expression !== 'string') {
+      return notPiecewise;
+    }
+
+    const { body } = splitPiecewiseDefinition(expression);
+    const parsed = parsePiecewiseBody(body);
+    if (!parsed) {
+      return notPiecewise;
+    }
+
+    if (parsed.error) {
+      return {
+        ...notPiecewise,
+        isPiecewise: true,
+        isMalformed: true,
+        error: parsed.error
+      };
+    }
+
+    return {
+      isPiecewise: true,
+      isMalformed: false,
+      branches: parsed.branches,
+      otherwise: parsed.otherwise,
+      error: null
+    };
+  }
+
+  /**
+   * Read a points() label argument: "A" or ["A", "B"]
+   * @param {Object} node - math.js node
+   * @returns {string[]|null} Labels, or null when the argument is not text
+   * @private
+   */
+  _toLabels(node) {
+    const isText = item => item?.type === 'ConstantNode' && typeof item.value === 'string';
+    if (isText(node)) {
+      return [node.value];
+    }
+    if (node?.type === 'ArrayNode' && node.items.length > 0 && node.items.every(isText)) {
+      return node.items.map(item => item.value);
+    }
+    return null;
+  }
+
+  /**
+   * Check whether an array node is a flat [x, y] pair that references
+   * parameters, such as [L, L^2]. Purely numeric pairs like [1, 2] are not,
+   * so points([1, 2]) stays malformed.
+   * @param {Object} node - math.js ArrayNode
+   * @returns {boolean}
+   * @private
+   */
+  _isListPair(node) {
+    if (node.items.length !== 2 || node.items.some(item => item.type === 'ArrayNode')) {
+      return false;
+    }
+    return node.items.some(item => this._extractVariables(item).length > 0);
+  }
+
+  /**
+   * Check whether a name is a built-in function supported in expressions:
+   * the app's own functions such as points, and every math.js function
+   * such as sec, cbrt or gcd
+   * @param {string} name - Function name
+   * @returns {boolean} True for built-in functions
+   */
+  isBuiltInFunction(name) {
+    return this._getFunctions().includes(name) || typeof math[name] === 'function';
+  }
+
   /**
    * Get list of constant names that should be excluded from variable detection
    * @private
@@ -532,7 +960,9 @@ export default class ExpressionParser {
       'sinh', 'cosh', 'tanh',
       'sqrt', 'abs', 'exp', 'log', 'log10', 'ln',
       'floor', 'ceil', 'round', 'sign',
-      'min', 'max', 'pow', 'points', 'vector'
+      'min', 'max', 'pow', 'points', 'vector', 'segment', 'ray', 'circle', 'polygon',
+      'parametric', 'piecewise', 'integral',
+      'derivative', 'sum', 'prod', 'mean', 'median', 'std', 'variance', 'count'
     ];
   }
 
@@ -546,6 +976,11 @@ export default class ExpressionParser {
     const functions = this._getFunctions();
 
     node.traverse((node, path, parent) => {
+      // Called names are functions, never parameters (e.g. f in f(x + 1))
+      if (parent?.type === 'FunctionNode' && path === 'fn') {
+        return;
+      }
+
       if (node.type === 'SymbolNode') {
         // Exclude constants and function names
         if (!constants.includes(node.name) && !functions.includes(node.name)) {
@@ -0,0 +1,292 @@
+import * as math from 'mathjs';
+import { normalizeDerivativeNotation, expandDerivatives } from './derivative.js';
+import { expandSeries } from './sequence.js';
+import { findClosingParen, splitArguments } from './parse-utils.js';
+
+const DEFINITION_PATTERN = /^([A-Za-z_][A-Za-z0-9_]*)\s*\(([^()]*)\)\s*=(?!=)([\s\S]+)$/;
+const CALL_PATTERN = /[A-Za-z_][A-Za-z0-9_]*(?=\s*\()/g;
+
+const RESERVED_NAMES = ['x', 'y'];
+
+// Word operators that math.js accepts before a parenthesis, e.g. "a and (b)"
+const OPERATOR_KEYWORDS = ['and', 'or', 'xor', 'not', 'mod', 'to', 'in'];
+
+const argumentCountMessage = (name, count) => (
+  `${name}() expects ${count} argument${count === 1 ? '' : 's'}`
+);
+
+/**
+ * List every name(...) call in an expression, in order of appearance.
+ * Works on raw row text, so it also sees calls inside piecewise braces
+ * and restrictions that math.js cannot parse.
+ *
+ * @param {string} expression - Expression text
+ * @returns {Array<{name: string, start: number, open: number}>}
+ */
+export const findFunctionCalls = (expression) => {
+  const calls = [];
+  if (typeof expression !== 'string') {
+    return calls;
+  }
+
+  for (const match of expression.matchAll(CALL_PATTERN)) {
+    const before = expression[match.index - 1];
+    // Skip property access such as obj.f(...)
+    if (before && /[A-Za-z_.]/.test(before)) {
+      continue;
+    }
+    // A name after a digit is implicit multiplication, as in 2f(x), unless
+    // it is the exponent of a number such as 1e3(...)
+    if (before && /[0-9]/.test(before) && /^[eE][0-9]*$/.test(match[0])) {
+      continue;
+    }
+    if (OPERATOR_KEYWORDS.includes(match[0])) {
+      continue;
+    }
+    calls.push({
+      name: match[0],
+      start: match.index,
+      open: expression.indexOf('(', match.index + match[0].length)
+    });
+  }
+
+  return calls;
+};
+
+/**
+ * Split a "name(params) = body" row into its parts, or return null.
+ *
+ * @param {string} expression - Row expression
+ * @returns {{name: string, params: string[], lhs: string, body: string}|null}
+ */
+export const splitFunctionDefinition = (expression) => {
+  const trimmed = typeof expression === 'string' ? expression.trim() : '';
+  const match = trimmed.match(DEFINITION_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const params = splitArguments(match[2]);
+  if (params.length === 0 || !params.every(param => /^[A-Za-z_][A-Za-z0-9_]*$/.test(param))) {
+    return null;
+  }
+
+  return {
+    name: match[1],
+    params,
+    lhs: trimmed.slice(0, trimmed.length - match[3].length).trim(),
+    body: match[3].trim()
+  };
+};
+
+const substituteParams = (body, params, args) => {
+  const replacements = new Map(
+    params.map((param, index) => [param, math.parse(args[index])])
+  );
+
+  return math.parse(body).transform(node => (
+    node.type === 'SymbolNode' && replacements.has(node.name)
+      ? replacements.get(node.name)
+      : node
+  )).toString();
+};
+
+/**
+ * Replace calls to table functions with their inlined bodies.
+ * Returns the expanded text or the first error encountered.
+ */
+const expandCalls = (expression, table) => {
+  const calls = findFunctionCalls(expression);
+  let result = '';
+  let cursor = 0;
+
+  for (const call of calls) {
+    if (call.start < cursor || !table.definitions.has(call.name)) {
+      continue;
+    }
+
+    if (table.errors.has(call.name)) {
+      return { expression: null, error: table.errors.get(call.name) };
+    }
+
+    const close = findClosingParen(expression, call.open);
+    if (close === -1) {
+      return { expression: null, error: null };
+    }
+
+    const definition = table.definitions.get(call.name);
+    const args = splitArguments(expression.slice(call.open + 1, close));
+    if (args.length !== definition.params.length) {
+      return {
+        expression: null,
+        error: argumentCountMessage(call.name, definition.params.length)
+      };
+    }
+
+    const expandedArgs = [];
+    for (const arg of args) {
+      const expanded = expandCalls(arg, table);
+      if (expanded.expression === null) {
+        return expanded;
+      }
+      expandedArgs.push(expanded.expression);
+    }
+
+    let inlined;
+    try {
+      inlined = substituteParams(definition.expandedBody, definition.params, expandedArgs);
+    } catch (error) {
+      return { expression: null, error: null };
+    }
+
+    result += `${expression.slice(cursor, call.start)}(${inlined})`;
+    cursor = close + 1;
+  }
+
+  return { expression: result + expression.slice(cursor), error: null };
+};
+
+/**
+ * Walk the call graph from name and return the first cycle found as a
+ * list of names ending where it started, or null.
+ */
+const findCycle = (name, dependencies, path = []) => {
+  const seenAt = path.indexOf(name);
+  if (seenAt !== -1) {
+    return [...path.slice(seenAt), name];
+  }
+
+  for (const dependency of dependencies.get(name) || []) {
+    const cycle = findCycle(dependency, dependencies, [...path, name]);
+    if (cycle) {
+      return cycle;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Build the table of user-defined functions from every "f(x) = ..." row.
+ * Names defined twice and names on a definition cycle are kept with an
+ * error so callers can report it.
+ *
+ * @param {Array<{expression: string}>} functions - Rows from state
+ * @param {ExpressionParser} parser - Parser used to validate bodies
+ * @returns {{
+ *   definitions: Map<string, {params: string[], body: string, expandedBody: string|null}>,
+ *   errors: Map<string, string>
+ * }}
+ */
+export const buildFunctionTable = (functions, parser) => {
+  const definitions = new Map();
+  const errors = new Map();
+
+  (functions || []).forEach(func => {
+    const expression = normalizeDerivativeNotation(func?.expression);
+    const definition = splitFunctionDefinition(expression);
+    if (!definition || RESERVED_NAMES.includes(definition.name)) {
+      return;
+    }
+
+    // Only f(x) rows are valid definitions, matching the line classifier
+    const parsed = parser.parseFunctionDefinitionSyntax(expression);
+    if (!parsed.isFunctionDef || parsed.body === null ||
+      parsed.params.length !== 1 || parsed.params[0] !== 'x') {
+      return;
+    }
+
+    if (definitions.has(definition.name)) {
+      errors.set(definition.name, `Function ${definition.name} is defined more than once`);
+      return;
+    }
+
+    definitions.set(definition.name, {
+      params: parsed.params,
+      body: parsed.body,
+      expandedBody: null
+    });
+  });
+
+  const dependencies = new Map();
+  definitions.forEach((definition, name) => {
+    dependencies.set(name, findFunctionCalls(definition.body)
+      .map(call => call.name)
+      .filter(callee => definitions.has(callee)));
+  });
+
+  definitions.forEach((definition, name) => {
+    if (errors.has(name)) return;
+    const cycle = findCycle(name, dependencies);
+    if (cycle) {
+      cycle.forEach(member => {
+        if (!errors.has(member)) {
+          errors.set(member, `Circular function definition: ${cycle.join(' -> ')}`);
+        }
+      });
+    }
+  });
+
+  const table = { definitions, errors };
+
+  // Expand bodies in dependency order; the cycle check above guarantees
+  // this terminates for every name without an error.
+  const expandBody = (name) => {
+    const definition = definitions.get(name);
+    if (definition.expandedBody !== null || errors.has(name)) {
+      return;
+    }
+    dependencies.get(name).forEach(expandBody);
+    const expanded = expandCalls(definition.body, table);
+    if (expanded.expression === null) {
+      errors.set(name, expanded.error || `Invalid definition of ${name}`);
+      return;
+    }
+    const series = expandSeries(expanded.expression);
+    if (series.error) {
+      errors.set(name, series.error);
+      return;
+    }
+    // Derivatives such as f'(x) in the body need the inlined callee
+    const differentiated = expandDerivatives(series.expression);
+    if (differentiated.error) {
+      errors.set(name, differentiated.error);
+      return;
+    }
+    definition.expandedBody = differentiated.expression;
+  };
+  definitions.forEach((_, name) => expandBody(name));
+
+  return table;
+};
+
+/**
+ * Inline calls to user-defined functions in a row expression. The
+ * left-hand side of a definition row ("g(x) =") is kept as written.
+ *
+ * @param {string} expression - Row expression
+ * @param {{definitions: Map, errors: Map}} table - Table from buildFunctionTable
+ * @returns {{expression: string|null, error: string|null}}
+ */
+export const resolveFunctionCalls = (expression, table) => {
+  const trimmed = typeof expression === 'string' ? expression.trim() : '';
+  if (!table || table.definitions.size === 0) {
+    return { expression: trimmed, error: null };
+  }
+
+  const definition = splitFunctionDefinition(trimmed);
+  if (definition && table.errors.has(definition.name)) {
+    return { expression: null, error: table.errors.get(definition.name) };
+  }
+
+  const source = definition ? definition.body : trimmed;
+  const expanded = expandCalls(source, table);
+  if (expanded.expression === null) {
+    return expanded;
+  }
+
+  return {
+    expression: definition ? `${definition.lhs} ${expanded.expression}` : expanded.expression,
+    error: null
+  };
+};
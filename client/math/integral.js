@@ -0,0 +1,113 @@
+import * as math from 'mathjs';
+import { evaluateWithLists } from './list-utils.js';
+
+const MAX_DEPTH = 14;
+const TOLERANCE = 1e-10;
+
+/**
+ * Rewrite the ∫ sign as the integral function, so "∫(x^2, 0, 1)" and
+ * "integral(x^2, 0, 1)" classify and render the same way.
+ *
+ * @param {string} expression - Row expression
+ * @returns {string}
+ */
+export const normalizeIntegralSymbol = (expression) => (
+  typeof expression === 'string' ? expression.replace(/∫\s*/g, 'integral') : expression
+);
+
+/**
+ * Compile an integrand in x into a function returning a finite number or NaN.
+ */
+const compileIntegrand = (integrand, scope) => {
+  try {
+    const compiled = math.parse(integrand).compile();
+    const evalScope = { ...scope, x: 0 };
+    return (x) => {
+      evalScope.x = x;
+      try {
+        const value = compiled.evaluate(evalScope);
+        return typeof value === 'number' && Number.isFinite(value) ? value : NaN;
+      } catch (error) {
+        return NaN;
+      }
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+const simpson = (fa, fm, fb, a, b) => ((b - a) / 6) * (fa + 4 * fm + fb);
+
+/**
+ * Adaptive Simpson's rule: split an interval in half until both halves agree
+ * with the whole to within the tolerance.
+ */
+const adaptiveSimpson = (fn, a, b, fa, fm, fb, whole, tolerance, depth) => {
+  const m = (a + b) / 2;
+  const leftMid = (a + m) / 2;
+  const rightMid = (m + b) / 2;
+  const fLeftMid = fn(leftMid);
+  const fRightMid = fn(rightMid);
+  const left = simpson(fa, fLeftMid, fm, a, m);
+  const right = simpson(fm, fRightMid, fb, m, b);
+  const difference = left + right - whole;
+
+  if (depth <= 0 || Math.abs(difference) <= 15 * tolerance) {
+    return left + right + difference / 15;
+  }
+
+  return adaptiveSimpson(fn, a, m, fa, fLeftMid, fm, left, tolerance / 2, depth - 1) +
+    adaptiveSimpson(fn, m, b, fm, fRightMid, fb, right, tolerance / 2, depth - 1);
+};
+
+/**
+ * Numerically integrate f(x) from lower to upper. Swapped bounds give the
+ * negated area, as in the definite integral.
+ *
+ * @param {string} integrand - Expression in x, e.g. "x^2 - a"
+ * @param {number} lower - Lower bound
+ * @param {number} upper - Upper bound
+ * @param {Object} scope - Parameter values
+ * @returns {number|null} Signed area, or null when f is undefined on the interval
+ */
+export const computeDefiniteIntegral = (integrand, lower, upper, scope = {}) => {
+  if (!Number.isFinite(lower) || !Number.isFinite(upper)) {
+    return null;
+  }
+  if (lower === upper) {
+    return 0;
+  }
+
+  const fn = compileIntegrand(integrand, scope);
+  if (!fn) {
+    return null;
+  }
+
+  const [a, b] = lower < upper ? [lower, upper] : [upper, lower];
+  const fa = fn(a);
+  const fm = fn((a + b) / 2);
+  const fb = fn(b);
+  const area = adaptiveSimpson(fn, a, b, fa, fm, fb, simpson(fa, fm, fb, a, b), TOLERANCE, MAX_DEPTH);
+
+  if (!Number.isFinite(area)) {
+    return null;
+  }
+  return lower < upper ? area : -area;
+};
+
+/**
+ * Evaluate an integral row's bounds and compute its signed area.
+ *
+ * @param {{integrand: string, lower: string, upper: string}} integral - Classifier plotData
+ * @param {Object} scope - Parameter values
+ * @returns {number|null}
+ */
+export const evaluateIntegral = ({ integrand, lower, upper }, scope = {}) => {
+  const lowerValue = evaluateWithLists(lower, scope);
+  const upperValue = evaluateWithLists(upper, scope);
+  if (typeof lowerValue !== 'number' || typeof upperValue !== 'number') {
+    return null;
+  }
+
+  return computeDefiniteIntegral(integrand, lowerValue, upperValue, scope);
+};
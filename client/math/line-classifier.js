@@ -1,4 +1,15 @@
 import * as math from 'mathjs';
+import { splitTrailingRestrictions, parseRestriction } from './restriction-utils.js';
+import {
+  findFunctionCalls,
+  splitFunctionDefinition,
+  resolveFunctionCalls
+} from './function-table.js';
+import { toListValue } from './list-utils.js';
+import { splitRegression } from './regression.js';
+import { normalizeIntegralSymbol } from './integral.js';
+import { normalizeDerivativeNotation, expandDerivatives } from './derivative.js';
+import { expandSeries, splitSequenceDefinition, findRecurrenceDepth } from './sequence.js';
 
 const CACHE_LIMIT = 200;
 const cache = new Map();
@@ -10,23 +21,48 @@ const ERROR_MESSAGES = {
   syntax: 'Syntax error',
   invalidPointsSyntax: 'Invalid points syntax',
   invalidVectorSyntax: 'Invalid vector syntax',
+  invalidShapeSyntax: 'Invalid shape syntax',
+  nonPositiveRadius: 'Circle radius must be greater than 0',
   coordinateAxesNotAllowed: 'Coordinates cannot include x or y',
-  chainedInequality: 'Chained inequalities are not supported',
-  inequalityMissingAxis: 'Inequality must include x or y'
+  chainedInequality: 'Chained inequalities must point the same way, as in f(x) <= y <= g(x)',
+  inequalityMissingAxis: 'Inequality must include x or y',
+  polarAxesNotAllowed: 'Polar curves cannot include x or y',
+  invalidParametricSyntax: 'Invalid parametric syntax',
+  parametricAxesNotAllowed: 'Parametric components cannot include x or y',
+  parametricRangeUsesT: 'Parametric range cannot include t',
+  invalidPiecewiseSyntax: 'Invalid piecewise syntax',
+  piecewiseUsesY: 'Piecewise branches cannot include y',
+  invalidRestriction: 'Restriction must be a comparison such as {x > 0}',
+  restrictionNotSupported: 'Restrictions are not supported for this graph type',
+  invalidRegression: 'Regression must look like y1 ~ m*x1 + b',
+  regressionAxesNotAllowed: 'Regressions use lists such as x1, not x or y',
+  invalidIntegralSyntax: 'Invalid integral syntax',
+  integralUsesY: 'Integrals cannot include y',
+  integralBoundsUseX: 'Integral bounds cannot include x',
+  nestedIntegral: 'Integrals must be a whole row such as integral(f(x), a, b)',
+  sequenceAxesNotAllowed: 'Sequences use an index such as n, not x or y'
 };
 
+const unknownFunctionMessage = (name) => `Unknown function: ${name}`;
+
+const RESTRICTABLE_GRAPH_MODES = ['explicit', 'implicit', 'inequality', 'piecewise'];
+
 const clonePlotData = (plotData) => {
   if (!plotData || typeof plotData !== 'object') {
     return null;
   }
 
   if (plotData.type === 'points' && Array.isArray(plotData.points)) {
-    return {
+    const points = {
       type: 'points',
       points: plotData.points
         .filter(point => Array.isArray(point) && point.length === 2)
         .map(point => [point[0], point[1]])
     };
+    if (Array.isArray(plotData.labels)) {
+      points.labels = [...plotData.labels];
+    }
+    return points;
   }
 
   if (plotData.type === 'vector' && Array.isArray(plotData.vector)) {
@@ -48,6 +84,69 @@ const clonePlotData = (plotData) => {
     };
   }
 
+  if (plotData.type === 'shape' && Array.isArray(plotData.points)) {
+    return {
+      type: 'shape',
+      shape: plotData.shape,
+      points: plotData.points.map(point => [point[0], point[1]]),
+      radius: plotData.radius
+    };
+  }
+
+  if (plotData.type === 'parametric') {
+    if (typeof plotData.x !== 'string' || typeof plotData.y !== 'string') {
+      return null;
+    }
+
+    const range = Array.isArray(plotData.range) && plotData.range.length === 2
+      ? [plotData.range[0], plotData.range[1]]
+      : null;
+
+    return {
+      type: 'parametric',
+      x: plotData.x,
+      y: plotData.y,
+      range
+    };
+  }
+
+  if (plotData.type === 'integral') {
+    return {
+      type: 'integral',
+      integrand: plotData.integrand,
+      lower: plotData.lower,
+      upper: plotData.upper
+    };
+  }
+
+  if (plotData.type === 'sequence') {
+    return {
+      type: 'sequence',
+      name: plotData.name,
+      index: plotData.index,
+      body: plotData.body
+    };
+  }
+
+  if (plotData.type === 'regression') {
+    return {
+      type: 'regression',
+      lhs: plotData.lhs,
+      model: plotData.model
+    };
+  }
+
+  if (plotData.type === 'piecewise' && Array.isArray(plotData.branches)) {
+    return {
+      type: 'piecewise',
+      branches: plotData.branches.map(branch => ({
+        condition: branch.condition,
+        value: branch.value
+      })),
+      otherwise: typeof plotData.otherwise === 'string' ? plotData.otherwise : null
+    };
+  }
+
   if (plotData.type === 'inequality') {
     const {
       operator,
@@ -67,15 +166,22 @@ const clonePlotData = (plotData) => {
       return null;
     }
 
-    return {
+    const cloneComparison = (comparison) => ({
+      operator: comparison.operator,
+      lhs: comparison.lhs,
+      rhs: comparison.rhs,
+      boundaryExpression: comparison.boundaryExpression,
+      strict: comparison.strict === true,
+      satisfiesPositive: comparison.satisfiesPositive === true
+    });
+    const cloned = {
       type: 'inequality',
-      operator,
-      lhs,
-      rhs,
-      boundaryExpression,
-      strict: strict === true,
-      satisfiesPositive: satisfiesPositive === true
+      ...cloneComparison({ operator, lhs, rhs, boundaryExpression, strict, satisfiesPositive })
     };
+    if (Array.isArray(plotData.comparisons)) {
+      cloned.comparisons = plotData.comparisons.map(cloneComparison);
+    }
+    return cloned;
   }
 
   return null;
@@ -85,13 +191,17 @@ const cloneResult = (result) => ({
   kind: result.kind,
   graphMode: result.graphMode ?? null,
   paramName: result.paramName ?? null,
-  value: result.value ?? null,
+  value: Array.isArray(result.value) ? [...result.value] : result.value ?? null,
   error: result.error ?? null,
   usedVariables: Array.isArray(result.usedVariables)
     ? [...result.usedVariables]
     : [],
   plotExpression: result.plotExpression ?? null,
-  plotData: clonePlotData(result.plotData)
+  valueExpression: result.valueExpression ?? null,
+  plotData: clonePlotData(result.plotData),
+  restrictions: Array.isArray(result.restrictions)
+    ? result.restrictions.map(restriction => ({ ...restriction }))
+    : []
 });
 
 const cacheResult = (key, result) => {
@@ -125,6 +235,18 @@ const buildImplicitVariableList = (usedSymbols) => {
   return Array.from(variables);
 };
 
+const buildPolarVariableList = (usedSymbols) => {
+  const variables = new Set(['theta']);
+  usedSymbols.forEach(symbol => variables.add(symbol));
+  return Array.from(variables);
+};
+
+const buildParametricVariableList = (usedSymbols) => {
+  const variables = new Set(['t']);
+  usedSymbols.forEach(symbol => variables.add(symbol));
+  return Array.from(variables);
+};
+
 const mapParseError = (errorMessage) => {
   if (!errorMessage) return ERROR_MESSAGES.syntax;
   const normalized = errorMessage.toLowerCase();
@@ -162,6 +284,27 @@ const validateCoordinateExpression = (coordinateExpression, parser) => {
   };
 };
 
+/**
+ * Check a circle radius. A radius without parameters must be a positive
+ * number; one with parameters is checked when the graph evaluates it.
+ */
+const validateRadius = (radiusExpression, parser) => {
+  const validated = validateCoordinateExpression(radiusExpression, parser);
+  if (!validated.isValid || validated.usedVariables.length > 0) {
+    return validated;
+  }
+
+  let radius;
+  try {
+    radius = math.evaluate(radiusExpression);
+  } catch (error) {
+    radius = NaN;
+  }
+  return typeof radius === 'number' && radius > 0
+    ? validated
+    : { isValid: false, usedVariables: [], error: ERROR_MESSAGES.nonPositiveRadius };
+};
+
 const validateCoordinatePairs = (pairs, parser) => {
   const usedVariables = new Set();
 
@@ -190,6 +333,133 @@ const validateCoordinatePairs = (pairs, parser) => {
   };
 };
 
+/**
+ * Validate integral(f(x), a, b): the integrand is a function of x and the
+ * bounds may use parameters but not x. x is the integration variable, so it
+ * is not reported in usedVariables.
+ */
+const validateIntegralSyntax = (integralSyntax, parser) => {
+  const usedVariables = new Set();
+
+  const integrandSymbols = parser.getAllSymbols(integralSyntax.integrand);
+  if (integrandSymbols.includes('y')) {
+    return { isValid: false, usedVariables: [], error: ERROR_MESSAGES.integralUsesY };
+  }
+  const parsedIntegrand = parser.parse(
+    integralSyntax.integrand,
+    buildVariableList(integrandSymbols)
+  );
+  if (!parsedIntegrand.isValid) {
+    return { isValid: false, usedVariables: [], error: mapParseError(parsedIntegrand.error) };
+  }
+  integrandSymbols.forEach(symbol => usedVariables.add(symbol));
+
+  for (const bound of [integralSyntax.lower, integralSyntax.upper]) {
+    const symbols = parser.getAllSymbols(bound);
+    if (symbols.includes('x') || symbols.includes('y')) {
+      return { isValid: false, usedVariables: [], error: ERROR_MESSAGES.integralBoundsUseX };
+    }
+    const parsed = parser.parse(bound, symbols);
+    if (!parsed.isValid) {
+      return { isValid: false, usedVariables: [], error: mapParseError(parsed.error) };
+    }
+    symbols.forEach(symbol => usedVariables.add(symbol));
+  }
+
+  usedVariables.delete('x');
+  return {
+    isValid: true,
+    usedVariables: Array.from(usedVariables).sort(),
+    error: null
+  };
+};
+
+const validateParametricSyntax = (parametricSyntax, parser) => {
+  const usedVariables = new Set(['t']);
+
+  for (const component of [parametricSyntax.x, parametricSyntax.y]) {
+    const symbols = parser.getAllSymbols(component);
+    if (symbols.includes('x') || symbols.includes('y')) {
+      return {
+        isValid: false,
+        usedVariables: [],
+        error: ERROR_MESSAGES.parametricAxesNotAllowed
+      };
+    }
+
+    const parsed = parser.parse(component, buildParametricVariableList(symbols));
+    if (!parsed.isValid) {
+      return {
+        isValid: false,
+        usedVariables: [],
+        error: mapParseError(parsed.error)
+      };
+    }
+    symbols.forEach(symbol => usedVariables.add(symbol));
+  }
+
+  for (const bound of parametricSyntax.range || []) {
+    if (parser.getAllSymbols(bound).includes('t')) {
+      return {
+        isValid: false,
+        usedVariables: [],
+        error: ERROR_MESSAGES.parametricRangeUsesT
+      };
+    }
+
+    const validated = validateCoordinateExpression(bound, parser);
+    if (!validated.isValid) {
+      return validated;
+    }
+    validated.usedVariables.forEach(symbol => usedVariables.add(symbol));
+  }
+
+  return {
+    isValid: true,
+    usedVariables: Array.from(usedVariables).sort(),
+    error: null
+  };
+};
+
+const validatePiecewiseSyntax = (piecewiseSyntax, parser) => {
+  const usedVariables = new Set();
+  const pieces = [];
+
+  piecewiseSyntax.branches.forEach(branch => {
+    pieces.push(branch.condition, branch.value);
+  });
+  if (piecewiseSyntax.otherwise) {
+    pieces.push(piecewiseSyntax.otherwise);
+  }
+
+  for (const piece of pieces) {
+    const symbols = parser.getAllSymbols(piece);
+    if (symbols.includes('y')) {
+      return {
+        isValid: false,
+        usedVariables: [],
+        error: ERROR_MESSAGES.piecewiseUsesY
+      };
+    }
+
+    const parsed = parser.parse(piece, buildVariableList(symbols));
+    if (!parsed.isValid) {
+      return {
+        isValid: false,
+        usedVariables: [],
+        error: mapParseError(parsed.error)
+      };
+    }
+    symbols.forEach(symbol => usedVariables.add(symbol));
+  }
+
+  return {
+    isValid: true,
+    usedVariables: Array.from(usedVariables).sort(),
+    error: null
+  };
+};
+
 const evaluateRHS = (rhsExpression, parser) => {
   if (!rhsExpression) {
     return { isValid: false, value: null };
@@ -202,12 +472,152 @@ const evaluateRHS = (rhsExpression, parser) => {
     if (isFinite(value) && !isNaN(value)) {
       return { isValid: true, value };
     }
+
+    // List literals such as [1, 2, 3]
+    const list = typeof value === 'object' ? toListValue(value) : null;
+    if (list && list.length > 0) {
+      return { isValid: true, value: list };
+    }
     return { isValid: false, value: null };
   } catch (error) {
     return { isValid: false, value: null };
   }
 };
 
+/**
+ * Classify "b = 2*a" as a derived parameter whose value depends on other
+ * parameters. Returns null when the right-hand side uses x or y, or is not
+ * a valid expression. The value is resolved later by analyzeParameters.
+ */
+const tryParseDerivedAssignment = (paramName, rhsExpression, parser) => {
+  const usedVariables = parser.getAllSymbols(rhsExpression);
+  if (usedVariables.length === 0 ||
+    usedVariables.includes('x') ||
+    usedVariables.includes('y')) {
+    return null;
+  }
+
+  const parsed = parser.parse(rhsExpression, usedVariables);
+  if (!parsed.isValid) {
+    return null;
+  }
+
+  return {
+    kind: 'assignment',
+    graphMode: null,
+    paramName,
+    value: null,
+    error: null,
+    usedVariables,
+    plotExpression: null,
+    valueExpression: rhsExpression
+  };
+};
+
+/**
+ * Classify "y1 ~ m*x1 + b" as a regression of list data. Which symbols are
+ * fitted depends on the other rows, so fitting happens in analyzeParameters.
+ */
+const tryParseRegression = (trimmed, parser) => {
+  const regression = splitRegression(trimmed);
+  if (!regression) {
+    return null;
+  }
+
+  const invalid = (error, usedVariables = []) => ({
+    kind: 'invalid',
+    graphMode: null,
+    error,
+    usedVariables,
+    plotExpression: null,
+    plotData: null
+  });
+
+  const { lhs, model } = regression;
+  if (!model || splitRegression(model) || model.startsWith('~')) {
+    return invalid(ERROR_MESSAGES.invalidRegression);
+  }
+
+  const usedVariables = Array.from(new Set([
+    ...parser.getAllSymbols(lhs),
+    ...parser.getAllSymbols(model)
+  ]));
+  if (usedVariables.includes('x') || usedVariables.includes('y')) {
+    return invalid(ERROR_MESSAGES.regressionAxesNotAllowed, usedVariables);
+  }
+
+  const isValid = [lhs, model].every(side => parser.parse(side, usedVariables).isValid);
+  if (!isValid) {
+    return invalid(ERROR_MESSAGES.syntax, usedVariables);
+  }
+
+  return {
+    kind: 'regression',
+    graphMode: null,
+    error: null,
+    usedVariables,
+    plotExpression: null,
+    plotData: { type: 'regression', lhs, model }
+  };
+};
+
+/**
+ * Classify "a_n = a_(n-1) + 2" as a sequence plotted as the points (n, a_n).
+ * Given terms such as "a_1 = 3" are ordinary parameter rows, read from the
+ * scope when the terms are computed.
+ */
+const tryParseSequence = (trimmed, parser) => {
+  const sequence = splitSequenceDefinition(trimmed);
+  if (!sequence) {
+    return null;
+  }
+
+  const invalid = (error, usedVariables = []) => ({
+    kind: 'invalid',
+    graphMode: null,
+    error,
+    usedVariables,
+    plotExpression: null,
+    plotData: null
+  });
+
+  const termName = `${sequence.name}_`;
+  const unknownCall = findFunctionCalls(sequence.body)
+    .find(call => call.name !== termName && !parser.isBuiltInFunction(call.name));
+  if (unknownCall) {
+    return invalid(unknownFunctionMessage(unknownCall.name));
+  }
+
+  const series = expandSeries(sequence.body);
+  if (series.error) {
+    return invalid(series.error);
+  }
+  const body = series.expression;
+
+  const recurrence = findRecurrenceDepth({ ...sequence, body });
+  if (recurrence.error) {
+    return invalid(recurrence.error);
+  }
+
+  const usedVariables = parser.getAllSymbols(body).filter(symbol => symbol !== sequence.index);
+  if (usedVariables.includes('x') || usedVariables.includes('y')) {
+    return invalid(ERROR_MESSAGES.sequenceAxesNotAllowed, usedVariables);
+  }
+
+  if (!parser.parse(body, [sequence.index, ...usedVariables]).isValid) {
+    return invalid(ERROR_MESSAGES.syntax, usedVariables);
+  }
+
+  return {
+    kind: 'graph',
+    graphMode: 'sequence',
+    error: null,
+    usedVariables,
+    plotExpression: null,
+    plotData: { type: 'sequence', name: sequence.name, index: sequence.index, body }
+  };
+};
+
 const detectTopLevelInequalityOperators = (expression) => {
   const operators = [];
   let parenDepth = 0;
@@ -246,6 +656,11 @@ const detectTopLevelInequalityOperators = (expression) => {
       continue;
     }
 
+    // A top-level "?" makes this a conditional expression, not an inequality
+    if (char === '?') {
+      return [];
+    }
+
     if (char !== '<' && char !== '>') {
       continue;
     }
@@ -270,13 +685,29 @@ const detectTopLevelInequalityOperators = (expression) => {
   return operators;
 };
 
+const buildInequalityComparison = (lhs, operator, rhs) => ({
+  operator,
+  lhs,
+  rhs,
+  boundaryExpression: `(${lhs}) - (${rhs})`,
+  strict: operator === '<' || operator === '>',
+  satisfiesPositive: operator === '>' || operator === '>='
+});
+
+/**
+ * Classify an inequality row. Chained inequalities such as
+ * "f(x) <= y <= g(x)" become one region where every comparison holds and
+ * list their comparisons in plotData.comparisons; their operators must all
+ * point the same way.
+ */
 const tryParseInequality = (trimmed, parser) => {
   const operators = detectTopLevelInequalityOperators(trimmed);
   if (operators.length === 0) {
     return null;
   }
 
-  if (operators.length > 1) {
+  const pointsLeft = operators[0].op.startsWith('<');
+  if (operators.some(operator => operator.op.startsWith('<') !== pointsLeft)) {
     return {
       kind: 'invalid',
       graphMode: null,
@@ -287,11 +718,14 @@ const tryParseInequality = (trimmed, parser) => {
     };
   }
 
-  const operator = operators[0];
-  const lhs = trimmed.slice(0, operator.idx).trim();
-  const rhs = trimmed.slice(operator.idx + operator.length).trim();
+  const sides = operators.map((operator, index) => {
+    const sideStart = index === 0 ? 0 : operators[index - 1].idx + operators[index - 1].length;
+    return trimmed.slice(sideStart, operator.idx).trim();
+  });
+  const lastOperator = operators[operators.length - 1];
+  sides.push(trimmed.slice(lastOperator.idx + lastOperator.length).trim());
 
-  if (!lhs || !rhs) {
+  if (sides.some(side => !side)) {
     return {
       kind: 'invalid',
       graphMode: null,
@@ -302,67 +736,92 @@ const tryParseInequality = (trimmed, parser) => {
     };
   }
 
-  const lhsVariables = parser.getAllSymbols(lhs);
-  const rhsVariables = parser.getAllSymbols(rhs);
   const allVariables = Array.from(
-    new Set([...lhsVariables, ...rhsVariables])
+    new Set(sides.flatMap(side => parser.getAllSymbols(side)))
   ).sort();
 
   const parseVariables = buildImplicitVariableList(allVariables);
-  const parsedLhs = parser.parse(lhs, parseVariables);
-  if (!parsedLhs.isValid) {
+  for (const side of sides) {
+    const parsedSide = parser.parse(side, parseVariables);
+    if (!parsedSide.isValid) {
+      return {
+        kind: 'invalid',
+        graphMode: null,
+        error: mapParseError(parsedSide.error),
+        usedVariables: allVariables,
+        plotExpression: null,
+        plotData: null
+      };
+    }
+  }
+
+  const hasAxisVariable = allVariables.includes('x') || allVariables.includes('y');
+  if (!hasAxisVariable) {
     return {
       kind: 'invalid',
       graphMode: null,
-      error: mapParseError(parsedLhs.error),
+      error: ERROR_MESSAGES.inequalityMissingAxis,
       usedVariables: allVariables,
       plotExpression: null,
       plotData: null
     };
   }
 
-  const parsedRhs = parser.parse(rhs, parseVariables);
-  if (!parsedRhs.isValid) {
+  const comparisons = operators.map((operator, index) => (
+    buildInequalityComparison(sides[index], operator.op, sides[index + 1])
+  ));
+  const [first] = comparisons;
+
+  return {
+    kind: 'graph',
+    graphMode: 'inequality',
+    error: null,
+    usedVariables: allVariables,
+    plotExpression: first.boundaryExpression,
+    plotData: comparisons.length > 1
+      ? { type: 'inequality', ...first, comparisons }
+      : { type: 'inequality', ...first }
+  };
+};
+
+/**
+ * Classify the body of an r = f(theta) line. Unless requireTheta is false,
+ * returns null when the body does not use theta, so `r = 2` keeps working as
+ * a parameter assignment.
+ */
+const tryParsePolar = (body, parser, requireTheta = true) => {
+  const usedVariables = parser.getAllSymbols(body);
+  if (requireTheta && !usedVariables.includes('theta')) {
+    return null;
+  }
+
+  if (usedVariables.includes('x') || usedVariables.includes('y')) {
     return {
       kind: 'invalid',
       graphMode: null,
-      error: mapParseError(parsedRhs.error),
-      usedVariables: allVariables,
-      plotExpression: null,
-      plotData: null
+      error: ERROR_MESSAGES.polarAxesNotAllowed,
+      usedVariables,
+      plotExpression: null
     };
   }
 
-  const hasAxisVariable = allVariables.includes('x') || allVariables.includes('y');
-  if (!hasAxisVariable) {
+  const parsed = parser.parse(body, buildPolarVariableList(usedVariables));
+  if (!parsed.isValid) {
     return {
       kind: 'invalid',
       graphMode: null,
-      error: ERROR_MESSAGES.inequalityMissingAxis,
-      usedVariables: allVariables,
-      plotExpression: null,
-      plotData: null
+      error: mapParseError(parsed.error),
+      usedVariables,
+      plotExpression: null
     };
   }
 
-  const boundaryExpression = `(${lhs}) - (${rhs})`;
-  const strict = operator.op === '<' || operator.op === '>';
-
   return {
     kind: 'graph',
-    graphMode: 'inequality',
+    graphMode: 'polar',
     error: null,
-    usedVariables: allVariables,
-    plotExpression: boundaryExpression,
-    plotData: {
-      type: 'inequality',
-      operator: operator.op,
-      lhs,
-      rhs,
-      boundaryExpression,
-      strict,
-      satisfiesPositive: operator.op === '>' || operator.op === '>='
-    }
+    usedVariables,
+    plotExpression: body
   };
 };
 
@@ -437,12 +896,25 @@ const classifyGraphExpression = (expression, parser) => {
   }
 
   if (!usedVariables.includes('x')) {
+    // A lone parameter name is left for auto-conversion to "a = 1"
+    if (parser.isParameter(expression).isParameter) {
+      return {
+        kind: 'invalid',
+        graphMode: null,
+        error: ERROR_MESSAGES.missingX,
+        usedVariables,
+        plotExpression: null
+      };
+    }
+
+    // Anything else without x is a calculated value such as sqrt(2)*a
     return {
-      kind: 'invalid',
+      kind: 'value',
       graphMode: null,
-      error: ERROR_MESSAGES.missingX,
+      error: null,
       usedVariables,
-      plotExpression: null
+      plotExpression: null,
+      valueExpression: expression
     };
   }
 
@@ -455,9 +927,93 @@ const classifyGraphExpression = (expression, parser) => {
   };
 };
 
-export const classifyLine = (expression, parser) => {
+/**
+ * Classify a row that ends in one or more {condition} restriction groups.
+ * The body is classified on its own; restrictions are validated and their
+ * parameters merged into usedVariables.
+ */
+const classifyRestrictedLine = (body, restrictionTexts, parser) => {
+  const base = classifyLine(body, parser);
+  if (base.kind === 'invalid' || base.kind === 'empty') {
+    return base;
+  }
+
+  if (base.kind !== 'graph' || !RESTRICTABLE_GRAPH_MODES.includes(base.graphMode)) {
+    return {
+      kind: 'invalid',
+      graphMode: null,
+      error: ERROR_MESSAGES.restrictionNotSupported,
+      usedVariables: base.usedVariables,
+      plotExpression: null,
+      plotData: null
+    };
+  }
+
+  const usedVariables = new Set(base.usedVariables);
+  const restrictions = [];
+
+  for (const restrictionText of restrictionTexts) {
+    const comparisons = parseRestriction(restrictionText);
+    if (!comparisons) {
+      return {
+        kind: 'invalid',
+        graphMode: null,
+        error: ERROR_MESSAGES.invalidRestriction,
+        usedVariables: base.usedVariables,
+        plotExpression: null,
+        plotData: null
+      };
+    }
+
+    for (const comparison of comparisons) {
+      const slack = `(${comparison.lhs}) - (${comparison.rhs})`;
+      const symbols = parser.getAllSymbols(slack);
+      const parsed = parser.parse(slack, buildImplicitVariableList(symbols));
+      if (!parsed.isValid) {
+        return {
+          kind: 'invalid',
+          graphMode: null,
+          error: mapParseError(parsed.error),
+          usedVariables: base.usedVariables,
+          plotExpression: null,
+          plotData: null
+        };
+      }
+      symbols.forEach(symbol => usedVariables.add(symbol));
+      restrictions.push(comparison);
+    }
+  }
+
+  return {
+    ...base,
+    usedVariables: Array.from(usedVariables).sort(),
+    restrictions
+  };
+};
+
+/**
+ * Find the first call to a function that is neither built in nor defined
+ * by another row. The name on the left of "f(x) =" is not a call.
+ */
+const findUnknownFunctionCall = (expression, parser) => {
+  const definition = splitFunctionDefinition(expression);
+  const source = definition ? definition.body : expression;
+  const unknownCall = findFunctionCalls(source)
+    .find(call => !parser.isBuiltInFunction(call.name));
+  return unknownCall ? unknownCall.name : null;
+};
+
+/**
+ * Classify one row of the expression list.
+ * @param {string} expression - Row text
+ * @param {ExpressionParser} parser - Parser instance
+ * @param {Object|null} functionTable - Optional table from buildFunctionTable;
+ *   calls to functions defined by other rows are inlined before classifying
+ * @returns {Object} Classification result
+ */
+export const classifyLine = (expression, parser, functionTable = null) => {
   const raw = typeof expression === 'string' ? expression : '';
-  const trimmed = raw.trim();
+  let trimmed = normalizeDerivativeNotation(normalizeIntegralSymbol(raw.trim()));
 
   if (!trimmed) {
     return {
@@ -469,6 +1025,22 @@ export const classifyLine = (expression, parser) => {
     };
   }
 
+  if (functionTable) {
+    const resolved = resolveFunctionCalls(trimmed, functionTable);
+    if (resolved.error) {
+      return {
+        kind: 'invalid',
+        graphMode: null,
+        error: resolved.error,
+        usedVariables: [],
+        plotExpression: null,
+        plotData: null,
+        restrictions: []
+      };
+    }
+    trimmed = resolved.expression || trimmed;
+  }
+
   const cacheKey = trimmed;
   if (cache.has(cacheKey)) {
     return cloneResult(cache.get(cacheKey));
@@ -476,6 +1048,134 @@ export const classifyLine = (expression, parser) => {
 
   let result;
 
+  // Sequence rows call their own earlier terms, such as a_(n-1)
+  const sequence = tryParseSequence(trimmed, parser);
+  if (sequence) {
+    result = sequence;
+    cacheResult(cacheKey, result);
+    return cloneResult(result);
+  }
+
+  const unknownFunction = findUnknownFunctionCall(trimmed, parser);
+  if (unknownFunction) {
+    result = {
+      kind: 'invalid',
+      graphMode: null,
+      error: unknownFunctionMessage(unknownFunction),
+      usedVariables: [],
+      plotExpression: null,
+      plotData: null
+    };
+    cacheResult(cacheKey, result);
+    return cloneResult(result);
+  }
+
+  // sum(n^2, n, 1, 10) and prod(...) are written out term by term
+  const series = expandSeries(trimmed);
+  if (series.error) {
+    result = {
+      kind: 'invalid',
+      graphMode: null,
+      error: series.error,
+      usedVariables: [],
+      plotExpression: null,
+      plotData: null
+    };
+    cacheResult(cacheKey, result);
+    return cloneResult(result);
+  }
+  trimmed = series.expression;
+
+  // f'(x) and d/dx(...) become their symbolic derivatives, so the row then
+  // classifies like any other curve or value
+  const differentiated = expandDerivatives(trimmed);
+  if (differentiated.error) {
+    result = {
+      kind: 'invalid',
+      graphMode: null,
+      error: differentiated.error,
+      usedVariables: [],
+      plotExpression: null,
+      plotData: null
+    };
+    cacheResult(cacheKey, result);
+    return cloneResult(result);
+  }
+  trimmed = differentiated.expression;
+
+  const callsIntegral = findFunctionCalls(trimmed).some(call => call.name === 'integral');
+  if (callsIntegral && !parser.parseIntegralSyntax(trimmed).isIntegral) {
+    result = {
+      kind: 'invalid',
+      graphMode: null,
+      error: ERROR_MESSAGES.nestedIntegral,
+      usedVariables: [],
+      plotExpression: null,
+      plotData: null
+    };
+    cacheResult(cacheKey, result);
+    return cloneResult(result);
+  }
+
+  const regression = tryParseRegression(trimmed, parser);
+  if (regression) {
+    result = regression;
+    cacheResult(cacheKey, result);
+    return cloneResult(result);
+  }
+
+  const { body, restrictions } = splitTrailingRestrictions(trimmed);
+  if (restrictions.length > 0) {
+    result = classifyRestrictedLine(body, restrictions, parser);
+    cacheResult(cacheKey, result);
+    return cloneResult(result);
+  }
+
+  const piecewiseSyntax = parser.parsePiecewiseSyntax(trimmed);
+  if (piecewiseSyntax.isPiecewise) {
+    if (piecewiseSyntax.isMalformed) {
+      result = {
+        kind: 'invalid',
+        graphMode: null,
+        error: piecewiseSyntax.error || ERROR_MESSAGES.invalidPiecewiseSyntax,
+        usedVariables: [],
+        plotExpression: null,
+        plotData: null
+      };
+      cacheResult(cacheKey, result);
+      return cloneResult(result);
+    }
+
+    const validated = validatePiecewiseSyntax(piecewiseSyntax, parser);
+    if (!validated.isValid) {
+      result = {
+        kind: 'invalid',
+        graphMode: null,
+        error: validated.error || ERROR_MESSAGES.invalidPiecewiseSyntax,
+        usedVariables: validated.usedVariables || [],
+        plotExpression: null,
+        plotData: null
+      };
+      cacheResult(cacheKey, result);
+      return cloneResult(result);
+    }
+
+    result = {
+      kind: 'graph',
+      graphMode: 'piecewise',
+      error: null,
+      usedVariables: validated.usedVariables,
+      plotExpression: null,
+      plotData: {
+        type: 'piecewise',
+        branches: piecewiseSyntax.branches.map(branch => ({ ...branch })),
+        otherwise: piecewiseSyntax.otherwise
+      }
+    };
+    cacheResult(cacheKey, result);
+    return cloneResult(result);
+  }
+
   const inequality = tryParseInequality(trimmed, parser);
   if (inequality) {
     result = inequality;
@@ -523,6 +1223,9 @@ export const classifyLine = (expression, parser) => {
         points: pointsSyntax.points.map(point => [point[0], point[1]])
       }
     };
+    if (pointsSyntax.labels) {
+      result.plotData.labels = [...pointsSyntax.labels];
+    }
     cacheResult(cacheKey, result);
     return cloneResult(result);
   }
@@ -579,6 +1282,136 @@ export const classifyLine = (expression, parser) => {
     return cloneResult(result);
   }
 
+  const shapeSyntax = parser.parseShapeSyntax(trimmed);
+  if (shapeSyntax.isShape) {
+    let validated = shapeSyntax.isMalformed
+      ? { isValid: false, usedVariables: [], error: shapeSyntax.error }
+      : validateCoordinatePairs(shapeSyntax.points, parser);
+    if (validated.isValid && shapeSyntax.radius !== null) {
+      const radius = validateRadius(shapeSyntax.radius, parser);
+      validated = radius.isValid
+        ? {
+          ...validated,
+          usedVariables: Array.from(
+            new Set([...validated.usedVariables, ...radius.usedVariables])
+          ).sort()
+        }
+        : radius;
+    }
+    if (!validated.isValid) {
+      result = {
+        kind: 'invalid',
+        graphMode: null,
+        error: validated.error || ERROR_MESSAGES.invalidShapeSyntax,
+        usedVariables: validated.usedVariables || [],
+        plotExpression: null,
+        plotData: null
+      };
+      cacheResult(cacheKey, result);
+      return cloneResult(result);
+    }
+
+    result = {
+      kind: 'graph',
+      graphMode: 'shape',
+      error: null,
+      usedVariables: validated.usedVariables,
+      plotExpression: null,
+      plotData: {
+        type: 'shape',
+        shape: shapeSyntax.shape,
+        points: shapeSyntax.points.map(point => [point[0], point[1]]),
+        radius: shapeSyntax.radius
+      }
+    };
+    cacheResult(cacheKey, result);
+    return cloneResult(result);
+  }
+
+  const integralSyntax = parser.parseIntegralSyntax(trimmed);
+  if (integralSyntax.isIntegral) {
+    const validated = integralSyntax.isMalformed
+      ? { isValid: false, usedVariables: [], error: integralSyntax.error }
+      : validateIntegralSyntax(integralSyntax, parser);
+    if (!validated.isValid) {
+      result = {
+        kind: 'invalid',
+        graphMode: null,
+        error: validated.error || ERROR_MESSAGES.invalidIntegralSyntax,
+        usedVariables: validated.usedVariables,
+        plotExpression: null,
+        plotData: null
+      };
+      cacheResult(cacheKey, result);
+      return cloneResult(result);
+    }
+
+    // A definite integral is a calculated value; its area is also shaded
+    result = {
+      kind: 'value',
+      graphMode: null,
+      error: null,
+      usedVariables: validated.usedVariables,
+      plotExpression: null,
+      plotData: {
+        type: 'integral',
+        integrand: integralSyntax.integrand,
+        lower: integralSyntax.lower,
+        upper: integralSyntax.upper
+      }
+    };
+    cacheResult(cacheKey, result);
+    return cloneResult(result);
+  }
+
+  const parametricSyntax = parser.parseParametricSyntax(trimmed);
+  if (parametricSyntax.isParametric) {
+    if (parametricSyntax.isMalformed) {
+      result = {
+        kind: 'invalid',
+        graphMode: null,
+        error: parametricSyntax.error || ERROR_MESSAGES.invalidParametricSyntax,
+        usedVariables: [],
+        plotExpression: null,
+        plotData: null
+      };
+      cacheResult(cacheKey, result);
+      return cloneResult(result);
+    }
+
+    const validated = validateParametricSyntax(parametricSyntax, parser);
+    if (!validated.isValid) {
+      result = {
+        kind: 'invalid',
+        graphMode: null,
+        error: validated.error || ERROR_MESSAGES.invalidParametricSyntax,
+        usedVariables: validated.usedVariables || [],
+        plotExpression: null,
+        plotData: null
+      };
+      cacheResult(cacheKey, result);
+      return cloneResult(result);
+    }
+
+    result = {
+      kind: 'graph',
+      graphMode: 'parametric',
+      error: null,
+      usedVariables: validated.usedVariables,
+      plotExpression: null,
+      plotData: {
+        type: 'parametric',
+        x: parametricSyntax.x,
+        y: parametricSyntax.y,
+        range: parametricSyntax.range
+          ? [parametricSyntax.range[0], parametricSyntax.range[1]]
+          : null
+      }
+    };
+    cacheResult(cacheKey, result);
+    return cloneResult(result);
+  }
+
   const syntax = parser.parseAssignmentSyntax(trimmed);
 
   if (syntax.isAssignment) {
@@ -663,8 +1496,23 @@ export const classifyLine = (expression, parser) => {
       return cloneResult(result);
     }
 
+    if (lhs === 'r') {
+      const polar = tryParsePolar(rhs, parser);
+      if (polar) {
+        result = polar;
+        cacheResult(cacheKey, result);
+        return cloneResult(result);
+      }
+    }
+
     const rhsEval = evaluateRHS(rhs, parser);
     if (!rhsEval.isValid) {
+      const derived = tryParseDerivedAssignment(lhs, rhs, parser);
+      if (derived) {
+        cacheResult(cacheKey, derived);
+        return cloneResult(derived);
+      }
+
       result = {
         kind: 'invalid',
         graphMode: null,
@@ -731,6 +1579,14 @@ export const classifyLine = (expression, parser) => {
       return cloneResult(result);
     }
 
+    // r(theta) = expr -> polar graph
+    if (funcDef.name === 'r' && funcDef.params.length === 1 &&
+      funcDef.params[0] === 'theta' && funcDef.body !== null) {
+      result = tryParsePolar(funcDef.body, parser, false);
+      cacheResult(cacheKey, result);
+      return cloneResult(result);
+    }
+
     // Non-x parameter or multi-param defs: fall through to invalid
     result = {
       kind: 'invalid',
@@ -0,0 +1,108 @@
+import * as math from 'mathjs';
+
+// Functions that take a whole list, so "L - mean(L)" is not broadcast per element
+const LIST_FUNCTIONS = ['sum', 'prod', 'mean', 'median', 'min', 'max', 'std', 'variance', 'count'];
+
+/**
+ * Convert an evaluation result to a list of finite numbers, or null when it
+ * is not a one-dimensional numeric list.
+ *
+ * @param {*} value - Array or math.js Matrix
+ * @returns {number[]|null}
+ */
+export const toListValue = (value) => {
+  const array = math.isMatrix(value) ? value.toArray() : value;
+  if (!Array.isArray(array)) {
+    return null;
+  }
+
+  return array.every(item => typeof item === 'number' && Number.isFinite(item))
+    ? [...array]
+    : null;
+};
+
+/**
+ * Check whether a scope value is a list.
+ * @param {*} value - Scope value
+ * @returns {boolean}
+ */
+export const isListValue = (value) => Array.isArray(value);
+
+/**
+ * Expand a scope into one scope per list element for the lists used by an
+ * expression, e.g. { L: [1, 2] } -> [{ L: 1 }, { L: 2 }]. Lists of different
+ * lengths are truncated to the shortest. A scope without used lists is
+ * returned as the only entry.
+ *
+ * @param {string[]} symbols - Symbols used by the expression
+ * @param {Object} scope - Parameter values, where lists are arrays
+ * @returns {Object[]} Scopes with every used list replaced by one element
+ */
+export const expandListScopes = (symbols, scope) => {
+  const listNames = (symbols || []).filter(symbol => isListValue(scope?.[symbol]));
+  if (listNames.length === 0) {
+    return [scope];
+  }
+
+  const length = Math.min(...listNames.map(name => scope[name].length));
+  return Array.from({ length }, (_, index) => {
+    const elementScope = { ...scope };
+    listNames.forEach(name => {
+      elementScope[name] = scope[name][index];
+    });
+    return elementScope;
+  });
+};
+
+const collectSymbols = (node) => {
+  const symbols = new Set();
+  let callsListFunction = false;
+
+  node.traverse((current, path, parent) => {
+    if (current.type === 'FunctionNode' && LIST_FUNCTIONS.includes(current.fn?.name)) {
+      callsListFunction = true;
+    }
+    if (current.type === 'SymbolNode' && !(parent?.type === 'FunctionNode' && path === 'fn')) {
+      symbols.add(current.name);
+    }
+  });
+
+  return { symbols: Array.from(symbols), callsListFunction };
+};
+
+const toNumberOrList = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  return toListValue(value);
+};
+
+/**
+ * Evaluate an expression whose scope may contain lists. Expressions that use
+ * lists are evaluated once per element ("L^2" -> [1, 4, 9]) unless they call
+ * a list function such as sum(L).
+ *
+ * @param {string} expression - Expression without x or y
+ * @param {Object} scope - Parameter values, where lists are arrays
+ * @returns {number|number[]|null} Result, or null when it cannot be evaluated
+ */
+export const evaluateWithLists = (expression, scope = {}) => {
+  try {
+    const node = math.parse(expression);
+    const { symbols, callsListFunction } = collectSymbols(node);
+    const compiled = node.compile();
+    const usesLists = symbols.some(symbol => isListValue(scope[symbol]));
+
+    if (!usesLists || callsListFunction) {
+      return toNumberOrList(compiled.evaluate({ ...scope }));
+    }
+
+    const values = expandListScopes(symbols, scope)
+      .map(elementScope => compiled.evaluate(elementScope));
+    return values.every(value => typeof value === 'number' && Number.isFinite(value))
+      ? values
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
@@ -0,0 +1,198 @@
+import * as math from 'mathjs';
+
+const SAMPLE_COUNT = 400;
+const BISECTION_STEPS = 60;
+const GOLDEN_RATIO = (Math.sqrt(5) - 1) / 2;
+const MAX_POINTS_PER_KIND = 50;
+
+/**
+ * Compile an explicit expression in x into a function returning a finite
+ * number or NaN. Restricted rows evaluate to complex numbers outside their
+ * domain, which also count as undefined.
+ */
+const compileCurve = (expression, scope) => {
+  try {
+    const compiled = math.parse(expression).compile();
+    return (x) => {
+      try {
+        const value = compiled.evaluate({ ...scope, x });
+        return typeof value === 'number' && Number.isFinite(value) ? value : NaN;
+      } catch (error) {
+        return NaN;
+      }
+    };
+  } catch (error) {
+    return null;
+  }
+};
+
+const sampleXs = ([xMin, xMax]) => Array.from(
+  { length: SAMPLE_COUNT + 1 },
+  (_, index) => xMin + ((xMax - xMin) * index) / SAMPLE_COUNT
+);
+
+/**
+ * Narrow a sign change of fn between a and b down to a single x.
+ */
+const bisect = (fn, a, b) => {
+  let lo = a;
+  let hi = b;
+  let fLo = fn(lo);
+
+  for (let step = 0; step < BISECTION_STEPS; step += 1) {
+    const mid = (lo + hi) / 2;
+    const fMid = fn(mid);
+    if (Number.isNaN(fMid)) {
+      return null;
+    }
+    if (fMid === 0) {
+      return mid;
+    }
+    if (Math.sign(fMid) === Math.sign(fLo)) {
+      lo = mid;
+      fLo = fMid;
+    } else {
+      hi = mid;
+    }
+  }
+
+  return (lo + hi) / 2;
+};
+
+/**
+ * Narrow a local extremum of fn between a and b by golden-section search.
+ * Works on kinks such as abs(x), where the derivative is undefined.
+ */
+const goldenSection = (fn, a, b, isMaximum) => {
+  const score = (x) => (isMaximum ? -fn(x) : fn(x));
+  let lo = a;
+  let hi = b;
+
+  for (let step = 0; step < BISECTION_STEPS; step += 1) {
+    const left = hi - GOLDEN_RATIO * (hi - lo);
+    const right = lo + GOLDEN_RATIO * (hi - lo);
+    if (score(left) < score(right)) {
+      hi = right;
+    } else {
+      lo = left;
+    }
+  }
+
+  return (lo + hi) / 2;
+};
+
+/**
+ * Find the x values where fn changes sign over the sampled range. Sign
+ * changes across a jump (e.g. 1/x at 0) are rejected by checking that fn is
+ * close to zero at the refined point.
+ */
+const findSignChanges = (fn, xs, tolerance) => {
+  const values = xs.map(fn);
+  const found = [];
+
+  for (let index = 0; index < xs.length; index += 1) {
+    const value = values[index];
+    if (value === 0) {
+      found.push(xs[index]);
+      continue;
+    }
+
+    const next = values[index + 1];
+    if (index === xs.length - 1 || Number.isNaN(value) || Number.isNaN(next) ||
+      next === 0 || Math.sign(value) === Math.sign(next)) {
+      continue;
+    }
+
+    const x = bisect(fn, xs[index], xs[index + 1]);
+    if (x !== null && Math.abs(fn(x)) <= tolerance) {
+      found.push(x);
+    }
+  }
+
+  return found.slice(0, MAX_POINTS_PER_KIND);
+};
+
+/**
+ * Scale for "close to zero" checks, from the size of the sampled values.
+ */
+const toleranceFor = (fn, xs) => {
+  const magnitudes = xs.map(fn).filter(Number.isFinite).map(Math.abs);
+  const scale = magnitudes.length > 0 ? Math.max(1, ...magnitudes) : 1;
+  return 1e-6 * scale;
+};
+
+const dedupe = (points, [xMin, xMax]) => {
+  const minGap = (xMax - xMin) * 1e-9;
+  return points.filter((point, index) => !points.slice(0, index).some(other => (
+    other.type === point.type &&
+    other.withId === point.withId &&
+    Math.abs(other.x - point.x) <= minGap
+  )));
+};
+
+/**
+ * Find the points of interest of an explicit curve y = f(x) over an x range:
+ * x-intercepts, the y-intercept, local extrema, and intersections with other
+ * explicit curves.
+ *
+ * @param {string} expression - Curve in x, in math.js syntax (e.g. "x^2 - a")
+ * @param {Object} scope - Parameter values
+ * @param {[number, number]} range - [xMin, xMax] to search
+ * @param {Array<{id: string, expression: string}>} others - Curves to intersect
+ * @returns {Array<{
+ *   type: 'root'|'y-intercept'|'maximum'|'minimum'|'intersection',
+ *   x: number,
+ *   y: number,
+ *   withId?: string
+ * }>}
+ */
+export const findPointsOfInterest = (expression, scope = {}, range = [-10, 10], others = []) => {
+  const fn = compileCurve(expression, scope);
+  if (!fn || !(range[0] < range[1])) {
+    return [];
+  }
+
+  const xs = sampleXs(range);
+  const tolerance = toleranceFor(fn, xs);
+  const points = [];
+
+  findSignChanges(fn, xs, tolerance).forEach(x => {
+    points.push({ type: 'root', x, y: 0 });
+  });
+
+  const yIntercept = fn(0);
+  if (range[0] <= 0 && range[1] >= 0 && Number.isFinite(yIntercept)) {
+    points.push({ type: 'y-intercept', x: 0, y: yIntercept });
+  }
+
+  // A sample higher (or lower) than both neighbours brackets an extremum
+  const values = xs.map(fn);
+  for (let index = 1; index < xs.length - 1; index += 1) {
+    const [left, value, right] = values.slice(index - 1, index + 2);
+    if (![left, value, right].every(Number.isFinite)) continue;
+
+    const isMaximum = value > left && value > right;
+    if (!isMaximum && !(value < left && value < right)) continue;
+
+    const x = goldenSection(fn, xs[index - 1], xs[index + 1], isMaximum);
+    const y = fn(x);
+    if (!Number.isFinite(y)) continue;
+
+    points.push({ type: isMaximum ? 'maximum' : 'minimum', x, y });
+    // Double roots such as (x - 1)^2 touch zero without changing sign
+    if (Math.abs(y) <= tolerance) {
+      points.push({ type: 'root', x, y: 0 });
+    }
+  }
+
+  others.forEach(other => {
+    const otherFn = compileCurve(other.expression, scope);
+    if (!otherFn) return;
+    const difference = (x) => fn(x) - otherFn(x);
+    findSignChanges(difference, xs, toleranceFor(difference, xs)).forEach(x => {
+      points.push({ type: 'intersection', x, y: fn(x), withId: other.id });
+    });
+  });
+
+  return dedupe(points, range);
+};
@@ -4,3 +4,34 @@ export const DEFAULT_PARAMETER = {
   max: 10,
   step: 0.1
 };
+
+/**
+ * Round a value to the nearest multiple of a slider step. Values are left
+ * alone when the step is missing or not positive.
+ */
+export function roundToStep(value, step) {
+  if (!Number.isFinite(step) || step <= 0) {
+    return value;
+  }
+  return Math.round(value / step) * step;
+}
+
+/**
+ * Number of decimal places a slider step has, e.g. 2 for 0.01.
+ */
+export function getStepDecimals(step) {
+  if (!Number.isFinite(step)) return 0;
+  const [mantissa, exponent] = step.toString().split('e-');
+  if (exponent) return Number(exponent) || 0;
+  return mantissa.includes('.') ? mantissa.split('.')[1].length : 0;
+}
+
+/**
+ * Format a parameter value as its slider writes it, e.g. "2.50" for a
+ * step of 0.01.
+ */
+export function formatParameterValue(value, step) {
+  const decimals = getStepDecimals(step);
+  const rounded = roundToStep(value, step);
+  return decimals === 0 ? `${Math.round(rounded)}` : rounded.toFixed(decimals);
+}
@@ -1,28 +1,297 @@
 import { classifyLine } from './line-classifier.js';
+import { buildFunctionTable } from './function-table.js';
+import { DEFAULT_PARAMETER } from './parameter-defaults.js';
+import { evaluateWithLists } from './list-utils.js';
+import { evaluateTableColumns } from './table-utils.js';
+import { fitRegression, getRegressionKey } from './regression.js';
+import { applyAngleMode } from './expression-adapter.js';
 
-export const analyzeParameters = (functions, parser) => {
+const INVALID_DERIVED_VALUE = 'Invalid assignment (must be a number)';
+
+const isGraphVariable = (symbol, graphMode) => {
+  if (symbol === 'x' || symbol === 'y') {
+    return true;
+  }
+  if (graphMode === 'polar') {
+    return symbol === 'theta';
+  }
+  return graphMode === 'parametric' && symbol === 't';
+};
+
+const findParameterCycle = (name, derivedExpressions, path = []) => {
+  const seenAt = path.indexOf(name);
+  if (seenAt !== -1) {
+    return [...path.slice(seenAt), name];
+  }
+
+  const derived = derivedExpressions.get(name);
+  if (!derived) {
+    return null;
+  }
+
+  for (const dependency of derived.dependencies) {
+    const cycle = findParameterCycle(dependency, derivedExpressions, [...path, name]);
+    if (cycle) {
+      return cycle;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Evaluate an expression that only uses parameters, such as "sqrt(2)*a".
+ * List parameters are broadcast, so "L^2" yields a list.
+ *
+ * @param {string} expression - Expression without x or y
+ * @param {Object} scope - Parameter values by name
+ * @returns {number|number[]|null} Result, or null when it cannot be evaluated
+ */
+export const evaluateValueExpression = (expression, scope = {}) => (
+  evaluateWithLists(expression, scope)
+);
+
+/**
+ * Evaluate derived parameters such as "b = 2*a" in dependency order.
+ * Parameters on a dependency cycle, or depending on a parameter without a
+ * usable value, get an error instead of a value.
+ *
+ * @param {Map<string, {expression: string, dependencies: string[]}>} derivedExpressions
+ * @param {Map<string, number|number[]>} freeValues - Values of literal assignments
+ * @param {string} angleMode - 'radians' or 'degrees', for trig functions
+ * @returns {{values: Map<string, number|number[]>, errors: Map<string, string>}}
+ */
+export const resolveDerivedParameters = (derivedExpressions, freeValues, angleMode = 'radians') => {
+  const values = new Map();
+  const errors = new Map();
+
+  derivedExpressions.forEach((_, name) => {
+    if (errors.has(name)) return;
+    const cycle = findParameterCycle(name, derivedExpressions);
+    if (cycle) {
+      cycle.forEach(member => {
+        if (!errors.has(member)) {
+          errors.set(member, `Circular parameter definition: ${cycle.join(' -> ')}`);
+        }
+      });
+    }
+  });
+
+  const resolve = (name) => {
+    if (values.has(name)) return values.get(name);
+    if (freeValues.has(name)) return freeValues.get(name);
+    if (!derivedExpressions.has(name)) return DEFAULT_PARAMETER.value;
+    if (errors.has(name)) return NaN;
+
+    const { expression, dependencies } = derivedExpressions.get(name);
+    const scope = {};
+    dependencies.forEach(dependency => {
+      scope[dependency] = resolve(dependency);
+    });
+
+    const value = evaluateValueExpression(applyAngleMode(expression, angleMode), scope);
+    if (value === null) {
+      errors.set(name, INVALID_DERIVED_VALUE);
+      return NaN;
+    }
+
+    values.set(name, value);
+    return value;
+  };
+
+  derivedExpressions.forEach((_, name) => resolve(name));
+
+  return { values, errors };
+};
+
+/**
+ * Values of every parameter for the current slider values. Sliders write the
+ * parameters state while they are dragged but their assignment rows only when
+ * the drag ends, so derived parameters such as "b = 2*a" are evaluated again
+ * from the sliders rather than read from the last analysis.
+ *
+ * @param {Object} analysis - Result of analyzeParameters
+ * @param {Object} controlValues - Slider values by name
+ * @param {string} angleMode - 'radians' or 'degrees', for trig functions
+ * @returns {Map<string, number|number[]>} Values by name, lists included
+ */
+export const resolveLiveParameterValues = (analysis, controlValues = {}, angleMode = 'radians') => {
+  const freeValues = new Map();
+  [analysis.assignmentValues, analysis.listValues].forEach(values => {
+    values.forEach((value, name) => {
+      if (!analysis.derivedParams.has(name)) {
+        freeValues.set(name, value);
+      }
+    });
+  });
+  // Derived, fitted and list values are never set by a slider
+  Object.entries(controlValues).forEach(([name, value]) => {
+    if (typeof value !== 'number' || analysis.derivedParams.has(name) ||
+      analysis.fittedParams.has(name) || analysis.listValues.has(name)) {
+      return;
+    }
+    freeValues.set(name, value);
+  });
+
+  const derived = resolveDerivedParameters(analysis.derivedExpressions, freeValues, angleMode);
+  return new Map([...freeValues, ...derived.values]);
+};
+
+/**
+ * Evaluate table columns into named lists such as x1 and y1.
+ */
+const collectTableLists = (functions, scope) => {
+  const lists = new Map();
+  (functions || []).forEach(func => {
+    if (func?.type !== 'table' || !Array.isArray(func.table?.columns)) return;
+    const [xName, yName] = func.table.columns;
+    const [xValues, yValues] = evaluateTableColumns(func.table.rows, scope);
+    lists.set(xName, xValues);
+    lists.set(yName, yValues);
+  });
+  return lists;
+};
+
+/**
+ * Fit every regression row in order. Model symbols that no other row
+ * defines, and that an earlier regression has not fitted, are the free
+ * parameters of a row. Trig functions in a model use the angle mode.
+ */
+const fitRegressions = (regressions, definedParams, scope, parser, angleMode) => {
+  const results = new Map();
+  const fittedValues = new Map();
+
+  regressions.forEach(({ lhs, model }) => {
+    const params = parser.getAllSymbols(model).filter(symbol => (
+      !definedParams.has(symbol) && !fittedValues.has(symbol)
+    ));
+    const fitScope = { ...scope };
+    fittedValues.forEach((value, name) => {
+      fitScope[name] = value;
+    });
+
+    const fit = fitRegression({
+      lhs,
+      model: applyAngleMode(model, angleMode),
+      params,
+      scope: fitScope
+    });
+    params.forEach(param => {
+      fittedValues.set(param, fit.error ? DEFAULT_PARAMETER.value : fit.values[param]);
+    });
+    const key = getRegressionKey({ lhs, model });
+    if (!results.has(key)) {
+      results.set(key, fit);
+    }
+  });
+
+  return { results, fittedValues };
+};
+
+/**
+ * Classify every row and work out which parameters are defined and used,
+ * along with the values of derived parameters, lists and regression fits.
+ *
+ * @param {Array} functions - Rows from state
+ * @param {ExpressionParser} parser - Parser instance
+ * @param {Object} options
+ * @param {string} options.angleMode - 'radians' or 'degrees', for trig functions
+ * @returns {Object} Analysis used by the expression list and the graph
+ */
+export const analyzeParameters = (functions, parser, { angleMode = 'radians' } = {}) => {
   const definedParams = new Set();
   const usedParams = new Set();
-  const assignmentValues = new Map();
+  const literalValues = new Map();
+  const derivedExpressions = new Map();
+  const regressions = [];
+  const functionTable = buildFunctionTable(functions, parser);
 
   (functions || []).forEach(func => {
     const expression = func?.expression || '';
-    const result = classifyLine(expression, parser);
+    const result = classifyLine(expression, parser, functionTable);
+
+    if (func?.type === 'table' && Array.isArray(func.table?.columns)) {
+      func.table.columns.forEach(name => definedParams.add(name));
+    }
+
+    if (result.kind === 'regression') {
+      result.usedVariables.forEach(symbol => usedParams.add(symbol));
+      regressions.push(result.plotData);
+    }
 
     if (result.kind === 'assignment' && result.paramName) {
       definedParams.add(result.paramName);
-      assignmentValues.set(result.paramName, result.value);
+      if (result.valueExpression) {
+        derivedExpressions.set(result.paramName, {
+          expression: result.valueExpression,
+          dependencies: result.usedVariables
+        });
+        result.usedVariables.forEach(symbol => usedParams.add(symbol));
+      } else {
+        literalValues.set(result.paramName, result.value);
+      }
+    }
+
+    if (result.kind === 'value') {
+      result.usedVariables.forEach(symbol => usedParams.add(symbol));
     }
 
     if (result.kind === 'graph' && Array.isArray(result.usedVariables)) {
       result.usedVariables.forEach(symbol => {
-        if (symbol !== 'x' && symbol !== 'y') {
+        if (!isGraphVariable(symbol, result.graphMode)) {
           usedParams.add(symbol);
         }
       });
     }
   });
 
+  const freeValues = new Map(literalValues);
+  let derived = resolveDerivedParameters(derivedExpressions, freeValues, angleMode);
+  // Re-resolve derived parameters once table columns or fitted values are
+  // known, since they may depend on them, e.g. "s = mean(y1)" or "c = 2*m"
+  const resolveWith = (values) => {
+    if (values.size === 0) return;
+    values.forEach((value, name) => freeValues.set(name, value));
+    if (derivedExpressions.size > 0) {
+      derived = resolveDerivedParameters(derivedExpressions, freeValues, angleMode);
+    }
+  };
+
+  // Table cells and regressions read every value resolved so far; unknown
+  // parameters take the default value, as they do on the graph
+  const buildScope = () => {
+    const scope = {};
+    usedParams.forEach(name => {
+      scope[name] = DEFAULT_PARAMETER.value;
+    });
+    [freeValues, derived.values].forEach(values => {
+      values.forEach((value, name) => {
+        scope[name] = value;
+      });
+    });
+    return scope;
+  };
+
+  const tableLists = collectTableLists(functions, buildScope());
+  resolveWith(tableLists);
+
+  const regression = fitRegressions(regressions, definedParams, buildScope(), parser, angleMode);
+  regression.fittedValues.forEach((_, name) => definedParams.add(name));
+  resolveWith(regression.fittedValues);
+
+  // Lists such as L = [1, 2, 3] are kept apart from slider values
+  const assignmentValues = new Map();
+  const listValues = new Map();
+  [freeValues, derived.values].forEach(values => {
+    values.forEach((value, paramName) => {
+      if (Array.isArray(value)) {
+        listValues.set(paramName, value);
+      } else {
+        assignmentValues.set(paramName, value);
+      }
+    });
+  });
+
   const missingAssignments = Array.from(usedParams).filter(
     paramName => !definedParams.has(paramName)
   );
@@ -31,6 +300,12 @@ export const analyzeParameters = (functions, parser) => {
     definedParams,
     usedParams,
     missingAssignments,
-    assignmentValues
+    assignmentValues,
+    listValues,
+    derivedParams: new Set(derivedExpressions.keys()),
+    derivedExpressions,
+    fittedParams: new Set(regression.fittedValues.keys()),
+    regressionResults: regression.results,
+    parameterErrors: derived.errors
   };
 };
@@ -0,0 +1,58 @@
+/**
+ * Find the index of the parenthesis closing the one at openIndex.
+ *
+ * @param {string} text - Expression text
+ * @param {number} openIndex - Index of an opening parenthesis
+ * @returns {number} Index of the closing parenthesis, or -1 if it is missing
+ */
+export const findClosingParen = (text, openIndex) => {
+  let depth = 0;
+  for (let index = openIndex; index < text.length; index += 1) {
+    if (text[index] === '(') depth += 1;
+    if (text[index] === ')') {
+      depth -= 1;
+      if (depth === 0) {
+        return index;
+      }
+    }
+  }
+  return -1;
+};
+
+/**
+ * Split a string on a separator character that appears outside of any
+ * parentheses, brackets or braces.
+ *
+ * @param {string} text - Text to split
+ * @param {string} separator - Single separator character
+ * @returns {string[]} Trimmed parts (may contain empty strings)
+ */
+export const splitTopLevel = (text, separator) => {
+  const parts = [];
+  let depth = 0;
+  let start = 0;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (char === '(' || char === '[' || char === '{') depth += 1;
+    if (char === ')' || char === ']' || char === '}') depth -= 1;
+    if (char === separator && depth === 0) {
+      parts.push(text.slice(start, index).trim());
+      start = index + 1;
+    }
+  }
+
+  parts.push(text.slice(start).trim());
+  return parts;
+};
+
+/**
+ * Split the text between a call's parentheses at its top-level commas.
+ *
+ * @param {string} text - Argument text, without the outer parentheses
+ * @returns {string[]} Trimmed arguments; empty text has none
+ */
+export const splitArguments = (text) => {
+  const args = splitTopLevel(text, ',');
+  return args.length === 1 && !args[0] ? [] : args;
+};
@@ -0,0 +1,187 @@
+import * as math from 'mathjs';
+import { splitArguments, splitTopLevel } from './parse-utils.js';
+
+const PIECEWISE_CALL_PATTERN = /^piecewise\s*\(/;
+const DEFINITION_PATTERN = /^(y|[A-Za-z]\w*\s*\(\s*x\s*\))\s*=(?!=)([\s\S]+)$/;
+
+const INVALID_PIECEWISE = 'Invalid piecewise syntax';
+
+/**
+ * Return the text between a leading "{" and its matching "}" when the pair
+ * wraps the whole expression, otherwise null.
+ */
+const unwrapBraces = (expression) => {
+  if (!expression.startsWith('{') || !expression.endsWith('}')) {
+    return null;
+  }
+
+  let depth = 0;
+  for (let index = 0; index < expression.length; index += 1) {
+    const char = expression[index];
+    if (char === '{') depth += 1;
+    if (char === '}') depth -= 1;
+    if (depth === 0 && index !== expression.length - 1) {
+      return null;
+    }
+  }
+
+  return depth === 0 ? expression.slice(1, -1) : null;
+};
+
+const hasTopLevelConditional = (expression) => {
+  return splitTopLevel(expression, '?').length > 1;
+};
+
+const normalizePiece = (piece) => {
+  if (!piece) {
+    throw new Error(INVALID_PIECEWISE);
+  }
+  return math.parse(piece).toString();
+};
+
+const parseBraceEntries = (body) => {
+  const entries = splitArguments(body);
+  const branches = [];
+  let otherwise = null;
+
+  entries.forEach((entry, index) => {
+    const [condition, ...valueParts] = splitTopLevel(entry, ':');
+
+    if (valueParts.length === 0) {
+      if (index !== entries.length - 1) {
+        throw new Error(INVALID_PIECEWISE);
+      }
+      otherwise = entry;
+      return;
+    }
+
+    // Only the first ":" separates the condition; the value may be a ternary
+    branches.push({
+      condition,
+      value: valueParts.join(':').trim()
+    });
+  });
+
+  return { branches, otherwise };
+};
+
+const parseCallArguments = (node) => {
+  if (node.args.length < 2) {
+    throw new Error('piecewise() expects condition, value pairs');
+  }
+
+  const branches = [];
+  for (let index = 0; index + 1 < node.args.length; index += 2) {
+    branches.push({
+      condition: node.args[index].toString(),
+      value: node.args[index + 1].toString()
+    });
+  }
+
+  const otherwise = node.args.length % 2 === 1
+    ? node.args[node.args.length - 1].toString()
+    : null;
+
+  return { branches, otherwise };
+};
+
+const flattenConditional = (node) => {
+  const branches = [];
+  let current = node;
+
+  while (current.type === 'ConditionalNode') {
+    branches.push({
+      condition: current.condition.toString(),
+      value: current.trueExpr.toString()
+    });
+    current = current.falseExpr;
+  }
+
+  return { branches, otherwise: current.toString() };
+};
+
+/**
+ * Split a "y = ..." or "f(x) = ..." definition into its left-hand side and
+ * body. Anything else is returned as a bare body with a null lhs.
+ *
+ * @param {string} expression - Expression string
+ * @returns {{lhs: string|null, body: string}}
+ */
+export const splitPiecewiseDefinition = (expression) => {
+  const trimmed = typeof expression === 'string' ? expression.trim() : '';
+  const match = trimmed.match(DEFINITION_PATTERN);
+
+  if (!match) {
+    return { lhs: null, body: trimmed };
+  }
+
+  return {
+    lhs: match[1].replace(/\s+/g, ''),
+    body: match[2].trim()
+  };
+};
+
+/**
+ * Parse a piecewise body written as {cond: value, ..., default},
+ * piecewise(cond, value, ..., default) or cond ? value : default.
+ * Returns null when the body is not piecewise at all. Malformed input
+ * returns an object with an error message instead of branches.
+ *
+ * @param {string} body - Right-hand side of the definition
+ * @returns {{
+ *   branches: Array<{condition: string, value: string}>,
+ *   otherwise: string|null,
+ *   error: string|null
+ * }|null}
+ */
+export const parsePiecewiseBody = (body) => {
+  if (typeof body !== 'string') {
+    return null;
+  }
+
+  const trimmed = body.trim();
+  const braceBody = unwrapBraces(trimmed);
+  const isCall = PIECEWISE_CALL_PATTERN.test(trimmed);
+  const isConditional = hasTopLevelConditional(trimmed);
+
+  if (braceBody === null && !isCall && !isConditional) {
+    return null;
+  }
+
+  try {
+    let parsed;
+
+    if (braceBody !== null) {
+      parsed = parseBraceEntries(braceBody);
+    } else {
+      const node = math.parse(trimmed);
+      if (isCall && node.type === 'FunctionNode' && node.fn?.name === 'piecewise') {
+        parsed = parseCallArguments(node);
+      } else if (node.type === 'ConditionalNode') {
+        parsed = flattenConditional(node);
+      } else {
+        return null;
+      }
+    }
+
+    // A brace group without any "condition: value" entry is not piecewise
+    if (parsed.branches.length === 0) {
+      return null;
+    }
+
+    return {
+      branches: parsed.branches.map(branch => ({
+        condition: normalizePiece(branch.condition),
+        value: normalizePiece(branch.value)
+      })),
+      otherwise: parsed.otherwise ? normalizePiece(parsed.otherwise) : null,
+      error: null
+    };
+  } catch (error) {
+    return {
+      branches: [],
+      otherwise: null,
+      error: error?.message?.startsWith('piecewise()') ? error.message : INVALID_PIECEWISE
+    };
+  }
+};
@@ -0,0 +1,283 @@
+import * as math from 'mathjs';
+import { expandListScopes, isListValue } from './list-utils.js';
+import { DEFAULT_PARAMETER } from './parameter-defaults.js';
+import { splitTopLevel } from './parse-utils.js';
+
+const MAX_ITERATIONS = 200;
+const TOLERANCE = 1e-12;
+const CACHE_LIMIT = 50;
+const cache = new Map();
+
+const ERROR_MESSAGES = {
+  noListData: 'Regression needs list data such as a table column',
+  tooFewPoints: 'Regression needs at least as many data points as parameters',
+  notConverged: 'Regression could not fit the data'
+};
+
+/**
+ * Split "y1 ~ m*x1 + b" at its top-level ~ into the observed and model sides.
+ * A leading ~ (math.js bitwise not) is not a regression.
+ *
+ * @param {string} expression - Row expression
+ * @returns {{lhs: string, model: string}|null}
+ */
+export const splitRegression = (expression) => {
+  const trimmed = typeof expression === 'string' ? expression.trim() : '';
+  const [lhs, ...modelParts] = splitTopLevel(trimmed, '~');
+  return lhs && modelParts.length > 0 ? { lhs, model: modelParts.join('~') } : null;
+};
+
+/**
+ * Key identifying a regression row's fit in analyzeParameters results.
+ *
+ * @param {{lhs: string, model: string}} regression - Regression plot data
+ * @returns {string}
+ */
+export const getRegressionKey = ({ lhs, model }) => `${lhs} ~ ${model}`;
+
+/**
+ * Turn a fitted model into a curve in x by replacing its single list
+ * symbol, e.g. "m*x1 + b" -> "m * x + b". Returns null when the model does
+ * not use exactly one list.
+ *
+ * @param {string} model - Model side of the regression
+ * @param {Object} scope - Scope where lists are arrays
+ * @returns {string|null}
+ */
+export const buildRegressionCurve = (model, scope = {}) => {
+  try {
+    const node = math.parse(model);
+    const listSymbols = new Set();
+    node.traverse((current, path, parent) => {
+      if (current.type === 'SymbolNode' && isListValue(scope[current.name]) &&
+        !(parent?.type === 'FunctionNode' && path === 'fn')) {
+        listSymbols.add(current.name);
+      }
+    });
+    if (listSymbols.size !== 1) {
+      return null;
+    }
+
+    const [listSymbol] = listSymbols;
+    return node.transform(current => (
+      current.type === 'SymbolNode' && current.name === listSymbol
+        ? new math.SymbolNode('x')
+        : current
+    )).toString();
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Solve the square system A x = b by Gaussian elimination with partial
+ * pivoting. Returns null when A is singular.
+ */
+const solveLinearSystem = (A, b) => {
+  const size = b.length;
+  const rows = A.map((row, index) => [...row, b[index]]);
+
+  for (let col = 0; col < size; col += 1) {
+    let pivot = col;
+    for (let row = col + 1; row < size; row += 1) {
+      if (Math.abs(rows[row][col]) > Math.abs(rows[pivot][col])) {
+        pivot = row;
+      }
+    }
+    if (Math.abs(rows[pivot][col]) < 1e-300) {
+      return null;
+    }
+    [rows[col], rows[pivot]] = [rows[pivot], rows[col]];
+
+    for (let row = col + 1; row < size; row += 1) {
+      const factor = rows[row][col] / rows[col][col];
+      for (let k = col; k <= size; k += 1) {
+        rows[row][k] -= factor * rows[col][k];
+      }
+    }
+  }
+
+  const solution = new Array(size).fill(0);
+  for (let row = size - 1; row >= 0; row -= 1) {
+    let sum = rows[row][size];
+    for (let k = row + 1; k < size; k += 1) {
+      sum -= rows[row][k] * solution[k];
+    }
+    solution[row] = sum / rows[row][row];
+  }
+
+  return solution;
+};
+
+const sumOfSquares = (values) => values.reduce((total, value) => total + value * value, 0);
+
+const fitLeastSquares = (lhs, model, params, scope) => {
+  const failed = (error) => ({ values: {}, rSquared: null, residuals: [], error });
+
+  let lhsNode;
+  let modelNode;
+  try {
+    lhsNode = math.parse(lhs);
+    modelNode = math.parse(model);
+  } catch (error) {
+    return failed(ERROR_MESSAGES.notConverged);
+  }
+
+  const symbols = new Set();
+  [lhsNode, modelNode].forEach(node => {
+    node.traverse((current, path, parent) => {
+      if (current.type === 'SymbolNode' && !(parent?.type === 'FunctionNode' && path === 'fn')) {
+        symbols.add(current.name);
+      }
+    });
+  });
+
+  const dataSymbols = Array.from(symbols).filter(symbol => isListValue(scope[symbol]));
+  if (dataSymbols.length === 0) {
+    return failed(ERROR_MESSAGES.noListData);
+  }
+
+  const pointScopes = expandListScopes(dataSymbols, scope);
+  if (pointScopes.length < Math.max(params.length, 1)) {
+    return failed(ERROR_MESSAGES.tooFewPoints);
+  }
+
+  const lhsCompiled = lhsNode.compile();
+  const modelCompiled = modelNode.compile();
+
+  let observed;
+  try {
+    observed = pointScopes.map(pointScope => lhsCompiled.evaluate(pointScope));
+  } catch (error) {
+    return failed(ERROR_MESSAGES.notConverged);
+  }
+  if (!observed.every(value => typeof value === 'number' && Number.isFinite(value))) {
+    return failed(ERROR_MESSAGES.notConverged);
+  }
+
+  const residualsFor = (values) => {
+    const residuals = [];
+    for (let index = 0; index < pointScopes.length; index += 1) {
+      const pointScope = { ...pointScopes[index] };
+      params.forEach((param, paramIndex) => {
+        pointScope[param] = values[paramIndex];
+      });
+      let predicted;
+      try {
+        predicted = modelCompiled.evaluate(pointScope);
+      } catch (error) {
+        return null;
+      }
+      if (typeof predicted !== 'number' || !Number.isFinite(predicted)) {
+        return null;
+      }
+      residuals.push(observed[index] - predicted);
+    }
+    return residuals;
+  };
+
+  let values = params.map(() => DEFAULT_PARAMETER.value);
+  let residuals = residualsFor(values);
+  if (!residuals) {
+    return failed(ERROR_MESSAGES.notConverged);
+  }
+  let error = sumOfSquares(residuals);
+  let damping = 1e-3;
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS && params.length > 0; iteration += 1) {
+    // Columns of the Jacobian of the model by forward differences
+    const jacobian = [];
+    for (let paramIndex = 0; paramIndex < params.length; paramIndex += 1) {
+      const step = 1e-7 * Math.max(1, Math.abs(values[paramIndex]));
+      const shifted = [...values];
+      shifted[paramIndex] += step;
+      const shiftedResiduals = residualsFor(shifted);
+      if (!shiftedResiduals) {
+        return failed(ERROR_MESSAGES.notConverged);
+      }
+      jacobian.push(residuals.map((residual, index) => (
+        (residual - shiftedResiduals[index]) / step
+      )));
+    }
+
+    const normal = jacobian.map(rowCol => jacobian.map(col => (
+      rowCol.reduce((total, value, index) => total + value * col[index], 0)
+    )));
+    const gradient = jacobian.map(col => (
+      col.reduce((total, value, index) => total + value * residuals[index], 0)
+    ));
+
+    let improved = false;
+    while (damping < 1e12) {
+      const damped = normal.map((row, rowIndex) => row.map((value, colIndex) => (
+        rowIndex === colIndex ? value + damping * (value || 1) : value
+      )));
+      const delta = solveLinearSystem(damped, gradient);
+      const candidate = delta ? values.map((value, index) => value + delta[index]) : null;
+      const candidateResiduals = candidate ? residualsFor(candidate) : null;
+      const candidateError = candidateResiduals ? sumOfSquares(candidateResiduals) : Infinity;
+
+      if (candidateError < error) {
+        const converged = error - candidateError <= TOLERANCE * Math.max(error, 1);
+        values = candidate;
+        residuals = candidateResiduals;
+        error = candidateError;
+        damping = Math.max(damping / 10, 1e-12);
+        improved = !converged;
+        break;
+      }
+      damping *= 10;
+    }
+
+    if (!improved) {
+      break;
+    }
+  }
+
+  if (!values.every(Number.isFinite)) {
+    return failed(ERROR_MESSAGES.notConverged);
+  }
+
+  const mean = observed.reduce((total, value) => total + value, 0) / observed.length;
+  const totalSquares = sumOfSquares(observed.map(value => value - mean));
+
+  return {
+    values: Object.fromEntries(params.map((param, index) => [param, values[index]])),
+    rSquared: totalSquares > 0 ? 1 - error / totalSquares : null,
+    residuals,
+    error: null
+  };
+};
+
+/**
+ * Fit the parameters of a regression model to list data by least squares,
+ * using Levenberg-Marquardt with a numeric Jacobian. Linear and polynomial
+ * models converge in a few steps; exponential and other nonlinear models
+ * start from initial guesses of 1.
+ *
+ * @param {Object} options
+ * @param {string} options.lhs - Observed side, e.g. "y1"
+ * @param {string} options.model - Model side, e.g. "m*x1 + b"
+ * @param {string[]} options.params - Names of the parameters to fit
+ * @param {Object} options.scope - Lists and fixed parameter values
+ * @returns {{
+ *   values: Object<string, number>,
+ *   rSquared: number|null,
+ *   residuals: number[],
+ *   error: string|null
+ * }}
+ */
+export const fitRegression = ({ lhs, model, params = [], scope = {} }) => {
+  // Rows are re-analyzed on every edit, so identical fits are reused
+  const cacheKey = JSON.stringify([lhs, model, params, scope]);
+  if (cache.has(cacheKey)) {
+    return cache.get(cacheKey);
+  }
+
+  const result = fitLeastSquares(lhs, model, params, scope);
+  cache.set(cacheKey, result);
+  if (cache.size > CACHE_LIMIT) {
+    cache.delete(cache.keys().next().value);
+  }
+  return result;
+};
@@ -0,0 +1,152 @@
+import * as math from 'mathjs';
+import { splitTopLevel } from './parse-utils.js';
+
+const COMPARISON_OPERATORS = {
+  smaller: '<',
+  smallerEq: '<=',
+  larger: '>',
+  largerEq: '>='
+};
+
+/**
+ * Find the "{" that opens a trailing brace group ending at the last
+ * character, or -1 when the expression does not end with one.
+ */
+const findTrailingGroupStart = (expression) => {
+  if (!expression.endsWith('}')) {
+    return -1;
+  }
+
+  let depth = 0;
+  for (let index = expression.length - 1; index >= 0; index -= 1) {
+    const char = expression[index];
+    if (char === '}') depth += 1;
+    if (char === '{') depth -= 1;
+    if (depth === 0) {
+      return index;
+    }
+  }
+
+  return -1;
+};
+
+const collectComparisons = (node, comparisons) => {
+  if (node.type === 'ParenthesisNode') {
+    return collectComparisons(node.content, comparisons);
+  }
+
+  if (node.type === 'OperatorNode' && node.fn === 'and') {
+    return node.args.every(arg => collectComparisons(arg, comparisons));
+  }
+
+  if (node.type === 'OperatorNode' && COMPARISON_OPERATORS[node.fn]) {
+    comparisons.push({
+      lhs: node.args[0].toString(),
+      operator: COMPARISON_OPERATORS[node.fn],
+      rhs: node.args[1].toString()
+    });
+    return true;
+  }
+
+  // Chained comparisons such as -2 <= x <= 3
+  if (node.type === 'RelationalNode') {
+    for (let index = 0; index < node.conditionals.length; index += 1) {
+      const operator = COMPARISON_OPERATORS[node.conditionals[index]];
+      if (!operator) {
+        return false;
+      }
+      comparisons.push({
+        lhs: node.params[index].toString(),
+        operator,
+        rhs: node.params[index + 1].toString()
+      });
+    }
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Split trailing restriction groups off a row, e.g.
+ * "x^2 {-2 <= x <= 3}" -> { body: "x^2", restrictions: ["-2 <= x <= 3"] }.
+ * Brace groups containing ":" are piecewise bodies and are left alone.
+ *
+ * @param {string} expression - Row expression
+ * @returns {{body: string, restrictions: string[]}}
+ */
+export const splitTrailingRestrictions = (expression) => {
+  let body = typeof expression === 'string' ? expression.trim() : '';
+  const restrictions = [];
+
+  while (body) {
+    const start = findTrailingGroupStart(body);
+    if (start <= 0) {
+      break;
+    }
+
+    const content = body.slice(start + 1, -1).trim();
+    const rest = body.slice(0, start).trim();
+    if (!content || !rest || splitTopLevel(content, ':').length > 1) {
+      break;
+    }
+
+    restrictions.unshift(content);
+    body = rest;
+  }
+
+  return { body, restrictions };
+};
+
+/**
+ * Parse one restriction into simple comparisons. Chained comparisons and
+ * "and" are expanded, so "-2 <= x <= 3" yields two entries.
+ *
+ * @param {string} restriction - Restriction text without braces
+ * @returns {Array<{lhs: string, operator: string, rhs: string}>|null}
+ *   Comparisons, or null if the text is not a comparison
+ */
+export const parseRestriction = (restriction) => {
+  try {
+    const comparisons = [];
+    const node = math.parse(restriction);
+    return collectComparisons(node, comparisons) && comparisons.length > 0
+      ? comparisons
+      : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Build an expression that is zero inside the restricted region and
+ * undefined (sqrt of a negative number) outside it. Adding it to a plotted
+ * expression clips the curve for function-plot's interval sampler.
+ *
+ * @param {Array<{lhs: string, operator: string, rhs: string}>} restrictions
+ * @param {string|null} yExpression - Substituted for y in explicit rows
+ * @returns {string|null} Guard expression, or null when there are no restrictions
+ */
+export const buildRestrictionGuard = (restrictions, yExpression = null) => {
+  if (!Array.isArray(restrictions) || restrictions.length === 0) {
+    return null;
+  }
+
+  const yNode = yExpression ? math.parse(`(${yExpression})`) : null;
+
+  const terms = restrictions.map(({ lhs, operator, rhs }) => {
+    const slack = operator === '<' || operator === '<='
+      ? `(${rhs}) - (${lhs})`
+      : `(${lhs}) - (${rhs})`;
+
+    const node = yNode
+      ? math.parse(slack).transform(current => (
+        current.type === 'SymbolNode' && current.name === 'y' ? yNode : current
+      ))
+      : math.parse(slack);
+
+    return `0 * sqrt(${node.toString()})`;
+  });
+
+  return terms.join(' + ');
+};
@@ -0,0 +1,298 @@
+import * as math from 'mathjs';
+import { findClosingParen, splitArguments } from './parse-utils.js';
+
+const SERIES_CALL_PATTERN = /(sum|prod)\s*\(/g;
+const SEQUENCE_DEFINITION_PATTERN = /^([A-Za-z][A-Za-z0-9]*)_([A-Za-z])\s*=(?!=)([\s\S]+)$/;
+const INDEX_PATTERN = /^[A-Za-z][A-Za-z0-9_]*$/;
+const RESERVED_INDEXES = ['x', 'y', 'e'];
+const MAX_SERIES_TERMS = 1000;
+const MAX_EXPANDED_LENGTH = 100000;
+const SEQUENCE_TERM_COUNT = 100;
+
+const ERROR_MESSAGES = {
+  malformedSeries: 'Sums and products must be written as sum(expression, n, start, end)',
+  seriesBounds: 'Sum and product bounds must be whole numbers',
+  parameterBounds: 'Sum and product bounds must be fixed numbers, not parameters',
+  tooManyTerms: `Sums and products are limited to ${MAX_SERIES_TERMS} terms`,
+  malformedTerm: 'Sequence terms must refer to earlier terms, as in a_(n-1)'
+};
+
+const missingStartMessage = (name, index) => `Sequence needs a starting value for ${name}_${index}`;
+
+/**
+ * Find the first sum(...) or prod(...) call with an index and bounds.
+ * One-argument calls such as sum(L) are list functions and are skipped.
+ */
+const findSeriesCall = (expression) => {
+  for (const match of expression.matchAll(SERIES_CALL_PATTERN)) {
+    const before = expression[match.index - 1];
+    if (before && /[A-Za-z0-9_.]/.test(before)) {
+      continue;
+    }
+
+    const open = match.index + match[0].length - 1;
+    const close = findClosingParen(expression, open);
+    if (close === -1) {
+      return null;
+    }
+
+    const args = splitArguments(expression.slice(open + 1, close));
+    if (args.length === 4) {
+      return { operator: match[1], start: match.index, close, args };
+    }
+  }
+  return null;
+};
+
+/**
+ * Evaluate a sum or product bound to a whole number. Bounds are fixed when
+ * the row is classified, so one that uses a parameter is an error.
+ *
+ * @returns {{value: number|null, error: string|null}}
+ */
+const evaluateBound = (bound) => {
+  try {
+    const node = math.parse(bound);
+    const usesParameter = node.filter(current => (
+      current.type === 'SymbolNode' && math[current.name] === undefined
+    )).length > 0;
+    if (usesParameter) {
+      return { value: null, error: ERROR_MESSAGES.parameterBounds };
+    }
+    const value = node.evaluate();
+    return Number.isInteger(value)
+      ? { value, error: null }
+      : { value: null, error: ERROR_MESSAGES.seriesBounds };
+  } catch (error) {
+    return { value: null, error: ERROR_MESSAGES.seriesBounds };
+  }
+};
+
+/**
+ * Write out every term of one sum or product, e.g. ("n^2", "n", 1, 3) ->
+ * ["(1) ^ 2", "(2) ^ 2", "(3) ^ 2"].
+ */
+const expandTerms = (body, index, lower, upper) => {
+  const node = math.parse(body);
+  const terms = [];
+  for (let value = lower; value <= upper; value += 1) {
+    const replacement = math.parse(`(${value})`);
+    terms.push(node.transform(current => (
+      current.type === 'SymbolNode' && current.name === index ? replacement : current
+    )).toString());
+  }
+  return terms;
+};
+
+/**
+ * Replace every sum(expression, n, start, end) and prod(...) call with its
+ * terms written out, outermost first, so the bounds of an inner sum may use
+ * the outer index. Parameters stay symbolic, so "sum(a*n, n, 1, 3)" follows
+ * the slider for a, and an empty range gives 0 for a sum and 1 for a
+ * product. Bounds must be fixed whole numbers, not parameters, so the row
+ * can be expanded before it is plotted.
+ *
+ * @param {string} expression - Row expression
+ * @returns {{expression: string|null, error: string|null}}
+ */
+export const expandSeries = (expression) => {
+  let result = typeof expression === 'string' ? expression : '';
+
+  for (;;) {
+    const call = findSeriesCall(result);
+    if (!call) {
+      return { expression: result, error: null };
+    }
+
+    const [body, index, lowerText, upperText] = call.args;
+    if (!body || !INDEX_PATTERN.test(index) || RESERVED_INDEXES.includes(index)) {
+      return { expression: null, error: ERROR_MESSAGES.malformedSeries };
+    }
+
+    const lowerBound = evaluateBound(lowerText);
+    const upperBound = evaluateBound(upperText);
+    const boundError = lowerBound.error || upperBound.error;
+    if (boundError) {
+      return { expression: null, error: boundError };
+    }
+    const lower = lowerBound.value;
+    const upper = upperBound.value;
+    if (upper - lower + 1 > MAX_SERIES_TERMS) {
+      return { expression: null, error: ERROR_MESSAGES.tooManyTerms };
+    }
+
+    let terms;
+    try {
+      terms = expandTerms(body, index, lower, upper);
+    } catch (error) {
+      return { expression: null, error: ERROR_MESSAGES.malformedSeries };
+    }
+
+    const isSum = call.operator === 'sum';
+    const expanded = terms.length > 0
+      ? `(${terms.map(term => `(${term})`).join(isSum ? ' + ' : ' * ')})`
+      : (isSum ? '0' : '1');
+    result = `${result.slice(0, call.start)}${expanded}${result.slice(call.close + 1)}`;
+    if (result.length > MAX_EXPANDED_LENGTH) {
+      return { expression: null, error: ERROR_MESSAGES.tooManyTerms };
+    }
+  }
+};
+
+/**
+ * Split a sequence row such as "a_n = a_(n-1) + 2" or "a_n = 2n + 1" into
+ * the sequence name, its index and the formula for the nth term. Rows that
+ * neither use the index nor refer to earlier terms, such as "a_1 = 3",
+ * are ordinary parameters and give null.
+ *
+ * @param {string} expression - Row expression
+ * @returns {{name: string, index: string, body: string}|null}
+ */
+export const splitSequenceDefinition = (expression) => {
+  const trimmed = typeof expression === 'string' ? expression.trim() : '';
+  const match = trimmed.match(SEQUENCE_DEFINITION_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const [, name, index] = match;
+  const body = match[3].trim();
+  if (!body || RESERVED_INDEXES.includes(index)) {
+    return null;
+  }
+
+  let node;
+  try {
+    node = math.parse(body);
+  } catch (error) {
+    return null;
+  }
+
+  const isSequence = node.filter(current => (
+    (current.type === 'SymbolNode' && current.name === index) ||
+    (current.type === 'FunctionNode' && current.fn?.name === `${name}_`)
+  )).length > 0;
+  return isSequence ? { name, index, body } : null;
+};
+
+/**
+ * Find how far back a recurrence looks, e.g. 2 for
+ * "a_(n-1) + a_(n-2)" and 0 for an explicit formula such as "2n + 1".
+ *
+ * @param {{name: string, index: string, body: string}} sequence - From splitSequenceDefinition
+ * @returns {{depth: number, error: string|null}}
+ */
+export const findRecurrenceDepth = ({ name, index, body }) => {
+  let node;
+  try {
+    node = math.parse(body);
+  } catch (error) {
+    return { depth: 0, error: ERROR_MESSAGES.malformedTerm };
+  }
+
+  let depth = 0;
+  let isValid = true;
+  node.traverse(current => {
+    if (current.type !== 'FunctionNode' || current.fn?.name !== `${name}_`) return;
+    if (current.args.length !== 1) {
+      isValid = false;
+      return;
+    }
+
+    // The argument must be the index minus a whole number, such as n - 2
+    try {
+      const compiled = current.args[0].compile();
+      const atZero = compiled.evaluate({ [index]: 0 });
+      const atOne = compiled.evaluate({ [index]: 1 });
+      if (atOne - atZero !== 1 || !Number.isInteger(-atZero) || -atZero < 1) {
+        isValid = false;
+        return;
+      }
+      depth = Math.max(depth, -atZero);
+    } catch (error) {
+      isValid = false;
+    }
+  });
+
+  return isValid ? { depth, error: null } : { depth: 0, error: ERROR_MESSAGES.malformedTerm };
+};
+
+/**
+ * Collect the given terms of a sequence, such as a_1 = 3, from the scope.
+ */
+const collectInitialTerms = (name, scope) => {
+  const pattern = new RegExp(`^${name}_(\\d+)$`);
+  const terms = new Map();
+  Object.entries(scope || {}).forEach(([key, value]) => {
+    const match = key.match(pattern);
+    if (match && typeof value === 'number' && Number.isFinite(value)) {
+      terms.set(Number(match[1]), value);
+    }
+  });
+  return terms;
+};
+
+/**
+ * Compute the first terms of a sequence as [n, a_n] points. A recurrence
+ * starts from the lowest given term (a_1 = 3 starts at n = 1) and needs as
+ * many given terms as it looks back; an explicit formula starts at n = 1
+ * unless a lower term is given. A recurrence stops at the first term that
+ * is undefined, since every later term depends on it.
+ *
+ * @param {{name: string, index: string, body: string}} sequence - From splitSequenceDefinition
+ * @param {Object} scope - Parameter values, including given terms such as a_1
+ * @param {number} count - Number of terms to compute
+ * @returns {{points: Array<[number, number]>, error: string|null}}
+ */
+export const computeSequenceTerms = (sequence, scope = {}, count = SEQUENCE_TERM_COUNT) => {
+  const { name, index, body } = sequence;
+  const { depth, error } = findRecurrenceDepth(sequence);
+  if (error) {
+    return { points: [], error };
+  }
+
+  const initialTerms = collectInitialTerms(name, scope);
+  const first = initialTerms.size > 0 ? Math.min(...initialTerms.keys()) : 1;
+  for (let n = first; n < first + depth; n += 1) {
+    if (!initialTerms.has(n)) {
+      return { points: [], error: missingStartMessage(name, n) };
+    }
+  }
+
+  let compiled;
+  try {
+    compiled = math.parse(body).compile();
+  } catch (parseError) {
+    return { points: [], error: ERROR_MESSAGES.malformedTerm };
+  }
+
+  const terms = new Map();
+  const evalScope = {
+    ...scope,
+    [`${name}_`]: (n) => (terms.has(n) ? terms.get(n) : NaN)
+  };
+  const points = [];
+
+  for (let n = first; n < first + count; n += 1) {
+    let value;
+    if (n < first + depth) {
+      value = initialTerms.get(n);
+    } else {
+      evalScope[index] = n;
+      try {
+        value = compiled.evaluate(evalScope);
+      } catch (evaluationError) {
+        value = NaN;
+      }
+    }
+
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      if (depth > 0) break;
+      continue;
+    }
+    terms.set(n, value);
+    points.push([n, value]);
+  }
+
+  return { points, error: null };
+};
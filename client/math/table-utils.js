@@ -0,0 +1,132 @@
+import { evaluateWithLists } from './list-utils.js';
+
+const IDENTIFIER_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+const toCell = (cell) => {
+  if (typeof cell === 'number' && Number.isFinite(cell)) {
+    return String(cell);
+  }
+  return typeof cell === 'string' ? cell.trim() : '';
+};
+
+const isEmptyRow = (row) => row.every(cell => cell === '');
+
+/**
+ * Normalize table rows to [x, y] string cells and drop trailing empty rows.
+ *
+ * @param {Array<Array<string|number>>} rows - Raw rows from config or input
+ * @returns {string[][]} Normalized rows
+ */
+export const normalizeTableRows = (rows) => {
+  const normalized = (Array.isArray(rows) ? rows : []).map(row => {
+    const cells = Array.isArray(row) ? row : [];
+    return [toCell(cells[0]), toCell(cells[1])];
+  });
+
+  while (normalized.length > 0 && isEmptyRow(normalized[normalized.length - 1])) {
+    normalized.pop();
+  }
+
+  return normalized;
+};
+
+/**
+ * Build the points(...) expression plotted for a table, so tables reuse the
+ * points classification and plotting path. Rows missing either cell are
+ * skipped; a table without complete rows yields an empty expression.
+ *
+ * @param {Array<Array<string|number>>} rows - Table rows
+ * @returns {string} Expression such as "points([[1, 2], [a, 3]])"
+ */
+export const buildTableExpression = (rows) => {
+  const pairs = normalizeTableRows(rows)
+    .filter(([x, y]) => x !== '' && y !== '')
+    .map(([x, y]) => `[${x}, ${y}]`);
+
+  return pairs.length > 0 ? `points([${pairs.join(', ')}])` : '';
+};
+
+/**
+ * Validate a single table cell. Cells are arithmetic expressions that may
+ * use parameters but not the graph variables x and y.
+ *
+ * @param {string} cell - Cell expression
+ * @param {ExpressionParser} parser - Parser instance
+ * @returns {string|null} Error message, or null for valid or empty cells
+ */
+export const validateTableCell = (cell, parser) => {
+  const trimmed = toCell(cell);
+  if (!trimmed) {
+    return null;
+  }
+
+  const symbols = parser.getAllSymbols(trimmed);
+  if (symbols.includes('x') || symbols.includes('y')) {
+    return 'Table cells cannot use x or y';
+  }
+
+  const parsed = parser.parse(trimmed, symbols);
+  return parsed.isValid ? null : 'Syntax error';
+};
+
+/**
+ * Check whether a table's column names are two distinct identifiers other
+ * than the graph axes.
+ *
+ * @param {*} columns - Candidate column names
+ * @returns {boolean}
+ */
+export const isValidTableColumns = (columns) => (
+  Array.isArray(columns) && columns.length === 2 &&
+  columns.every(name => typeof name === 'string' && IDENTIFIER_PATTERN.test(name) &&
+    name !== 'x' && name !== 'y') &&
+  columns[0] !== columns[1]
+);
+
+/**
+ * Pick list names for a new table's columns: x1/y1 for the first table,
+ * then the lowest number not used by another table.
+ *
+ * @param {Array<Object>} functions - Existing rows
+ * @returns {string[]} Column names, e.g. ["x2", "y2"]
+ */
+export const nextTableColumns = (functions) => {
+  const usedNames = new Set();
+  (functions || []).forEach(func => {
+    if (func?.type === 'table' && Array.isArray(func.table?.columns)) {
+      func.table.columns.forEach(name => usedNames.add(name));
+    }
+  });
+
+  let number = 1;
+  while (usedNames.has(`x${number}`) || usedNames.has(`y${number}`)) {
+    number += 1;
+  }
+  return [`x${number}`, `y${number}`];
+};
+
+/**
+ * Evaluate a table's cells into one list per column. Rows missing a cell or
+ * with a cell that does not evaluate to a number are skipped, so both lists
+ * stay aligned.
+ *
+ * @param {Array<Array<string>>} rows - Table rows
+ * @param {Object} scope - Parameter values by name
+ * @returns {number[][]} [xValues, yValues]
+ */
+export const evaluateTableColumns = (rows, scope = {}) => {
+  const xValues = [];
+  const yValues = [];
+
+  normalizeTableRows(rows).forEach(([x, y]) => {
+    if (x === '' || y === '') return;
+    const xValue = evaluateWithLists(x, scope);
+    const yValue = evaluateWithLists(y, scope);
+    if (typeof xValue === 'number' && typeof yValue === 'number') {
+      xValues.push(xValue);
+      yValues.push(yValue);
+    }
+  });
+
+  return [xValues, yValues];
+};
@@ -0,0 +1,52 @@
+/**
+ * Split a parenthesized tuple "(a, b, ...)" into its top-level components.
+ * Returns null when the expression is not wrapped in a single pair of
+ * parentheses or when any component is empty.
+ *
+ * @param {string} expression - Expression string, e.g. "(cos(t), sin(t))"
+ * @returns {string[]|null} Trimmed component strings
+ */
+export const splitTopLevelTuple = (expression) => {
+  if (typeof expression !== 'string') {
+    return null;
+  }
+
+  const trimmed = expression.trim();
+  if (!trimmed.startsWith('(') || !trimmed.endsWith(')')) {
+    return null;
+  }
+
+  const components = [];
+  let depth = 0;
+  let start = 1;
+
+  for (let index = 0; index < trimmed.length; index += 1) {
+    const char = trimmed[index];
+
+    if (char === '(' || char === '[' || char === '{') {
+      depth += 1;
+      continue;
+    }
+
+    if (char === ')' || char === ']' || char === '}') {
+      depth -= 1;
+      // The opening parenthesis must close at the very end
+      if (depth === 0 && index !== trimmed.length - 1) {
+        return null;
+      }
+      continue;
+    }
+
+    if (char === ',' && depth === 1) {
+      components.push(trimmed.slice(start, index).trim());
+      start = index + 1;
+    }
+  }
+
+  if (depth !== 0 || components.length === 0) {
+    return null;
+  }
+
+  components.push(trimmed.slice(start, -1).trim());
+  return components.every(Boolean) ? components : null;
+};
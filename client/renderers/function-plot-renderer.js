@@ -2,6 +2,20 @@ import functionPlot from 'function-plot';
 
 const INEQUALITY_SAMPLE_STEP = 3;
 const INEQUALITY_SHADE_ALPHA = 0.18;
+const INEQUALITY_DIMMED_ALPHA = 0.06;
+const FEASIBLE_REGION_COLOR = '#4a4a4a';
+const FEASIBLE_REGION_ALPHA = 0.4;
+const SHAPE_FILL_ALPHA = 0.18;
+const SHAPE_STROKE_WIDTH = 2;
+const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+// Arrow keys move a focused overlay handle by this share of the x (or y) range
+const HANDLE_KEY_STEP = 0.01;
+const HANDLE_KEYS = {
+  ArrowLeft: [-1, 0],
+  ArrowRight: [1, 0],
+  ArrowUp: [0, 1],
+  ArrowDown: [0, -1]
+};
 
 /**
  * Thin adapter around function-plot so GraphEngine stays focused on
@@ -12,9 +26,24 @@ export default class FunctionPlotRenderer {
     this.container = container;
     this.chart = null;
     this.options = null;
-    this.callbacks = { onZoom: null };
+    this.callbacks = {
+      onZoom: null,
+      onMarkerClick: null,
+      onHandleDrag: null,
+      onHandleDragEnd: null
+    };
     this.boundHandlers = null;
     this.currentInequalities = [];
+    this.feasibleRegion = false;
+    this.currentShapes = [];
+    this.shapeLayer = null;
+    this.currentPointLabels = [];
+    this.pointLabelLayer = null;
+    this.currentMarkers = [];
+    this.markerLayer = null;
+    this.currentHandles = [];
+    this.handleLayer = null;
+    this.handleDrag = null;
     this.pendingInequalityFrame = null;
     this.inequalityCanvas = null;
     this.inequalityContext = null;
@@ -33,13 +62,19 @@ export default class FunctionPlotRenderer {
     viewport,
     showGrid,
     onZoom,
+    onMarkerClick,
+    onHandleDrag,
+    onHandleDragEnd,
     tipRenderer,
     annotations
   }) {
     if (!this.container) return;
 
     this.callbacks = {
-      onZoom: typeof onZoom === 'function' ? onZoom : null
+      onZoom: typeof onZoom === 'function' ? onZoom : null,
+      onMarkerClick: typeof onMarkerClick === 'function' ? onMarkerClick : null,
+      onHandleDrag: typeof onHandleDrag === 'function' ? onHandleDrag : null,
+      onHandleDragEnd: typeof onHandleDragEnd === 'function' ? onHandleDragEnd : null
     };
 
     const tip = { xLine: true, yLine: true };
@@ -70,6 +105,7 @@ export default class FunctionPlotRenderer {
     this.syncInequalityCanvasSize(width, height);
 
     this.chart = functionPlot(this.options);
+    this.ensureMarkerLayer();
     this.attachEventListeners();
   }
 
@@ -83,16 +119,28 @@ export default class FunctionPlotRenderer {
           this.callbacks.onZoom(viewport);
         }
         this.scheduleInequalityRender();
+        this.renderShapes();
+        this.renderPointLabels();
+        this.renderMarkers();
+        this.renderHandles();
       }
     };
 
     this.chart.on('zoom', this.boundHandlers.zoom);
   }
 
-  updateData(data, inequalities = []) {
+  /**
+   * @param {Array<Object>} data - function-plot data
+   * @param {Array<Object>} inequalities - Shaded regions with evaluate(x, y)
+   * @param {{feasibleRegion?: boolean}} options - When feasibleRegion is set,
+   *   the region where every inequality holds is shaded strongly and the
+   *   per-row shading is dimmed
+   */
+  updateData(data, inequalities = [], { feasibleRegion = false } = {}) {
     if (!this.chart || !this.options) return;
 
     this.currentInequalities = Array.isArray(inequalities) ? inequalities : [];
+    this.feasibleRegion = feasibleRegion === true;
     this.options.data = Array.isArray(data) ? data : [];
     this.chart.options.data = this.options.data;
     try {
@@ -122,6 +170,10 @@ export default class FunctionPlotRenderer {
     this.syncInequalityCanvasSize(width, height);
 
     this.chart.build();
+    this.renderShapes();
+    this.renderPointLabels();
+    this.renderMarkers();
+    this.renderHandles();
   }
 
   ensureInequalityCanvas() {
@@ -276,23 +328,14 @@ export default class FunctionPlotRenderer {
     context.rect(offsetX, offsetY, plotWidth, plotHeight);
     context.clip();
 
-    inequalities.forEach((inequality) => {
-      if (typeof inequality?.evaluate !== 'function') {
-        return;
-      }
-
-      context.fillStyle = typeof inequality.color === 'string' && inequality.color
-        ? inequality.color
-        : '#666666';
-      context.globalAlpha = INEQUALITY_SHADE_ALPHA;
-
+    const fillCells = (contains) => {
       for (let row = 0; row < rows; row += 1) {
         const y = yValues[row];
         const drawY = offsetY + (row * INEQUALITY_SAMPLE_STEP);
 
         for (let col = 0; col < cols; col += 1) {
           const x = xValues[col];
-          if (!inequality.evaluate(x, y)) {
+          if (!contains(x, y)) {
             continue;
           }
 
@@ -300,12 +343,489 @@ export default class FunctionPlotRenderer {
           context.fillRect(drawX, drawY, INEQUALITY_SAMPLE_STEP, INEQUALITY_SAMPLE_STEP);
         }
       }
+    };
+    const holds = (inequality, x, y) => (
+      inequality.evaluate(x, y) &&
+      (typeof inequality.restrict !== 'function' || inequality.restrict(x, y))
+    );
+
+    // Integral areas are shaded through the same canvas but are not constraints
+    const constraints = inequalities.filter(inequality => (
+      typeof inequality?.evaluate === 'function' && inequality.isArea !== true
+    ));
+    const showFeasibleRegion = this.feasibleRegion && constraints.length > 1;
+
+    inequalities.forEach((inequality) => {
+      if (typeof inequality?.evaluate !== 'function') {
+        return;
+      }
+
+      context.fillStyle = typeof inequality.color === 'string' && inequality.color
+        ? inequality.color
+        : '#666666';
+      context.globalAlpha = showFeasibleRegion && inequality.isArea !== true
+        ? INEQUALITY_DIMMED_ALPHA
+        : INEQUALITY_SHADE_ALPHA;
+      fillCells((x, y) => holds(inequality, x, y));
     });
 
+    if (showFeasibleRegion) {
+      context.fillStyle = FEASIBLE_REGION_COLOR;
+      context.globalAlpha = FEASIBLE_REGION_ALPHA;
+      fillCells((x, y) => constraints.every(inequality => holds(inequality, x, y)));
+    }
+
     context.restore();
     context.globalAlpha = 1;
   }
 
+  ensureShapeLayer() {
+    if (!this.container) {
+      return;
+    }
+
+    if (this.shapeLayer && this.shapeLayer.isConnected) {
+      return;
+    }
+
+    const layer = document.createElementNS(SVG_NAMESPACE, 'svg');
+    layer.setAttribute('class', 'shape-layer');
+    this.container.appendChild(layer);
+    this.shapeLayer = layer;
+  }
+
+  /**
+   * Draw segments, rays, circles and polygons in graph coordinates.
+   * Circles and polygons are filled; rays run to the edge of the plot.
+   * @param {Array<{id: string, shape: 'segment'|'ray'|'circle'|'polygon',
+   *   points: number[][], radius?: number, color?: string}>} shapes
+   */
+  updateShapes(shapes = []) {
+    this.currentShapes = Array.isArray(shapes) ? shapes : [];
+    this.renderShapes();
+  }
+
+  renderShapes() {
+    this.ensureShapeLayer();
+    if (!this.shapeLayer) {
+      return;
+    }
+
+    this.shapeLayer.innerHTML = '';
+
+    const xScale = this.chart?.meta?.xScale;
+    const yScale = this.chart?.meta?.yScale;
+    const plotWidth = this.chart?.meta?.width;
+    const plotHeight = this.chart?.meta?.height;
+    const margin = this.chart?.meta?.margin || {};
+
+    if (typeof xScale !== 'function' || typeof yScale !== 'function') {
+      return;
+    }
+    if (!Number.isFinite(plotWidth) || !Number.isFinite(plotHeight)) {
+      return;
+    }
+
+    // The layer covers the plot area only, so shapes are clipped at its edges
+    const offsetX = Number.isFinite(margin.left) ? margin.left : 0;
+    const offsetY = Number.isFinite(margin.top) ? margin.top : 0;
+    this.shapeLayer.style.left = `${offsetX}px`;
+    this.shapeLayer.style.top = `${offsetY}px`;
+    this.shapeLayer.setAttribute('width', String(Math.max(0, plotWidth)));
+    this.shapeLayer.setAttribute('height', String(Math.max(0, plotHeight)));
+
+    const toPixels = ([x, y]) => [xScale(x), yScale(y)];
+    const diagonal = Math.hypot(plotWidth, plotHeight);
+
+    this.currentShapes.forEach((shape) => {
+      const pixels = Array.isArray(shape?.points) ? shape.points.map(toPixels) : [];
+      if (pixels.length === 0 || pixels.flat().some(value => !Number.isFinite(value))) {
+        return;
+      }
+
+      let element;
+      if (shape.shape === 'circle') {
+        const [[cx, cy]] = pixels;
+        const [center] = shape.points;
+        element = document.createElementNS(SVG_NAMESPACE, 'ellipse');
+        element.setAttribute('cx', String(cx));
+        element.setAttribute('cy', String(cy));
+        element.setAttribute('rx', String(Math.abs(xScale(center[0] + shape.radius) - cx)));
+        element.setAttribute('ry', String(Math.abs(yScale(center[1] + shape.radius) - cy)));
+      } else if (shape.shape === 'polygon') {
+        element = document.createElementNS(SVG_NAMESPACE, 'polygon');
+        element.setAttribute('points', pixels.map(point => point.join(',')).join(' '));
+      } else {
+        let [[x1, y1], [x2, y2]] = pixels;
+        if (shape.shape === 'ray') {
+          // Extend past the far side of the plot from wherever the ray starts
+          const length = Math.hypot(x2 - x1, y2 - y1);
+          if (length === 0) {
+            return;
+          }
+          const reach = (diagonal + Math.hypot(x1, y1)) / length;
+          x2 = x1 + (x2 - x1) * reach;
+          y2 = y1 + (y2 - y1) * reach;
+        }
+        element = document.createElementNS(SVG_NAMESPACE, 'line');
+        element.setAttribute('x1', String(x1));
+        element.setAttribute('y1', String(y1));
+        element.setAttribute('x2', String(x2));
+        element.setAttribute('y2', String(y2));
+      }
+
+      const color = typeof shape.color === 'string' && shape.color ? shape.color : '#666666';
+      const isClosed = shape.shape === 'circle' || shape.shape === 'polygon';
+      element.setAttribute('class', `shape shape-${shape.shape}`);
+      element.setAttribute('stroke', color);
+      element.setAttribute('stroke-width', String(SHAPE_STROKE_WIDTH));
+      element.setAttribute('fill', isClosed ? color : 'none');
+      if (isClosed) {
+        element.setAttribute('fill-opacity', String(SHAPE_FILL_ALPHA));
+      }
+      if (shape.id) {
+        element.dataset.id = shape.id;
+      }
+
+      this.shapeLayer.appendChild(element);
+    });
+  }
+
+  ensurePointLabelLayer() {
+    if (!this.container) {
+      return;
+    }
+
+    if (this.pointLabelLayer && this.pointLabelLayer.isConnected) {
+      return;
+    }
+
+    const layer = document.createElement('div');
+    layer.className = 'point-label-layer';
+    this.container.appendChild(layer);
+    this.pointLabelLayer = layer;
+  }
+
+  /**
+   * Show text such as "A" or "A (1, 2)" beside plotted points.
+   * @param {Array<{key: string, x: number, y: number, text: string,
+   *   color?: string}>} labels
+   */
+  updatePointLabels(labels = []) {
+    this.currentPointLabels = Array.isArray(labels) ? labels : [];
+    this.renderPointLabels();
+  }
+
+  renderPointLabels() {
+    this.ensurePointLabelLayer();
+    if (!this.pointLabelLayer) {
+      return;
+    }
+
+    this.pointLabelLayer.innerHTML = '';
+
+    const xScale = this.chart?.meta?.xScale;
+    const yScale = this.chart?.meta?.yScale;
+    const plotWidth = this.chart?.meta?.width;
+    const plotHeight = this.chart?.meta?.height;
+    const margin = this.chart?.meta?.margin || {};
+
+    if (typeof xScale !== 'function' || typeof yScale !== 'function') {
+      return;
+    }
+
+    const offsetX = Number.isFinite(margin.left) ? margin.left : 0;
+    const offsetY = Number.isFinite(margin.top) ? margin.top : 0;
+
+    this.currentPointLabels.forEach((label) => {
+      const left = xScale(label.x);
+      const top = yScale(label.y);
+      if (!Number.isFinite(left) || !Number.isFinite(top)) {
+        return;
+      }
+      if (left < 0 || left > plotWidth || top < 0 || top > plotHeight) {
+        return;
+      }
+
+      const element = document.createElement('span');
+      element.className = 'point-label';
+      element.dataset.key = label.key;
+      element.style.left = `${offsetX + left}px`;
+      element.style.top = `${offsetY + top}px`;
+      if (typeof label.color === 'string' && label.color) {
+        element.style.color = label.color;
+      }
+      element.textContent = label.text;
+
+      this.pointLabelLayer.appendChild(element);
+    });
+  }
+
+  ensureMarkerLayer() {
+    if (!this.container) {
+      return;
+    }
+
+    if (this.markerLayer && this.markerLayer.isConnected) {
+      return;
+    }
+
+    const layer = document.createElement('div');
+    layer.className = 'poi-marker-layer';
+    layer.addEventListener('click', (event) => {
+      const marker = event.target.closest('.poi-marker');
+      if (marker && this.callbacks.onMarkerClick) {
+        this.callbacks.onMarkerClick(marker.dataset.key);
+      }
+    });
+
+    this.container.appendChild(layer);
+    this.markerLayer = layer;
+  }
+
+  /**
+   * Show points of interest as clickable dots above the plot.
+   * @param {Array<{key: string, x: number, y: number, label: string,
+   *   description?: string, pinned?: boolean}>} markers
+   */
+  updateMarkers(markers = []) {
+    this.currentMarkers = Array.isArray(markers) ? markers : [];
+    this.renderMarkers();
+  }
+
+  renderMarkers() {
+    this.ensureMarkerLayer();
+    if (!this.markerLayer) {
+      return;
+    }
+
+    this.markerLayer.innerHTML = '';
+
+    const xScale = this.chart?.meta?.xScale;
+    const yScale = this.chart?.meta?.yScale;
+    const plotWidth = this.chart?.meta?.width;
+    const plotHeight = this.chart?.meta?.height;
+    const margin = this.chart?.meta?.margin || {};
+
+    if (typeof xScale !== 'function' || typeof yScale !== 'function') {
+      return;
+    }
+
+    const offsetX = Number.isFinite(margin.left) ? margin.left : 0;
+    const offsetY = Number.isFinite(margin.top) ? margin.top : 0;
+
+    this.currentMarkers.forEach((marker) => {
+      const left = xScale(marker.x);
+      const top = yScale(marker.y);
+      if (!Number.isFinite(left) || !Number.isFinite(top)) {
+        return;
+      }
+      if (left < 0 || left > plotWidth || top < 0 || top > plotHeight) {
+        return;
+      }
+
+      const element = document.createElement('button');
+      element.type = 'button';
+      element.className = marker.pinned ? 'poi-marker is-pinned' : 'poi-marker';
+      element.dataset.key = marker.key;
+      element.style.left = `${offsetX + left}px`;
+      element.style.top = `${offsetY + top}px`;
+      element.setAttribute(
+        'aria-label',
+        marker.description ? `${marker.description} ${marker.label}` : marker.label
+      );
+
+      const label = document.createElement('span');
+      label.className = 'poi-label';
+      label.textContent = marker.label;
+      element.appendChild(label);
+
+      this.markerLayer.appendChild(element);
+    });
+  }
+
+  ensureHandleLayer() {
+    if (!this.container) {
+      return;
+    }
+
+    if (this.handleLayer && this.handleLayer.isConnected) {
+      return;
+    }
+
+    const layer = document.createElement('div');
+    layer.className = 'overlay-handle-layer';
+    layer.addEventListener('pointerdown', (event) => {
+      const handle = event.target.closest('.overlay-handle');
+      if (!handle) return;
+      // Keep function-plot from panning while a handle is dragged
+      event.preventDefault();
+      event.stopPropagation();
+      this.startHandleDrag(handle.dataset.key);
+    });
+    layer.addEventListener('keydown', (event) => {
+      const handle = event.target.closest('.overlay-handle');
+      const direction = HANDLE_KEYS[event.key];
+      if (!handle || !direction) return;
+      // Only free handles move along y
+      if (direction[1] !== 0 && !handle.classList.contains('is-free')) return;
+      event.preventDefault();
+      this.nudgeHandle(handle.dataset.key, ...direction);
+    });
+
+    this.container.appendChild(layer);
+    this.handleLayer = layer;
+  }
+
+  /**
+   * Show draggable handles for tangent and secant points and for points
+   * whose coordinates are parameters. Handles move along x only unless
+   * marked free; the new x (and y for free handles) is reported through
+   * onHandleDrag while dragging and onHandleDragEnd once the pointer is
+   * released.
+   * @param {Array<{key: string, x: number, y: number, label: string,
+   *   color?: string, free?: boolean}>} handles
+   */
+  updateHandles(handles = []) {
+    this.currentHandles = Array.isArray(handles) ? handles : [];
+    this.renderHandles();
+  }
+
+  renderHandles() {
+    this.ensureHandleLayer();
+    if (!this.handleLayer) {
+      return;
+    }
+
+    this.handleLayer.innerHTML = '';
+
+    const xScale = this.chart?.meta?.xScale;
+    const yScale = this.chart?.meta?.yScale;
+    const plotWidth = this.chart?.meta?.width;
+    const plotHeight = this.chart?.meta?.height;
+    const margin = this.chart?.meta?.margin || {};
+
+    if (typeof xScale !== 'function' || typeof yScale !== 'function') {
+      return;
+    }
+
+    const offsetX = Number.isFinite(margin.left) ? margin.left : 0;
+    const offsetY = Number.isFinite(margin.top) ? margin.top : 0;
+
+    this.currentHandles.forEach((handle) => {
+      const left = xScale(handle.x);
+      const top = yScale(handle.y);
+      if (!Number.isFinite(left) || !Number.isFinite(top)) {
+        return;
+      }
+      if (left < 0 || left > plotWidth || top < 0 || top > plotHeight) {
+        return;
+      }
+
+      const element = document.createElement('button');
+      element.type = 'button';
+      element.className = 'overlay-handle';
+      element.classList.toggle('is-free', handle.free === true);
+      element.classList.toggle('is-dragging', handle.key === this.handleDrag?.key);
+      element.dataset.key = handle.key;
+      element.style.left = `${offsetX + left}px`;
+      element.style.top = `${offsetY + top}px`;
+      if (typeof handle.color === 'string' && handle.color) {
+        element.style.borderColor = handle.color;
+      }
+      element.setAttribute('aria-label', handle.label);
+      element.title = handle.label;
+
+      this.handleLayer.appendChild(element);
+    });
+  }
+
+  startHandleDrag(key) {
+    if (!key || this.handleDrag) return;
+
+    // Handles are redrawn while dragging, so follow the pointer on the window
+    const isFree = this.currentHandles.some(handle => handle.key === key && handle.free === true);
+    const onMove = (event) => {
+      const x = this.clientXToGraphX(event.clientX);
+      const y = isFree ? this.clientYToGraphY(event.clientY) : null;
+      if (x === null || (isFree && y === null) || !this.callbacks.onHandleDrag) return;
+      if (isFree) {
+        this.callbacks.onHandleDrag(key, x, y);
+      } else {
+        this.callbacks.onHandleDrag(key, x);
+      }
+    };
+    const onEnd = () => {
+      this.stopHandleDrag();
+      if (this.callbacks.onHandleDragEnd) {
+        this.callbacks.onHandleDragEnd(key);
+      }
+    };
+
+    window.addEventListener('pointermove', onMove);
+    window.addEventListener('pointerup', onEnd);
+    window.addEventListener('pointercancel', onEnd);
+    this.handleDrag = { key, onMove, onEnd };
+  }
+
+  stopHandleDrag() {
+    if (!this.handleDrag) return;
+
+    window.removeEventListener('pointermove', this.handleDrag.onMove);
+    window.removeEventListener('pointerup', this.handleDrag.onEnd);
+    window.removeEventListener('pointercancel', this.handleDrag.onEnd);
+    this.handleDrag = null;
+  }
+
+  nudgeHandle(key, dx, dy = 0) {
+    const handle = this.currentHandles.find(current => current.key === key);
+    const viewport = this.getViewport();
+    if (!handle || !viewport) return;
+
+    const x = handle.x + dx * HANDLE_KEY_STEP * (viewport.xMax - viewport.xMin);
+    if (this.callbacks.onHandleDrag) {
+      if (handle.free === true) {
+        const y = handle.y + dy * HANDLE_KEY_STEP * (viewport.yMax - viewport.yMin);
+        this.callbacks.onHandleDrag(key, x, y);
+      } else {
+        this.callbacks.onHandleDrag(key, x);
+      }
+    }
+    if (this.callbacks.onHandleDragEnd) {
+      this.callbacks.onHandleDragEnd(key);
+    }
+    // Keep keyboard focus on the redrawn handle
+    const redrawn = Array.from(this.handleLayer?.children || [])
+      .find(element => element.dataset.key === key);
+    redrawn?.focus();
+  }
+
+  clientXToGraphX(clientX) {
+    const xScale = this.chart?.meta?.xScale;
+    if (typeof xScale?.invert !== 'function' || !this.container || !Number.isFinite(clientX)) {
+      return null;
+    }
+
+    const margin = this.chart.meta.margin || {};
+    const offsetX = Number.isFinite(margin.left) ? margin.left : 0;
+    const bounds = this.container.getBoundingClientRect();
+    const x = xScale.invert(clientX - bounds.left - offsetX);
+    return Number.isFinite(x) ? x : null;
+  }
+
+  clientYToGraphY(clientY) {
+    const yScale = this.chart?.meta?.yScale;
+    if (typeof yScale?.invert !== 'function' || !this.container || !Number.isFinite(clientY)) {
+      return null;
+    }
+
+    const margin = this.chart.meta.margin || {};
+    const offsetY = Number.isFinite(margin.top) ? margin.top : 0;
+    const bounds = this.container.getBoundingClientRect();
+    const y = yScale.invert(clientY - bounds.top - offsetY);
+    return Number.isFinite(y) ? y : null;
+  }
+
   getViewport() {
     if (!this.chart?.meta?.xScale || !this.chart?.meta?.yScale) {
       return null;
@@ -328,6 +848,7 @@ export default class FunctionPlotRenderer {
 
   destroy() {
     this.cancelScheduledInequalityRender();
+    this.stopHandleDrag();
 
     if (this.chart && this.boundHandlers) {
       this.chart.removeListener('zoom', this.boundHandlers.zoom);
@@ -351,12 +872,26 @@ export default class FunctionPlotRenderer {
     this.inequalityCanvas = null;
     this.inequalityContext = null;
     this.currentInequalities = [];
+    this.feasibleRegion = false;
+    this.currentShapes = [];
+    this.shapeLayer = null;
+    this.currentPointLabels = [];
+    this.pointLabelLayer = null;
+    this.currentMarkers = [];
+    this.markerLayer = null;
+    this.currentHandles = [];
+    this.handleLayer = null;
     this.pendingInequalityFrame = null;
     this.inequalityCanvasWidth = 0;
     this.inequalityCanvasHeight = 0;
     this.inequalityPixelRatio = 1;
     this.options = null;
-    this.callbacks = { onZoom: null };
+    this.callbacks = {
+      onZoom: null,
+      onMarkerClick: null,
+      onHandleDrag: null,
+      onHandleDragEnd: null
+    };
     this.boundHandlers = null;
   }
 }
@@ -62,6 +62,7 @@ vi.mock('../../../client/components/parameter-slider.js', () => ({
 
 import ExpressionList from '../../../client/components/expression-list.js'
 import EventBus from '../../../client/core/event-bus.js'
+import Logger from '../../../client/utils/logger.js'
 
 describe('ExpressionList', () => {
   beforeEach(() => {
@@ -265,4 +266,342 @@ describe('ExpressionList', () => {
     expect(pointsItem.element.hidden).toBe(true)
     expect(assignmentItem.element.hidden).toBe(false)
   })
+
+  it('shows derived parameters read-only without a slider', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    expressionList.handleFunctionsUpdate([
+      { id: 'param_a', expression: 'a = 3', color: '#111', visible: true },
+      { id: 'param_b', expression: 'b = 2*a', color: '#222', visible: true }
+    ])
+    expressionList.render(mockState.functions)
+
+    const freeItem = expressionList.renderedItems.get('param_a')
+    const derivedItem = expressionList.renderedItems.get('param_b')
+
+    expect(mockState.functions[1].value).toBe(6)
+    expect(freeItem.parameterSlider).not.toBe(null)
+    expect(derivedItem.parameterSlider).toBe(null)
+    expect(derivedItem.section).toBe('parameters')
+    expect(derivedItem.derivedValueEl.textContent).toBe('b = 6')
+  })
+
+  it('reports parameter cycles on each row', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    expressionList.handleFunctionsUpdate([
+      { id: 'param_a', expression: 'a = b', color: '#111', visible: true },
+      { id: 'param_b', expression: 'b = a', color: '#222', visible: true }
+    ])
+
+    expect(mockState.functions.map(func => func.error)).toEqual([
+      'Circular parameter definition: a -> b -> a',
+      'Circular parameter definition: a -> b -> a'
+    ])
+  })
+
+  it('shows calculated values next to the LaTeX and updates them with parameters', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    expressionList.handleFunctionsUpdate([
+      { id: 'param_a', expression: 'a = 2', color: '#111', visible: true },
+      { id: 'expr_1', expression: '3*a', color: '#222', visible: true }
+    ])
+    expressionList.render(mockState.functions)
+
+    const item = expressionList.renderedItems.get('expr_1')
+    expect(item.latexEl.contains(item.valueEl)).toBe(true)
+    expect(item.valueEl.textContent).toBe('= 6')
+
+    expressionList.handleFunctionsUpdate([
+      { ...mockState.functions[0], expression: 'a = 5' },
+      mockState.functions[1]
+    ])
+    expressionList.render(mockState.functions)
+    expect(item.valueEl.textContent).toBe('= 15')
+  })
+
+  it('updates calculated and derived values while a slider is dragged', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    expressionList.handleFunctionsUpdate([
+      { id: 'param_a', expression: 'a = 2', color: '#111', visible: true },
+      { id: 'param_b', expression: 'b = a + 1', color: '#222', visible: true },
+      { id: 'expr_1', expression: '3*b', color: '#333', visible: true }
+    ])
+    expressionList.render(mockState.functions)
+    const functionsBefore = mockState.functions
+
+    // The slider sets its value silently; the row keeps a = 2 until the drag ends
+    mockState.parameters = { a: { value: 4, min: -10, max: 10, step: 0.1 } }
+    const onParametersUpdated = EventBus.subscribe.mock.calls
+      .find(([event]) => event === 'parameters:updated')[1]
+    onParametersUpdated({ a: 4 })
+
+    expect(expressionList.renderedItems.get('param_b').derivedValueEl.textContent).toBe('b = 5')
+    expect(expressionList.renderedItems.get('expr_1').valueEl.textContent).toBe('= 15')
+    expect(mockState.functions).toBe(functionsBefore)
+  })
+
+  it('includes calculated values in modification logs', () => {
+    mockState.functions = [
+      { id: 'expr_1', expression: 'sqrt(16)', color: '#111', visible: true }
+    ]
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.renderedItems.set('expr_1', { editStartExpression: 'sqrt(9)' })
+
+    expressionList.handleExpressionCommit('expr_1')
+
+    expect(Logger.logActivity).toHaveBeenCalledWith(
+      'Modified expression expr_1: sqrt(9) -> sqrt(16) (value: 4)'
+    )
+  })
+
+  it('shows the signed area of integral rows as a calculated value', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    mockState.parameters = { b: { value: 3 } }
+    expressionList.handleFunctionsUpdate([
+      { id: 'expr_1', expression: 'integral(x^2, 0, b)', color: '#111', visible: true },
+      { id: 'param_b', expression: 'b = 3', color: '#222', visible: true }
+    ])
+    expressionList.render(mockState.functions)
+
+    expect(mockState.functions[0].value).toBeCloseTo(9, 8)
+    const item = expressionList.renderedItems.get('expr_1')
+    expect(item.valueEl.textContent).toBe('= 9')
+  })
+
+  it('shows sums as calculated values and flags sequences without a starting term', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    expressionList.handleFunctionsUpdate([
+      { id: 'expr_1', expression: 'sum(n^2, n, 1, 10)', color: '#111', visible: true },
+      { id: 'expr_2', expression: 'a_n = a_(n-1) + 2', color: '#222', visible: true }
+    ])
+
+    expect(mockState.functions[0].value).toBe(385)
+    expect(mockState.functions[1].error).toBe('Sequence needs a starting value for a_1')
+
+    expressionList.handleFunctionsUpdate([
+      ...mockState.functions,
+      { id: 'param_a1', expression: 'a_1 = 3', color: '#333', visible: true }
+    ])
+    expect(mockState.functions[1].error).toBe(null)
+  })
+
+  it('shows lists without a slider and broadcasts calculated values', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    expressionList.handleFunctionsUpdate([
+      { id: 'param_L', expression: 'L = [1, 2, 3]', color: '#111', visible: true },
+      { id: 'expr_1', expression: 'L^2', color: '#222', visible: true }
+    ])
+    expressionList.render(mockState.functions)
+
+    expect(expressionList.renderedItems.get('param_L').parameterSlider).toBe(null)
+    expect(expressionList.renderedItems.get('expr_1').valueEl.textContent).toBe('= [1, 4, 9]')
+  })
+
+  it('renders table rows with a trailing empty row and updates the points expression', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    expressionList.handleFunctionsUpdate([
+      {
+        id: 'table_1',
+        type: 'table',
+        table: { rows: [['1', '2']], lines: false },
+        expression: 'points([[1, 2]])',
+        color: '#111',
+        visible: true
+      }
+    ])
+    expressionList.render(mockState.functions)
+
+    const item = expressionList.renderedItems.get('table_1')
+    const cells = item.tableBody.querySelectorAll('.expression-table-cell')
+    expect(item.tableBody.rows).toHaveLength(2)
+    expect(Array.from(cells).map(cell => cell.value)).toEqual(['1', '2', '', ''])
+
+    cells[2].value = 'a'
+    cells[2].dispatchEvent(new Event('input', { bubbles: true }))
+    cells[3].value = 'a^2'
+    cells[3].dispatchEvent(new Event('input', { bubbles: true }))
+
+    const table = mockState.functions[0]
+    expect(table.table.rows).toEqual([['1', '2'], ['a', 'a^2']])
+    expect(table.expression).toBe('points([[1, 2], [a, a^2]])')
+    expect(table.usedVariables).toEqual(['a'])
+
+    expressionList.render(mockState.functions)
+    expect(item.tableBody.rows).toHaveLength(3)
+  })
+
+  it('flags table cells that use x', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    expressionList.handleFunctionsUpdate([
+      {
+        id: 'table_1',
+        type: 'table',
+        table: { rows: [['x', '2']], lines: false },
+        expression: 'points([[x, 2]])',
+        color: '#111',
+        visible: true
+      }
+    ])
+    expressionList.render(mockState.functions)
+
+    const item = expressionList.renderedItems.get('table_1')
+    expect(item.tableBody.querySelector('.expression-table-cell').classList.contains('has-error'))
+      .toBe(true)
+    expect(item.errorEl.textContent).toBe('Table cells cannot use x or y')
+  })
+
+  it('adds tables from the add table button', () => {
+    document.body.innerHTML += '<button id="btn-add-table"></button>'
+    const expressionList = new ExpressionList(
+      'expression-list',
+      'btn-add-expression',
+      'btn-add-table'
+    )
+    expressionList.init()
+
+    document.getElementById('btn-add-table').click()
+
+    expect(mockState.functions).toEqual([
+      expect.objectContaining({
+        id: 'table_1',
+        type: 'table',
+        table: { rows: [], columns: ['x1', 'y1'], lines: false },
+        expression: ''
+      })
+    ])
+    expect(Logger.logActivity).toHaveBeenCalledWith('Created expression table_1')
+  })
+
+  it('shows fitted parameters, R² and residuals on regression rows', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    expressionList.handleFunctionsUpdate([
+      {
+        id: 'table_1',
+        type: 'table',
+        table: { rows: [['0', '1'], ['1', '3'], ['2', '5']], columns: ['x1', 'y1'], lines: false },
+        expression: 'points([[0, 1], [1, 3], [2, 5]])',
+        color: '#111',
+        visible: true
+      },
+      { id: 'expr_1', expression: 'y1 ~ m*x1 + b', color: '#222', visible: true }
+    ])
+    expressionList.render(mockState.functions)
+
+    const table = expressionList.renderedItems.get('table_1')
+    expect(table.tableHeaders.map(header => header.textContent)).toEqual(['x₁', 'y₁'])
+
+    const item = expressionList.renderedItems.get('expr_1')
+    const lines = Array.from(item.derivedValueEl.children).map(line => line.textContent)
+    expect(item.derivedValueEl.classList.contains('is-visible')).toBe(true)
+    expect(lines).toEqual(['b = 1, m = 2', 'R² = 1', 'residuals: [0, 0, 0]'])
+  })
+
+  it('selects a row on focus and clears the selection when it is removed', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    mockState.functions = [
+      { id: 'expr_1', expression: 'x^2', color: '#000', visible: true },
+      { id: 'expr_2', expression: 'x + 1', color: '#111', visible: true }
+    ]
+    expressionList.render(mockState.functions)
+    EventBus.publish.mockClear()
+
+    const first = expressionList.renderedItems.get('expr_1')
+    const second = expressionList.renderedItems.get('expr_2')
+    first.latexEl.click()
+
+    expect(first.element.classList.contains('is-selected')).toBe(true)
+    expect(second.element.classList.contains('is-selected')).toBe(false)
+    expect(EventBus.publish).toHaveBeenCalledWith('expression:selected', { id: 'expr_1' })
+
+    expressionList.render([mockState.functions[1]])
+    expect(EventBus.publish).toHaveBeenLastCalledWith('expression:selected', { id: null })
+  })
+
+  it('toggles tangent and secant lines from the row menu of explicit curves', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    expressionList.handleFunctionsUpdate([
+      { id: 'expr_1', expression: 'x^2', color: '#000', visible: true },
+      { id: 'expr_2', expression: 'x^2 + y^2 = 4', color: '#111', visible: true }
+    ])
+    expressionList.render(mockState.functions)
+
+    const curve = expressionList.renderedItems.get('expr_1')
+    expect(curve.toolsToggle.hidden).toBe(false)
+    expect(expressionList.renderedItems.get('expr_2').toolsToggle.hidden).toBe(true)
+
+    curve.toolsToggle.click()
+    expect(curve.toolsMenu.hidden).toBe(false)
+    expect(curve.toolsToggle.getAttribute('aria-expanded')).toBe('true')
+
+    const toggleTool = (tool, checked) => {
+      const checkbox = curve.toolsMenu.querySelector(`[data-tool="${tool}"]`)
+      checkbox.checked = checked
+      checkbox.dispatchEvent(new Event('change', { bubbles: true }))
+    }
+
+    toggleTool('tangent', true)
+    expect(mockState.functions[0].derivative).toEqual({ x0: 0 })
+    expect(Logger.logActivity).toHaveBeenLastCalledWith(
+      'Modified expression expr_1: tangent line at x = 0'
+    )
+
+    toggleTool('follow', true)
+    expect(mockState.functions[0].derivative).toEqual({ x0: 0, updateOnMouseMove: true })
+    expect(Logger.logActivity).toHaveBeenLastCalledWith(
+      'Modified expression expr_1: tangent line follows the mouse'
+    )
+
+    toggleTool('secant', true)
+    expect(mockState.functions[0].secants).toEqual([{ x0: 0, x1: 2 }])
+    expect(Logger.logActivity).toHaveBeenLastCalledWith(
+      'Modified expression expr_1: secant line from x = 0 to x = 2'
+    )
+
+    expressionList.render(mockState.functions)
+    const checked = Array.from(curve.toolsMenu.querySelectorAll('input'))
+      .map((checkbox) => checkbox.checked)
+    expect(checked).toEqual([true, true, true])
+
+    toggleTool('tangent', false)
+    expect(mockState.functions[0].derivative).toBeUndefined()
+    expect(Logger.logActivity).toHaveBeenLastCalledWith(
+      'Modified expression expr_1: tangent line removed'
+    )
+  })
+
+  it('offers a coordinates toggle in the row menu of points rows', () => {
+    const expressionList = new ExpressionList('expression-list', 'btn-add-expression')
+    expressionList.init()
+    expressionList.handleFunctionsUpdate([
+      { id: 'expr_1', expression: 'A = (1, 2)', color: '#000', visible: true }
+    ])
+    expressionList.render(mockState.functions)
+
+    const point = expressionList.renderedItems.get('expr_1')
+    expect(point.toolsToggle.hidden).toBe(false)
+    expect(point.toolsToggle.title).toBe('Point labels')
+    const checkboxes = point.toolsMenu.querySelectorAll('input')
+    expect(Array.from(checkboxes).map((checkbox) => checkbox.dataset.tool)).toEqual(['coordinates'])
+
+    checkboxes[0].checked = true
+    checkboxes[0].dispatchEvent(new Event('change', { bubbles: true }))
+    expect(mockState.functions[0].showCoordinates).toBe(true)
+    expect(Logger.logActivity).toHaveBeenLastCalledWith(
+      'Modified expression expr_1: coordinates shown'
+    )
+
+    expressionList.render(mockState.functions)
+    expect(point.toolsMenu.querySelector('input').checked).toBe(true)
+  })
 })
@@ -18,26 +18,35 @@ function createMockChart(options) {
   const id = options.id || `chart-${++chartCounter}`
   options.id = id
 
+  const xScale = Object.assign(
+    (value) => ((value - xDomain[0]) / (xDomain[1] - xDomain[0])) * width,
+    {
+      domain: vi.fn(() => xDomain),
+      invert: vi.fn((pixel) => {
+        const ratio = width > 0 ? pixel / width : 0
+        return xDomain[0] + (ratio * (xDomain[1] - xDomain[0]))
+      })
+    }
+  )
+  const yScale = Object.assign(
+    (value) => height - ((value - yDomain[0]) / (yDomain[1] - yDomain[0])) * height,
+    {
+      domain: vi.fn(() => yDomain),
+      invert: vi.fn((pixel) => {
+        const ratio = height > 0 ? (height - pixel) / height : 0
+        return yDomain[0] + (ratio * (yDomain[1] - yDomain[0]))
+      })
+    }
+  )
+
   const chart = {
     options,
     meta: {
       width,
       height,
       margin,
-      xScale: {
-        domain: vi.fn(() => xDomain),
-        invert: vi.fn((pixel) => {
-          const ratio = width > 0 ? pixel / width : 0
-          return xDomain[0] + (ratio * (xDomain[1] - xDomain[0]))
-        })
-      },
-      yScale: {
-        domain: vi.fn(() => yDomain),
-        invert: vi.fn((pixel) => {
-          const ratio = height > 0 ? (height - pixel) / height : 0
-          return yDomain[0] + (ratio * (yDomain[1] - yDomain[0]))
-        })
-      }
+      xScale,
+      yScale
     },
     on: vi.fn((eventName, handler) => {
       listeners.set(eventName, handler)
@@ -289,6 +298,89 @@ describe('FunctionPlotRenderer', () => {
     expect(canvasContext.fillRect).toHaveBeenCalled()
   })
 
+  it('skips inequality cells outside the row restriction', () => {
+    const renderer = new FunctionPlotRenderer(container)
+    renderer.init({
+      width: 500,
+      height: 400,
+      viewport: { xMin: -10, xMax: 10, yMin: -10, yMax: 10 },
+      showGrid: true,
+      onZoom: vi.fn()
+    })
+
+    canvasContext.fillRect.mockClear()
+    renderer.updateData([], [
+      { color: '#f00', evaluate: () => true, restrict: () => false }
+    ])
+    expect(canvasContext.fillRect).not.toHaveBeenCalled()
+
+    renderer.updateData([], [
+      { color: '#f00', evaluate: () => true, restrict: (x) => x > 0 }
+    ])
+    const drawnX = canvasContext.fillRect.mock.calls.map(([drawX]) => drawX)
+    expect(drawnX.length).toBeGreaterThan(0)
+    expect(Math.min(...drawnX)).toBeGreaterThan(200)
+  })
+
+  it('dims row shading and highlights where every inequality holds in feasible-region mode', () => {
+    const renderer = new FunctionPlotRenderer(container)
+    renderer.init({
+      width: 500,
+      height: 400,
+      viewport: { xMin: -10, xMax: 10, yMin: -10, yMax: 10 },
+      showGrid: true,
+      onZoom: vi.fn()
+    })
+
+    const fills = []
+    canvasContext.fillRect.mockImplementation((drawX, drawY) => {
+      fills.push({ drawX, drawY, color: canvasContext.fillStyle, alpha: canvasContext.globalAlpha })
+    })
+    const inequalities = [
+      { color: '#f00', evaluate: (x) => x > 0 },
+      { color: '#00f', evaluate: (x, y) => y > 0 },
+      { color: '#0f0', isArea: true, evaluate: (x) => x < 0 }
+    ]
+
+    renderer.updateData([], inequalities)
+    const normalAlpha = fills.find((fill) => fill.color === '#f00').alpha
+    expect(fills.every((fill) => fill.alpha === normalAlpha)).toBe(true)
+
+    fills.length = 0
+    renderer.updateData([], inequalities, { feasibleRegion: true })
+
+    const rowFills = fills.filter((fill) => fill.color === '#f00' || fill.color === '#00f')
+    expect(rowFills.every((fill) => fill.alpha < normalAlpha)).toBe(true)
+    // Integral areas keep their shading and do not constrain the region
+    expect(fills.filter((fill) => fill.color === '#0f0').every((fill) => fill.alpha === normalAlpha)).toBe(true)
+
+    const feasible = fills.filter((fill) => !['#f00', '#00f', '#0f0'].includes(fill.color))
+    expect(feasible.length).toBeGreaterThan(0)
+    expect(feasible.every((fill) => fill.alpha > normalAlpha)).toBe(true)
+    // Only the top-right quadrant satisfies both x > 0 and y > 0
+    expect(Math.min(...feasible.map((fill) => fill.drawX))).toBeGreaterThan(200)
+    expect(Math.max(...feasible.map((fill) => fill.drawY))).toBeLessThan(200)
+  })
+
+  it('does not highlight a feasible region for a single inequality', () => {
+    const renderer = new FunctionPlotRenderer(container)
+    renderer.init({
+      width: 500,
+      height: 400,
+      viewport: { xMin: -10, xMax: 10, yMin: -10, yMax: 10 },
+      showGrid: true,
+      onZoom: vi.fn()
+    })
+
+    const colors = new Set()
+    canvasContext.fillRect.mockImplementation(() => {
+      colors.add(canvasContext.fillStyle)
+    })
+    renderer.updateData([], [{ color: '#f00', evaluate: (x) => x > 0 }], { feasibleRegion: true })
+
+    expect(Array.from(colors)).toEqual(['#f00'])
+  })
+
   it('re-renders inequality overlay on zoom using cached inequalities', () => {
     const onZoom = vi.fn()
     const rafSpy = vi.fn((callback) => {
@@ -437,6 +529,215 @@ describe('FunctionPlotRenderer', () => {
     expect(chart.options.grid).toBe(false)
   })
 
+  it('positions point-of-interest markers and skips those outside the plot', () => {
+    const renderer = new FunctionPlotRenderer(container)
+
+    renderer.init({
+      width: 460,
+      height: 340,
+      viewport: { xMin: -10, xMax: 10, yMin: -10, yMax: 10 },
+      showGrid: false
+    })
+
+    renderer.updateMarkers([
+      { key: 'f:root::0', x: 0, y: 0, label: '(0, 0)', description: 'x-intercept' },
+      { key: 'f:root::1', x: 20, y: 0, label: '(20, 0)', description: 'x-intercept' },
+      { key: 'f:maximum::0', x: 5, y: 5, label: '(5, 5)', pinned: true }
+    ])
+
+    const markers = container.querySelectorAll('.poi-marker-layer .poi-marker')
+    expect(markers).toHaveLength(2)
+    expect(markers[0].style.left).toBe('240px')
+    expect(markers[0].style.top).toBe('170px')
+    expect(markers[0].getAttribute('aria-label')).toBe('x-intercept (0, 0)')
+    expect(markers[0].classList.contains('is-pinned')).toBe(false)
+    expect(markers[1].classList.contains('is-pinned')).toBe(true)
+    expect(markers[1].querySelector('.poi-label').textContent).toBe('(5, 5)')
+  })
+
+  it('draws filled circles and polygons and stroked segments and rays', () => {
+    const renderer = new FunctionPlotRenderer(container)
+
+    renderer.init({
+      width: 460,
+      height: 340,
+      viewport: { xMin: -10, xMax: 10, yMin: -10, yMax: 10 },
+      showGrid: false
+    })
+
+    renderer.updateShapes([
+      { id: 's', shape: 'segment', points: [[0, 0], [5, 5]], color: '#f00' },
+      { id: 'c', shape: 'circle', points: [[0, 0]], radius: 5, color: '#0f0' },
+      { id: 'p', shape: 'polygon', points: [[0, 0], [10, 0], [0, 10]], color: '#00f' },
+      { id: 'r', shape: 'ray', points: [[0, 0], [1, 0]], color: '#000' }
+    ])
+
+    const layer = container.querySelector('.shape-layer')
+    expect(layer.style.left).toBe('40px')
+    expect(layer.style.top).toBe('20px')
+
+    const segment = layer.querySelector('line[data-id="s"]')
+    expect(['x1', 'y1', 'x2', 'y2'].map((name) => segment.getAttribute(name)))
+      .toEqual(['200', '150', '300', '75'])
+    expect(segment.getAttribute('fill')).toBe('none')
+
+    const circle = layer.querySelector('ellipse')
+    expect(circle.getAttribute('rx')).toBe('100')
+    expect(circle.getAttribute('ry')).toBe('75')
+    expect(circle.getAttribute('fill')).toBe('#0f0')
+    expect(circle.getAttribute('fill-opacity')).toBe('0.18')
+
+    expect(layer.querySelector('polygon').getAttribute('points')).toBe('200,150 400,150 200,0')
+
+    const ray = layer.querySelector('line[data-id="r"]')
+    expect(Number(ray.getAttribute('x2'))).toBeGreaterThan(400)
+    expect(ray.getAttribute('y2')).toBe('150')
+  })
+
+  it('redraws shapes on zoom', () => {
+    const renderer = new FunctionPlotRenderer(container)
+
+    renderer.init({
+      width: 460,
+      height: 340,
+      viewport: { xMin: -10, xMax: 10, yMin: -10, yMax: 10 },
+      showGrid: false
+    })
+    renderer.updateShapes([{ id: 's', shape: 'segment', points: [[0, 0], [5, 0]] }])
+
+    renderer.chart.setDomainsForTest([0, 10], [-10, 10])
+    renderer.chart.emitForTest('zoom', {})
+
+    const segment = container.querySelector('.shape-layer line')
+    expect(segment.getAttribute('x1')).toBe('0')
+    expect(segment.getAttribute('x2')).toBe('200')
+  })
+
+  it('places point labels beside their points and skips those outside the plot', () => {
+    const renderer = new FunctionPlotRenderer(container)
+
+    renderer.init({
+      width: 460,
+      height: 340,
+      viewport: { xMin: -10, xMax: 10, yMin: -10, yMax: 10 },
+      showGrid: false
+    })
+
+    renderer.updatePointLabels([
+      { key: 'A:0:0', x: 0, y: 0, text: 'A (0, 0)', color: '#f00' },
+      { key: 'B:0:0', x: 20, y: 0, text: 'B' }
+    ])
+
+    const labels = container.querySelectorAll('.point-label-layer .point-label')
+    expect(labels).toHaveLength(1)
+    expect(labels[0].textContent).toBe('A (0, 0)')
+    expect(labels[0].style.left).toBe('240px')
+    expect(labels[0].style.top).toBe('170px')
+    expect(labels[0].style.color).toBe('rgb(255, 0, 0)')
+  })
+
+  it('repositions markers on zoom and reports marker clicks', () => {
+    const onMarkerClick = vi.fn()
+    const renderer = new FunctionPlotRenderer(container)
+
+    renderer.init({
+      width: 460,
+      height: 340,
+      viewport: { xMin: -10, xMax: 10, yMin: -10, yMax: 10 },
+      showGrid: false,
+      onMarkerClick
+    })
+    renderer.updateMarkers([{ key: 'f:root::0', x: 5, y: 0, label: '(5, 0)' }])
+
+    renderer.chart.setDomainsForTest([0, 10], [-10, 10])
+    renderer.chart.emitForTest('zoom', {})
+
+    const marker = container.querySelector('.poi-marker')
+    expect(marker.style.left).toBe('240px')
+
+    marker.click()
+    expect(onMarkerClick).toHaveBeenCalledWith('f:root::0')
+  })
+
+  it('drags overlay handles along x and reports the drag end', () => {
+    const onHandleDrag = vi.fn()
+    const onHandleDragEnd = vi.fn()
+    const renderer = new FunctionPlotRenderer(container)
+
+    renderer.init({
+      width: 460,
+      height: 340,
+      viewport: { xMin: -10, xMax: 10, yMin: -10, yMax: 10 },
+      showGrid: false,
+      onHandleDrag,
+      onHandleDragEnd
+    })
+    renderer.updateHandles([
+      { key: 'f:tangent', x: 0, y: 0, label: 'Tangent point', color: '#f00' },
+      { key: 'f:secant:0:x1', x: 20, y: 0, label: 'Secant end' }
+    ])
+
+    const handles = container.querySelectorAll('.overlay-handle-layer .overlay-handle')
+    expect(handles).toHaveLength(1)
+    expect(handles[0].style.left).toBe('240px')
+    expect(handles[0].getAttribute('aria-label')).toBe('Tangent point')
+
+    handles[0].dispatchEvent(new MouseEvent('pointerdown', { bubbles: true, cancelable: true }))
+    window.dispatchEvent(new MouseEvent('pointermove', { clientX: 340 }))
+    expect(onHandleDrag).toHaveBeenCalledWith('f:tangent', 5)
+
+    window.dispatchEvent(new MouseEvent('pointerup'))
+    expect(onHandleDragEnd).toHaveBeenCalledWith('f:tangent')
+
+    onHandleDrag.mockClear()
+    window.dispatchEvent(new MouseEvent('pointermove', { clientX: 130 }))
+    expect(onHandleDrag).not.toHaveBeenCalled()
+  })
+
+  it('moves a focused overlay handle with the arrow keys', () => {
+    const onHandleDrag = vi.fn()
+    const renderer = new FunctionPlotRenderer(container)
+
+    renderer.init({
+      width: 460,
+      height: 340,
+      viewport: { xMin: -10, xMax: 10, yMin: -10, yMax: 10 },
+      showGrid: false,
+      onHandleDrag
+    })
+    renderer.updateHandles([{ key: 'f:tangent', x: 1, y: 1, label: 'Tangent point' }])
+
+    container.querySelector('.overlay-handle')
+      .dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowLeft', bubbles: true }))
+    expect(onHandleDrag).toHaveBeenCalledWith('f:tangent', 0.8)
+  })
+
+  it('drags free handles in both directions and nudges them up and down', () => {
+    const onHandleDrag = vi.fn()
+    const renderer = new FunctionPlotRenderer(container)
+
+    renderer.init({
+      width: 460,
+      height: 340,
+      viewport: { xMin: -10, xMax: 10, yMin: -10, yMax: 10 },
+      showGrid: false,
+      onHandleDrag
+    })
+    renderer.updateHandles([{ key: 'p:point:0', x: 1, y: 1, label: 'Point A', free: true }])
+
+    const handle = container.querySelector('.overlay-handle')
+    expect(handle.classList.contains('is-free')).toBe(true)
+
+    handle.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowUp', bubbles: true }))
+    expect(onHandleDrag).toHaveBeenCalledWith('p:point:0', 1, 1.2)
+
+    container.querySelector('.overlay-handle')
+      .dispatchEvent(new MouseEvent('pointerdown', { bubbles: true, cancelable: true }))
+    window.dispatchEvent(new MouseEvent('pointermove', { clientX: 340, clientY: 95 }))
+    expect(onHandleDrag).toHaveBeenLastCalledWith('p:point:0', 5, 5)
+    window.dispatchEvent(new MouseEvent('pointerup'))
+  })
+
   it('destroys listeners and clears cache/container state', () => {
     const renderer = new FunctionPlotRenderer(container)
 
@@ -450,6 +751,8 @@ describe('FunctionPlotRenderer', () => {
 
     const chart = renderer.chart
     const chartId = chart.options.id
+    renderer.updateShapes([{ id: 's', shape: 'segment', points: [[0, 0], [5, 0]] }])
+    renderer.updatePointLabels([{ key: 'A:0:0', x: 0, y: 0, text: 'A' }])
 
     container.innerHTML = '<svg></svg>'
 
@@ -459,5 +762,9 @@ describe('FunctionPlotRenderer', () => {
     expect(chart.removeAllListeners).toHaveBeenCalledTimes(1)
     expect(chartCache[chartId]).toBeUndefined()
     expect(container.innerHTML).toBe('')
+    expect(renderer.currentShapes).toEqual([])
+    expect(renderer.shapeLayer).toBe(null)
+    expect(renderer.currentPointLabels).toEqual([])
+    expect(renderer.pointLabelLayer).toBe(null)
   })
 })
@@ -96,6 +96,12 @@ vi.mock('../../../client/core/event-bus.js', () => ({
   }
 }))
 
+vi.mock('../../../client/utils/logger.js', () => ({
+  default: {
+    logActivity: vi.fn()
+  }
+}))
+
 vi.mock('../../../client/renderers/function-plot-renderer.js', () => ({
   default: class MockFunctionPlotRenderer {
     constructor(container) {
@@ -104,6 +110,10 @@ vi.mock('../../../client/renderers/function-plot-renderer.js', () => ({
       this.initCalls = []
       this.rebuildCalls = []
       this.dataCalls = []
+      this.markerCalls = []
+      this.handleCalls = []
+      this.shapeCalls = []
+      this.pointLabelCalls = []
       this.destroyCalls = 0
       this.lastInitArgs = null
       rendererInstances.push(this)
@@ -123,8 +133,24 @@ vi.mock('../../../client/renderers/function-plot-renderer.js', () => ({
       this.rebuildCalls.push(args)
     }
 
-    updateData(data, inequalities = []) {
-      this.dataCalls.push({ data, inequalities })
+    updateData(data, inequalities = [], options = {}) {
+      this.dataCalls.push({ data, inequalities, options })
+    }
+
+    updateMarkers(markers) {
+      this.markerCalls.push(markers)
+    }
+
+    updateHandles(handles) {
+      this.handleCalls.push(handles)
+    }
+
+    updateShapes(shapes) {
+      this.shapeCalls.push(shapes)
+    }
+
+    updatePointLabels(labels) {
+      this.pointLabelCalls.push(labels)
     }
 
     destroy() {
@@ -136,6 +162,7 @@ vi.mock('../../../client/renderers/function-plot-renderer.js', () => ({
 import GraphEngine from '../../../client/graph-engine.js'
 import EventBus from '../../../client/core/event-bus.js'
 import StateManager from '../../../client/core/state-manager.js'
+import Logger from '../../../client/utils/logger.js'
 
 describe('GraphEngine (function-plot migration)', () => {
   beforeEach(() => {
@@ -345,6 +372,109 @@ describe('GraphEngine (function-plot migration)', () => {
     expect(data[0].points).toEqual([[2, 1], [5, 2]])
   })
 
+  it('draws one curve per list element for rows that use a list', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data, meta } = engine.mapFunctionsToPlotData([
+      { id: 'L', expression: 'L = [1, 2, 3]', color: '#111', visible: false },
+      { id: 'lines', expression: 'y = L*x + b', color: '#00f', visible: true }
+    ], { b: 4 })
+
+    expect(data).toHaveLength(3)
+    expect(data.map(datum => datum.scope.L)).toEqual([1, 2, 3])
+    expect(data.every(datum => datum.scope.b === 4)).toBe(true)
+    expect(meta).toEqual([{ id: 'lines' }, { id: 'lines' }, { id: 'lines' }])
+  })
+
+  it('broadcasts list coordinates into a single point set', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data } = engine.mapFunctionsToPlotData([
+      { id: 'L', expression: 'L = [1, 2, 3]', color: '#111', visible: true },
+      { id: 'p4', expression: 'points([L, L^2])', color: '#08f', visible: true }
+    ], {})
+
+    expect(data).toHaveLength(1)
+    expect(data[0].points).toEqual([[1, 1], [2, 4], [3, 9]])
+  })
+
+  it('plots table rows as points, connected when lines is set', () => {
+    const engine = new GraphEngine('graph-canvas')
+    const table = {
+      id: 'table_1',
+      type: 'table',
+      table: { rows: [['1', '2'], ['a', '2*a']], lines: false },
+      expression: 'points([[1, 2], [a, 2*a]])',
+      color: '#08f',
+      visible: true
+    }
+
+    const scatter = engine.mapFunctionsToPlotData([table], { a: 3 })
+    expect(scatter.data[0]).toMatchObject({
+      fnType: 'points',
+      graphType: 'scatter',
+      points: [[1, 2], [3, 6]]
+    })
+    expect(scatter.meta).toEqual([{ id: 'table_1' }])
+
+    const connected = engine.mapFunctionsToPlotData([
+      { ...table, table: { ...table.table, lines: true } }
+    ], { a: 3 })
+    expect(connected.data[0].graphType).toBe('polyline')
+  })
+
+  it('moves rows that use derived parameters with the slider being dragged', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    // The row still says a = 1 until the drag ends
+    const { data } = engine.mapFunctionsToPlotData([
+      { id: 'a', expression: 'a = 1', color: '#111', visible: true },
+      { id: 'b', expression: 'b = 2*a', color: '#222', visible: true },
+      { id: 'f', expression: 'y = b*x', color: '#333', visible: true }
+    ], { a: 3, b: 2 })
+
+    expect(data).toHaveLength(1)
+    expect(data[0].scope).toMatchObject({ a: 3, b: 6 })
+  })
+
+  it('plots the fitted curve of a regression over table data', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data, meta } = engine.mapFunctionsToPlotData([
+      {
+        id: 'table_1',
+        type: 'table',
+        table: { rows: [['0', '1'], ['1', '3'], ['2', '5']], columns: ['x1', 'y1'] },
+        expression: 'points([[0, 1], [1, 3], [2, 5]])',
+        color: '#08f',
+        visible: true
+      },
+      { id: 'fit', expression: 'y1 ~ m*x1 + b', color: '#f80', visible: true }
+    ], {})
+
+    expect(data).toHaveLength(2)
+    expect(data[1]).toMatchObject({ fnType: 'linear', fn: 'm * x + b', color: '#f80' })
+    expect(data[1].scope.m).toBeCloseTo(2, 6)
+    expect(data[1].scope.b).toBeCloseTo(1, 6)
+    expect(data[1].scope.x1).toBeUndefined()
+    expect(meta[1]).toEqual({ id: 'fit' })
+  })
+
+  it('plots sequences as points starting from their given terms', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data, meta } = engine.mapFunctionsToPlotData([
+      { id: 'start', expression: 'a_1 = 3', color: '#111', visible: true },
+      { id: 'seq', expression: 'a_n = a_(n-1) + 2', color: '#0a0', visible: true }
+    ], { a_1: 3 })
+
+    expect(data).toHaveLength(1)
+    expect(data[0]).toMatchObject({ fnType: 'points', graphType: 'scatter', color: '#0a0' })
+    expect(data[0].points.slice(0, 3)).toEqual([[1, 3], [2, 5], [3, 7]])
+    expect(data[0].points).toHaveLength(100)
+    expect(meta).toEqual([{ id: 'seq' }])
+  })
+
   it('maps vector syntax to vector datum with default offset', () => {
     const engine = new GraphEngine('graph-canvas')
 
@@ -395,6 +525,243 @@ describe('GraphEngine (function-plot migration)', () => {
     expect(vector.data).toHaveLength(0)
   })
 
+  it('evaluates shape rows with parameters and passes them to the renderer', () => {
+    mockState.functions = [
+      { id: 's1', expression: 'segment([0,0],[a,2])', color: '#111', visible: true },
+      { id: 'c1', expression: 'circle([1,b],a/2)', color: '#222', visible: true },
+      { id: 'p1', expression: 'polygon([[0,0],[a,0],[0,b]])', color: '#333', visible: true },
+      { id: 'c2', expression: 'circle([0,0],-a)', color: '#444', visible: true }
+    ]
+    mockState.parameters = { a: { value: 4 }, b: { value: -1 } }
+
+    const engine = new GraphEngine('graph-canvas')
+    engine.init()
+    vi.runOnlyPendingTimers()
+
+    const renderer = rendererInstances[0]
+    const shapes = renderer.shapeCalls[renderer.shapeCalls.length - 1]
+    expect(shapes).toEqual([
+      { id: 's1', color: '#111', shape: 'segment', points: [[0, 0], [4, 2]] },
+      { id: 'c1', color: '#222', shape: 'circle', points: [[1, -1]], radius: 2 },
+      { id: 'p1', color: '#333', shape: 'polygon', points: [[0, 0], [4, 0], [0, -1]] }
+    ])
+    expect(renderer.dataCalls[renderer.dataCalls.length - 1].data).toEqual([])
+  })
+
+  it('labels named points and adds live coordinates when the row asks for them', () => {
+    mockState.functions = [
+      { id: 'A', expression: 'A = (a, 2)', color: '#111', visible: true },
+      {
+        id: 'p',
+        expression: 'points([[0,0],[a,1]], ["O", "B"])',
+        color: '#222',
+        visible: true,
+        showCoordinates: true
+      },
+      { id: 'q', expression: 'points([[5,5]])', color: '#333', visible: true }
+    ]
+    mockState.parameters = { a: { value: 1.5 } }
+
+    const engine = new GraphEngine('graph-canvas')
+    engine.init()
+    vi.runOnlyPendingTimers()
+
+    const renderer = rendererInstances[0]
+    const labels = renderer.pointLabelCalls[renderer.pointLabelCalls.length - 1]
+    expect(labels).toEqual([
+      { key: 'A:0:0', x: 1.5, y: 2, text: 'A', color: '#111' },
+      { key: 'p:0:0', x: 0, y: 0, text: 'O (0, 0)', color: '#222' },
+      { key: 'p:1:0', x: 1.5, y: 1, text: 'B (1.5, 1)', color: '#222' }
+    ])
+    expect(renderer.dataCalls[renderer.dataCalls.length - 1].data).toHaveLength(3)
+  })
+
+  it('maps polar curves to polar datums with default theta range', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data, meta } = engine.mapFunctionsToPlotData([
+      { id: 'pol1', expression: 'r = a*sin(3*theta)', color: '#a0f', visible: true }
+    ], { a: 2 })
+
+    expect(data).toHaveLength(1)
+    expect(meta).toEqual([{ id: 'pol1' }])
+    expect(data[0]).toMatchObject({
+      fnType: 'polar',
+      graphType: 'polyline',
+      sampler: 'builtIn',
+      scope: { a: 2 },
+      color: '#a0f'
+    })
+    expect(compact(data[0].r)).toBe('a*sin(3*theta)')
+    expect(data[0].range[0]).toBe(0)
+    expect(data[0].range[1]).toBeCloseTo(2 * Math.PI)
+  })
+
+  it('uses a configured thetaRange for polar curves', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data } = engine.mapFunctionsToPlotData([
+      {
+        id: 'pol2',
+        expression: 'r(theta) = theta',
+        color: '#a0f',
+        visible: true,
+        thetaRange: [0, 12]
+      }
+    ], {})
+
+    expect(data).toHaveLength(1)
+    expect(data[0].range).toEqual([0, 12])
+  })
+
+  it('maps parametric curves to parametric datums with default t range', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data, meta } = engine.mapFunctionsToPlotData([
+      { id: 'par1', expression: '(a*cos(t), sin(2*t))', color: '#0a0', visible: true }
+    ], { a: 3 })
+
+    expect(data).toHaveLength(1)
+    expect(meta).toEqual([{ id: 'par1' }])
+    expect(data[0]).toMatchObject({
+      fnType: 'parametric',
+      graphType: 'polyline',
+      sampler: 'builtIn',
+      scope: { a: 3 },
+      color: '#0a0'
+    })
+    expect(compact(data[0].x)).toBe('a*cos(t)')
+    expect(compact(data[0].y)).toBe('sin(2*t)')
+    expect(data[0].range[0]).toBe(0)
+    expect(data[0].range[1]).toBeCloseTo(2 * Math.PI)
+  })
+
+  it('evaluates parametric() t ranges against the parameter scope', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data } = engine.mapFunctionsToPlotData([
+      { id: 'par2', expression: 'parametric(t, t^2, -k, k)', color: '#0a0', visible: true }
+    ], { k: 2 })
+
+    expect(data).toHaveLength(1)
+    expect(data[0].range).toEqual([-2, 2])
+  })
+
+  it('skips parametric curves whose t range is empty', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data } = engine.mapFunctionsToPlotData([
+      { id: 'par3', expression: 'parametric(t, t, 3, 1)', color: '#0a0', visible: true }
+    ], {})
+
+    expect(data).toHaveLength(0)
+  })
+
+  it('maps piecewise rows to a linear datum that evaluates the active branch', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data, meta } = engine.mapFunctionsToPlotData([
+      { id: 'pw1', expression: 'y = {x < 0: -x, x >= 0: a*x^2}', color: '#f80', visible: true }
+    ], { a: 2 })
+
+    expect(data).toHaveLength(1)
+    expect(meta).toEqual([{ id: 'pw1' }])
+    expect(data[0]).toMatchObject({ fnType: 'linear', color: '#f80' })
+    expect(typeof data[0].fn).toBe('function')
+    expect(data[0].fn({ x: -3 })).toBe(3)
+    expect(data[0].fn({ x: 3 })).toBe(18)
+  })
+
+  it('leaves piecewise branch boundaries empty for the interval sampler', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data } = engine.mapFunctionsToPlotData([
+      { id: 'pw2', expression: 'piecewise(x < 0, -1, 1)', color: '#f80', visible: true }
+    ], {})
+
+    const straddling = data[0].fn({ x: { lo: -0.1, hi: 0.1 } })
+    expect(straddling.lo).toBeGreaterThan(straddling.hi)
+    expect(data[0].fn({ x: { lo: 1, hi: 2 } })).toEqual({ lo: 1, hi: 1 })
+  })
+
+  it('returns NaN outside every piecewise branch', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data } = engine.mapFunctionsToPlotData([
+      { id: 'pw3', expression: '{x > 0: x}', color: '#f80', visible: true }
+    ], {})
+
+    expect(data[0].fn({ x: -1 })).toBeNaN()
+  })
+
+  it('guards restricted explicit rows so the interval sampler clips them', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data } = engine.mapFunctionsToPlotData([
+      { id: 'r1', expression: 'x^2 {-2 <= x <= 3}', color: '#00f', visible: true }
+    ], {})
+
+    expect(data).toHaveLength(1)
+    expect(compact(data[0].fn)).toBe('(x^2)+0*sqrt((x)-(-2))+0*sqrt((3)-(x))')
+  })
+
+  it('substitutes the row expression for y in explicit range restrictions', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data } = engine.mapFunctionsToPlotData([
+      { id: 'r2', expression: 'x^2 {y < 4}', color: '#00f', visible: true }
+    ], {})
+
+    expect(compact(data[0].fn)).toBe('(x^2)+0*sqrt((4)-((x^2)))')
+  })
+
+  it('guards restricted implicit rows', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data } = engine.mapFunctionsToPlotData([
+      { id: 'r3', expression: 'x^2 + y^2 = 9 {y > 0}', color: '#00f', visible: true }
+    ], {})
+
+    expect(data[0].fnType).toBe('implicit')
+    expect(compact(data[0].fn)).toBe('((x^2+y^2)-(9))+0*sqrt((y)-(0))')
+  })
+
+  it('adds a restriction predicate to restricted inequality descriptors', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { inequalities } = engine.mapFunctionsToPlotData([
+      { id: 'r4', expression: 'y > x {x > a}', color: '#00f', visible: true }
+    ], { a: 1 })
+
+    expect(inequalities).toHaveLength(1)
+    expect(inequalities[0].restrict(2, 0)).toBe(true)
+    expect(inequalities[0].restrict(0, 0)).toBe(false)
+  })
+
+  it('clips piecewise rows to their restriction', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data } = engine.mapFunctionsToPlotData([
+      { id: 'r5', expression: 'y = {x < 0: -x, x} {x < 2}', color: '#00f', visible: true }
+    ], {})
+
+    expect(data[0].fn({ x: 1 })).toBe(1)
+    expect(data[0].fn({ x: 3 })).toBeNaN()
+  })
+
+  it('inlines functions defined on other rows, including hidden ones', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data, meta } = engine.mapFunctionsToPlotData([
+      { id: 'f', expression: 'f(x) = x^2', color: '#00f', visible: false },
+      { id: 'g', expression: 'y = f(x - 1) + 2', color: '#f00', visible: true }
+    ], {})
+
+    expect(data).toHaveLength(1)
+    expect(compact(data[0].fn)).toBe('((x-1)^2)+2')
+    expect(meta).toEqual([{ id: 'g' }])
+  })
+
   it('maps inequalities to implicit boundary data and shading descriptors', () => {
     const engine = new GraphEngine('graph-canvas')
 
@@ -512,6 +879,97 @@ describe('GraphEngine (function-plot migration)', () => {
     expect(lastDataCall.inequalities[0].evaluate(2, 2)).toBe(false)
   })
 
+  it('toggles the feasible region from graph state without rebuilding', () => {
+    mockState.functions = [
+      { id: 'i1', expression: 'y > x^2', color: '#00f', visible: true },
+      { id: 'i2', expression: 'y < 4', color: '#f00', visible: true },
+      { id: 'a1', expression: 'integral(x, 0, 1)', color: '#0f0', visible: true }
+    ]
+
+    const engine = new GraphEngine('graph-canvas')
+    engine.init()
+    vi.runOnlyPendingTimers()
+
+    const renderer = rendererInstances[0]
+    let lastDataCall = renderer.dataCalls[renderer.dataCalls.length - 1]
+    expect(lastDataCall.options).toEqual({ feasibleRegion: false })
+    expect(lastDataCall.inequalities.map((inequality) => inequality.isArea === true))
+      .toEqual([false, false, true])
+
+    renderer.rebuildCalls = []
+    const nextGraph = { ...mockState.graph, feasibleRegion: true }
+    StateManager.set('graph', nextGraph)
+    EventBus.publish('state:changed', { path: 'graph', value: nextGraph })
+    vi.runOnlyPendingTimers()
+
+    lastDataCall = renderer.dataCalls[renderer.dataCalls.length - 1]
+    expect(lastDataCall.options).toEqual({ feasibleRegion: true })
+    expect(renderer.rebuildCalls).toHaveLength(0)
+  })
+
+  it('reads trig functions in degrees when the graph angle mode is degrees', () => {
+    mockState.functions = [
+      { id: 'f1', expression: 'y = sin(x)', color: '#00f', visible: true }
+    ]
+    mockState.graph = { ...mockState.graph, angleMode: 'degrees' }
+
+    const engine = new GraphEngine('graph-canvas')
+    engine.init()
+    vi.runOnlyPendingTimers()
+
+    const renderer = rendererInstances[0]
+    const lastDataCall = renderer.dataCalls[renderer.dataCalls.length - 1]
+    expect(lastDataCall.data[0].fn.replace(/\s+/g, '')).toBe('sin((x)*PI/180)')
+    expect(engine.evaluateCoordinateExpression('sin(30)')).toBeCloseTo(0.5, 10)
+
+    const nextGraph = { ...mockState.graph, angleMode: 'radians' }
+    StateManager.set('graph', nextGraph)
+    EventBus.publish('state:changed', { path: 'graph', value: nextGraph })
+    vi.runOnlyPendingTimers()
+
+    expect(engine.angleMode).toBe('radians')
+    expect(engine.evaluateCoordinateExpression('sin(pi / 2)')).toBeCloseTo(1, 10)
+  })
+
+  it('sweeps parametric and polar rows in degrees in degree mode', () => {
+    const engine = new GraphEngine('graph-canvas')
+    engine.angleMode = 'degrees'
+
+    const { data } = engine.mapFunctionsToPlotData([
+      { id: 'par', expression: '(cos(t), sin(t))', color: '#0a0', visible: true },
+      { id: 'pol', expression: 'r = sin(3*theta)', color: '#a0f', visible: true }
+    ], {})
+
+    expect(data[0].range).toEqual([0, 360])
+    expect(compact(data[0].x)).toBe('cos((t)*PI/180)')
+
+    // function-plot sweeps theta in radians; the row reads it in degrees
+    expect(data[1].range[1]).toBeCloseTo(2 * Math.PI)
+    const r = new Function('theta', `const PI = Math.PI, sin = Math.sin; return ${data[1].r}`)
+    expect(r(Math.PI / 6)).toBeCloseTo(Math.sin(Math.PI / 2), 10)
+  })
+
+  it('fits and draws regressions in the angle mode', () => {
+    const engine = new GraphEngine('graph-canvas')
+    engine.angleMode = 'degrees'
+
+    const { data } = engine.mapFunctionsToPlotData([
+      {
+        id: 'table_1',
+        type: 'table',
+        table: { columns: ['x1', 'y1'], rows: [['0', '0'], ['30', '1'], ['90', '2']] },
+        expression: 'points([[0, 0], [30, 1], [90, 2]])',
+        color: '#08f',
+        visible: true
+      },
+      { id: 'fit', expression: 'y1 ~ a*sin(x1)', color: '#f80', visible: true }
+    ], {})
+
+    const curve = data.find(datum => datum.fnType === 'linear')
+    expect(curve.scope.a).toBeCloseTo(2, 10)
+    expect(compact(curve.fn)).toBe('a*sin((x)*PI/180)')
+  })
+
   it('passes annotations on rebuild when graph state changes', () => {
     const engine = new GraphEngine('graph-canvas')
     engine.init()
@@ -846,4 +1304,208 @@ describe('GraphEngine (function-plot migration)', () => {
     expect(mockState.functions.some((func) => func.expression === 'm = 1')).toBe(true)
     expect(mockState.functions.some((func) => func.expression === 'b = 1')).toBe(true)
   })
+
+  it('shows points of interest for the selected row only', () => {
+    mockState.functions = [
+      { id: 'f', expression: 'y = x^2 - 4', color: '#f80', visible: true },
+      { id: 'g', expression: 'y = 2*x - 1', color: '#08f', visible: true }
+    ]
+
+    const engine = new GraphEngine('graph-canvas')
+    engine.init()
+    vi.runOnlyPendingTimers()
+
+    const renderer = rendererInstances[0]
+    expect(renderer.markerCalls.at(-1)).toEqual([])
+
+    EventBus.publish('expression:selected', { id: 'f' })
+    vi.runOnlyPendingTimers()
+
+    const markers = renderer.markerCalls.at(-1)
+    const byDescription = (description) => markers.filter(
+      (marker) => marker.description === description
+    )
+    expect(byDescription('x-intercept').map((marker) => marker.label)).toEqual(['(-2, 0)', '(2, 0)'])
+    expect(byDescription('y-intercept').map((marker) => marker.label)).toEqual(['(0, -4)'])
+    expect(byDescription('Local minimum').map((marker) => marker.label)).toEqual(['(0, -4)'])
+    expect(byDescription('Intersection').map((marker) => marker.label)).toEqual(['(-1, -3)', '(3, 5)'])
+  })
+
+  it('keeps pinned points after the row is deselected', () => {
+    mockState.functions = [
+      { id: 'f', expression: 'y = x^2 - 4', color: '#f80', visible: true }
+    ]
+
+    const engine = new GraphEngine('graph-canvas')
+    engine.init()
+    EventBus.publish('expression:selected', { id: 'f' })
+    vi.runOnlyPendingTimers()
+
+    const renderer = rendererInstances[0]
+    const root = renderer.markerCalls.at(-1).find((marker) => marker.label === '(2, 0)')
+    renderer.lastInitArgs.onMarkerClick(root.key)
+    EventBus.publish('expression:selected', { id: null })
+    vi.runOnlyPendingTimers()
+
+    expect(renderer.markerCalls.at(-1)).toEqual([
+      expect.objectContaining({ key: root.key, label: '(2, 0)', pinned: true })
+    ])
+  })
+
+  it('shades the area of integral rows between the curve and the x-axis', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data, inequalities } = engine.mapFunctionsToPlotData([
+      { id: 'area', expression: 'integral(x^2 - 1, 0, b)', color: '#0a0', visible: true }
+    ], { b: 2 })
+
+    expect(data).toHaveLength(0)
+    expect(inequalities).toHaveLength(1)
+    expect(inequalities[0]).toMatchObject({ id: 'area', color: '#0a0' })
+
+    const { evaluate } = inequalities[0]
+    expect(evaluate(1.5, 1)).toBe(true)
+    expect(evaluate(1.5, 1.5)).toBe(false)
+    expect(evaluate(0.5, -0.5)).toBe(true)
+    expect(evaluate(0.5, 0.5)).toBe(false)
+    expect(evaluate(2.5, 1)).toBe(false)
+  })
+
+  it('shades chained inequalities between both boundaries', () => {
+    const engine = new GraphEngine('graph-canvas')
+
+    const { data, meta, inequalities } = engine.mapFunctionsToPlotData([
+      { id: 'band', expression: 'x^2 <= y < x + 2', color: '#a0a', visible: true }
+    ], {})
+
+    expect(data.map((datum) => compact(datum.fn))).toEqual(['(x^2)-(y)', '(y)-(x+2)'])
+    expect(data[0]).not.toHaveProperty('attr')
+    expect(data[1].attr).toEqual({ 'stroke-dasharray': '6,4' })
+    expect(meta).toEqual([{ id: 'band' }, { id: 'band' }])
+    expect(inequalities).toHaveLength(1)
+
+    const { evaluate } = inequalities[0]
+    expect(evaluate(0, 1)).toBe(true)
+    expect(evaluate(0, -1)).toBe(false)
+    expect(evaluate(0, 3)).toBe(false)
+    expect(evaluate(1, 3)).toBe(false)
+    expect(evaluate(3, 4)).toBe(false)
+  })
+
+  it('shows draggable handles for fixed tangent and secant points', () => {
+    mockState.functions = [
+      {
+        id: 'f',
+        expression: 'y = x^2',
+        color: '#f80',
+        visible: true,
+        derivative: { x0: 1 },
+        secants: [{ x0: -1, x1: 2 }, { x0: 0, updateOnMouseMove: true }]
+      },
+      { id: 'g', expression: 'y = x', visible: true, derivative: { x0: 0, updateOnMouseMove: true } }
+    ]
+
+    const engine = new GraphEngine('graph-canvas')
+    engine.init()
+    vi.runOnlyPendingTimers()
+
+    const renderer = rendererInstances[0]
+    expect(renderer.handleCalls.at(-1)).toEqual([
+      { key: 'f:tangent', x: 1, y: 1, label: 'Tangent point', color: '#f80' },
+      { key: 'f:secant:0:x0', x: -1, y: 1, label: 'Secant start', color: '#f80' },
+      { key: 'f:secant:0:x1', x: 2, y: 4, label: 'Secant end', color: '#f80' },
+      { key: 'f:secant:1:x0', x: 0, y: 0, label: 'Secant start', color: '#f80' }
+    ])
+  })
+
+  it('saves dragged handle positions on the row and logs the drag end', () => {
+    mockState.functions = [
+      {
+        id: 'f',
+        expression: 'y = x^2',
+        visible: true,
+        derivative: { x0: 1 },
+        secants: [{ x0: -1, x1: 2 }]
+      }
+    ]
+
+    const engine = new GraphEngine('graph-canvas')
+    engine.init()
+    vi.runOnlyPendingTimers()
+    const { onHandleDrag, onHandleDragEnd } = rendererInstances[0].lastInitArgs
+
+    onHandleDrag('f:secant:0:x1', 3.14159)
+    expect(mockState.functions[0].secants).toEqual([{ x0: -1, x1: 3.14 }])
+
+    onHandleDrag('f:tangent', -0.5)
+    expect(mockState.functions[0].derivative).toEqual({ x0: -0.5 })
+
+    Logger.logActivity.mockClear()
+    onHandleDragEnd('f:secant:0:x1')
+    expect(Logger.logActivity).toHaveBeenCalledWith(
+      'Modified expression f: secant line from x = -1 to x = 3.14'
+    )
+  })
+
+  it('shows draggable handles for points whose coordinates are slider parameters', () => {
+    mockState.parameters = {
+      a: { value: 1, min: -10, max: 10, step: 0.5 },
+      b: { value: 2, min: -10, max: 10, step: 0.1 }
+    }
+    mockState.functions = [
+      { id: 'a', expression: 'a = 1', visible: true },
+      { id: 'b', expression: 'b = 2', visible: true },
+      { id: 'c', expression: 'c = 2*a', visible: true },
+      { id: 'p', expression: 'points([[a, b], [a + 1, 0], [c, 1]])', color: '#00f', visible: true },
+      { id: 'q', expression: 'Q = (b, 3)', color: '#0f0', visible: true },
+      { id: 'h', expression: 'points([[a, 5]])', visible: false }
+    ]
+
+    const engine = new GraphEngine('graph-canvas')
+    engine.init()
+    vi.runOnlyPendingTimers()
+
+    expect(rendererInstances[0].handleCalls.at(-1)).toEqual([
+      { key: 'p:point:0', x: 1, y: 2, label: 'Point', color: '#00f', free: true },
+      { key: 'q:point:0', x: 2, y: 3, label: 'Point Q', color: '#0f0', free: true }
+    ])
+  })
+
+  it('sets parameters while a point is dragged and rewrites their rows at the drag end', () => {
+    mockState.parameters = {
+      a: { value: 1, min: -10, max: 10, step: 0.5 },
+      b: { value: 2, min: -10, max: 10, step: 0.1 }
+    }
+    mockState.functions = [
+      { id: '1', expression: 'a = 1', visible: true },
+      { id: '2', expression: 'b = 2', visible: true },
+      { id: 'p', expression: 'points([[a, b]])', visible: true }
+    ]
+
+    const engine = new GraphEngine('graph-canvas')
+    engine.init()
+    vi.runOnlyPendingTimers()
+    const { onHandleDrag, onHandleDragEnd } = rendererInstances[0].lastInitArgs
+
+    onHandleDrag('p:point:0', 1.4, 2.5)
+    onHandleDrag('p:point:0', 2.7, 20)
+    expect(mockState.parameters.a).toEqual({ value: 2.5, min: -10, max: 10, step: 0.5 })
+    expect(mockState.parameters.b.value).toBe(10)
+    expect(EventBus.publish).toHaveBeenCalledWith('parameters:updated', { a: 2.5, b: 10 })
+    expect(mockState.functions[0].expression).toBe('a = 1')
+
+    Logger.logActivity.mockClear()
+    onHandleDragEnd('p:point:0')
+    expect(mockState.functions.map(func => func.expression)).toEqual([
+      'a = 2.5',
+      'b = 10.0',
+      'points([[a, b]])'
+    ])
+    expect(Logger.logActivity).toHaveBeenCalledWith(
+      'Modified expression 1 (parameter: a): a = 1.0 -> a = 2.5'
+    )
+    expect(Logger.logActivity).toHaveBeenCalledWith(
+      'Modified expression 2 (parameter: b): b = 2.0 -> b = 10.0'
+    )
+  })
 })
@@ -0,0 +1,91 @@
+import { describe, expect, it } from 'vitest';
+
+import ConfigLoader from '../../../client/core/config-loader.js';
+
+const workspace = {
+  functions: [
+    {
+      id: 'f',
+      expression: 'y = a*sin(x)',
+      color: '#c74440',
+      visible: true,
+      derivative: { x0: 1 },
+      kind: 'graph',
+      error: null
+    },
+    { id: 'a', expression: 'a = 2', color: '#2d70b3', visible: true, paramName: 'a' },
+    {
+      id: 't',
+      type: 'table',
+      expression: 'points',
+      color: '#388c46',
+      visible: true,
+      table: { columns: ['x_1', 'y_1'], rows: [['1', '2']] }
+    }
+  ],
+  parameters: { a: { value: 2, min: -5, max: 5, step: 0.5 } },
+  graph: {
+    xMin: -3,
+    xMax: 3,
+    yMin: -2,
+    yMax: 2,
+    showGrid: true,
+    angleMode: 'degrees',
+    annotations: [{ type: 'text', x: 1, y: 1, text: 'Peak' }]
+  }
+};
+
+describe('ConfigLoader', () => {
+  it('serializes a workspace into a config that loads back unchanged', () => {
+    const config = ConfigLoader.serialize(workspace);
+
+    expect(config.functions[0]).toEqual({
+      id: 'f',
+      expression: 'y = a*sin(x)',
+      color: '#c74440',
+      visible: true,
+      derivative: { x0: 1 }
+    });
+    expect(config.functions[2].expression).toBeUndefined();
+    expect(config.parameters).toEqual(workspace.parameters);
+
+    const loaded = ConfigLoader.fromObject(JSON.parse(JSON.stringify(config)));
+    expect(loaded.parameters).toEqual(workspace.parameters);
+    expect(loaded.graph).toMatchObject(workspace.graph);
+    config.functions.forEach((func, index) => {
+      expect(loaded.functions[index]).toMatchObject(func);
+    });
+  });
+
+  it('gives sliders without a range the default one', () => {
+    const config = ConfigLoader.fromObject({
+      functions: [{ id: 'a', expression: 'a = 1' }],
+      parameters: { a: { step: 0.5 } }
+    });
+
+    expect(config.parameters.a).toEqual({ min: -10, max: 10, step: 0.5 });
+  });
+
+  it('reports why an exported file cannot be imported', () => {
+    const exported = JSON.stringify(ConfigLoader.serialize({
+      ...workspace,
+      parameters: { a: { value: 2, min: 5, max: -5, step: 0.5 } }
+    }));
+
+    expect(() => ConfigLoader.fromJSON(exported))
+      .toThrow('Parameter a min must not be greater than max');
+    expect(() => ConfigLoader.fromJSON('{"functions": [')).toThrow('Config file is not valid JSON');
+    expect(ConfigLoader.fromJSON(JSON.stringify(ConfigLoader.serialize(workspace))).parameters)
+      .toEqual(workspace.parameters);
+  });
+
+  it('rejects invalid slider settings', () => {
+    const load = parameters => ConfigLoader.fromObject({ functions: [], parameters });
+
+    expect(() => load([])).toThrow('Config.parameters must be an object');
+    expect(() => load({ a: 1 })).toThrow('Parameter a must be an object');
+    expect(() => load({ a: { min: '0' } })).toThrow('Parameter a min must be a number');
+    expect(() => load({ a: { step: 0 } })).toThrow('Parameter a step must be positive');
+    expect(() => load({ a: { min: 2, max: 1 } })).toThrow('Parameter a min must not be');
+  });
+});
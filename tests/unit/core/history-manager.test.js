@@ -0,0 +1,109 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import EventBus from '../../../client/core/event-bus.js';
+import StateManager from '../../../client/core/state-manager.js';
+import HistoryManager from '../../../client/core/history-manager.js';
+
+const viewport = { xMin: -10, xMax: 10, yMin: -10, yMax: 10 };
+
+describe('HistoryManager', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    EventBus.clear();
+    EventBus.setStateManager(StateManager);
+    StateManager.state = { config: null, parameters: {}, functions: [], errors: [] };
+    StateManager.initialize({
+      functions: [
+        { id: 'f', expression: 'y = a*x', visible: true },
+        { id: 'a', expression: 'a = 1', visible: true }
+      ],
+      graph: viewport
+    });
+    StateManager.set('parameters', { a: { value: 1, min: -10, max: 10, step: 0.1 } });
+    HistoryManager.init();
+  });
+
+  afterEach(() => {
+    HistoryManager.clear();
+    vi.useRealTimers();
+  });
+
+  const setExpression = (id, expression) => {
+    StateManager.set('functions', StateManager.get('functions').map(func => (
+      func.id === id ? { ...func, expression } : func
+    )));
+  };
+
+  it('undoes and redoes a deleted row', () => {
+    StateManager.set('functions', StateManager.get('functions').filter(func => func.id !== 'f'));
+    vi.runAllTimers();
+
+    expect(HistoryManager.undo()).toBe(true);
+    expect(StateManager.get('functions').map(func => func.id)).toEqual(['f', 'a']);
+    expect(HistoryManager.canRedo()).toBe(true);
+
+    expect(HistoryManager.redo()).toBe(true);
+    expect(StateManager.get('functions').map(func => func.id)).toEqual(['a']);
+    expect(HistoryManager.redo()).toBe(false);
+  });
+
+  it('groups changes made close together into one step', () => {
+    setExpression('a', 'a = 2');
+    StateManager.set('parameters.a', { value: 2, min: -10, max: 10, step: 0.1 });
+    vi.advanceTimersByTime(300);
+    setExpression('f', 'y = a*x^2');
+    vi.runAllTimers();
+
+    HistoryManager.undo();
+    expect(StateManager.get('functions').map(func => func.expression)).toEqual([
+      'y = a*x',
+      'a = 1'
+    ]);
+    expect(StateManager.get('parameters.a.value')).toBe(1);
+    expect(HistoryManager.canUndo()).toBe(false);
+  });
+
+  it('undoes a change that has not been committed yet', () => {
+    StateManager.set('graph', { ...viewport, xMin: -5 });
+
+    expect(HistoryManager.canUndo()).toBe(true);
+    HistoryManager.undo();
+    expect(StateManager.get('graph')).toEqual(viewport);
+  });
+
+  it('keeps a batch as one step and ignores derived row fields', () => {
+    HistoryManager.startBatch();
+    StateManager.set('parameters.a', { value: 1.5, min: -10, max: 10, step: 0.1 });
+    vi.runAllTimers();
+    StateManager.set('parameters.a', { value: 2, min: -10, max: 10, step: 0.1 });
+    setExpression('a', 'a = 2.0');
+    HistoryManager.endBatch();
+    vi.runAllTimers();
+
+    // ExpressionList adds classification fields after each change
+    StateManager.set('functions', StateManager.get('functions').map(func => ({
+      ...func,
+      kind: 'graph',
+      usedVariables: ['a']
+    })));
+    vi.runAllTimers();
+
+    HistoryManager.undo();
+    expect(StateManager.get('parameters.a.value')).toBe(1);
+    expect(HistoryManager.canUndo()).toBe(false);
+  });
+
+  it('drops undone steps once a new change is made', () => {
+    const changes = [];
+    EventBus.subscribe('history:changed', data => changes.push(data));
+
+    setExpression('f', 'y = x');
+    vi.runAllTimers();
+    HistoryManager.undo();
+    setExpression('f', 'y = 2x');
+    vi.runAllTimers();
+
+    expect(HistoryManager.canRedo()).toBe(false);
+    expect(changes.at(-1)).toEqual({ canUndo: true, canRedo: false });
+  });
+});
@@ -0,0 +1,91 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import EventBus from '../../../client/core/event-bus.js';
+import StateManager from '../../../client/core/state-manager.js';
+import SessionStore, { hashConfig } from '../../../client/core/session-store.js';
+
+const config = {
+  functions: [{ id: 'f', expression: 'y = a*x', visible: true }],
+  graph: { xMin: -10, xMax: 10, yMin: -10, yMax: 10, showGrid: true }
+};
+const key = 'cosmoplot:session:./configs/config.json';
+
+describe('SessionStore', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    localStorage.clear();
+    EventBus.clear();
+    EventBus.setStateManager(StateManager);
+    StateManager.state = { config: null, parameters: {}, functions: [], errors: [] };
+    StateManager.initialize(config);
+    SessionStore.open('./configs/config.json', config);
+  });
+
+  afterEach(() => {
+    SessionStore.stop();
+    vi.useRealTimers();
+  });
+
+  it('saves rows, parameters and the viewport shortly after they change', () => {
+    SessionStore.start();
+    StateManager.set('parameters', { a: { value: 2, min: -10, max: 10, step: 0.1 } });
+    StateManager.set('functions', [
+      { id: 'f', expression: 'y = a*x^2', visible: true, kind: 'graph', error: null }
+    ]);
+    StateManager.set('graph', { ...config.graph, xMin: -5 });
+    expect(localStorage.getItem(key)).toBe(null);
+
+    vi.runAllTimers();
+    const saved = JSON.parse(localStorage.getItem(key));
+    expect(saved.functions).toEqual([{ id: 'f', expression: 'y = a*x^2', visible: true }]);
+    expect(saved.parameters.a.value).toBe(2);
+    expect(saved.viewport).toEqual({ xMin: -5, xMax: 10, yMin: -10, yMax: 10 });
+    expect(saved.configHash).toBe(hashConfig(config));
+  });
+
+  it('restores a saved session into the state', () => {
+    SessionStore.start();
+    StateManager.set('functions', [{ id: 'g', expression: 'y = 3', visible: false }]);
+    StateManager.set('graph', { ...config.graph, yMax: 4 });
+    SessionStore.stop();
+
+    StateManager.state = { config: null, parameters: {}, functions: [], errors: [] };
+    StateManager.initialize(config);
+    SessionStore.open('./configs/config.json', config);
+    const session = SessionStore.load();
+
+    expect(session.configChanged).toBe(false);
+    SessionStore.restore(session);
+    expect(StateManager.get('functions')).toEqual([
+      { id: 'g', expression: 'y = 3', visible: false }
+    ]);
+    expect(StateManager.get('graph')).toEqual({ ...config.graph, yMax: 4 });
+  });
+
+  it('reports a session saved for a different version of the config', () => {
+    SessionStore.save();
+    SessionStore.open('./configs/config.json', {
+      ...config,
+      functions: [{ id: 'f', expression: 'y = x', visible: true }]
+    });
+
+    expect(SessionStore.load().configChanged).toBe(true);
+  });
+
+  it('ignores invalid sessions and deletes discarded ones', () => {
+    localStorage.setItem(key, '{not json');
+    expect(SessionStore.load()).toBe(null);
+
+    localStorage.setItem(key, JSON.stringify({
+      version: 1,
+      functions: [{ expression: 'y = x' }],
+      parameters: {},
+      viewport: { xMin: -1, xMax: 1, yMin: -1, yMax: 1 }
+    }));
+    expect(SessionStore.load()).toBe(null);
+
+    SessionStore.save();
+    SessionStore.discard();
+    expect(localStorage.getItem(key)).toBe(null);
+  });
+});
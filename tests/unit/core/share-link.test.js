@@ -0,0 +1,57 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  buildShareUrl,
+  decodeWorkspace,
+  encodeWorkspace,
+  readSharedWorkspace
+} from '../../../client/core/share-link.js';
+
+const workspace = {
+  functions: [
+    { id: 'f', expression: 'y = a*sin(x)', color: '#c74440', visible: true, derivative: { x0: 1 } },
+    { id: 'a', expression: 'a = 2', color: '#2d70b3', visible: true }
+  ],
+  parameters: { a: { value: 2, min: -5, max: 5, step: 0.5 } },
+  graph: { xMin: -3, xMax: 3, yMin: -2, yMax: 2, showGrid: true, angleMode: 'degrees' }
+};
+
+describe('share links', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('round-trips a workspace through a compressed URL hash', async () => {
+    const url = await buildShareUrl(workspace, 'https://example.com/app/index.html?x=1');
+    const parsed = new URL(url);
+
+    expect(parsed.pathname).toBe('/app/index.html');
+    expect(parsed.search).toBe('?x=1');
+    expect(parsed.hash).toMatch(/^#graph=z[A-Za-z0-9_-]+$/);
+    expect(await readSharedWorkspace(parsed.hash)).toEqual(workspace);
+  });
+
+  it('writes plain JSON when the browser cannot compress', async () => {
+    vi.stubGlobal('CompressionStream', undefined);
+
+    const text = await encodeWorkspace(workspace);
+    expect(text[0]).toBe('j');
+    expect(await decodeWorkspace(text)).toEqual(workspace);
+  });
+
+  it('keeps only numeric slider settings', async () => {
+    const text = await encodeWorkspace({
+      ...workspace,
+      parameters: { a: { value: 1, min: 'x', step: 0.1 }, b: { min: 0 } }
+    });
+
+    expect((await decodeWorkspace(text)).parameters).toEqual({ a: { value: 1, step: 0.1 } });
+  });
+
+  it('ignores hashes without a shared graph and rejects malformed ones', async () => {
+    expect(await readSharedWorkspace('')).toBe(null);
+    expect(await readSharedWorkspace('#section')).toBe(null);
+    await expect(readSharedWorkspace('#graph=zAAAA')).rejects.toThrow('Shared link is malformed');
+    await expect(decodeWorkspace('q123')).rejects.toThrow('Shared link is malformed');
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest'
+import {
+  expandDerivatives,
+  normalizeDerivativeNotation
+} from '../../../client/math/derivative.js'
+
+describe('derivative', () => {
+  it('rewrites prime and d/dx notation as derivative calls', () => {
+    expect(normalizeDerivativeNotation("f'(x)")).toBe('derivative(f(x), 1, x)')
+    expect(normalizeDerivativeNotation("f''(t + 1)")).toBe('derivative(f(x), 2, t + 1)')
+    expect(normalizeDerivativeNotation('f′(x)')).toBe('derivative(f(x), 1, x)')
+    expect(normalizeDerivativeNotation('d/dx(x^3)')).toBe('derivative(x^3, 1, x)')
+    expect(normalizeDerivativeNotation('y = d / dx(d/dx(x^3))'))
+      .toBe('y = derivative(derivative(x^3, 1, x), 1, x)')
+  })
+
+  it('leaves other expressions unchanged', () => {
+    expect(normalizeDerivativeNotation('a*x^2 + b')).toBe('a*x^2 + b')
+    expect(normalizeDerivativeNotation('abd/dx(x)')).toBe('abd/dx(x)')
+    expect(normalizeDerivativeNotation('d/dx(x^2')).toBe('d/dx(x^2')
+  })
+
+  it('differentiates symbolically and keeps parameters', () => {
+    expect(expandDerivatives('derivative(x^3, 1, x)')).toEqual({ expression: '(3 * x ^ 2)', error: null })
+    expect(expandDerivatives('derivative(a*x^3, 2, x)').expression).toBe('(6 * a * x)')
+    expect(expandDerivatives('derivative(derivative(sin(x), 1, x), 1, x)').expression).toBe('(-sin(x))')
+  })
+
+  it('evaluates the derivative at the call argument', () => {
+    expect(expandDerivatives('derivative((x ^ 2), 1, t + 1)').expression).toBe('(2 * (t + 1))')
+    expect(expandDerivatives('y = derivative(x^3, 1, 2) + 1').expression).toBe('y = (3 * 2 ^ 2) + 1')
+  })
+
+  it('reports derivatives it cannot take', () => {
+    expect(expandDerivatives('derivative(x^2, 1)')).toEqual({
+      expression: null,
+      error: 'Derivatives must be written as f\'(x) or d/dx(...)'
+    })
+    expect(expandDerivatives('derivative(x^2, 0, x)').error)
+      .toBe('Derivatives must be written as f\'(x) or d/dx(...)')
+    expect(expandDerivatives('derivative(floor(x), 1, x)').error)
+      .toBe('Cannot take the derivative of this expression')
+  })
+})
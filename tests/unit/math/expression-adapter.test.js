@@ -1,5 +1,7 @@
 import { describe, expect, it } from 'vitest'
+import * as math from 'mathjs'
 import {
+  applyAngleMode,
   computeDerivative,
   toDisplayLatex,
   toFunctionPlotSyntax
@@ -27,6 +29,31 @@ describe('ExpressionAdapter', () => {
     it('returns original expression when parsing fails', () => {
       expect(toFunctionPlotSyntax('x +')).toBe('x +')
     })
+
+    it('converts trig arguments to radians in degree mode', () => {
+      expect(compact(toFunctionPlotSyntax('sin(x)', 'degrees'))).toBe('sin((x)*PI/180)')
+      expect(toFunctionPlotSyntax('sin(x)')).toBe('sin(x)')
+    })
+  })
+
+  describe('applyAngleMode', () => {
+    it('leaves expressions alone in radian mode', () => {
+      expect(applyAngleMode('sin(x) + asin(0.5)')).toBe('sin(x) + asin(0.5)')
+      expect(applyAngleMode('sin(x)', 'radians')).toBe('sin(x)')
+    })
+
+    it('reads trig arguments and inverse trig results in degrees', () => {
+      expect(math.evaluate(applyAngleMode('sin(30)', 'degrees'))).toBeCloseTo(0.5, 10)
+      expect(math.evaluate(applyAngleMode('tan(45) + cos(60)', 'degrees'))).toBeCloseTo(1.5, 10)
+      expect(math.evaluate(applyAngleMode('asin(0.5)', 'degrees'))).toBeCloseTo(30, 10)
+      expect(math.evaluate(applyAngleMode('atan2(1, 1)', 'degrees'))).toBeCloseTo(45, 10)
+      expect(math.evaluate(applyAngleMode('sin(asin(0.5))', 'degrees'))).toBeCloseTo(0.5, 10)
+    })
+
+    it('keeps relations and unparseable input intact', () => {
+      expect(compact(applyAngleMode('y < sin(x)', 'degrees'))).toBe('y<sin((x)*pi/180)')
+      expect(applyAngleMode('x +', 'degrees')).toBe('x +')
+    })
   })
 
   describe('computeDerivative', () => {
@@ -91,5 +118,61 @@ describe('ExpressionAdapter', () => {
     it('falls back to original expression if parse fails', () => {
       expect(toDisplayLatex('x +')).toBe('x +')
     })
+
+    it('renders piecewise definitions as a cases environment', () => {
+      const latex = toDisplayLatex('y = {x < 0: -x, x >= 0: x^2}')
+      expect(latex).toContain('\\begin{cases}')
+      expect(latex).toContain('\\end{cases}')
+      expect(latex).toContain('\\geq')
+      expect(latex.trim().startsWith('y =')).toBe(true)
+    })
+
+    it('labels the default piecewise branch as otherwise', () => {
+      const latex = toDisplayLatex('piecewise(x < 0, -x, x^2)')
+      expect(latex).toContain('\\text{otherwise}')
+    })
+
+    it('renders trailing restrictions in braces after the expression', () => {
+      const latex = toDisplayLatex('x^2 {-2 <= x <= 3}')
+      expect(latex).toContain('{ x}^{2}')
+      expect(latex).toContain('\\left\\{')
+      expect(latex).toContain('\\leq')
+      expect(latex.endsWith('\\right\\}')).toBe(true)
+    })
+
+    it('renders regressions with a tilde', () => {
+      const latex = toDisplayLatex('y1 ~ m*x1 + b')
+      expect(latex).toContain('\\sim')
+    })
+
+    it('renders integrals with bounds', () => {
+      expect(compact(toDisplayLatex('integral(x^2, 0, a)'))).toBe('\\int_{0}^{a}{x}^{2}\\,dx')
+      expect(toDisplayLatex('∫(x, 0, 1)')).toContain('\\int_{0}^{1}')
+    })
+
+    it('renders derivatives in prime and Leibniz notation', () => {
+      expect(compact(toDisplayLatex("f'(x)"))).toBe("\\mathrm{f}'\\left(x\\right)")
+      expect(compact(toDisplayLatex("y = f''(2)"))).toBe("y=\\mathrm{f}''\\left(2\\right)")
+      expect(compact(toDisplayLatex('d/dx(x^3)'))).toBe('\\frac{d}{dx}\\left({x}^{3}\\right)')
+    })
+
+    it('renders sums, products and sequence terms', () => {
+      expect(compact(toDisplayLatex('sum(n^2, n, 1, 10)'))).toBe('\\sum_{n=1}^{10}{n}^{2}')
+      expect(compact(toDisplayLatex('prod(1 + 1/k, k, 1, 5)')))
+        .toBe('\\prod_{k=1}^{5}\\left(1+\\frac{1}{k}\\right)')
+      expect(compact(toDisplayLatex('a_n = a_(n-1) + 2'))).toBe('a_{n}=a_{n-1}+2')
+    })
+
+    it('renders named points with their coordinates as a tuple', () => {
+      expect(compact(toDisplayLatex('A = (1, 2)'))).toBe('\\mathrm{A}=\\left(1,2\\right)')
+    })
+
+    it('renders parametric tuples component by component', () => {
+      const latex = toDisplayLatex('(cos(t), sin(2*t))')
+      expect(latex.startsWith('\\left(')).toBe(true)
+      expect(latex.endsWith('\\right)')).toBe(true)
+      expect(latex).toContain('\\cos')
+      expect(latex).toContain('\\sin')
+    })
   })
 })
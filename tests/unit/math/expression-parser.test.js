@@ -277,6 +277,13 @@ describe('ExpressionParser', () => {
       expect(vectorVars).not.toContain('vector')
     })
 
+    it('should exclude user-defined function names from symbol extraction', () => {
+      const vars = parser.getAllSymbols('f(x - a) + g(2)')
+      expect(vars).toEqual(['a', 'x'])
+      expect(parser.isBuiltInFunction('sin')).toBe(true)
+      expect(parser.isBuiltInFunction('f')).toBe(false)
+    })
+
     it('should return empty array for invalid expressions in getAllSymbols', () => {
       expect(parser.getAllSymbols('invalid+++')).toEqual([])
       expect(parser.getAllSymbols(null)).toEqual([])
@@ -419,6 +426,35 @@ describe('ExpressionParser', () => {
       expect(result.points).toEqual([['1', '2'], ['a + 1', 'b']])
     })
 
+    it('accepts a single pair of list expressions', () => {
+      const result = parser.parsePointsSyntax('points([L, L^2])')
+      expect(result.isPoints).toBe(true)
+      expect(result.isMalformed).toBe(false)
+      expect(result.points).toEqual([['L', 'L ^ 2']])
+    })
+
+    it('reads a label for every point or one label per point', () => {
+      expect(parser.parsePointsSyntax('points([[1, 2]], "A")').labels).toEqual(['A'])
+      expect(parser.parsePointsSyntax('points([[1, 2], [3, 4]], ["A", "B"])').labels)
+        .toEqual(['A', 'B'])
+      expect(parser.parsePointsSyntax('points([[1, 2]])').labels).toBe(null)
+
+      expect(parser.parsePointsSyntax('points([[1, 2], [3, 4]], ["A", "B", "C"])').error)
+        .toBe('points() expects one label per point')
+      expect(parser.parsePointsSyntax('points([[1, 2]], 3)').isMalformed).toBe(true)
+    })
+
+    it('reads a named point such as A = (1, 2)', () => {
+      const result = parser.parsePointsSyntax('A = (a + 1, 2)')
+      expect(result.isPoints).toBe(true)
+      expect(result.isMalformed).toBe(false)
+      expect(result.points).toEqual([['a + 1', '2']])
+      expect(result.labels).toEqual(['A'])
+
+      expect(parser.parsePointsSyntax('y = (1, 2)').isPoints).toBe(false)
+      expect(parser.parsePointsSyntax('A = (1, 2, 3)').isPoints).toBe(false)
+    })
+
     it('marks malformed points syntax when shape is invalid', () => {
       const result = parser.parsePointsSyntax('points([1, 2])')
       expect(result.isPoints).toBe(true)
@@ -471,6 +507,123 @@ describe('ExpressionParser', () => {
     })
   })
 
+  describe('parseShapeSyntax', () => {
+    it('detects segments, rays, circles and polygons', () => {
+      expect(parser.parseShapeSyntax('segment([0, 0], [a, 2])')).toMatchObject({
+        isShape: true,
+        isMalformed: false,
+        shape: 'segment',
+        points: [['0', '0'], ['a', '2']],
+        radius: null
+      })
+      expect(parser.parseShapeSyntax('ray([1, 1], [2, 3])').points).toEqual([['1', '1'], ['2', '3']])
+      expect(parser.parseShapeSyntax('circle([h, k], r + 1)')).toMatchObject({
+        shape: 'circle',
+        points: [['h', 'k']],
+        radius: 'r + 1'
+      })
+      expect(parser.parseShapeSyntax('polygon([[0, 0], [4, 0], [0, 3]])').points)
+        .toEqual([['0', '0'], ['4', '0'], ['0', '3']])
+    })
+
+    it('marks malformed shapes with a message for each shape', () => {
+      expect(parser.parseShapeSyntax('segment([0, 0])').error)
+        .toBe('segment() expects two [x, y] points')
+      expect(parser.parseShapeSyntax('circle([0, 0], [1, 1])').error)
+        .toBe('circle() expects a center [h, k] and a radius')
+      expect(parser.parseShapeSyntax('polygon([[0, 0], [1, 1]])').error)
+        .toBe('polygon() expects an array of at least three [x, y] points')
+      expect(parser.parseShapeSyntax('ray([0, 0], [1, 1, 1])').isMalformed).toBe(true)
+      expect(parser.parseShapeSyntax('circle([0, 0], ').error).toBe('Invalid shape syntax')
+    })
+
+    it('returns not-shape for other expressions', () => {
+      expect(parser.parseShapeSyntax('points([[1, 2]])').isShape).toBe(false)
+      expect(parser.parseShapeSyntax('x + 1').isShape).toBe(false)
+    })
+  })
+
+  describe('parseParametricSyntax', () => {
+    it('detects tuple syntax that uses t', () => {
+      const result = parser.parseParametricSyntax('(cos(t), sin(2*t))')
+      expect(result.isParametric).toBe(true)
+      expect(result.isMalformed).toBe(false)
+      expect(result.x).toBe('cos(t)')
+      expect(result.y).toBe('sin(2 * t)')
+      expect(result.range).toBe(null)
+    })
+
+    it('detects parametric() calls with an optional t range', () => {
+      const result = parser.parseParametricSyntax('parametric(t, t^2, -2, 2)')
+      expect(result.isParametric).toBe(true)
+      expect(result.isMalformed).toBe(false)
+      expect(result.x).toBe('t')
+      expect(result.y).toBe('t ^ 2')
+      expect(result.range).toEqual(['-2', '2'])
+    })
+
+    it('marks parametric() calls with the wrong arity as malformed', () => {
+      const result = parser.parseParametricSyntax('parametric(t, t, 0)')
+      expect(result.isParametric).toBe(true)
+      expect(result.isMalformed).toBe(true)
+      expect(result.error).toBeTruthy()
+    })
+
+    it('returns not-parametric for tuples without t', () => {
+      const result = parser.parseParametricSyntax('(1, 2)')
+      expect(result).toEqual({
+        isParametric: false,
+        isMalformed: false,
+        x: null,
+        y: null,
+        range: null,
+        error: null
+      })
+    })
+  })
+
+  describe('parsePiecewiseSyntax', () => {
+    it('detects brace syntax behind a y = prefix', () => {
+      const result = parser.parsePiecewiseSyntax('y = {x < 0: -x, x >= 0: x^2}')
+      expect(result.isPiecewise).toBe(true)
+      expect(result.isMalformed).toBe(false)
+      expect(result.branches).toEqual([
+        { condition: 'x < 0', value: '-x' },
+        { condition: 'x >= 0', value: 'x ^ 2' }
+      ])
+      expect(result.otherwise).toBe(null)
+    })
+
+    it('detects piecewise() calls with a trailing default value', () => {
+      const result = parser.parsePiecewiseSyntax('f(x) = piecewise(x < 0, -x, x^2)')
+      expect(result.isPiecewise).toBe(true)
+      expect(result.branches).toEqual([{ condition: 'x < 0', value: '-x' }])
+      expect(result.otherwise).toBe('x ^ 2')
+    })
+
+    it('flattens nested conditional expressions into branches', () => {
+      const result = parser.parsePiecewiseSyntax('x < 0 ? -1 : x < 1 ? 0 : 1')
+      expect(result.isPiecewise).toBe(true)
+      expect(result.branches).toEqual([
+        { condition: 'x < 0', value: '-1' },
+        { condition: 'x < 1', value: '0' }
+      ])
+      expect(result.otherwise).toBe('1')
+    })
+
+    it('marks empty branches as malformed', () => {
+      const result = parser.parsePiecewiseSyntax('{x < 0: , 1}')
+      expect(result.isPiecewise).toBe(true)
+      expect(result.isMalformed).toBe(true)
+      expect(result.error).toBe('Invalid piecewise syntax')
+    })
+
+    it('returns not-piecewise for plain expressions and inequalities', () => {
+      expect(parser.parsePiecewiseSyntax('x^2').isPiecewise).toBe(false)
+      expect(parser.parsePiecewiseSyntax('y > x^2').isPiecewise).toBe(false)
+    })
+  })
+
 
   describe('Cache Functionality', () => {
     it('should increment cache hits on repeated parsing', () => {
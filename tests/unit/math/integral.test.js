@@ -0,0 +1,36 @@
+import { describe, it, expect } from 'vitest'
+import {
+  computeDefiniteIntegral,
+  evaluateIntegral,
+  normalizeIntegralSymbol
+} from '../../../client/math/integral.js'
+
+describe('integral', () => {
+  it('computes signed areas', () => {
+    expect(computeDefiniteIntegral('x^2', 0, 3)).toBeCloseTo(9, 8)
+    expect(computeDefiniteIntegral('sin(x)', 0, 2 * Math.PI)).toBeCloseTo(0, 8)
+    expect(computeDefiniteIntegral('x - 1', 0, 1)).toBeCloseTo(-0.5, 8)
+    expect(computeDefiniteIntegral('abs(x)', -1, 2)).toBeCloseTo(2.5, 8)
+  })
+
+  it('negates the area when the bounds are swapped', () => {
+    expect(computeDefiniteIntegral('x^2', 3, 0)).toBeCloseTo(-9, 8)
+    expect(computeDefiniteIntegral('x^2', 2, 2)).toBe(0)
+  })
+
+  it('returns null where the integrand is undefined', () => {
+    expect(computeDefiniteIntegral('1/x', -1, 1)).toBe(null)
+    expect(computeDefiniteIntegral('sqrt(x)', -1, 1)).toBe(null)
+    expect(computeDefiniteIntegral('x', 0, Infinity)).toBe(null)
+  })
+
+  it('evaluates bounds and integrand with parameters', () => {
+    const integral = { integrand: 'k*x', lower: '0', upper: '2*a' }
+    expect(evaluateIntegral(integral, { a: 1, k: 3 })).toBeCloseTo(6, 8)
+    expect(evaluateIntegral(integral, { a: [1, 2], k: 3 })).toBe(null)
+  })
+
+  it('rewrites the integral sign', () => {
+    expect(normalizeIntegralSymbol('∫(x, 0, 1)')).toBe('integral(x, 0, 1)')
+  })
+})
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach } from 'vitest'
 import ExpressionParser from '../../../client/math/expression-parser.js'
 import { classifyLine } from '../../../client/math/line-classifier.js'
+import { buildFunctionTable } from '../../../client/math/function-table.js'
 
 describe('LineClassifier', () => {
   let parser
@@ -48,10 +49,58 @@ describe('LineClassifier', () => {
     expect(result.plotExpression).toBe('5')
   })
 
-  it('rejects expressions missing x', () => {
+  it('classifies expressions without x as calculated values', () => {
     const result = classifyLine('5', parser)
-    expect(result.kind).toBe('invalid')
+    expect(result.kind).toBe('value')
     expect(result.graphMode).toBe(null)
+    expect(result.error).toBe(null)
+    expect(result.valueExpression).toBe('5')
+  })
+
+  it('keeps parameters used by calculated values', () => {
+    const result = classifyLine('sqrt(2)*a', parser)
+    expect(result.kind).toBe('value')
+    expect(result.usedVariables).toEqual(['a'])
+    expect(classifyLine('sin(pi/4)', parser).kind).toBe('value')
+  })
+
+  it('calculates values of functions defined on other rows', () => {
+    const table = buildFunctionTable([{ expression: 'f(x) = x^2' }], parser)
+    const result = classifyLine('f(3)', parser, table)
+    expect(result.kind).toBe('value')
+    expect(result.valueExpression).toBe('(3 ^ 2)')
+  })
+
+  it('accepts math.js functions outside the common list', () => {
+    ['y = sec(x)', 'y = cbrt(x)', 'y = asinh(x) + log2(x)'].forEach((expression) => {
+      const result = classifyLine(expression, parser)
+      expect(result.kind).toBe('graph')
+      expect(result.error).toBe(null)
+    })
+    expect(classifyLine('gcd(4, 6)', parser).kind).toBe('value')
+    expect(classifyLine('y = foo(x)', parser).error).toBe('Unknown function: foo')
+  })
+
+  it('inlines functions called with implicit multiplication', () => {
+    const table = buildFunctionTable([
+      { expression: 'f(x) = x^2' },
+      { expression: 'g(x) = x + 1' }
+    ], parser)
+
+    const graph = classifyLine('y = 2f(x)', parser, table)
+    expect(graph.kind).toBe('graph')
+    expect(graph.error).toBe(null)
+    expect(graph.plotExpression).toBe('2 (x ^ 2)')
+
+    const value = classifyLine('3g(1)', parser, table)
+    expect(value.kind).toBe('value')
+    expect(value.error).toBe(null)
+    expect(value.valueExpression).toBe('3(1 + 1)')
+  })
+
+  it('rejects a lone parameter name missing x', () => {
+    const result = classifyLine('a', parser)
+    expect(result.kind).toBe('invalid')
     expect(result.error).toBe('Expression must include x')
   })
 
@@ -71,6 +120,35 @@ describe('LineClassifier', () => {
     expect(result.error).toBe('Syntax error')
   })
 
+  it('classifies assignments computed from other parameters as derived', () => {
+    const result = classifyLine('b = 2*a + c', parser)
+    expect(result.kind).toBe('assignment')
+    expect(result.paramName).toBe('b')
+    expect(result.value).toBe(null)
+    expect(result.valueExpression).toBe('2 * a + c')
+    expect(result.usedVariables).toEqual(['a', 'c'])
+    expect(result.error).toBe(null)
+  })
+
+  it('keeps a null valueExpression for numeric assignments', () => {
+    expect(classifyLine('a = 2', parser).valueExpression).toBe(null)
+  })
+
+  it('classifies list literals as list assignments', () => {
+    const result = classifyLine('L = [1, 2, 3, 4]', parser)
+    expect(result.kind).toBe('assignment')
+    expect(result.paramName).toBe('L')
+    expect(result.value).toEqual([1, 2, 3, 4])
+    expect(classifyLine('L = []', parser).kind).toBe('invalid')
+  })
+
+  it('classifies list expressions of other parameters as derived', () => {
+    const result = classifyLine('M = L^2', parser)
+    expect(result.kind).toBe('assignment')
+    expect(result.valueExpression).toBe('L ^ 2')
+    expect(result.usedVariables).toEqual(['L'])
+  })
+
   describe('x = constant (vertical lines)', () => {
     it('classifies x = 1 as implicit graph line', () => {
       const result = classifyLine('x = 1', parser)
@@ -238,6 +316,27 @@ describe('LineClassifier', () => {
     })
   })
 
+  describe('labeled points', () => {
+    it('keeps point labels in the plot data', () => {
+      const result = classifyLine('points([[1, 2], [a, 0]], ["P", "Q"])', parser)
+      expect(result.graphMode).toBe('points')
+      expect(result.plotData).toEqual({
+        type: 'points',
+        points: [['1', '2'], ['a', '0']],
+        labels: ['P', 'Q']
+      })
+      expect(result.usedVariables).toEqual(['a'])
+    })
+
+    it('classifies A = (1, 2) as a point named A rather than an assignment', () => {
+      const result = classifyLine('A = (h, 2)', parser)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('points')
+      expect(result.plotData).toEqual({ type: 'points', points: [['h', '2']], labels: ['A'] })
+      expect(result.usedVariables).toEqual(['h'])
+    })
+  })
+
   describe('vector syntax', () => {
     it('classifies vector([vx,vy],[ox,oy]) as vector graph mode', () => {
       const result = classifyLine('vector([u, v], [1, b])', parser)
@@ -273,6 +372,52 @@ describe('LineClassifier', () => {
     })
   })
 
+  describe('geometry shapes', () => {
+    it('classifies segments, rays and polygons as shape graph mode', () => {
+      const segment = classifyLine('segment([0, 0], [a, 2])', parser)
+      expect(segment.kind).toBe('graph')
+      expect(segment.graphMode).toBe('shape')
+      expect(segment.plotData).toEqual({
+        type: 'shape',
+        shape: 'segment',
+        points: [['0', '0'], ['a', '2']],
+        radius: null
+      })
+      expect(segment.usedVariables).toEqual(['a'])
+
+      expect(classifyLine('ray([1, 1], [2, 3])', parser).plotData.shape).toBe('ray')
+      expect(classifyLine('polygon([[0, 0], [b, 0], [0, c]])', parser).usedVariables)
+        .toEqual(['b', 'c'])
+    })
+
+    it('collects parameters from the circle center and radius', () => {
+      const result = classifyLine('circle([h, k], r)', parser)
+      expect(result.graphMode).toBe('shape')
+      expect(result.plotData).toEqual({
+        type: 'shape',
+        shape: 'circle',
+        points: [['h', 'k']],
+        radius: 'r'
+      })
+      expect(result.usedVariables).toEqual(['h', 'k', 'r'])
+    })
+
+    it('rejects malformed shapes and coordinates that include x or y', () => {
+      expect(classifyLine('segment([0, 0])', parser).error).toBe('segment() expects two [x, y] points')
+      expect(classifyLine('circle([0, 0], x)', parser).error).toBe('Coordinates cannot include x or y')
+      expect(classifyLine('polygon([[0, y], [1, 0], [0, 1]])', parser).kind).toBe('invalid')
+    })
+
+    it('rejects circles whose radius is not positive', () => {
+      const negative = classifyLine('circle([0, 0], -2)', parser)
+      expect(negative.kind).toBe('invalid')
+      expect(negative.error).toBe('Circle radius must be greater than 0')
+      expect(classifyLine('circle([0, 0], 1 - 1)', parser).error)
+        .toBe('Circle radius must be greater than 0')
+      expect(classifyLine('circle([0, 0], pi/2)', parser).error).toBe(null)
+    })
+  })
+
   describe('inequalities', () => {
     it('classifies y > x^2 with rich inequality metadata', () => {
       const result = classifyLine('y > x^2', parser)
@@ -309,11 +454,37 @@ describe('LineClassifier', () => {
       expect(result.usedVariables).toEqual(['x', 'y'])
     })
 
-    it('rejects chained inequalities', () => {
-      const result = classifyLine('-1 < x < 1', parser)
+    it('classifies chained inequalities as one region', () => {
+      const result = classifyLine('x^2 <= y < 2*x + a', parser)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('inequality')
+      expect(result.usedVariables).toEqual(['a', 'x', 'y'])
+      expect(result.plotData.comparisons).toEqual([
+        {
+          operator: '<=',
+          lhs: 'x^2',
+          rhs: 'y',
+          boundaryExpression: '(x^2) - (y)',
+          strict: false,
+          satisfiesPositive: false
+        },
+        {
+          operator: '<',
+          lhs: 'y',
+          rhs: '2*x + a',
+          boundaryExpression: '(y) - (2*x + a)',
+          strict: true,
+          satisfiesPositive: false
+        }
+      ])
+      expect(classifyLine('-1 < x < 1', parser).plotData.comparisons).toHaveLength(2)
+    })
+
+    it('rejects chained inequalities that point different ways', () => {
+      const result = classifyLine('x < y > 1', parser)
       expect(result.kind).toBe('invalid')
       expect(result.graphMode).toBe(null)
-      expect(result.error).toBe('Chained inequalities are not supported')
+      expect(result.error).toBe('Chained inequalities must point the same way, as in f(x) <= y <= g(x)')
     })
 
     it('rejects non-graph inequalities that do not include x or y', () => {
@@ -323,4 +494,374 @@ describe('LineClassifier', () => {
       expect(result.error).toBe('Inequality must include x or y')
     })
   })
+
+  describe('polar curves', () => {
+    it('classifies r = f(theta) as polar graph mode', () => {
+      const result = classifyLine('r = 2*sin(3*theta)', parser)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('polar')
+      expect(result.error).toBe(null)
+      expect(result.plotExpression).toBe('2 * sin(3 * theta)')
+      expect(result.usedVariables).toContain('theta')
+    })
+
+    it('classifies r(theta) = ... function definitions as polar', () => {
+      const result = classifyLine('r(theta) = 1 + cos(theta)', parser)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('polar')
+      expect(result.plotExpression).toBe('1 + cos(theta)')
+    })
+
+    it('keeps slider parameters in polar usedVariables', () => {
+      const result = classifyLine('r = a*cos(k*theta)', parser)
+      expect(result.graphMode).toBe('polar')
+      expect(result.usedVariables).toEqual(['a', 'k', 'theta'])
+    })
+
+    it('classifies r(theta) = constant as a polar circle', () => {
+      const result = classifyLine('r(theta) = 2', parser)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('polar')
+      expect(result.plotExpression).toBe('2')
+    })
+
+    it('keeps r = constant as a parameter assignment', () => {
+      const result = classifyLine('r = 2', parser)
+      expect(result.kind).toBe('assignment')
+      expect(result.paramName).toBe('r')
+      expect(result.value).toBe(2)
+    })
+
+    it('rejects polar curves that mix in x or y', () => {
+      const result = classifyLine('r = theta + x', parser)
+      expect(result.kind).toBe('invalid')
+      expect(result.error).toBe('Polar curves cannot include x or y')
+    })
+  })
+
+  describe('parametric curves', () => {
+    it('classifies (x(t), y(t)) tuples as parametric graph mode', () => {
+      const result = classifyLine('(cos(t), sin(2*t))', parser)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('parametric')
+      expect(result.error).toBe(null)
+      expect(result.plotExpression).toBe(null)
+      expect(result.plotData).toEqual({
+        type: 'parametric',
+        x: 'cos(t)',
+        y: 'sin(2 * t)',
+        range: null
+      })
+    })
+
+    it('classifies named tuples in t as parametric curves rather than points', () => {
+      const result = classifyLine('P = (t, t^2)', parser)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('parametric')
+      expect(result.plotData).toEqual({ type: 'parametric', x: 't', y: 't ^ 2', range: null })
+
+      expect(classifyLine('A = (a, 2)', parser).graphMode).toBe('points')
+    })
+
+    it('classifies parametric() calls with a t range', () => {
+      const result = classifyLine('parametric(a*cos(t), sin(t), 0, pi)', parser)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('parametric')
+      expect(result.plotData.range).toEqual(['0', 'pi'])
+      expect(result.usedVariables).toEqual(['a', 't'])
+    })
+
+    it('rejects parametric components that use x or y', () => {
+      const result = classifyLine('(x + t, t)', parser)
+      expect(result.kind).toBe('invalid')
+      expect(result.error).toBe('Parametric components cannot include x or y')
+    })
+
+    it('rejects parametric ranges that use t', () => {
+      const result = classifyLine('parametric(t, t, 0, t)', parser)
+      expect(result.kind).toBe('invalid')
+      expect(result.error).toBe('Parametric range cannot include t')
+    })
+
+    it('reports malformed parametric() calls', () => {
+      const result = classifyLine('parametric(t)', parser)
+      expect(result.kind).toBe('invalid')
+      expect(result.error).toBeTruthy()
+    })
+  })
+
+  describe('piecewise definitions', () => {
+    it('classifies y = {cond: value, ...} as piecewise graph mode', () => {
+      const result = classifyLine('y = {x < 0: -x, x >= 0: x^2}', parser)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('piecewise')
+      expect(result.error).toBe(null)
+      expect(result.usedVariables).toEqual(['x'])
+      expect(result.plotData).toEqual({
+        type: 'piecewise',
+        branches: [
+          { condition: 'x < 0', value: '-x' },
+          { condition: 'x >= 0', value: 'x ^ 2' }
+        ],
+        otherwise: null
+      })
+    })
+
+    it('classifies piecewise() function definitions with parameters', () => {
+      const result = classifyLine('f(x) = piecewise(x < a, -x, b*x^2)', parser)
+      expect(result.graphMode).toBe('piecewise')
+      expect(result.usedVariables).toEqual(['a', 'b', 'x'])
+      expect(result.plotData.otherwise).toBe('b * x ^ 2')
+    })
+
+    it('does not treat conditional expressions as inequalities', () => {
+      const result = classifyLine('y = x < 0 ? -x : x^2', parser)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('piecewise')
+    })
+
+    it('rejects branches that use y', () => {
+      const result = classifyLine('{x < 0: y, 1}', parser)
+      expect(result.kind).toBe('invalid')
+      expect(result.error).toBe('Piecewise branches cannot include y')
+    })
+
+    it('reports malformed piecewise() calls', () => {
+      const result = classifyLine('piecewise(x < 0)', parser)
+      expect(result.kind).toBe('invalid')
+      expect(result.error).toBe('piecewise() expects condition, value pairs')
+    })
+  })
+
+  describe('restrictions', () => {
+    it('attaches a trailing domain restriction to explicit graphs', () => {
+      const result = classifyLine('x^2 {-2 <= x <= 3}', parser)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('explicit')
+      expect(result.plotExpression).toBe('x^2')
+      expect(result.restrictions).toEqual([
+        { lhs: '-2', operator: '<=', rhs: 'x' },
+        { lhs: 'x', operator: '<=', rhs: '3' }
+      ])
+    })
+
+    it('restricts implicit equations by y', () => {
+      const result = classifyLine('x^2 + y^2 = 9 {y > 0}', parser)
+      expect(result.graphMode).toBe('implicit')
+      expect(result.restrictions).toEqual([{ lhs: 'y', operator: '>', rhs: '0' }])
+    })
+
+    it('merges restriction parameters into usedVariables', () => {
+      const result = classifyLine('y > x {x > a}{x < b}', parser)
+      expect(result.graphMode).toBe('inequality')
+      expect(result.usedVariables).toEqual(['a', 'b', 'x', 'y'])
+      expect(result.restrictions).toHaveLength(2)
+    })
+
+    it('keeps piecewise brace bodies intact when restricted', () => {
+      const result = classifyLine('y = {x < 0: -x, x} {x > -3}', parser)
+      expect(result.graphMode).toBe('piecewise')
+      expect(result.restrictions).toEqual([{ lhs: 'x', operator: '>', rhs: '-3' }])
+    })
+
+    it('defaults to no restrictions for unrestricted rows', () => {
+      expect(classifyLine('x^2', parser).restrictions).toEqual([])
+    })
+
+    it('rejects restrictions that are not comparisons', () => {
+      const result = classifyLine('x^2 {x + 1}', parser)
+      expect(result.kind).toBe('invalid')
+      expect(result.error).toBe('Restriction must be a comparison such as {x > 0}')
+    })
+
+    it('rejects restrictions on unsupported graph types', () => {
+      const result = classifyLine('(cos(t), sin(t)) {x > 0}', parser)
+      expect(result.kind).toBe('invalid')
+      expect(result.error).toBe('Restrictions are not supported for this graph type')
+    })
+  })
+
+  describe('regressions', () => {
+    it('classifies y1 ~ m*x1 + b as a regression', () => {
+      const result = classifyLine('y1 ~ m*x1 + b', parser)
+      expect(result.kind).toBe('regression')
+      expect(result.error).toBe(null)
+      expect(result.usedVariables).toEqual(['y1', 'b', 'm', 'x1'])
+      expect(result.plotData).toEqual({ type: 'regression', lhs: 'y1', model: 'm*x1 + b' })
+    })
+
+    it('rejects regressions over x or y and malformed models', () => {
+      expect(classifyLine('y ~ m*x', parser).error)
+        .toBe('Regressions use lists such as x1, not x or y')
+      expect(classifyLine('y1 ~', parser).error)
+        .toBe('Regression must look like y1 ~ m*x1 + b')
+      expect(classifyLine('y1 ~ a ~ b', parser).error)
+        .toBe('Regression must look like y1 ~ m*x1 + b')
+    })
+  })
+
+  describe('integrals', () => {
+    it('classifies integral(f(x), a, b) as a value over its bound parameters', () => {
+      const result = classifyLine('integral(x^2, 0, b)', parser)
+      expect(result.kind).toBe('value')
+      expect(result.error).toBe(null)
+      expect(result.usedVariables).toEqual(['b'])
+      expect(result.plotData).toEqual({ type: 'integral', integrand: 'x ^ 2', lower: '0', upper: 'b' })
+    })
+
+    it('accepts the integral sign', () => {
+      const result = classifyLine('∫(sin(x), 0, pi)', parser)
+      expect(result.kind).toBe('value')
+      expect(result.plotData).toMatchObject({ integrand: 'sin(x)', upper: 'pi' })
+    })
+
+    it('rejects malformed integrals', () => {
+      expect(classifyLine('integral(x^2, 0)', parser).error)
+        .toBe('integral() expects a function of x and two bounds')
+      expect(classifyLine('integral(y, 0, 1)', parser).error)
+        .toBe('Integrals cannot include y')
+      expect(classifyLine('integral(x, x, 1)', parser).error)
+        .toBe('Integral bounds cannot include x')
+      expect(classifyLine('integral(x, 0, 1) + 1', parser).error)
+        .toBe('Integrals must be a whole row such as integral(f(x), a, b)')
+    })
+  })
+
+  describe('derivatives', () => {
+    const tableFor = (expressions) => buildFunctionTable(
+      expressions.map(expression => ({ expression })),
+      parser
+    )
+
+    it("graphs f'(x) and f''(x) for functions defined on other rows", () => {
+      const table = tableFor(['f(x) = a*x^3'])
+
+      const first = classifyLine("f'(x)", parser, table)
+      expect(first.kind).toBe('graph')
+      expect(first.graphMode).toBe('explicit')
+      expect(first.plotExpression).toBe('(3 * a * x ^ 2)')
+      expect(first.usedVariables).toEqual(['a', 'x'])
+
+      expect(classifyLine("y = f''(x)", parser, table).plotExpression).toBe('(6 * a * x)')
+    })
+
+    it('graphs d/dx of an expression', () => {
+      const result = classifyLine('d/dx(x^3 + sin(x))', parser)
+      expect(result.graphMode).toBe('explicit')
+      expect(result.plotExpression).toBe('(3 * x ^ 2 + cos(x))')
+    })
+
+    it('uses derivatives inside definitions, values and inequalities', () => {
+      const table = tableFor(['f(x) = x^2', "g(x) = f'(x) + 1"])
+      expect(classifyLine("g(x) = f'(x) + 1", parser, table).plotExpression).toBe('(2 * x) + 1')
+      expect(classifyLine('y = g(x)', parser, table).plotExpression).toBe('((2 * x) + 1)')
+
+      const value = classifyLine("f'(3)", parser, table)
+      expect(value.kind).toBe('value')
+      expect(value.valueExpression).toBe('(2 * 3)')
+
+      expect(classifyLine("y > f'(x)", parser, table).graphMode).toBe('inequality')
+    })
+
+    it('reports derivatives of unknown or non-differentiable functions', () => {
+      expect(classifyLine("h'(x)", parser, tableFor([])).error).toBe('Unknown function: h')
+      expect(classifyLine('d/dx(floor(x))', parser).error)
+        .toBe('Cannot take the derivative of this expression')
+    })
+  })
+
+  describe('sums and sequences', () => {
+    it('classifies sums and products with bounds as calculated values', () => {
+      const sum = classifyLine('sum(n^2, n, 1, 3)', parser)
+      expect(sum.kind).toBe('value')
+      expect(sum.valueExpression).toBe('(((1) ^ 2) + ((2) ^ 2) + ((3) ^ 2))')
+      expect(sum.usedVariables).toEqual([])
+
+      expect(classifyLine('prod(a*k, k, 1, 2)', parser).usedVariables).toEqual(['a'])
+      expect(classifyLine('sum(1/n, n, 1, N)', parser).error)
+        .toBe('Sum and product bounds must be fixed numbers, not parameters')
+    })
+
+    it('graphs sums in x and sums inside user functions', () => {
+      expect(classifyLine('y = sum(x^n, n, 0, 1)', parser).plotExpression).toBe('((x ^ (0)) + (x ^ (1)))')
+
+      const table = buildFunctionTable([{ expression: 'f(x) = sum(x^n, n, 1, 2)' }], parser)
+      expect(classifyLine('y = f(x) + 1', parser, table).plotExpression)
+        .toBe('(((x ^ (1)) + (x ^ (2)))) + 1')
+    })
+
+    it('classifies recurrences and explicit formulas as sequences', () => {
+      const result = classifyLine('a_n = a_(n-1) + d', parser)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('sequence')
+      expect(result.usedVariables).toEqual(['d'])
+      expect(result.plotData).toEqual({ type: 'sequence', name: 'a', index: 'n', body: 'a_(n-1) + d' })
+
+      expect(classifyLine('b_n = 1/n', parser).graphMode).toBe('sequence')
+      expect(classifyLine('a_1 = 3', parser)).toMatchObject({ kind: 'assignment', paramName: 'a_1', value: 3 })
+    })
+
+    it('reports invalid sequences', () => {
+      expect(classifyLine('a_n = a_(n+1)', parser).error)
+        .toBe('Sequence terms must refer to earlier terms, as in a_(n-1)')
+      expect(classifyLine('a_n = x*n', parser).error).toBe('Sequences use an index such as n, not x or y')
+      expect(classifyLine('a_n = g(n)', parser).error).toBe('Unknown function: g')
+    })
+  })
+
+  describe('function references', () => {
+    const tableFor = (expressions) => buildFunctionTable(
+      expressions.map(expression => ({ expression })),
+      parser
+    )
+
+    it('inlines functions defined on other rows', () => {
+      const table = tableFor(['f(x) = a*x^2', 'g(x) = f(x - 2) + 1'])
+      const result = classifyLine('g(x) = f(x - 2) + 1', parser, table)
+      expect(result.kind).toBe('graph')
+      expect(result.graphMode).toBe('explicit')
+      expect(result.plotExpression).toBe('(a * (x - 2) ^ 2) + 1')
+      expect(result.usedVariables).toEqual(['a', 'x'])
+    })
+
+    it('inlines calls nested inside explicit and inequality rows', () => {
+      const table = tableFor(['f(x) = x^2', 'g(x) = f(x) + 1'])
+      expect(classifyLine('y = g(x)^2', parser, table).plotExpression)
+        .toBe('((x ^ 2) + 1) ^ 2')
+      expect(classifyLine('y < f(x)', parser, table).graphMode).toBe('inequality')
+    })
+
+    it('reports circular definitions on every row involved', () => {
+      const table = tableFor(['f(x) = g(x)', 'g(x) = f(x) + 1'])
+      expect(classifyLine('f(x) = g(x)', parser, table).error)
+        .toBe('Circular function definition: f -> g -> f')
+      expect(classifyLine('y = g(x)', parser, table).error)
+        .toBe('Circular function definition: f -> g -> f')
+    })
+
+    it('reports self-referencing definitions', () => {
+      const table = tableFor(['f(x) = f(x - 1)'])
+      const result = classifyLine('f(x) = f(x - 1)', parser, table)
+      expect(result.kind).toBe('invalid')
+      expect(result.error).toBe('Circular function definition: f -> f')
+    })
+
+    it('reports functions defined more than once', () => {
+      const table = tableFor(['f(x) = x', 'f(x) = 2*x'])
+      expect(classifyLine('y = f(x)', parser, table).error)
+        .toBe('Function f is defined more than once')
+    })
+
+    it('reports calls with the wrong number of arguments', () => {
+      const table = tableFor(['f(x) = x^2'])
+      expect(classifyLine('y = f(x, 2)', parser, table).error)
+        .toBe('f() expects 1 argument')
+    })
+
+    it('reports calls to functions that are not defined', () => {
+      const result = classifyLine('y = q(x) + sin(x)', parser, tableFor([]))
+      expect(result.kind).toBe('invalid')
+      expect(result.error).toBe('Unknown function: q')
+    })
+  })
 })
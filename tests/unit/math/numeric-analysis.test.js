@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'vitest'
+import { findPointsOfInterest } from '../../../client/math/numeric-analysis.js'
+
+const ofType = (points, type) => points.filter((point) => point.type === type)
+
+describe('findPointsOfInterest', () => {
+  it('finds roots, the y-intercept and extrema of a polynomial', () => {
+    const points = findPointsOfInterest('x^3 - 3*x', {}, [-5, 5])
+
+    const roots = ofType(points, 'root').map((point) => point.x)
+    expect(roots).toHaveLength(3)
+    expect(roots[0]).toBeCloseTo(-Math.sqrt(3), 6)
+    expect(roots[1]).toBeCloseTo(0, 6)
+    expect(roots[2]).toBeCloseTo(Math.sqrt(3), 6)
+
+    expect(ofType(points, 'y-intercept')).toEqual([{ type: 'y-intercept', x: 0, y: 0 }])
+
+    const [maximum] = ofType(points, 'maximum')
+    expect(maximum.x).toBeCloseTo(-1, 5)
+    expect(maximum.y).toBeCloseTo(2, 6)
+    const [minimum] = ofType(points, 'minimum')
+    expect(minimum.x).toBeCloseTo(1, 5)
+    expect(minimum.y).toBeCloseTo(-2, 6)
+  })
+
+  it('uses parameter values from the scope', () => {
+    const roots = ofType(findPointsOfInterest('x^2 - a', { a: 9 }), 'root')
+
+    expect(roots.map((point) => point.x)).toEqual([
+      expect.closeTo(-3, 6),
+      expect.closeTo(3, 6)
+    ])
+  })
+
+  it('reports double roots and kinks', () => {
+    const touching = findPointsOfInterest('(x - 1)^2', {}, [-5, 5])
+    expect(ofType(touching, 'root')).toHaveLength(1)
+    expect(ofType(touching, 'root')[0].x).toBeCloseTo(1, 4)
+
+    const [kink] = ofType(findPointsOfInterest('abs(x - 2) - 1', {}, [-5, 5]), 'minimum')
+    expect(kink.x).toBeCloseTo(2, 6)
+    expect(kink.y).toBeCloseTo(-1, 6)
+  })
+
+  it('ignores sign changes across asymptotes and undefined regions', () => {
+    const reciprocal = findPointsOfInterest('1/x', {}, [-5, 5])
+    expect(ofType(reciprocal, 'root')).toEqual([])
+    expect(ofType(reciprocal, 'y-intercept')).toEqual([])
+
+    const squareRoot = findPointsOfInterest('sqrt(x) - 1', {}, [-5, 5])
+    expect(ofType(squareRoot, 'root').map((point) => point.x)).toEqual([expect.closeTo(1, 6)])
+  })
+
+  it('finds intersections with other curves', () => {
+    const intersections = ofType(
+      findPointsOfInterest('x^2', {}, [-5, 5], [{ id: 'g', expression: 'x + 2' }]),
+      'intersection'
+    )
+
+    expect(intersections).toHaveLength(2)
+    expect(intersections[0]).toMatchObject({ withId: 'g', x: expect.closeTo(-1, 6), y: expect.closeTo(1, 6) })
+    expect(intersections[1]).toMatchObject({ withId: 'g', x: expect.closeTo(2, 6), y: expect.closeTo(4, 6) })
+  })
+
+  it('returns no points for invalid input', () => {
+    expect(findPointsOfInterest('x +', {}, [-5, 5])).toEqual([])
+    expect(findPointsOfInterest('x', {}, [5, -5])).toEqual([])
+  })
+})
@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest'
+import {
+  roundToStep,
+  getStepDecimals,
+  formatParameterValue
+} from '../../../client/math/parameter-defaults.js'
+
+describe('parameter step helpers', () => {
+  it('rounds values to the slider step', () => {
+    expect(roundToStep(5.3, 0.5)).toBe(5.5)
+    expect(roundToStep(5.3, 0)).toBe(5.3)
+    expect(roundToStep(5.3, NaN)).toBe(5.3)
+  })
+
+  it('counts the decimal places of a step', () => {
+    expect(getStepDecimals(1)).toBe(0)
+    expect(getStepDecimals(0.01)).toBe(2)
+    expect(getStepDecimals(1e-7)).toBe(7)
+    expect(getStepDecimals(undefined)).toBe(0)
+  })
+
+  it('formats values the way a slider writes them', () => {
+    expect(formatParameterValue(2.5, 0.01)).toBe('2.50')
+    expect(formatParameterValue(0.1 + 0.2, 0.1)).toBe('0.3')
+    expect(formatParameterValue(4.6, 1)).toBe('5')
+  })
+})
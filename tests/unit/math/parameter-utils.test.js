@@ -1,6 +1,10 @@
 import { describe, it, expect, beforeEach } from 'vitest'
 import ExpressionParser from '../../../client/math/expression-parser.js'
-import { analyzeParameters } from '../../../client/math/parameter-utils.js'
+import {
+  analyzeParameters,
+  evaluateValueExpression,
+  resolveLiveParameterValues
+} from '../../../client/math/parameter-utils.js'
 
 describe('analyzeParameters', () => {
   let parser
@@ -76,4 +80,239 @@ describe('analyzeParameters', () => {
     expect(result.usedParams.has('vector')).toBe(false)
     expect(result.missingAssignments).toEqual([])
   })
+
+  it('does not treat theta in polar curves as a parameter', () => {
+    const functions = [
+      { expression: 'r = a*sin(3*theta)' }
+    ]
+
+    const result = analyzeParameters(functions, parser)
+
+    expect(result.usedParams.has('theta')).toBe(false)
+    expect(result.usedParams.has('a')).toBe(true)
+    expect(result.missingAssignments).toEqual(['a'])
+  })
+
+  it('does not treat t in parametric curves as a parameter', () => {
+    const functions = [
+      { expression: '(a*cos(t), sin(t))' }
+    ]
+
+    const result = analyzeParameters(functions, parser)
+
+    expect(result.usedParams.has('t')).toBe(false)
+    expect(result.usedParams.has('a')).toBe(true)
+  })
+
+  it('does not treat called user functions as parameters', () => {
+    const functions = [
+      { expression: 'f(x) = a*x^2' },
+      { expression: 'y = f(x - 1) + b' }
+    ]
+
+    const result = analyzeParameters(functions, parser)
+
+    expect(result.usedParams.has('f')).toBe(false)
+    expect(result.missingAssignments).toEqual(['a', 'b'])
+  })
+
+  it('treats parameters in calculated values as used', () => {
+    const result = analyzeParameters([{ expression: 'sqrt(2)*a' }], parser)
+
+    expect(result.missingAssignments).toEqual(['a'])
+  })
+
+  it('evaluates calculated values against a parameter scope', () => {
+    expect(evaluateValueExpression('2*a + 1', { a: 3 })).toBe(7)
+    expect(evaluateValueExpression('1/0')).toBe(null)
+    expect(evaluateValueExpression('a + 1')).toBe(null)
+  })
+
+  describe('derived parameters', () => {
+    it('evaluates derived parameters in dependency order', () => {
+      const functions = [
+        { expression: 'c = b + 1' },
+        { expression: 'b = 2*a' },
+        { expression: 'a = 3' },
+        { expression: 'c*x' }
+      ]
+
+      const result = analyzeParameters(functions, parser)
+
+      expect(result.assignmentValues.get('b')).toBe(6)
+      expect(result.assignmentValues.get('c')).toBe(7)
+      expect(result.derivedParams).toEqual(new Set(['b', 'c']))
+      expect(result.parameterErrors.size).toBe(0)
+      expect(result.missingAssignments).toEqual([])
+    })
+
+    it('requests assignments for dependencies that are not defined', () => {
+      const result = analyzeParameters([{ expression: 'b = 2*k' }], parser)
+
+      expect(result.missingAssignments).toEqual(['k'])
+      expect(result.assignmentValues.get('b')).toBe(2)
+    })
+
+    it('reports every parameter on a dependency cycle', () => {
+      const functions = [
+        { expression: 'a = b' },
+        { expression: 'b = a' },
+        { expression: 'c = c + 1' }
+      ]
+
+      const result = analyzeParameters(functions, parser)
+
+      expect(result.parameterErrors.get('a')).toBe('Circular parameter definition: a -> b -> a')
+      expect(result.parameterErrors.get('b')).toBe('Circular parameter definition: a -> b -> a')
+      expect(result.parameterErrors.get('c')).toBe('Circular parameter definition: c -> c')
+      expect(result.assignmentValues.has('a')).toBe(false)
+    })
+
+    it('reports derived parameters that depend on a cycle or do not evaluate', () => {
+      const functions = [
+        { expression: 'a = b' },
+        { expression: 'b = a' },
+        { expression: 'd = 2*a' },
+        { expression: 'e = 1/z' },
+        { expression: 'z = 0' }
+      ]
+
+      const result = analyzeParameters(functions, parser)
+
+      expect(result.parameterErrors.get('d')).toBe('Invalid assignment (must be a number)')
+      expect(result.parameterErrors.get('e')).toBe('Invalid assignment (must be a number)')
+    })
+
+    it('evaluates trig functions in the given angle mode', () => {
+      const functions = [{ expression: 'a = 30' }, { expression: 'b = 2*sin(a)' }]
+
+      const degrees = analyzeParameters(functions, parser, { angleMode: 'degrees' })
+      const radians = analyzeParameters(functions, parser)
+
+      expect(degrees.assignmentValues.get('b')).toBeCloseTo(1, 10)
+      expect(radians.assignmentValues.get('b')).toBeCloseTo(2 * Math.sin(30), 10)
+    })
+  })
+
+  describe('live values', () => {
+    it('evaluates derived parameters from the current slider values', () => {
+      const functions = [
+        { expression: 'a = 1' },
+        { expression: 'b = 2*a' },
+        { expression: 'L = [1, 2]' },
+        { expression: 'M = a*L' }
+      ]
+      const analysis = analyzeParameters(functions, parser)
+
+      const values = resolveLiveParameterValues(analysis, { a: 3, b: 2 })
+
+      expect(values.get('a')).toBe(3)
+      expect(values.get('b')).toBe(6)
+      expect(values.get('L')).toEqual([1, 2])
+      expect(values.get('M')).toEqual([3, 6])
+    })
+
+    it('uses the row values while no slider value is set', () => {
+      const analysis = analyzeParameters([
+        { expression: 'a = 30' },
+        { expression: 'b = sin(a)' }
+      ], parser)
+
+      const values = resolveLiveParameterValues(analysis, {}, 'degrees')
+
+      expect(values.get('b')).toBeCloseTo(0.5, 10)
+    })
+  })
+
+  describe('lists', () => {
+    it('records list assignments apart from slider values', () => {
+      const functions = [
+        { expression: 'L = [1, 2, 3]' },
+        { expression: 'y = L*x' }
+      ]
+
+      const result = analyzeParameters(functions, parser)
+
+      expect(result.definedParams.has('L')).toBe(true)
+      expect(result.listValues.get('L')).toEqual([1, 2, 3])
+      expect(result.assignmentValues.has('L')).toBe(false)
+      expect(result.missingAssignments).toEqual([])
+    })
+
+    it('broadcasts derived lists and reduces them with list functions', () => {
+      const functions = [
+        { expression: 'L = [1, 2, 3]' },
+        { expression: 'M = L^2 + a' },
+        { expression: 's = sum(L)' },
+        { expression: 'a = 1' }
+      ]
+
+      const result = analyzeParameters(functions, parser)
+
+      expect(result.listValues.get('M')).toEqual([2, 5, 10])
+      expect(result.assignmentValues.get('s')).toBe(6)
+    })
+
+    it('evaluates calculated values with lists', () => {
+      expect(evaluateValueExpression('L^2', { L: [1, 2, 3] })).toEqual([1, 4, 9])
+      expect(evaluateValueExpression('L - mean(L)', { L: [1, 2, 3] })).toEqual([-1, 0, 1])
+      expect(evaluateValueExpression('L + M', { L: [1, 2, 3], M: [10, 20] })).toEqual([11, 22])
+    })
+  })
+
+  describe('tables and regressions', () => {
+    const table = {
+      type: 'table',
+      table: {
+        rows: [['0', '1'], ['1', '3'], ['2', '5'], ['3', 'a']],
+        columns: ['x1', 'y1']
+      },
+      expression: 'points([[0, 1], [1, 3], [2, 5], [3, a]])'
+    }
+
+    it('exposes table columns as lists evaluated with parameters', () => {
+      const result = analyzeParameters([table, { expression: 'a = 7' }], parser)
+
+      expect(result.listValues.get('x1')).toEqual([0, 1, 2, 3])
+      expect(result.listValues.get('y1')).toEqual([1, 3, 5, 7])
+      expect(result.definedParams.has('x1')).toBe(true)
+      expect(result.missingAssignments).toEqual([])
+    })
+
+    it('fits free parameters of regressions and treats them as defined', () => {
+      const functions = [
+        table,
+        { expression: 'a = 7' },
+        { expression: 'y1 ~ m*x1 + b' },
+        { expression: 'c = 2*m' }
+      ]
+
+      const result = analyzeParameters(functions, parser)
+      const fit = result.regressionResults.get('y1 ~ m*x1 + b')
+
+      expect(result.assignmentValues.get('m')).toBeCloseTo(2, 6)
+      expect(result.assignmentValues.get('b')).toBeCloseTo(1, 6)
+      expect(result.assignmentValues.get('c')).toBeCloseTo(4, 6)
+      expect(result.fittedParams).toEqual(new Set(['b', 'm']))
+      expect(result.missingAssignments).toEqual([])
+      expect(fit.rSquared).toBeCloseTo(1, 9)
+    })
+
+    it('keeps parameters defined by other rows fixed', () => {
+      const functions = [
+        table,
+        { expression: 'a = 7' },
+        { expression: 'b = 0' },
+        { expression: 'y1 ~ m*x1 + b' }
+      ]
+
+      const result = analyzeParameters(functions, parser)
+
+      expect(result.fittedParams).toEqual(new Set(['m']))
+      expect(result.assignmentValues.get('b')).toBe(0)
+      expect(result.regressionResults.get('y1 ~ m*x1 + b').values).toEqual({
+        m: expect.closeTo(2.428571, 5)
+      })
+    })
+  })
 })
@@ -0,0 +1,90 @@
+import { describe, it, expect } from 'vitest'
+import {
+  splitRegression,
+  fitRegression,
+  buildRegressionCurve
+} from '../../../client/math/regression.js'
+
+const xs = [0, 1, 2, 3, 4, 5]
+
+describe('regression', () => {
+  it('splits rows at the top-level ~', () => {
+    expect(splitRegression('y1 ~ m*x1 + b')).toEqual({ lhs: 'y1', model: 'm*x1 + b' })
+    expect(splitRegression('~a')).toBe(null)
+    expect(splitRegression('y = x')).toBe(null)
+  })
+
+  it('fits a line and reports R² and residuals', () => {
+    const ys = [1.1, 2.9, 5.2, 6.8, 9.1, 11]
+    const fit = fitRegression({
+      lhs: 'y1',
+      model: 'm*x1 + b',
+      params: ['m', 'b'],
+      scope: { x1: xs, y1: ys }
+    })
+
+    expect(fit.error).toBe(null)
+    expect(fit.values.m).toBeCloseTo(1.9914, 3)
+    expect(fit.values.b).toBeCloseTo(1.0381, 3)
+    expect(fit.rSquared).toBeGreaterThan(0.99)
+    expect(fit.residuals).toHaveLength(6)
+    expect(fit.residuals[0]).toBeCloseTo(1.1 - fit.values.b, 6)
+  })
+
+  it('fits polynomial, exponential and other nonlinear models', () => {
+    const quadratic = fitRegression({
+      lhs: 'y1',
+      model: 'a*x1^2 + b*x1 + c',
+      params: ['a', 'b', 'c'],
+      scope: { x1: xs, y1: xs.map(x => 3 * x ** 2 - 2 * x + 5) }
+    })
+    expect(quadratic.values.a).toBeCloseTo(3, 6)
+    expect(quadratic.values.b).toBeCloseTo(-2, 6)
+    expect(quadratic.values.c).toBeCloseTo(5, 6)
+    expect(quadratic.rSquared).toBeCloseTo(1, 9)
+
+    const exponential = fitRegression({
+      lhs: 'y1',
+      model: 'a*exp(k*x1)',
+      params: ['a', 'k'],
+      scope: { x1: xs, y1: xs.map(x => 200 * Math.exp(-0.9 * x)) }
+    })
+    expect(exponential.values.a).toBeCloseTo(200, 4)
+    expect(exponential.values.k).toBeCloseTo(-0.9, 6)
+
+    const wave = fitRegression({
+      lhs: 'y1',
+      model: 'a*sin(w*x1)',
+      params: ['a', 'w'],
+      scope: { x1: xs, y1: xs.map(x => 2 * Math.sin(1.2 * x)) }
+    })
+    expect(wave.values.a).toBeCloseTo(2, 6)
+    expect(wave.values.w).toBeCloseTo(1.2, 6)
+  })
+
+  it('keeps fixed parameters and transformed observations', () => {
+    const fit = fitRegression({
+      lhs: 'log(y1)',
+      model: 'k*x1 + c',
+      params: ['k'],
+      scope: { x1: xs, y1: xs.map(x => Math.exp(2 * x + 3)), c: 3 }
+    })
+    expect(fit.values).toEqual({ k: expect.closeTo(2, 6) })
+  })
+
+  it('reports models without list data or with too few points', () => {
+    expect(fitRegression({ lhs: 'a', model: 'm', params: ['m'], scope: { a: 1 } }).error)
+      .toBe('Regression needs list data such as a table column')
+    expect(fitRegression({
+      lhs: 'y1',
+      model: 'a*x1^2 + b*x1 + c',
+      params: ['a', 'b', 'c'],
+      scope: { x1: [1, 2], y1: [3, 4] }
+    }).error).toBe('Regression needs at least as many data points as parameters')
+  })
+
+  it('turns a single-list model into a curve in x', () => {
+    expect(buildRegressionCurve('m*x1 + b', { x1: [1, 2] })).toBe('m * x + b')
+    expect(buildRegressionCurve('a*x1 + b*x2', { x1: [1], x2: [2] })).toBe(null)
+  })
+})
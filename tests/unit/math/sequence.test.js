@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import {
+  expandSeries,
+  splitSequenceDefinition,
+  findRecurrenceDepth,
+  computeSequenceTerms
+} from '../../../client/math/sequence.js'
+
+describe('sequence', () => {
+  describe('expandSeries', () => {
+    it('writes out sums and products term by term', () => {
+      expect(expandSeries('sum(n^2, n, 1, 3)'))
+        .toEqual({ expression: '(((1) ^ 2) + ((2) ^ 2) + ((3) ^ 2))', error: null })
+      expect(expandSeries('prod(k, k, 1, 3)').expression).toBe('(((1)) * ((2)) * ((3)))')
+      expect(expandSeries('sum(a*x^n, n, 0, 1)').expression).toBe('((a * x ^ (0)) + (a * x ^ (1)))')
+    })
+
+    it('gives 0 and 1 for empty ranges', () => {
+      expect(expandSeries('sum(n, n, 3, 1)').expression).toBe('0')
+      expect(expandSeries('prod(n, n, 3, 1)').expression).toBe('1')
+    })
+
+    it('lets inner bounds use the outer index', () => {
+      expect(expandSeries('sum(sum(j, j, 1, i), i, 1, 2)').expression)
+        .toBe('(((((1)))) + ((((1)) + ((2)))))')
+    })
+
+    it('leaves list functions such as sum(L) alone', () => {
+      expect(expandSeries('sum(L) + prod(L)')).toEqual({ expression: 'sum(L) + prod(L)', error: null })
+    })
+
+    it('reports malformed calls, bounds that are not fixed whole numbers and long sums', () => {
+      expect(expandSeries('sum(n, x, 1, 3)').error)
+        .toBe('Sums and products must be written as sum(expression, n, start, end)')
+      expect(expandSeries('sum(n, n, 1, k)').error)
+        .toBe('Sum and product bounds must be fixed numbers, not parameters')
+      expect(expandSeries('sum(1/n, n, 1, floor(N/2))').error)
+        .toBe('Sum and product bounds must be fixed numbers, not parameters')
+      expect(expandSeries('sum(n, n, 1, floor(7/2))').expression).toBe('(((1)) + ((2)) + ((3)))')
+      expect(expandSeries('sum(n, n, 1, 2.5)').error).toBe('Sum and product bounds must be whole numbers')
+      expect(expandSeries('sum(n, n, 1, 5000)').error).toBe('Sums and products are limited to 1000 terms')
+    })
+  })
+
+  describe('splitSequenceDefinition', () => {
+    it('splits recurrences and explicit formulas', () => {
+      expect(splitSequenceDefinition('a_n = a_(n-1) + 2'))
+        .toEqual({ name: 'a', index: 'n', body: 'a_(n-1) + 2' })
+      expect(splitSequenceDefinition('b_k = 2k + 1'))
+        .toEqual({ name: 'b', index: 'k', body: '2k + 1' })
+    })
+
+    it('leaves given terms and other assignments alone', () => {
+      expect(splitSequenceDefinition('a_1 = 3')).toBeNull()
+      expect(splitSequenceDefinition('k_n = 5')).toBeNull()
+      expect(splitSequenceDefinition('a_x = x + 1')).toBeNull()
+      expect(splitSequenceDefinition('a_n == 2')).toBeNull()
+    })
+  })
+
+  describe('findRecurrenceDepth', () => {
+    it('finds how many earlier terms a recurrence uses', () => {
+      expect(findRecurrenceDepth({ name: 'f', index: 'n', body: 'f_(n-1) + f_(n-2)' }))
+        .toEqual({ depth: 2, error: null })
+      expect(findRecurrenceDepth({ name: 'a', index: 'n', body: '2n' }).depth).toBe(0)
+    })
+
+    it('rejects terms that are not earlier ones', () => {
+      const error = 'Sequence terms must refer to earlier terms, as in a_(n-1)'
+      expect(findRecurrenceDepth({ name: 'a', index: 'n', body: 'a_(n)' }).error).toBe(error)
+      expect(findRecurrenceDepth({ name: 'a', index: 'n', body: 'a_(n+1)' }).error).toBe(error)
+      expect(findRecurrenceDepth({ name: 'a', index: 'n', body: 'a_(n/2)' }).error).toBe(error)
+    })
+  })
+
+  describe('computeSequenceTerms', () => {
+    it('computes a recurrence from its given terms', () => {
+      const sequence = { name: 'a', index: 'n', body: 'a_(n-1) + d' }
+      expect(computeSequenceTerms(sequence, { a_1: 3, d: 2 }, 4)).toEqual({
+        points: [[1, 3], [2, 5], [3, 7], [4, 9]],
+        error: null
+      })
+    })
+
+    it('starts from the lowest given term', () => {
+      const fibonacci = { name: 'f', index: 'n', body: 'f_(n-1) + f_(n-2)' }
+      expect(computeSequenceTerms(fibonacci, { f_0: 0, f_1: 1 }, 7).points.map(([, value]) => value))
+        .toEqual([0, 1, 1, 2, 3, 5, 8])
+    })
+
+    it('reports missing starting terms', () => {
+      const fibonacci = { name: 'f', index: 'n', body: 'f_(n-1) + f_(n-2)' }
+      expect(computeSequenceTerms(fibonacci, { f_1: 1 })).toEqual({
+        points: [],
+        error: 'Sequence needs a starting value for f_2'
+      })
+    })
+
+    it('skips undefined terms of explicit formulas and stops recurrences at them', () => {
+      expect(computeSequenceTerms({ name: 'a', index: 'n', body: '1/(n-2)' }, {}, 3).points)
+        .toEqual([[1, -1], [3, 1]])
+      expect(computeSequenceTerms({ name: 'a', index: 'n', body: 'sqrt(a_(n-1)) - 2' }, { a_1: 9 }, 5).points)
+        .toEqual([[1, 9], [2, 1], [3, -1]])
+    })
+  })
+})